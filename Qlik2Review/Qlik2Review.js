@@ -9,8 +9,20 @@ define([
   './lib/openai',
   './lib/anthropic',
   './lib/gemini',
-  './lib/chart-templates'
-], function(qlik, cssStyles, definition, engineService, analyzer, logger, promptBuilder, openaiProvider, anthropicProvider, geminiProvider, chartTemplates) {
+  './lib/openai-compatible',
+  './lib/mistral',
+  './lib/cohere',
+  './lib/ollama',
+  './lib/chart-templates',
+  './lib/insight-schema',
+  './lib/chat',
+  './lib/token-tracker',
+  './lib/proxy',
+  './lib/suggestion-parser',
+  './lib/recorder',
+  './lib/replay',
+  './lib/retry'
+], function(qlik, cssStyles, definition, engineService, analyzer, logger, promptBuilder, openaiProvider, anthropicProvider, geminiProvider, openaiCompatibleProvider, mistralProvider, cohereProvider, ollamaProvider, chartTemplates, insightSchema, sheetChat, tokenTracker, proxyService, suggestionParser, recorder, replayProvider, retry) {
   'use strict';
 
   console.log('Qlik2Review v3.9.3 LOADED - Vanilla JS (Mobile Compatible)');
@@ -19,7 +31,12 @@ define([
   var aiProviders = {
     openai: openaiProvider,
     anthropic: anthropicProvider,
-    gemini: geminiProvider
+    gemini: geminiProvider,
+    'openai-compatible': openaiCompatibleProvider,
+    mistral: mistralProvider,
+    cohere: cohereProvider,
+    ollama: ollamaProvider,
+    replay: replayProvider
   };
 
   // Helper to get AI provider
@@ -27,8 +44,156 @@ define([
     return aiProviders[providerName] || openaiProvider;
   }
 
-  // Cancellation token
-  var cancelToken = { cancelled: false };
+  // Match recording and replay of provider traffic to the current properties
+  // Replay restarts from the top of the recording on every run so results repeat exactly
+  function syncRecorder(layout) {
+    var ai = layout.aiSettings || {};
+    if (ai.provider === 'replay') {
+      if (!ai.replayRecording) {
+        throw new Error('Paste a recording into AI Settings to use the Replay provider.');
+      }
+      recorder.startReplay(ai.replayRecording);
+    } else if (recorder.isReplaying()) {
+      recorder.stopReplay();
+    }
+
+    if (layout.developer && layout.developer.recordTraffic) {
+      if (!recorder.isRecording()) recorder.startRecording();
+    } else if (recorder.isRecording()) {
+      recorder.stopRecording();
+    }
+  }
+
+  // Cancellation token - the signal aborts provider requests in flight
+  var cancelToken = { cancelled: false, signal: null, controller: null };
+
+  // Set the cancel flag and abort requests of the running analysis
+  function abortAnalysis() {
+    cancelToken.cancelled = true;
+    if (cancelToken.controller) {
+      cancelToken.controller.abort();
+    }
+  }
+
+  // Aborts the sheet chat question in flight, including its row fetch rounds
+  var chatController = null;
+
+  function stopChat() {
+    if (chatController) {
+      chatController.abort();
+    }
+  }
+
+  // Tasks that accept per-task generation overrides
+  var GENERATION_TASKS = ['object', 'sheet', 'suggestions'];
+
+  // Read global generation settings (only applied when Advanced Model Settings is on)
+  function getGenerationConfig(layout) {
+    var ai = layout.aiSettings || {};
+    if (!ai.showAdvancedModel) return {};
+    return {
+      temperature: ai.temperature,
+      topP: ai.topP,
+      maxTokens: ai.maxTokens,
+      reasoning: ai.reasoningEffort || ''
+    };
+  }
+
+  // Read per-task overrides (provider/model route + generation) from the Task Settings section
+  function getTaskSettingsConfig(layout) {
+    var taskSettings = {};
+    GENERATION_TASKS.forEach(function(task) {
+      var settings = layout.taskSettings && layout.taskSettings[task];
+      if (settings && settings.override) {
+        taskSettings[task] = {
+          provider: settings.provider || '',
+          model: (settings.model || '').trim(),
+          apiKey: settings.apiKey || '',
+          temperature: settings.temperature,
+          topP: settings.topP,
+          maxTokens: settings.maxTokens,
+          reasoning: settings.reasoning || ''
+        };
+      }
+    });
+    return taskSettings;
+  }
+
+  // Read the ordered fallback provider list from AI Settings
+  function getFallbackConfig(layout) {
+    var ai = layout.aiSettings || {};
+    if (!ai.enableFallback || !Array.isArray(ai.fallbacks)) return [];
+    return ai.fallbacks
+      .filter(function(entry) { return entry && entry.provider; })
+      .map(function(entry) {
+        return {
+          provider: entry.provider,
+          model: entry.model || '',
+          apiKey: entry.apiKey || ''
+        };
+      });
+  }
+
+  // Build the analysis configuration from extension properties (shared by analysis and sheet chat)
+  function getAnalysisConfig(layout) {
+    var objectFilter = layout.objectFilter || {};
+    var useCustom = layout.aiSettings && layout.aiSettings.useCustomPrompt;
+    var customPrompt = useCustom ? (layout.aiSettings.customPrompt || '') : '';
+    var useCustomSheet = layout.aiSettings && layout.aiSettings.useCustomSheetPrompt;
+    var customSheetPrompt = useCustomSheet ? (layout.aiSettings.customSheetPrompt || '') : '';
+    var useCustomSuggestions = layout.aiSettings && layout.aiSettings.useCustomSuggestionsPrompt;
+    var customSuggestionsPrompt = useCustomSuggestions ? (layout.aiSettings.customSuggestionsPrompt || '') : '';
+
+    return {
+      provider: (layout.aiSettings && layout.aiSettings.provider) || 'openai',
+      apiKey: (layout.aiSettings && layout.aiSettings.apiKey) || '',
+      model: (layout.aiSettings && layout.aiSettings.model) || '',
+      language: (layout.aiSettings && layout.aiSettings.responseLanguage) || 'en',
+      customPrompt: customPrompt,
+      customSheetPrompt: customSheetPrompt,
+      customSuggestionsPrompt: customSuggestionsPrompt,
+      objectFilter: objectFilter,
+      excludedIds: objectFilter.excludedIds || '',
+      maxCharsPerObject: (layout.outputSettings && layout.outputSettings.maxCharsPerObject) || 300,
+      rowLimit: (layout.dataSettings && layout.dataSettings.rowLimit) || 50,
+      dataFormat: (layout.dataSettings && layout.dataSettings.dataFormat) || 'compressed',
+      engineStats: !layout.dataSettings || layout.dataSettings.engineStats !== false,
+      endpoint: {
+        baseUrl: (layout.aiSettings && layout.aiSettings.endpointBaseUrl) || '',
+        authStyle: (layout.aiSettings && layout.aiSettings.endpointAuthStyle) || 'bearer',
+        authHeader: (layout.aiSettings && layout.aiSettings.endpointAuthHeader) || '',
+        apiVersion: (layout.aiSettings && layout.aiSettings.endpointApiVersion) || '',
+        models: (layout.aiSettings && layout.aiSettings.endpointModels) || ''
+      },
+      ollamaEndpoint: {
+        baseUrl: (layout.aiSettings && layout.aiSettings.ollamaBaseUrl) || 'http://localhost:11434'
+      },
+      generation: getGenerationConfig(layout),
+      taskSettings: getTaskSettingsConfig(layout),
+      fallbacks: getFallbackConfig(layout),
+      proxy: getProxyConfig(layout),
+      structuredOutput: !!(layout.aiSettings && layout.aiSettings.structuredOutput),
+      batchObjects: !!(layout.aiSettings && layout.aiSettings.singleCallObjects),
+      vision: (layout.aiSettings && layout.aiSettings.visionMode) || 'off',
+      recoveryPolicy: (layout.aiSettings && layout.aiSettings.emptyResponseRecovery) || 'standard',
+      concurrency: (layout.aiSettings && layout.aiSettings.maxConcurrency) || 0,
+      rateLimits: {
+        rpm: parseInt(layout.aiSettings && layout.aiSettings.requestsPerMinute, 10) || 0,
+        tpm: parseInt(layout.aiSettings && layout.aiSettings.tokensPerMinute, 10) || 0
+      },
+      chatAllowFetch: !layout.chat || layout.chat.allowFetch !== false
+    };
+  }
+
+  // Read relay settings for proxy mode from AI Settings
+  function getProxyConfig(layout) {
+    var ai = layout.aiSettings || {};
+    if (!ai.useProxy || !ai.proxyUrl) return null;
+    return {
+      url: ai.proxyUrl,
+      token: ai.proxyToken || ''
+    };
+  }
 
   // Storage key prefix
   var STORAGE_PREFIX = 'q2r_';
@@ -41,6 +206,10 @@ define([
   // Track all setTimeout IDs for cleanup
   var activeTimers = [];
 
+  // Throttle for re-renders while tokens stream in
+  var STREAM_RENDER_MS = 120;
+  var streamRenderTimer = null;
+
   // Helper function to create self-cleaning tracked timeouts
   function setTrackedTimeout(callback, delay) {
     var timerId = setTimeout(function() {
@@ -53,10 +222,14 @@ define([
     return timerId;
   }
 
+  // Print styles for PDF reports
+  var PDF_STYLES = '* { margin: 0; padding: 0; box-sizing: border-box; } body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; padding: 40px; color: #333; } .header { border-bottom: 2px solid #009845; padding-bottom: 15px; margin-bottom: 25px; } .header h1 { font-size: 24px; color: #009845; margin-bottom: 5px; } .header .meta { font-size: 12px; color: #666; } .section { margin-bottom: 25px; } .section-title { font-size: 16px; font-weight: 600; color: #009845; margin-bottom: 10px; } .sheet-summary { background: #f5f9f7; border-left: 3px solid #009845; padding: 15px; line-height: 1.6; } .object-item { border: 1px solid #e0e0e0; border-radius: 4px; padding: 12px; margin-bottom: 10px; } .object-header { display: flex; align-items: center; gap: 10px; margin-bottom: 8px; } .object-type { font-size: 10px; text-transform: uppercase; padding: 2px 8px; border: 1px solid #009845; border-radius: 3px; color: #009845; font-weight: 600; } .object-title { font-weight: 500; } .object-summary { color: #555; line-height: 1.5; } .footer { margin-top: 30px; padding-top: 15px; border-top: 1px solid #e0e0e0; font-size: 11px; color: #888; text-align: center; } @media print { body { padding: 20px; } }';
+
   // State management (replaces Angular $scope)
   var state = {
     isAnalyzing: false,
     sheetSummary: null,
+    sheetReasoning: null,  // Reasoning summary returned with the sheet summary (reasoning models only)
     objectSummaries: [],
     lastUpdated: null,
     error: null,
@@ -88,6 +261,15 @@ define([
     createdChartModal: null,  // { objectId, title } for modal display
     modalError: null,  // Error message to display in modal
     isEditMode: false,  // Whether app is in edit mode
+    streaming: null,  // { sheetSummary, objects: { id: { title, type, text } }, order: [] } while streaming
+    chatMessages: [],  // Sheet chat history [{ role: 'user' | 'assistant', text, timestamp }]
+    chatDraft: '',  // Unsent chat input (kept across re-renders)
+    chatAsking: false,  // Whether a chat question is in flight
+    chatStatus: '',  // Chat progress text ('Thinking...', 'Fetching rows...')
+    chatError: null,  // Last chat error message
+    chatUsage: null,  // Token usage of chat questions this session
+    appReport: null,  // Whole-app report { appSummary, sheets, usage, timestamp } from Analyze App
+    appSheetsExpanded: {},  // { sheetId: true } for sheets opened in the app report
     insightModel: null  // Cached insight model from /api/v1/apps/{appId}/insight-analyses/model
   };
 
@@ -125,6 +307,33 @@ define([
     }
   }
 
+  // Chat history storage key prefix
+  var CHAT_PREFIX = 'q2r_chat_';
+
+  // Load sheet chat history from localStorage
+  function loadChatHistory(appId, sheetId) {
+    try {
+      var data = localStorage.getItem(CHAT_PREFIX + appId + '_' + sheetId);
+      if (data) {
+        return JSON.parse(data);
+      }
+    } catch (e) {
+      logger.debug('Could not load chat history:', e.message);
+    }
+    return [];
+  }
+
+  // Save sheet chat history to localStorage (most recent messages only)
+  function saveChatHistory(appId, sheetId, messages) {
+    try {
+      localStorage.setItem(CHAT_PREFIX + appId + '_' + sheetId, JSON.stringify(sheetChat.trimHistory(messages)));
+      return true;
+    } catch (e) {
+      logger.warn('Could not save chat history:', e.message);
+      return false;
+    }
+  }
+
   // Generate unique ID
   function generateId() {
     return 'bk_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -237,7 +446,10 @@ define([
 
     objectSummaries.forEach(function(obj) {
       if (!obj.error) {
-        var status = detectAlertStatus(obj.summary, alertKeywords, positiveKeywords);
+        // Structured insights carry their own sentiment; free text falls back to keyword detection
+        var status = obj.insight
+          ? insightSchema.getAlertStatus(obj.insight)
+          : detectAlertStatus(obj.summary, alertKeywords, positiveKeywords);
         statuses[obj.id] = status;
         counts[status]++;
       }
@@ -263,83 +475,6 @@ define([
     }
   }
 
-  // Map visualization approach to Qlik chart type
-  function mapVisualizationToChart(vizApproach, dims, meas) {
-    var approach = (vizApproach || '').toLowerCase();
-
-    // Map conceptual visualization to Qlik chart type
-    var mapping = {
-      'comparison': 'barchart',
-      'trend': 'linechart',
-      'distribution': 'boxplot',
-      'correlation': 'scatterplot',
-      'composition': dims && dims.length > 1 ? 'treemap' : 'piechart',
-      'detail': 'table',
-      'ranking': 'barchart',
-      'flow': 'waterfallchart'
-    };
-
-    return mapping[approach] || 'barchart';
-  }
-
-  // Parse dive deeper suggestions from AI response (JSON extraction)
-  function parseDiveDeeperSuggestions(rawText) {
-    if (!rawText) return null;
-
-    try {
-      // Try to extract JSON from response (may be wrapped in markdown code blocks)
-      var jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/);
-      var jsonStr = jsonMatch ? jsonMatch[1] : rawText;
-
-      // Try parsing as JSON array
-      var parsed = JSON.parse(jsonStr.trim());
-
-      if (Array.isArray(parsed) && parsed.length > 0) {
-        // Validate structure and add unique IDs
-        // Support both old format (chartType) and new format (visualization/question)
-        return parsed.map(function(item, idx) {
-          // Handle both array and singular format
-          var dims = item.dimensions || (item.dimension ? [item.dimension] : []);
-          var meas = item.measures || (item.measure ? [item.measure] : []);
-
-          // Determine chart type: old format uses chartType, new format uses visualization
-          var chartType;
-          if (item.chartType) {
-            // Old format - direct chart type
-            chartType = item.chartType;
-          } else if (item.visualization) {
-            // New format - map visualization approach to chart type
-            chartType = mapVisualizationToChart(item.visualization, dims, meas);
-          } else {
-            chartType = 'barchart';
-          }
-
-          // Title: old format uses title, new format uses question
-          var title = item.title || item.question || 'Analysis ' + (idx + 1);
-
-          return {
-            id: 'sug_' + idx + '_' + Date.now(),
-            title: title,
-            insight: item.insight || '',
-            chartType: chartType,
-            visualization: item.visualization || null, // Keep for display
-            dimensions: dims,
-            measures: meas
-          };
-        }).filter(function(item) {
-          // Must have at least one dimension or one measure
-          return (item.dimensions && item.dimensions.length > 0) ||
-                 (item.measures && item.measures.length > 0);
-        });
-      }
-    } catch (e) {
-      logger.debug('Could not parse suggestions as JSON:', e.message);
-    }
-
-    // Fallback: return null (will show raw text)
-    return null;
-  }
-
   // Map chart type names to Qlik visualization types
   function mapChartType(chartType) {
     var typeMap = {
@@ -1844,6 +1979,31 @@ define([
     return result.join('\n');
   };
 
+  // Render a structured insight card body (headline, key numbers, anomalies, confidence)
+  function renderInsightHtml(insight, fontSize) {
+    var html = '<div class="q2r-object-summary q2r-font-' + fontSize + '">';
+    html += '<div class="q2r-insight-headline">' + escapeHtml(insight.headline) + '</div>';
+    if (insight.keyNumbers.length > 0) {
+      html += '<div class="q2r-insight-numbers">';
+      insight.keyNumbers.forEach(function(n) {
+        html += '<span class="q2r-insight-number"><span class="q2r-insight-number-label">' + escapeHtml(n.label) + '</span> ' + escapeHtml(n.value) + '</span>';
+      });
+      html += '</div>';
+    }
+    if (insight.anomalies.length > 0) {
+      html += '<ul class="q2r-insight-anomalies">';
+      insight.anomalies.forEach(function(a) {
+        html += '<li>' + escapeHtml(a) + '</li>';
+      });
+      html += '</ul>';
+    }
+    if (insight.confidence !== null) {
+      html += '<div class="q2r-insight-confidence">Confidence: ' + Math.round(insight.confidence * 100) + '%</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
   // Storage helpers
   var storage = {
     getKey: function(appId, sheetId) {
@@ -1964,6 +2124,34 @@ define([
     }, 2000);
   }
 
+  // Schedule a throttled re-render for streamed tokens
+  function scheduleStreamRender() {
+    if (streamRenderTimer) return;
+    streamRenderTimer = setTrackedTimeout(function() {
+      streamRenderTimer = null;
+      updateUI();
+    }, STREAM_RENDER_MS);
+  }
+
+  // Apply a partial result streamed from the analyzer
+  function handleStreamUpdate(update) {
+    if (!state.isAnalyzing || !state.streaming || cancelToken.cancelled) return;
+
+    if (update.scope === 'sheet') {
+      state.streaming.sheetSummary = update.text;
+    } else {
+      if (!state.streaming.objects[update.id]) {
+        state.streaming.order.push(update.id);
+      }
+      state.streaming.objects[update.id] = {
+        title: update.title,
+        type: update.type,
+        text: update.text
+      };
+    }
+    scheduleStreamRender();
+  }
+
   // Build the UI HTML
   function buildUI(layout) {
     var bgColor = (layout.appearance && layout.appearance.backgroundColor && layout.appearance.backgroundColor.color) || '#ffffff';
@@ -1973,9 +2161,11 @@ define([
     var showTimestamp = layout.appearance && layout.appearance.showTimestamp !== false;
     var showSheetSummary = !layout.outputSettings || layout.outputSettings.showSheetSummary !== false;
     var showObjectList = !layout.outputSettings || layout.outputSettings.showObjectList !== false;
+    var showReasoning = !!(layout.outputSettings && layout.outputSettings.showReasoning);
     var showCopyButtons = !layout.outputSettings || layout.outputSettings.showCopyButtons !== false;
     var showTokenCost = layout.outputSettings && layout.outputSettings.showTokenCost === true;
     var topbarVisibility = (layout.appearance && layout.appearance.topbarVisibility) || 'always';
+    var isStreaming = state.isAnalyzing && !!state.streaming;
 
     var html = '<div class="qlik2review-container" style="background-color:' + bgColor + ';color:' + textColor + ';">';
 
@@ -1988,8 +2178,12 @@ define([
     html += '<div class="q2r-title"><span class="q2r-icon">&#9733;</span><span>Qlik2Review</span></div>';
     html += '<div class="q2r-actions">';
 
+    var appAnalysisEnabled = !!(layout.dataSettings && layout.dataSettings.appAnalysis);
     if (!state.isAnalyzing) {
       html += '<button class="q2r-btn q2r-btn-primary" id="q2r-analyze-btn" style="background-color:' + accentColor + ';">&#10024; Analyze</button>';
+      if (appAnalysisEnabled) {
+        html += '<button class="q2r-btn q2r-btn-secondary" id="q2r-analyze-app-btn" title="Analyze every sheet and summarize the whole app">&#128218; Analyze App</button>';
+      }
     } else {
       html += '<button class="q2r-btn q2r-btn-danger" id="q2r-cancel-btn">Cancel</button>';
     }
@@ -2180,23 +2374,117 @@ define([
       var cost = state.usage.estimatedCost || 0;
       var costStr = cost < 0.001 ? '<$0.001' : (cost < 0.01 ? '$' + cost.toFixed(4) : '$' + cost.toFixed(3));
       var tokensStr = state.usage.totalTokens >= 1000 ? (state.usage.totalTokens / 1000).toFixed(1) + 'K' : state.usage.totalTokens.toString();
-      html += '<div class="q2r-token-cost">';
+      // Per-model breakdown as tooltip (tasks can be routed to different models)
+      var costTitle = Object.keys(state.usage.byModel || {}).map(function(key) {
+        var entry = state.usage.byModel[key];
+        return key + ': ' + entry.calls + ' call' + (entry.calls === 1 ? '' : 's') + ', ' +
+          tokenTracker.formatTokens(entry.inputTokens + entry.outputTokens) + ' tokens, ~' + tokenTracker.formatCost(entry.estimatedCost);
+      }).join('\n');
+      if (state.usage.cachedInputTokens > 0) {
+        costTitle += (costTitle ? '\n' : '') + 'Cached input: ' + tokenTracker.formatTokens(state.usage.cachedInputTokens) + ' tokens';
+      }
+      if (state.usage.reasoningTokens > 0) {
+        costTitle += (costTitle ? '\n' : '') + 'Reasoning: ' + tokenTracker.formatTokens(state.usage.reasoningTokens) + ' tokens';
+      }
+      html += '<div class="q2r-token-cost"' + (costTitle ? ' title="' + escapeHtml(costTitle) + '"' : '') + '>';
       html += '<span class="q2r-token-icon">&#128176;</span>';
       html += '<span>' + tokensStr + ' tokens (~' + costStr + ')</span>';
       html += '</div>';
     }
 
+    // App Report (whole-app analysis, shown above the sheet results until closed)
+    if (state.appReport && !state.isAnalyzing) {
+      var report = state.appReport;
+      var analyzedCount = report.sheets.filter(function(sheet) { return sheet.sheetSummary; }).length;
+      html += '<div class="q2r-section q2r-app-report">';
+      html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128218;</span><span>App Report</span>';
+      html += '<span class="q2r-app-report-actions">';
+      html += '<button class="q2r-app-report-btn" id="q2r-app-pdf-btn" title="Export the app report">&#128196; PDF</button>';
+      html += '<button class="q2r-app-report-btn" id="q2r-app-close-btn" title="Close the app report">&#10005; Close</button>';
+      html += '</span></div>';
+      html += '<div class="q2r-app-report-meta">' + analyzedCount + ' of ' + report.sheets.length + ' sheets analyzed | ' + formatTimestamp(report.timestamp);
+      if (showTokenCost && report.usage && report.usage.totalTokens > 0) {
+        html += ' | ' + tokenTracker.formatTokens(report.usage.totalTokens) + ' tokens (~' + tokenTracker.formatCost(report.usage.estimatedCost) + ')';
+      }
+      html += '</div>';
+      html += '<div class="q2r-summary-content q2r-font-' + fontSize + '">' + markdownToHtml(report.appSummary).replace(/\n/g, '<br>') + '</div>';
+
+      report.sheets.forEach(function(sheet) {
+        var expanded = !!state.appSheetsExpanded[sheet.id];
+        html += '<div class="q2r-app-sheet">';
+        html += '<div class="q2r-app-sheet-header" data-sheet-id="' + escapeHtml(sheet.id) + '">';
+        html += '<span class="q2r-app-sheet-title">' + escapeHtml(sheet.title) + '</span>';
+        if (sheet.error) {
+          html += '<span class="q2r-app-sheet-status q2r-app-sheet-failed">Failed</span>';
+        } else if (sheet.skipped) {
+          html += '<span class="q2r-app-sheet-status">No analyzable objects</span>';
+        } else {
+          html += '<span class="q2r-app-sheet-status">' + sheet.objectSummaries.length + ' objects</span>';
+        }
+        html += '<span class="q2r-collapse-arrow' + (expanded ? ' q2r-expanded' : '') + '">&#9660;</span>';
+        html += '</div>';
+        if (expanded) {
+          html += '<div class="q2r-app-sheet-body q2r-font-' + fontSize + '">';
+          if (sheet.error) {
+            html += '<div class="q2r-chat-error">' + escapeHtml(sheet.error) + '</div>';
+          } else if (sheet.sheetSummary) {
+            html += '<div class="q2r-app-sheet-summary">' + markdownToHtml(sheet.sheetSummary).replace(/\n/g, '<br>') + '</div>';
+            sheet.objectSummaries.forEach(function(obj) {
+              html += '<div class="q2r-app-sheet-object"><strong>' + escapeHtml(obj.title || 'Untitled') + '</strong> ' + markdownToHtml(obj.summary) + '</div>';
+            });
+          }
+          html += '</div>';
+        }
+        html += '</div>';
+      });
+      html += '</div>';
+    }
+
+    // Live streaming preview (replaced by final results when analysis completes)
+    if (isStreaming) {
+      if (showSheetSummary && state.streaming.sheetSummary) {
+        html += '<div class="q2r-section">';
+        html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128202;</span><span>Sheet Summary</span></div>';
+        html += '<div class="q2r-summary-content q2r-font-' + fontSize + '">' + markdownToHtml(state.streaming.sheetSummary).replace(/\n/g, '<br>') + '<span class="q2r-stream-cursor"></span></div>';
+        html += '</div>';
+      }
+
+      if (showObjectList && state.streaming.order.length > 0) {
+        html += '<div class="q2r-section">';
+        html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128200;</span><span>Object Insights (' + state.streaming.order.length + ')</span></div>';
+        html += '<div class="q2r-objects-list">';
+        state.streaming.order.forEach(function(objectId) {
+          var item = state.streaming.objects[objectId];
+          html += '<div class="q2r-object-item q2r-object-streaming">';
+          html += '<div class="q2r-object-header">';
+          html += '<span class="q2r-object-type" style="border-color:' + accentColor + ';color:' + accentColor + ';">' + escapeHtml(item.type) + '</span>';
+          html += '<span class="q2r-object-title">' + escapeHtml(item.title) + '</span>';
+          html += '</div>';
+          html += '<div class="q2r-object-summary q2r-font-' + fontSize + '">' + markdownToHtml(item.text) + '</div>';
+          html += '</div>';
+        });
+        html += '</div></div>';
+      }
+    }
+
     // Sheet Summary
-    if (showSheetSummary && state.sheetSummary) {
+    if (showSheetSummary && state.sheetSummary && !isStreaming) {
       html += '<div class="q2r-section">';
       html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128202;</span><span>Sheet Summary</span></div>';
       html += '<div class="q2r-summary-content q2r-font-' + fontSize + '">' + markdownToHtml(state.sheetSummary).replace(/\n/g, '<br>') + '</div>';
+      // Reasoning summary from thinking models, collapsed by default
+      if (showReasoning && state.sheetReasoning) {
+        html += '<details class="q2r-reasoning">';
+        html += '<summary>Model reasoning</summary>';
+        html += '<div class="q2r-reasoning-content q2r-font-' + fontSize + '">' + escapeHtml(state.sheetReasoning).replace(/\n/g, '<br>') + '</div>';
+        html += '</details>';
+      }
       html += '</div>';
     }
 
     // Dive Deeper Suggestions (default: true)
     var diveDeeperEnabled = !layout.diveDeeper || layout.diveDeeper.enabled !== false;
-    if (diveDeeperEnabled && state.diveDeeperSuggestions && state.sheetSummary) {
+    if (diveDeeperEnabled && state.diveDeeperSuggestions && state.sheetSummary && !isStreaming) {
       html += '<div class="q2r-section q2r-dive-deeper">';
       html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128161;</span><span>Dive Deeper</span></div>';
       html += '<div class="q2r-dive-deeper-content q2r-font-' + fontSize + '">';
@@ -2248,6 +2536,45 @@ define([
       html += '</div></div>';
     }
 
+    // Sheet Chat (default: true)
+    var chatEnabled = !layout.chat || layout.chat.enabled !== false;
+    if (chatEnabled && state.sheetSummary && !state.isAnalyzing && !state.viewingSavedId) {
+      html += '<div class="q2r-section q2r-chat">';
+      html += '<div class="q2r-section-header"><span class="q2r-section-icon">&#128172;</span><span>Ask about this sheet</span>';
+      if (state.chatMessages.length > 0 && !state.chatAsking) {
+        html += '<button class="q2r-chat-clear" id="q2r-chat-clear-btn" title="Clear conversation">&#10005; Clear</button>';
+      }
+      html += '</div>';
+      if (state.chatMessages.length > 0) {
+        html += '<div class="q2r-chat-messages q2r-font-' + fontSize + '">';
+        state.chatMessages.forEach(function(message) {
+          var isUser = message.role === 'user';
+          html += '<div class="q2r-chat-message ' + (isUser ? 'q2r-chat-user' : 'q2r-chat-assistant') + '"' + (isUser ? ' style="border-color:' + accentColor + ';"' : '') + '>';
+          html += isUser ? escapeHtml(message.text) : markdownToHtml(message.text).replace(/\n/g, '<br>');
+          if (message.fetchedRows) {
+            html += '<div class="q2r-chat-meta">Fetched ' + message.fetchedRows + ' more rows</div>';
+          }
+          html += '</div>';
+        });
+        html += '</div>';
+      }
+      if (state.chatAsking) {
+        html += '<div class="q2r-chat-status"><span class="q2r-spinner-tiny"></span> ' + escapeHtml(state.chatStatus || 'Thinking...');
+        html += '<button class="q2r-chat-clear" id="q2r-chat-stop-btn" title="Stop answering">&#9632; Stop</button></div>';
+      }
+      if (state.chatError) {
+        html += '<div class="q2r-chat-error">' + escapeHtml(state.chatError) + '</div>';
+      }
+      html += '<div class="q2r-chat-input-row">';
+      html += '<input type="text" class="q2r-chat-input" id="q2r-chat-input" placeholder="e.g. Why did the top region drop?" value="' + escapeHtml(state.chatDraft) + '"' + (state.chatAsking ? ' disabled' : '') + '>';
+      html += '<button class="q2r-btn q2r-btn-primary" id="q2r-chat-send-btn" style="background-color:' + accentColor + ';"' + (state.chatAsking ? ' disabled' : '') + '>Ask</button>';
+      html += '</div>';
+      if (showTokenCost && state.chatUsage && state.chatUsage.totalTokens > 0) {
+        html += '<div class="q2r-chat-meta">Chat: ' + tokenTracker.formatTokens(state.chatUsage.totalTokens) + ' tokens (~' + tokenTracker.formatCost(state.chatUsage.estimatedCost) + ')</div>';
+      }
+      html += '</div>';
+    }
+
     // Chart Modal
     if (state.createdChartModal) {
       html += '<div class="q2r-modal-overlay" id="q2r-modal-overlay">';
@@ -2284,7 +2611,7 @@ define([
     }
 
     // Object Summaries
-    if (showObjectList && state.objectSummaries.length > 0) {
+    if (showObjectList && state.objectSummaries.length > 0 && !isStreaming) {
       html += '<div class="q2r-section">';
       html += '<div class="q2r-section-header q2r-collapsible" id="q2r-objects-toggle">';
       html += '<span class="q2r-section-icon">&#128200;</span>';
@@ -2301,6 +2628,9 @@ define([
         html += '<div class="q2r-object-header">';
         html += '<span class="q2r-object-type" style="border-color:' + accentColor + ';color:' + accentColor + ';">' + escapeHtml(obj.type) + '</span>';
         html += '<span class="q2r-object-title">' + escapeHtml(obj.title) + '</span>';
+        if (obj.fallback) {
+          html += '<span class="q2r-object-provider" title="Answered by fallback provider">via ' + escapeHtml(getAIProvider(obj.provider).displayName || obj.provider) + '</span>';
+        }
         if (highlightObjects && alertStatus === 'warning') {
           html += '<span class="q2r-object-alert-icon">&#9888;</span>';
         } else if (highlightObjects && alertStatus === 'positive') {
@@ -2314,7 +2644,11 @@ define([
           }
         }
         html += '</div>';
-        html += '<div class="q2r-object-summary q2r-font-' + fontSize + '">' + markdownToHtml(obj.summary) + '</div>';
+        if (obj.insight) {
+          html += renderInsightHtml(obj.insight, fontSize);
+        } else {
+          html += '<div class="q2r-object-summary q2r-font-' + fontSize + '">' + markdownToHtml(obj.summary) + '</div>';
+        }
         html += '</div>';
       });
 
@@ -2322,7 +2656,7 @@ define([
     }
 
     // Empty State
-    if (!state.sheetSummary && !state.isAnalyzing && !state.error) {
+    if (!state.sheetSummary && !state.appReport && !state.isAnalyzing && !state.error) {
       html += '<div class="q2r-empty">';
       html += '<div class="q2r-empty-icon">&#128269;</div>';
       html += '<div class="q2r-empty-text">Click "&#10024; Analyze" to generate AI-powered insights</div>';
@@ -2367,6 +2701,29 @@ define([
     if (analyzeBtn) {
       analyzeBtn.addEventListener('click', analyzeSheet);
     }
+    var analyzeAppBtn = element.querySelector('#q2r-analyze-app-btn');
+    if (analyzeAppBtn) {
+      analyzeAppBtn.addEventListener('click', analyzeApp);
+    }
+    var appPdfBtn = element.querySelector('#q2r-app-pdf-btn');
+    if (appPdfBtn) {
+      appPdfBtn.addEventListener('click', exportAppPDF);
+    }
+    var appCloseBtn = element.querySelector('#q2r-app-close-btn');
+    if (appCloseBtn) {
+      appCloseBtn.addEventListener('click', function() {
+        state.appReport = null;
+        state.appSheetsExpanded = {};
+        updateUI();
+      });
+    }
+    element.querySelectorAll('.q2r-app-sheet-header').forEach(function(header) {
+      header.addEventListener('click', function() {
+        var sheetId = header.getAttribute('data-sheet-id');
+        state.appSheetsExpanded[sheetId] = !state.appSheetsExpanded[sheetId];
+        updateUI();
+      });
+    });
     if (cancelBtn) {
       cancelBtn.addEventListener('click', cancelAnalysis);
     }
@@ -2449,6 +2806,32 @@ define([
       });
     });
 
+    // Sheet chat handlers
+    var chatInput = element.querySelector('#q2r-chat-input');
+    var chatSendBtn = element.querySelector('#q2r-chat-send-btn');
+    var chatClearBtn = element.querySelector('#q2r-chat-clear-btn');
+    var chatStopBtn = element.querySelector('#q2r-chat-stop-btn');
+    if (chatInput) {
+      chatInput.addEventListener('input', function() {
+        state.chatDraft = chatInput.value;
+      });
+      chatInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          askSheetQuestion();
+        }
+      });
+    }
+    if (chatSendBtn) {
+      chatSendBtn.addEventListener('click', askSheetQuestion);
+    }
+    if (chatClearBtn) {
+      chatClearBtn.addEventListener('click', clearChat);
+    }
+    if (chatStopBtn) {
+      chatStopBtn.addEventListener('click', stopChat);
+    }
+
     // Modal close handlers
     var modalOverlay = element.querySelector('#q2r-modal-overlay');
     var modalClose = element.querySelector('#q2r-modal-close');
@@ -2534,6 +2917,7 @@ define([
       name: name,
       timestamp: state.lastUpdated,
       sheetSummary: state.sheetSummary,
+      sheetReasoning: state.sheetReasoning,
       objectSummaries: state.objectSummaries,
       usage: state.usage,
       selectionHash: state.lastSelectionHash
@@ -2563,8 +2947,10 @@ define([
     var bookmark = state.savedAnalyses.find(function(b) { return b.id === bookmarkId; });
     if (!bookmark) return;
 
+    stopChat();
     state.viewingSavedId = bookmarkId;
     state.sheetSummary = bookmark.sheetSummary;
+    state.sheetReasoning = bookmark.sheetReasoning || null;
     state.objectSummaries = bookmark.objectSummaries;
     state.usage = bookmark.usage;
     state.lastUpdated = bookmark.timestamp;
@@ -2588,6 +2974,7 @@ define([
       var cached = storage.load(appId, sheetId);
       if (cached) {
         state.sheetSummary = cached.sheetSummary;
+        state.sheetReasoning = cached.sheetReasoning || null;
         state.objectSummaries = cached.objectSummaries || [];
         state.usage = cached.usage || null;
         state.lastUpdated = cached.lastUpdated;
@@ -2597,6 +2984,7 @@ define([
         updateAlertStatuses(layout);
       } else {
         state.sheetSummary = null;
+        state.sheetReasoning = null;
         state.objectSummaries = [];
         state.usage = null;
         state.lastUpdated = null;
@@ -2628,10 +3016,24 @@ define([
     logger.info('Bookmark deleted');
   }
 
+  // Throw when the selected provider needs an API key and none is configured
+  function checkApiKey(config) {
+    // Self-hosted OpenAI-compatible endpoints may run without auth
+    var selectedProvider = getAIProvider(config.provider);
+    var apiKeyRequired = typeof selectedProvider.isApiKeyRequired === 'function' ? selectedProvider.isApiKeyRequired(config) : true;
+    // In proxy mode the relay adds the key for hosted providers
+    if (config.proxy && proxyService.supportsProvider(config.provider)) {
+      apiKeyRequired = false;
+    }
+    if (!config.apiKey && apiKeyRequired) {
+      throw new Error('API key is required. Please configure in extension properties.');
+    }
+  }
+
   // Cancel analysis
   function cancelAnalysis() {
     logger.info('Cancellation requested');
-    cancelToken.cancelled = true;
+    abortAnalysis();
     state.isAnalyzing = false;
     state.progress = 'Cancelled';
     state.error = 'Analysis cancelled by user';
@@ -2651,12 +3053,18 @@ define([
     state.selectionsChanged = false;
 
     cancelToken.cancelled = false;
+    cancelToken.controller = new AbortController();
+    stopChat();
+    cancelToken.signal = cancelToken.controller.signal;
     var endTimer = logger.time('Sheet Analysis');
     logger.info('Starting sheet analysis...');
 
+    var streamResponses = !!(state.layout && state.layout.aiSettings && state.layout.aiSettings.streamResponses);
+
     state.isAnalyzing = true;
     state.error = null;
     state.progress = 'Initializing...';
+    state.streaming = streamResponses ? { sheetSummary: '', objects: {}, order: [] } : null;
     updateUI();
 
     try {
@@ -2665,36 +3073,16 @@ define([
       var appId = app.id || 'unknown';
 
       // Get configuration
-      var objectFilter = layout.objectFilter || {};
-      var useCustom = layout.aiSettings && layout.aiSettings.useCustomPrompt;
-      var customPrompt = useCustom ? (layout.aiSettings.customPrompt || '') : '';
-      var useCustomSheet = layout.aiSettings && layout.aiSettings.useCustomSheetPrompt;
-      var customSheetPrompt = useCustomSheet ? (layout.aiSettings.customSheetPrompt || '') : '';
-      var useCustomSuggestions = layout.aiSettings && layout.aiSettings.useCustomSuggestionsPrompt;
-      var customSuggestionsPrompt = useCustomSuggestions ? (layout.aiSettings.customSuggestionsPrompt || '') : '';
-
-      var config = {
-        provider: (layout.aiSettings && layout.aiSettings.provider) || 'openai',
-        apiKey: (layout.aiSettings && layout.aiSettings.apiKey) || '',
-        model: (layout.aiSettings && layout.aiSettings.model) || '',
-        language: (layout.aiSettings && layout.aiSettings.responseLanguage) || 'en',
-        customPrompt: customPrompt,
-        customSheetPrompt: customSheetPrompt,
-        customSuggestionsPrompt: customSuggestionsPrompt,
-        objectFilter: objectFilter,
-        excludedIds: objectFilter.excludedIds || '',
-        maxCharsPerObject: (layout.outputSettings && layout.outputSettings.maxCharsPerObject) || 300,
-        rowLimit: (layout.dataSettings && layout.dataSettings.rowLimit) || 50,
-        dataFormat: (layout.dataSettings && layout.dataSettings.dataFormat) || 'compressed'
-      };
+      var config = getAnalysisConfig(layout);
+      config.onStreamUpdate = streamResponses ? handleStreamUpdate : null;
 
-      logger.debug('Analysis config:', { provider: config.provider, model: config.model || '(default)', hasApiKey: !!config.apiKey, dataFormat: config.dataFormat, rowLimit: config.rowLimit });
+      syncRecorder(layout);
 
-      if (!config.apiKey) {
-        throw new Error('API key is required. Please configure in extension properties.');
-      }
+      logger.debug('Analysis config:', { provider: config.provider, model: config.model || '(default)', hasApiKey: !!config.apiKey, proxyUrl: config.proxy ? config.proxy.url : null, dataFormat: config.dataFormat, rowLimit: config.rowLimit, generation: config.generation, taskSettings: config.taskSettings, fallbacks: config.fallbacks.map(function(f) { return f.provider + (f.model ? '/' + f.model : ''); }) });
 
-      if (cancelToken.cancelled) throw new Error('Analysis cancelled');
+      checkApiKey(config);
+
+      if (cancelToken.cancelled) throw retry.createCancelError();
 
       // Store previous analysis for comparison (if enabled)
       var comparisonEnabled = layout.comparisonSettings && layout.comparisonSettings.enabled;
@@ -2716,11 +3104,12 @@ define([
         updateUI();
       }, state.extensionId);
 
-      if (cancelToken.cancelled) throw new Error('Analysis cancelled');
+      if (cancelToken.cancelled) throw retry.createCancelError(result.usage);
 
       logger.info('Analysis complete. Objects analyzed:', result.objectSummaries.length);
 
       state.sheetSummary = result.sheetSummary;
+      state.sheetReasoning = result.sheetReasoning || null;
       state.objectSummaries = result.objectSummaries;
       state.analyzedObjects = result.analyzedObjects || [];  // Store for chart creation
       state.usage = result.usage || null;
@@ -2843,24 +3232,36 @@ define([
             config.customSuggestionsPrompt  // Custom user prompt if enabled
           );
 
-          var aiProvider = getAIProvider(config.provider);
-          // Use configured model (defaults: gpt-5.2 for OpenAI, claude-sonnet-4.5 for Anthropic, gemini-2.5-flash for Gemini)
-          var suggestionsModel = config.model;
-          var suggestionsResponse = await aiProvider.generateSummary(suggestionsPrompt, {
-            apiKey: config.apiKey,
-            model: suggestionsModel,
-            maxTokens: 500  // More tokens for better suggestions
+          // Use configured model (defaults: gpt-5.2 for OpenAI, claude-sonnet-4.5 for Anthropic, gemini-2.5-flash for Gemini),
+          // failing over to the fallback providers like the main analysis
+          var suggestionsGeneration = Object.assign({}, analyzer.getGenerationSettings(config, 'suggestions'), {
+            signal: cancelToken.signal
           });
-          state.diveDeeperSuggestions = suggestionsResponse.text || suggestionsResponse;
+          var suggestionsResponse = await analyzer.generateWithFallback(
+            analyzer.buildTaskChain(config, 'suggestions'),
+            suggestionsPrompt,
+            suggestionsGeneration
+          );
+          if (state.usage && suggestionsResponse.usage) {
+            tokenTracker.addUsage(state.usage, suggestionsResponse.usage);
+          }
+          state.diveDeeperSuggestions = suggestionsResponse.text;
           // Parse JSON suggestions for Insight Advisor integration
-          state.parsedSuggestions = parseDiveDeeperSuggestions(state.diveDeeperSuggestions);
+          state.parsedSuggestions = suggestionParser.parse(state.diveDeeperSuggestions);
           if (state.parsedSuggestions) {
             logger.info('Dive deeper suggestions parsed:', state.parsedSuggestions.length, 'items');
           } else {
             logger.info('Dive deeper suggestions generated (raw text format)');
           }
         } catch (suggestErr) {
-          logger.error('Suggestions generation failed:', suggestErr.message);
+          if (retry.isCancelError(suggestErr)) {
+            if (state.usage && suggestErr.usage) {
+              tokenTracker.addUsage(state.usage, suggestErr.usage);
+            }
+            logger.info('Suggestions cancelled');
+          } else {
+            logger.error('Suggestions generation failed:', suggestErr.message);
+          }
           state.diveDeeperSuggestions = null;
           state.parsedSuggestions = null;
         }
@@ -2886,6 +3287,7 @@ define([
       if (saveSheetId && !saveSheetId.startsWith('_mobile_')) {
         storage.save(appId, saveSheetId, {
           sheetSummary: result.sheetSummary,
+          sheetReasoning: state.sheetReasoning,
           objectSummaries: result.objectSummaries,
           usage: state.usage,
           lastUpdated: state.lastUpdated,
@@ -2896,32 +3298,93 @@ define([
       endTimer();
 
     } catch (err) {
-      logger.error('Analysis failed:', err.message);
-      state.error = err.message || 'Analysis failed';
-      state.progress = '';
+      if (retry.isCancelError(err)) {
+        // Requests were aborted; report what the finished calls cost
+        var spent = err.usage && err.usage.totalTokens
+          ? ' - ' + tokenTracker.formatTokens(err.usage.totalTokens) + ' tokens used (~' + tokenTracker.formatCost(err.usage.estimatedCost || 0) + ')'
+          : '';
+        logger.info('Analysis cancelled' + spent);
+        state.error = 'Analysis cancelled by user' + spent;
+        state.progress = 'Cancelled';
+      } else {
+        logger.error('Analysis failed:', err.message);
+        state.error = err.message || 'Analysis failed';
+        state.progress = '';
+      }
     } finally {
       state.isAnalyzing = false;
+      state.streaming = null;
+      cancelToken.controller = null;
       updateUI();
     }
   }
 
-  // Export PDF
-  function exportPDF() {
-    logger.info('Exporting to PDF...');
-    var sheetTitle = document.title || 'Qlik Sheet';
-    var timestamp = state.lastUpdated ? new Date(state.lastUpdated).toLocaleString() : new Date().toLocaleString();
+  // Analyze every sheet of the app and build the app report
+  async function analyzeApp() {
+    if (state.isAnalyzing) return;
 
-    var html = '<!DOCTYPE html><html><head><title>Qlik2Review Report - ' + sheetTitle + '</title>';
-    html += '<style>* { margin: 0; padding: 0; box-sizing: border-box; } body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; padding: 40px; color: #333; } .header { border-bottom: 2px solid #009845; padding-bottom: 15px; margin-bottom: 25px; } .header h1 { font-size: 24px; color: #009845; margin-bottom: 5px; } .header .meta { font-size: 12px; color: #666; } .section { margin-bottom: 25px; } .section-title { font-size: 16px; font-weight: 600; color: #009845; margin-bottom: 10px; } .sheet-summary { background: #f5f9f7; border-left: 3px solid #009845; padding: 15px; line-height: 1.6; } .object-item { border: 1px solid #e0e0e0; border-radius: 4px; padding: 12px; margin-bottom: 10px; } .object-header { display: flex; align-items: center; gap: 10px; margin-bottom: 8px; } .object-type { font-size: 10px; text-transform: uppercase; padding: 2px 8px; border: 1px solid #009845; border-radius: 3px; color: #009845; font-weight: 600; } .object-title { font-weight: 500; } .object-summary { color: #555; line-height: 1.5; } .footer { margin-top: 30px; padding-top: 15px; border-top: 1px solid #e0e0e0; font-size: 11px; color: #888; text-align: center; } @media print { body { padding: 20px; } }</style></head>';
-    html += '<body><div class="header"><h1>&#9733; Qlik2Review Analysis Report</h1><div class="meta">Sheet: ' + escapeHtml(sheetTitle) + ' | Generated: ' + timestamp + '</div></div>';
-    html += '<div class="section"><div class="section-title">&#128202; Sheet Summary</div><div class="sheet-summary">' + markdownToHtml(state.sheetSummary || 'No summary available').replace(/\n/g, '<br>') + '</div></div>';
-    html += '<div class="section"><div class="section-title">&#128200; Object Insights (' + state.objectSummaries.length + ')</div>';
+    if (state.autoAnalyzeTimer) {
+      clearTimeout(state.autoAnalyzeTimer);
+      state.autoAnalyzeTimer = null;
+    }
 
-    state.objectSummaries.forEach(function(obj) {
-      html += '<div class="object-item"><div class="object-header"><span class="object-type">' + escapeHtml(obj.type) + '</span><span class="object-title">' + escapeHtml(obj.title) + '</span></div><div class="object-summary">' + markdownToHtml(obj.summary) + '</div></div>';
-    });
+    cancelToken.cancelled = false;
+    cancelToken.controller = new AbortController();
+    stopChat();
+    cancelToken.signal = cancelToken.controller.signal;
+    var endTimer = logger.time('App Analysis');
+    logger.info('Starting app analysis...');
+
+    state.isAnalyzing = true;
+    state.error = null;
+    state.progress = 'Listing sheets...';
+    state.streaming = null;
+    updateUI();
+
+    try {
+      var config = getAnalysisConfig(state.layout);
+      syncRecorder(state.layout);
+      checkApiKey(config);
+
+      var report = await analyzer.analyzeApp(state.app, config, cancelToken, function(progress) {
+        state.progress = progress;
+        updateUI();
+      });
+
+      if (cancelToken.cancelled) throw retry.createCancelError(report.usage);
+
+      state.appReport = report;
+      state.appSheetsExpanded = {};
+      state.progress = '';
+      logger.info('App analysis complete:', report.sheets.length, 'sheets');
+      endTimer();
+    } catch (err) {
+      if (retry.isCancelError(err)) {
+        var spent = err.usage && err.usage.totalTokens
+          ? ' - ' + tokenTracker.formatTokens(err.usage.totalTokens) + ' tokens used (~' + tokenTracker.formatCost(err.usage.estimatedCost || 0) + ')'
+          : '';
+        logger.info('App analysis cancelled' + spent);
+        state.error = 'Analysis cancelled by user' + spent;
+        state.progress = 'Cancelled';
+      } else {
+        logger.error('App analysis failed:', err.message);
+        state.error = err.message || 'App analysis failed';
+        state.progress = '';
+      }
+    } finally {
+      state.isAnalyzing = false;
+      cancelToken.controller = null;
+      updateUI();
+    }
+  }
 
-    html += '</div><div class="footer">Generated by Qlik2Review | AI-Powered Sheet Analysis</div></body></html>';
+  // Open a print window for a report (saved as PDF from the browser's print dialog)
+  function printReport(title, meta, body) {
+    var html = '<!DOCTYPE html><html><head><title>' + escapeHtml(title) + '</title>';
+    html += '<style>' + PDF_STYLES + '</style></head>';
+    html += '<body><div class="header"><h1>&#9733; Qlik2Review Analysis Report</h1><div class="meta">' + meta + '</div></div>';
+    html += body;
+    html += '<div class="footer">Generated by Qlik2Review | AI-Powered Sheet Analysis</div></body></html>';
 
     var printWindow = window.open('', '_blank');
     if (printWindow) {
@@ -2934,10 +3397,150 @@ define([
     }
   }
 
+  // Export the app report as PDF: app summary, then each sheet's summary and insights
+  function exportAppPDF() {
+    var report = state.appReport;
+    if (!report) return;
+    logger.info('Exporting app report to PDF...');
+    var appTitle = document.title || 'Qlik App';
+
+    var body = '<div class="section"><div class="section-title">&#128218; App Summary</div><div class="sheet-summary">' + markdownToHtml(report.appSummary).replace(/\n/g, '<br>') + '</div></div>';
+    report.sheets.forEach(function(sheet) {
+      body += '<div class="section"><div class="section-title">&#128202; ' + escapeHtml(sheet.title) + '</div>';
+      if (sheet.error) {
+        body += '<div class="object-summary">Analysis failed: ' + escapeHtml(sheet.error) + '</div>';
+      } else if (!sheet.sheetSummary) {
+        body += '<div class="object-summary">No analyzable objects</div>';
+      } else {
+        body += '<div class="sheet-summary">' + markdownToHtml(sheet.sheetSummary).replace(/\n/g, '<br>') + '</div>';
+        sheet.objectSummaries.forEach(function(obj) {
+          body += '<div class="object-item"><div class="object-header"><span class="object-type">' + escapeHtml(obj.type) + '</span><span class="object-title">' + escapeHtml(obj.title) + '</span></div><div class="object-summary">' + markdownToHtml(obj.summary) + '</div></div>';
+        });
+      }
+      body += '</div>';
+    });
+
+    printReport('Qlik2Review App Report - ' + appTitle,
+      'App: ' + escapeHtml(appTitle) + ' | ' + report.sheets.length + ' sheets | Generated: ' + new Date(report.timestamp).toLocaleString(),
+      body);
+  }
+
+  // Export PDF
+  function exportPDF() {
+    logger.info('Exporting to PDF...');
+    var sheetTitle = document.title || 'Qlik Sheet';
+    var timestamp = state.lastUpdated ? new Date(state.lastUpdated).toLocaleString() : new Date().toLocaleString();
+
+    var body = '<div class="section"><div class="section-title">&#128202; Sheet Summary</div><div class="sheet-summary">' + markdownToHtml(state.sheetSummary || 'No summary available').replace(/\n/g, '<br>') + '</div></div>';
+    body += '<div class="section"><div class="section-title">&#128200; Object Insights (' + state.objectSummaries.length + ')</div>';
+
+    state.objectSummaries.forEach(function(obj) {
+      body += '<div class="object-item"><div class="object-header"><span class="object-type">' + escapeHtml(obj.type) + '</span><span class="object-title">' + escapeHtml(obj.title) + '</span></div><div class="object-summary">' + markdownToHtml(obj.summary) + '</div></div>';
+    });
+    body += '</div>';
+
+    printReport('Qlik2Review Report - ' + sheetTitle, 'Sheet: ' + escapeHtml(sheetTitle) + ' | Generated: ' + timestamp, body);
+  }
+
+  // Ask a follow-up question about the analyzed sheet
+  async function askSheetQuestion() {
+    var question = (state.chatDraft || '').trim();
+    if (!question || state.chatAsking || !state.app) return;
+
+    var appId = state.app.id || 'unknown';
+    var sheetId = state.currentSheetId;
+    var history = state.chatMessages.slice();
+    var controller = new AbortController();
+    chatController = controller;
+
+    state.chatMessages.push({ role: 'user', text: question, timestamp: new Date().toISOString() });
+    state.chatDraft = '';
+    state.chatAsking = true;
+    state.chatStatus = 'Thinking...';
+    state.chatError = null;
+    updateUI();
+
+    try {
+      var config = getAnalysisConfig(state.layout);
+      config.signal = controller.signal;
+      // Cached and bookmarked results hold insights only; read the charts' data sample again
+      // so the answer has data and FETCH_ROWS can resolve the charts
+      if ((!state.analyzedObjects || state.analyzedObjects.length === 0) && state.objectSummaries.length > 0) {
+        state.chatStatus = 'Reading chart data...';
+        updateUI();
+        var analyzedObjects = await engineService.getSheetObjects(state.app, state.extensionId, config.rowLimit);
+        retry.throwIfCancelled(controller.signal);
+        state.analyzedObjects = analyzedObjects;
+        state.chatStatus = 'Thinking...';
+        updateUI();
+      }
+
+      var context = {
+        objects: state.analyzedObjects || [],
+        objectSummaries: state.objectSummaries,
+        sheetSummary: state.sheetSummary,
+        selections: await engineService.getCurrentSelections(state.app)
+      };
+      syncRecorder(state.layout);
+      var result = await sheetChat.ask(state.app, context, history, question, config, function(status) {
+        state.chatStatus = status;
+        updateUI();
+      });
+
+      var fetchedRows = result.fetched.reduce(function(sum, page) { return sum + page.rows; }, 0);
+      state.chatMessages.push({
+        role: 'assistant',
+        text: result.text || 'No answer returned - try rephrasing the question.',
+        timestamp: new Date().toISOString(),
+        fetchedRows: fetchedRows || undefined
+      });
+      state.chatUsage = tokenTracker.addUsage(state.chatUsage || tokenTracker.createEmptyUsage(), result.usage);
+    } catch (err) {
+      if (retry.isCancelError(err)) {
+        logger.info('Sheet chat stopped');
+        state.chatUsage = tokenTracker.addUsage(state.chatUsage || tokenTracker.createEmptyUsage(), err.usage);
+      } else {
+        logger.error('Sheet chat failed:', err.message);
+        state.chatError = err.message || 'Could not answer the question';
+      }
+      // Keep the question in the input so it can be retried (unless the user moved to another sheet)
+      if (state.currentSheetId === sheetId) {
+        state.chatMessages.pop();
+        state.chatDraft = question;
+      }
+    } finally {
+      if (chatController === controller) chatController = null;
+      state.chatAsking = false;
+      state.chatStatus = '';
+    }
+
+    if (sheetId && !sheetId.startsWith('_mobile_') && state.currentSheetId === sheetId) {
+      saveChatHistory(appId, sheetId, state.chatMessages);
+    }
+    updateUI();
+
+    var input = state.element && (state.element[0] || state.element).querySelector('#q2r-chat-input');
+    if (input) input.focus();
+  }
+
+  // Clear the sheet chat conversation
+  function clearChat() {
+    stopChat();
+    state.chatMessages = [];
+    state.chatError = null;
+    var sheetId = state.currentSheetId;
+    if (state.app && sheetId && !sheetId.startsWith('_mobile_')) {
+      saveChatHistory(state.app.id || 'unknown', sheetId, []);
+    }
+    updateUI();
+  }
+
   // Clear summaries
   async function clearSummaries() {
     logger.info('Clearing summaries');
+    stopChat();
     state.sheetSummary = null;
+    state.sheetReasoning = null;
     state.objectSummaries = [];
     state.usage = null;
     state.alertStatuses = {};
@@ -3016,8 +3619,10 @@ define([
   function handleSheetChange(sheetId) {
     if (state.currentSheetId !== sheetId) {
       logger.info('Sheet ID:', sheetId);
+      stopChat();
       state.currentSheetId = sheetId;
       state.sheetSummary = null;
+      state.sheetReasoning = null;
       state.objectSummaries = [];
       state.usage = null;
       state.alertStatuses = {};
@@ -3034,14 +3639,18 @@ define([
       state.analyzedObjects = [];
       state.creatingChart = null;
       state.createdChartModal = null;
+      state.chatDraft = '';
+      state.chatError = null;
 
-      // Load bookmarks for this sheet
+      // Load bookmarks and chat history for this sheet
       if (sheetId && !sheetId.startsWith('_mobile_')) {
         var appId = state.app ? state.app.id : 'unknown';
         state.savedAnalyses = loadBookmarks(appId, sheetId);
         logger.info('Loaded', state.savedAnalyses.length, 'bookmarks for sheet');
+        state.chatMessages = loadChatHistory(appId, sheetId);
       } else {
         state.savedAnalyses = [];
+        state.chatMessages = [];
       }
 
       // Load from cache
@@ -3051,12 +3660,13 @@ define([
         if (cached) {
           logger.info('Restoring cached summary from localStorage');
           state.sheetSummary = cached.sheetSummary;
+          state.sheetReasoning = cached.sheetReasoning || null;
           state.objectSummaries = cached.objectSummaries || [];
           state.usage = cached.usage || null;
           state.lastUpdated = cached.lastUpdated;
           state.diveDeeperSuggestions = cached.diveDeeperSuggestions || null;
           // Parse cached suggestions for Create buttons
-          state.parsedSuggestions = parseDiveDeeperSuggestions(state.diveDeeperSuggestions);
+          state.parsedSuggestions = suggestionParser.parse(state.diveDeeperSuggestions);
 
           // Recalculate alert statuses from cached summaries
           var layout = state.layout || {};
@@ -3237,7 +3847,8 @@ define([
 
     destroy: function() {
       logger.info('Extension destroy called - cleaning up');
-      cancelToken.cancelled = true;
+      abortAnalysis();
+      stopChat();
 
       if (paintDebounceTimer) {
         clearTimeout(paintDebounceTimer);
@@ -3262,6 +3873,7 @@ define([
         clearTimeout(timerId);
       });
       activeTimers = [];
+      streamRenderTimer = null;
 
       // Close any open chart modal
       if (state.createdChartModal) {
@@ -1,6 +1,29 @@
-define([], function() {
+define(['./lib/model-catalog', './lib/recorder'], function(modelCatalog, recorder) {
   'use strict';
 
+  // Read the connection settings the model catalog needs from the properties
+  // Expression-based values are not evaluated in the property panel, so only plain strings are used
+  function getCatalogSettings(data) {
+    var ai = data.aiSettings || {};
+    function plain(value) {
+      return typeof value === 'string' ? value.trim() : '';
+    }
+    var endpoint = ai.provider === 'ollama'
+      ? { baseUrl: plain(ai.ollamaBaseUrl) || 'http://localhost:11434' }
+      : {
+        baseUrl: plain(ai.endpointBaseUrl),
+        authStyle: ai.endpointAuthStyle || 'bearer',
+        authHeader: plain(ai.endpointAuthHeader),
+        apiVersion: plain(ai.endpointApiVersion),
+        models: plain(ai.endpointModels)
+      };
+    return {
+      apiKey: plain(ai.apiKey),
+      endpoint: endpoint,
+      proxy: ai.useProxy && plain(ai.proxyUrl) ? { url: plain(ai.proxyUrl), token: plain(ai.proxyToken) } : null
+    };
+  }
+
   return {
     type: 'items',
     component: 'accordion',
@@ -19,9 +42,159 @@ define([], function() {
             options: [
               { value: 'openai', label: 'OpenAI' },
               { value: 'anthropic', label: 'Anthropic' },
-              { value: 'gemini', label: 'Google Gemini' }
+              { value: 'gemini', label: 'Google Gemini' },
+              { value: 'mistral', label: 'Mistral AI' },
+              { value: 'cohere', label: 'Cohere' },
+              { value: 'ollama', label: 'Ollama (Local)' },
+              { value: 'openai-compatible', label: 'OpenAI-Compatible (Custom Endpoint)' },
+              { value: 'replay', label: 'Replay (Recorded Responses)' }
+            ]
+          },
+          replayRecording: {
+            ref: 'aiSettings.replayRecording',
+            type: 'string',
+            component: 'textarea',
+            label: 'Recording (JSON)',
+            defaultValue: '',
+            maxlength: 1000000,
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'replay';
+            }
+          },
+          replayRecordingHint: {
+            component: 'text',
+            label: 'Paste a recording saved from Developer > Download Recording. Responses are served from it without calling any AI provider.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'replay';
+            }
+          },
+          ollamaBaseUrl: {
+            ref: 'aiSettings.ollamaBaseUrl',
+            type: 'string',
+            label: 'Ollama Server URL',
+            defaultValue: 'http://localhost:11434',
+            expression: 'optional',
+            show: function(layout) {
+              var ai = layout.aiSettings || {};
+              var fallbackUsesOllama = ai.enableFallback && (ai.fallbacks || []).some(function(f) { return f.provider === 'ollama'; });
+              return ai.provider === 'ollama' || fallbackUsesOllama;
+            }
+          },
+          ollamaBaseUrlHint: {
+            component: 'text',
+            label: 'Start Ollama with OLLAMA_ORIGINS set to your Qlik host so the browser can reach it',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'ollama';
+            }
+          },
+          endpointBaseUrl: {
+            ref: 'aiSettings.endpointBaseUrl',
+            type: 'string',
+            label: 'Base URL',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          endpointBaseUrlHint: {
+            component: 'text',
+            label: 'e.g. http://localhost:11434/v1 (Ollama), https://gateway.corp/v1 (LiteLLM), https://{resource}.openai.azure.com/openai/deployments/{deployment} (Azure)',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          endpointAuthStyle: {
+            ref: 'aiSettings.endpointAuthStyle',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Auth Header',
+            defaultValue: 'bearer',
+            options: [
+              { value: 'bearer', label: 'Authorization: Bearer <key>' },
+              { value: 'api-key', label: 'api-key: <key> (Azure OpenAI)' },
+              { value: 'custom', label: 'Custom header' },
+              { value: 'none', label: 'None (no API key)' }
+            ],
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          endpointAuthHeader: {
+            ref: 'aiSettings.endpointAuthHeader',
+            type: 'string',
+            label: 'Custom Header Name',
+            defaultValue: 'x-api-key',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible' &&
+                layout.aiSettings.endpointAuthStyle === 'custom';
+            }
+          },
+          endpointApiVersion: {
+            ref: 'aiSettings.endpointApiVersion',
+            type: 'string',
+            label: 'API Version (optional)',
+            defaultValue: '',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          endpointApiVersionHint: {
+            component: 'text',
+            label: 'Added as ?api-version=... (required by Azure OpenAI, e.g. 2024-10-21)',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          endpointModels: {
+            ref: 'aiSettings.endpointModels',
+            type: 'string',
+            component: 'textarea',
+            label: 'Available Models (comma-separated)',
+            defaultValue: '',
+            rows: 2,
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.provider === 'openai-compatible';
+            }
+          },
+          useProxy: {
+            ref: 'aiSettings.useProxy',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Proxy Mode (Relay)',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
             ]
           },
+          proxyUrl: {
+            ref: 'aiSettings.proxyUrl',
+            type: 'string',
+            label: 'Relay URL',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.useProxy;
+            }
+          },
+          proxyToken: {
+            ref: 'aiSettings.proxyToken',
+            type: 'string',
+            label: 'Relay Token (optional)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.useProxy;
+            }
+          },
+          proxyHint: {
+            component: 'text',
+            label: 'OpenAI, Anthropic, Gemini, Mistral and Cohere requests go to the relay, which holds the API keys. Leave the token empty to request a short-lived token from <Relay URL>/token.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.useProxy;
+            }
+          },
           apiKey: {
             ref: 'aiSettings.apiKey',
             type: 'string',
@@ -31,13 +204,67 @@ define([], function() {
           },
           apiKeyHint: {
             component: 'text',
-            label: 'Store API keys securely. Consider using variables.'
+            label: function(layout) {
+              if (layout.aiSettings && layout.aiSettings.provider === 'ollama') {
+                return 'Not needed for local Ollama. Only set when the server sits behind an auth proxy.';
+              }
+              if (layout.aiSettings && layout.aiSettings.useProxy && layout.aiSettings.provider !== 'openai-compatible') {
+                return 'Not needed in proxy mode - leave empty so no key reaches the browser.';
+              }
+              return 'Store API keys securely. Consider using variables.';
+            }
           },
-          model: {
+          modelPicker: {
             ref: 'aiSettings.model',
             type: 'string',
+            component: 'dropdown',
             label: 'Model',
             defaultValue: '',
+            show: function(layout) {
+              return !layout.aiSettings || layout.aiSettings.provider !== 'replay';
+            },
+            options: function(data) {
+              var provider = (data.aiSettings && data.aiSettings.provider) || 'openai';
+              return modelCatalog.getOptions(provider, getCatalogSettings(data), data.aiSettings && data.aiSettings.model);
+            }
+          },
+          refreshModels: {
+            component: 'button',
+            label: 'Refresh models',
+            show: function(layout) {
+              return !layout.aiSettings || layout.aiSettings.provider !== 'replay';
+            },
+            action: function(data) {
+              var provider = (data.aiSettings && data.aiSettings.provider) || 'openai';
+              modelCatalog.refresh(provider, getCatalogSettings(data)).catch(function() {
+                // Failure is shown in the hint below
+              });
+              // Touch a property so the panel re-renders and picks up the pending list
+              data.aiSettings = data.aiSettings || {};
+              data.aiSettings.modelsRefreshedAt = new Date().toISOString();
+            }
+          },
+          refreshModelsHint: {
+            component: 'text',
+            show: function(layout) {
+              return !layout.aiSettings || layout.aiSettings.provider !== 'replay';
+            },
+            label: function(data) {
+              var provider = (data.aiSettings && data.aiSettings.provider) || 'openai';
+              var status = modelCatalog.getStatus(provider, getCatalogSettings(data));
+              if (status.refreshing) return 'Fetching models...';
+              if (status.error) return 'Refresh failed: ' + status.error;
+              if (status.source === 'live') {
+                return status.count + ' models fetched ' + new Date(status.fetchedAt).toLocaleString() + '.';
+              }
+              return 'Built-in list. Refresh models to load the current list from the provider (uses the API key or relay above).';
+            }
+          },
+          model: {
+            ref: 'aiSettings.model',
+            type: 'string',
+            label: 'Model ID (any ID or expression)',
+            defaultValue: '',
             expression: 'optional'
           },
           modelHint: {
@@ -46,9 +273,150 @@ define([], function() {
               var provider = layout.aiSettings && layout.aiSettings.provider;
               if (provider === 'anthropic') return 'Default: claude-sonnet-4-5-20250514';
               if (provider === 'gemini') return 'Default: gemini-2.5-flash';
+              if (provider === 'mistral') return 'Default: mistral-small-latest';
+              if (provider === 'cohere') return 'Default: command-r-08-2024';
+              if (provider === 'ollama') return 'Default: llama3.2 (must be pulled with ollama pull)';
+              if (provider === 'openai-compatible') return 'Default: first model in Available Models';
+              if (provider === 'replay') return 'Default: the model the recording was made with';
               return 'Default: gpt-4.1-2025-04-14';
             }
           },
+          enableFallback: {
+            ref: 'aiSettings.enableFallback',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Fallback Providers',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          fallbacks: {
+            type: 'array',
+            ref: 'aiSettings.fallbacks',
+            label: 'Fallback Order',
+            itemTitleRef: function(data) {
+              return (data.provider || 'openai') + (data.model ? ' / ' + data.model : '');
+            },
+            allowAdd: true,
+            allowRemove: true,
+            allowMove: true,
+            addTranslation: 'Add Fallback',
+            items: {
+              provider: {
+                ref: 'provider',
+                type: 'string',
+                component: 'dropdown',
+                label: 'Provider',
+                defaultValue: 'openai',
+                options: [
+                  { value: 'openai', label: 'OpenAI' },
+                  { value: 'anthropic', label: 'Anthropic' },
+                  { value: 'gemini', label: 'Google Gemini' },
+                  { value: 'mistral', label: 'Mistral AI' },
+                  { value: 'cohere', label: 'Cohere' },
+                  { value: 'ollama', label: 'Ollama (Local)' },
+                  { value: 'openai-compatible', label: 'OpenAI-Compatible (uses endpoint above)' }
+                ]
+              },
+              model: {
+                ref: 'model',
+                type: 'string',
+                label: 'Model (blank = provider default)',
+                defaultValue: '',
+                expression: 'optional'
+              },
+              apiKey: {
+                ref: 'apiKey',
+                type: 'string',
+                label: 'API Key',
+                defaultValue: '',
+                expression: 'optional'
+              }
+            },
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.enableFallback;
+            }
+          },
+          fallbackHint: {
+            component: 'text',
+            label: 'Tried in order when a request fails with an auth, quota, rate limit, timeout or server error',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.enableFallback;
+            }
+          },
+          streamResponses: {
+            ref: 'aiSettings.streamResponses',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Stream responses',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          streamResponsesHint: {
+            component: 'text',
+            label: 'Show sheet summary and object insights as text arrives'
+          },
+          structuredOutput: {
+            ref: 'aiSettings.structuredOutput',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Structured Insights (JSON)',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          structuredOutputHint: {
+            component: 'text',
+            label: 'Object insights return headline, sentiment, key numbers, anomalies and confidence. Sentiment drives alerts and badges.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.structuredOutput;
+            }
+          },
+          singleCallObjects: {
+            ref: 'aiSettings.singleCallObjects',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Single-Call Object Insights',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          singleCallObjectsHint: {
+            component: 'text',
+            label: 'Sends all objects in one request so instructions are paid once. Objects missing from the answer, and objects with chart snapshots, are analyzed individually. Insights are not streamed in this mode.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.singleCallObjects;
+            }
+          },
+          visionMode: {
+            ref: 'aiSettings.visionMode',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Chart Snapshots (Vision)',
+            defaultValue: 'off',
+            options: [
+              { value: 'off', label: 'Off - Data only' },
+              { value: 'fallback', label: 'When data is missing (maps, Mekko)' },
+              { value: 'alongside', label: 'Snapshot + data' },
+              { value: 'instead', label: 'Snapshot only' }
+            ]
+          },
+          visionModeHint: {
+            component: 'text',
+            label: 'Sends a PNG of each rendered chart to vision models (e.g. GPT-4o, Claude, Gemini). Ignored for models without image input. Images add input tokens.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.visionMode && layout.aiSettings.visionMode !== 'off';
+            }
+          },
           showAdvancedModel: {
             ref: 'aiSettings.showAdvancedModel',
             type: 'boolean',
@@ -84,7 +452,7 @@ define([], function() {
             ref: 'aiSettings.maxTokens',
             type: 'number',
             component: 'slider',
-            label: 'Max Tokens (response length)',
+            label: 'Max Tokens (object insight length)',
             defaultValue: 150,
             min: 50,
             max: 4000,
@@ -108,7 +476,91 @@ define([], function() {
           },
           topPHint: {
             component: 'text',
-            label: '1 = consider all tokens, lower = more focused',
+            label: '1 = consider all tokens, lower = more focused. Settings apply while shown; per-task overrides are under Task Settings.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          reasoningEffort: {
+            ref: 'aiSettings.reasoningEffort',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Reasoning Effort',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Model default' },
+              { value: 'off', label: 'Off (fastest)' },
+              { value: 'low', label: 'Low' },
+              { value: 'medium', label: 'Medium' },
+              { value: 'high', label: 'High (slowest, most tokens)' }
+            ],
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          reasoningEffortHint: {
+            component: 'text',
+            label: 'For reasoning models (OpenAI GPT-5 and o-series, Claude 3.7+ and 4, Gemini 2.5+). Sent as reasoning effort or a thinking budget (low 1K, medium 4K, high 16K tokens) on top of Max Tokens. Reasoning tokens are billed as output. Ignored by other models; models that always reason treat Off as Low.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          emptyResponseRecovery: {
+            ref: 'aiSettings.emptyResponseRecovery',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Empty Response Recovery',
+            defaultValue: 'standard',
+            options: [
+              { value: 'standard', label: 'Standard (forced prompt, then minimal prompt)' },
+              { value: 'quick', label: 'Quick (repeat once)' },
+              { value: 'off', label: 'Off' }
+            ],
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          emptyResponseRecoveryHint: {
+            component: 'text',
+            label: 'Retries when a model returns no text. Every attempt counts toward token usage.',
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          maxConcurrency: {
+            ref: 'aiSettings.maxConcurrency',
+            type: 'number',
+            component: 'slider',
+            label: 'Max Concurrent Requests',
+            defaultValue: 4,
+            min: 1,
+            max: 10,
+            step: 1,
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          requestsPerMinute: {
+            ref: 'aiSettings.requestsPerMinute',
+            type: 'integer',
+            label: 'Requests per Minute (0 = provider default)',
+            defaultValue: 0,
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          tokensPerMinute: {
+            ref: 'aiSettings.tokensPerMinute',
+            type: 'integer',
+            label: 'Tokens per Minute (0 = provider default)',
+            defaultValue: 0,
+            show: function(layout) {
+              return layout.aiSettings && layout.aiSettings.showAdvancedModel;
+            }
+          },
+          rateLimitHint: {
+            component: 'text',
+            label: 'Objects are analyzed by a pool of parallel requests, paced per provider so large sheets stay under your account limits. After a 429 the provider is paused for its retry-after time and slowed down until calls succeed again.',
             show: function(layout) {
               return layout.aiSettings && layout.aiSettings.showAdvancedModel;
             }
@@ -224,7 +676,346 @@ define([], function() {
         }
       },
 
-      // 2. Data Settings Section
+      // 2. Task Settings Section (per-task generation overrides)
+      taskSettings: {
+        type: 'items',
+        label: 'Task Settings',
+        items: {
+          taskSettingsHint: {
+            component: 'text',
+            label: 'Override provider, model, temperature, max tokens, top P and reasoning effort per task - e.g. a cheap model for object insights and a stronger one for the sheet summary. Tasks without an override use AI Settings and Advanced Model Settings. A different provider reuses the API key of a matching fallback when its own key is blank.'
+          },
+          objectInsightsOverride: {
+            ref: 'taskSettings.object.override',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Override for Object Insights',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          objectInsightsProvider: {
+            ref: 'taskSettings.object.provider',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Object Insights: Provider',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as AI Settings' },
+              { value: 'openai', label: 'OpenAI' },
+              { value: 'anthropic', label: 'Anthropic' },
+              { value: 'gemini', label: 'Google Gemini' },
+              { value: 'mistral', label: 'Mistral AI' },
+              { value: 'cohere', label: 'Cohere' },
+              { value: 'ollama', label: 'Ollama (Local)' },
+              { value: 'openai-compatible', label: 'OpenAI-Compatible (Custom Endpoint)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          objectInsightsModel: {
+            ref: 'taskSettings.object.model',
+            type: 'string',
+            label: 'Object Insights: Model (blank = same as AI Settings)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          objectInsightsApiKey: {
+            ref: 'taskSettings.object.apiKey',
+            type: 'string',
+            label: 'Object Insights: API Key (blank = reuse)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              var settings = layout.taskSettings && layout.taskSettings.object;
+              return settings && settings.override && settings.provider &&
+                settings.provider !== (layout.aiSettings && layout.aiSettings.provider);
+            }
+          },
+          objectInsightsTemperature: {
+            ref: 'taskSettings.object.temperature',
+            type: 'number',
+            component: 'slider',
+            label: 'Object Insights: Temperature',
+            defaultValue: 0.3,
+            min: 0,
+            max: 2,
+            step: 0.1,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          objectInsightsMaxTokens: {
+            ref: 'taskSettings.object.maxTokens',
+            type: 'number',
+            component: 'slider',
+            label: 'Object Insights: Max Tokens',
+            defaultValue: 150,
+            min: 50,
+            max: 4000,
+            step: 50,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          objectInsightsTopP: {
+            ref: 'taskSettings.object.topP',
+            type: 'number',
+            component: 'slider',
+            label: 'Object Insights: Top P',
+            defaultValue: 1,
+            min: 0,
+            max: 1,
+            step: 0.05,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          objectInsightsReasoning: {
+            ref: 'taskSettings.object.reasoning',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Object Insights: Reasoning Effort',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as Advanced Model Settings' },
+              { value: 'off', label: 'Off (fastest)' },
+              { value: 'low', label: 'Low' },
+              { value: 'medium', label: 'Medium' },
+              { value: 'high', label: 'High (slowest, most tokens)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.object && layout.taskSettings.object.override;
+            }
+          },
+          sheetSummaryOverride: {
+            ref: 'taskSettings.sheet.override',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Override for Sheet Summary',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          sheetSummaryProvider: {
+            ref: 'taskSettings.sheet.provider',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Sheet Summary: Provider',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as AI Settings' },
+              { value: 'openai', label: 'OpenAI' },
+              { value: 'anthropic', label: 'Anthropic' },
+              { value: 'gemini', label: 'Google Gemini' },
+              { value: 'mistral', label: 'Mistral AI' },
+              { value: 'cohere', label: 'Cohere' },
+              { value: 'ollama', label: 'Ollama (Local)' },
+              { value: 'openai-compatible', label: 'OpenAI-Compatible (Custom Endpoint)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          sheetSummaryModel: {
+            ref: 'taskSettings.sheet.model',
+            type: 'string',
+            label: 'Sheet Summary: Model (blank = same as AI Settings)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          sheetSummaryApiKey: {
+            ref: 'taskSettings.sheet.apiKey',
+            type: 'string',
+            label: 'Sheet Summary: API Key (blank = reuse)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              var settings = layout.taskSettings && layout.taskSettings.sheet;
+              return settings && settings.override && settings.provider &&
+                settings.provider !== (layout.aiSettings && layout.aiSettings.provider);
+            }
+          },
+          sheetSummaryTemperature: {
+            ref: 'taskSettings.sheet.temperature',
+            type: 'number',
+            component: 'slider',
+            label: 'Sheet Summary: Temperature',
+            defaultValue: 0.3,
+            min: 0,
+            max: 2,
+            step: 0.1,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          sheetSummaryMaxTokens: {
+            ref: 'taskSettings.sheet.maxTokens',
+            type: 'number',
+            component: 'slider',
+            label: 'Sheet Summary: Max Tokens',
+            defaultValue: 1000,
+            min: 50,
+            max: 4000,
+            step: 50,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          sheetSummaryTopP: {
+            ref: 'taskSettings.sheet.topP',
+            type: 'number',
+            component: 'slider',
+            label: 'Sheet Summary: Top P',
+            defaultValue: 1,
+            min: 0,
+            max: 1,
+            step: 0.05,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          sheetSummaryReasoning: {
+            ref: 'taskSettings.sheet.reasoning',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Sheet Summary: Reasoning Effort',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as Advanced Model Settings' },
+              { value: 'off', label: 'Off (fastest)' },
+              { value: 'low', label: 'Low' },
+              { value: 'medium', label: 'Medium' },
+              { value: 'high', label: 'High (slowest, most tokens)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.sheet && layout.taskSettings.sheet.override;
+            }
+          },
+          diveDeeperOverride: {
+            ref: 'taskSettings.suggestions.override',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Override for Dive Deeper',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          diveDeeperProvider: {
+            ref: 'taskSettings.suggestions.provider',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Dive Deeper: Provider',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as AI Settings' },
+              { value: 'openai', label: 'OpenAI' },
+              { value: 'anthropic', label: 'Anthropic' },
+              { value: 'gemini', label: 'Google Gemini' },
+              { value: 'mistral', label: 'Mistral AI' },
+              { value: 'cohere', label: 'Cohere' },
+              { value: 'ollama', label: 'Ollama (Local)' },
+              { value: 'openai-compatible', label: 'OpenAI-Compatible (Custom Endpoint)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          },
+          diveDeeperModel: {
+            ref: 'taskSettings.suggestions.model',
+            type: 'string',
+            label: 'Dive Deeper: Model (blank = same as AI Settings)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          },
+          diveDeeperApiKey: {
+            ref: 'taskSettings.suggestions.apiKey',
+            type: 'string',
+            label: 'Dive Deeper: API Key (blank = reuse)',
+            defaultValue: '',
+            expression: 'optional',
+            show: function(layout) {
+              var settings = layout.taskSettings && layout.taskSettings.suggestions;
+              return settings && settings.override && settings.provider &&
+                settings.provider !== (layout.aiSettings && layout.aiSettings.provider);
+            }
+          },
+          diveDeeperTemperature: {
+            ref: 'taskSettings.suggestions.temperature',
+            type: 'number',
+            component: 'slider',
+            label: 'Dive Deeper: Temperature',
+            defaultValue: 0.3,
+            min: 0,
+            max: 2,
+            step: 0.1,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          },
+          diveDeeperMaxTokens: {
+            ref: 'taskSettings.suggestions.maxTokens',
+            type: 'number',
+            component: 'slider',
+            label: 'Dive Deeper: Max Tokens',
+            defaultValue: 500,
+            min: 50,
+            max: 4000,
+            step: 50,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          },
+          diveDeeperTopP: {
+            ref: 'taskSettings.suggestions.topP',
+            type: 'number',
+            component: 'slider',
+            label: 'Dive Deeper: Top P',
+            defaultValue: 1,
+            min: 0,
+            max: 1,
+            step: 0.05,
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          },
+          diveDeeperReasoning: {
+            ref: 'taskSettings.suggestions.reasoning',
+            type: 'string',
+            component: 'dropdown',
+            label: 'Dive Deeper: Reasoning Effort',
+            defaultValue: '',
+            options: [
+              { value: '', label: 'Same as Advanced Model Settings' },
+              { value: 'off', label: 'Off (fastest)' },
+              { value: 'low', label: 'Low' },
+              { value: 'medium', label: 'Medium' },
+              { value: 'high', label: 'High (slowest, most tokens)' }
+            ],
+            show: function(layout) {
+              return layout.taskSettings && layout.taskSettings.suggestions && layout.taskSettings.suggestions.override;
+            }
+          }
+        }
+      },
+
+      // 3. Data Settings Section
       dataSettings: {
         type: 'items',
         label: 'Data Settings',
@@ -257,11 +1048,47 @@ define([], function() {
           dataFormatHint: {
             component: 'text',
             label: 'Raw data uses more tokens but AI sees actual patterns'
+          },
+          engineStats: {
+            ref: 'dataSettings.engineStats',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Statistics computed by Qlik',
+            defaultValue: true,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ],
+            show: function(layout) {
+              return !layout.dataSettings || layout.dataSettings.dataFormat !== 'raw';
+            }
+          },
+          engineStatsHint: {
+            component: 'text',
+            label: 'Compressed stats cover every row, not just the row limit: Qlik computes totals, quartiles and the latest period change in a temporary session object.',
+            show: function(layout) {
+              return !layout.dataSettings || layout.dataSettings.dataFormat !== 'raw';
+            }
+          },
+          appAnalysis: {
+            ref: 'dataSettings.appAnalysis',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Analyze App button',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          appAnalysisHint: {
+            component: 'text',
+            label: 'Analyzes every sheet one after another, then writes an app-level report. Cost grows with the number of sheets.'
           }
         }
       },
 
-      // 3. Object Filter Section
+      // 4. Object Filter Section
       objectFilter: {
         type: 'items',
         label: 'Object Filter',
@@ -313,7 +1140,7 @@ define([], function() {
         }
       },
 
-      // 4. Badge Settings Section
+      // 5. Badge Settings Section
       badgeSettings: {
         type: 'items',
         label: 'AI Badges',
@@ -366,7 +1193,7 @@ define([], function() {
         }
       },
 
-      // 5. Export Settings Section
+      // 6. Export Settings Section
       exportSettings: {
         type: 'items',
         label: 'Export & Copy',
@@ -419,7 +1246,7 @@ define([], function() {
         }
       },
 
-      // 6. Selection Tracking Section
+      // 7. Selection Tracking Section
       selectionTracking: {
         type: 'items',
         label: 'Selection Tracking',
@@ -633,6 +1460,50 @@ define([], function() {
         }
       },
 
+      // 12. Sheet Chat
+      chat: {
+        type: 'items',
+        label: 'Sheet Chat',
+        items: {
+          enabled: {
+            ref: 'chat.enabled',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Ask about this sheet',
+            defaultValue: true,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          chatHint: {
+            component: 'text',
+            label: 'Follow-up questions after analysis, answered from the analyzed data. History is kept per sheet in this browser.'
+          },
+          allowFetch: {
+            ref: 'chat.allowFetch',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Let AI fetch more rows',
+            defaultValue: true,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ],
+            show: function(layout) {
+              return !layout.chat || layout.chat.enabled !== false;
+            }
+          },
+          allowFetchHint: {
+            component: 'text',
+            label: 'The AI can request up to 200 more rows from a chart (2 requests per question) when the analyzed sample is not enough.',
+            show: function(layout) {
+              return !layout.chat || layout.chat.enabled !== false;
+            }
+          }
+        }
+      },
+
       // Appearance & Display Section - uses Qlik's built-in settings (includes hover menu)
       appearance: {
         uses: 'settings',
@@ -665,6 +1536,17 @@ define([], function() {
                   { value: false, label: 'Off' }
                 ]
               },
+              showReasoning: {
+                ref: 'outputSettings.showReasoning',
+                type: 'boolean',
+                component: 'switch',
+                label: 'Show model reasoning (when returned)',
+                defaultValue: false,
+                options: [
+                  { value: true, label: 'On' },
+                  { value: false, label: 'Off' }
+                ]
+              },
               topbarVisibility: {
                 ref: 'appearance.topbarVisibility',
                 type: 'string',
@@ -760,11 +1642,45 @@ define([], function() {
           debugHint: {
             component: 'text',
             label: 'Open browser console (F12) to view debug logs.'
+          },
+          recordTraffic: {
+            ref: 'developer.recordTraffic',
+            type: 'boolean',
+            component: 'switch',
+            label: 'Record AI Traffic',
+            defaultValue: false,
+            options: [
+              { value: true, label: 'On' },
+              { value: false, label: 'Off' }
+            ]
+          },
+          downloadRecording: {
+            component: 'button',
+            label: 'Download Recording',
+            show: function(layout) {
+              return layout.developer && layout.developer.recordTraffic;
+            },
+            action: function(data) {
+              var ai = data.aiSettings || {};
+              var settings = getCatalogSettings(data);
+              recorder.download('qlik2review-recording.json', {
+                provider: ai.provider || 'openai',
+                model: typeof ai.model === 'string' ? ai.model.trim() : '',
+                endpoint: ai.provider === 'ollama' || ai.provider === 'openai-compatible' ? settings.endpoint : undefined
+              });
+            }
+          },
+          recordTrafficHint: {
+            component: 'text',
+            label: 'Captures AI requests and responses (never API keys) while analyzing. Download the recording and load it with the Replay provider to rerun the analysis offline.',
+            show: function(layout) {
+              return layout.developer && layout.developer.recordTraffic;
+            }
           }
         }
       },
 
-      // 12. About Section
+      // 13. About Section
       about: {
         type: 'items',
         label: 'About',
@@ -3,20 +3,88 @@ define([
   './openai',
   './anthropic',
   './gemini',
+  './openai-compatible',
+  './mistral',
+  './cohere',
+  './ollama',
   './object-filter',
   './prompt-builder',
   './logger',
-  './token-tracker'
-], function(engineService, openaiProvider, anthropicProvider, geminiProvider, objectFilter, promptBuilder, logger, tokenTracker) {
+  './token-tracker',
+  './retry',
+  './insight-schema',
+  './provider-contract',
+  './snapshot',
+  './proxy',
+  './rate-limiter',
+  './replay'
+], function(engineService, openaiProvider, anthropicProvider, geminiProvider, openaiCompatibleProvider, mistralProvider, cohereProvider, ollamaProvider, objectFilter, promptBuilder, logger, tokenTracker, retry, insightSchema, providerContract, snapshot, proxy, rateLimiter, replayProvider) {
   'use strict';
 
   // Provider registry
   var providers = {
     openai: openaiProvider,
     anthropic: anthropicProvider,
-    gemini: geminiProvider
+    gemini: geminiProvider,
+    'openai-compatible': openaiCompatibleProvider,
+    mistral: mistralProvider,
+    cohere: cohereProvider,
+    ollama: ollamaProvider,
+    replay: replayProvider  // Recorded responses (see recorder.js)
   };
 
+  /**
+   * Get endpoint settings for providers that talk to a user-configured server
+   * @param {string} name - Provider name
+   * @param {Object} config - Analysis configuration
+   * @returns {Object|undefined}
+   */
+  function getProviderEndpoint(name, config) {
+    if (name === 'ollama') return config.ollamaEndpoint;
+    return config.endpoint;
+  }
+
+  /**
+   * Get relay settings for a provider (hosted providers only; self-hosted endpoints are called directly)
+   * @param {string} name - Provider name
+   * @param {Object} config - Analysis configuration
+   * @returns {Object|null} { url, token } or null to call the provider directly
+   */
+  function getProviderProxy(name, config) {
+    return proxy.isEnabled(config.proxy) && proxy.supportsProvider(name) ? config.proxy : null;
+  }
+
+  Object.keys(providers).forEach(function(name) {
+    var missing = providerContract.validateProvider(providers[name]);
+    if (missing.length > 0) {
+      logger.error('Provider', name, 'does not implement:', missing.join(', '));
+    }
+  });
+
+  // Built-in max tokens per task (object insights derive theirs from maxCharsPerObject)
+  var TASK_MAX_TOKENS = {
+    sheet: 1000,       // Comprehensive sheet summary (GPT-5.2 needs higher limit)
+    app: 1500,         // App synthesis across sheets (minimum; uses the sheet summary route)
+    suggestions: 500,  // More tokens for better suggestions
+    chat: 600          // Sheet chat answers (plus FETCH_ROWS requests)
+  };
+
+  // JSON field names and punctuation need headroom beyond the free-text insight budget
+  var STRUCTURED_MIN_TOKENS = 400;
+
+  // Single-call mode: JSON overhead per object on top of its insight budget, and the overall cap
+  var BATCH_TOKENS_PER_OBJECT = 40;
+  var BATCH_MAX_TOKENS = 16000;
+
+  // Usage settled for a failed call that reports none, so its token reservation goes back to the bucket
+  var NO_USAGE = { inputTokens: 0, outputTokens: 0 };
+
+  // Parallel object requests when Max Concurrent Requests is not set
+  var DEFAULT_CONCURRENCY = 4;
+
+  // Chart types whose hypercube data misses most of what the chart shows
+  var SNAPSHOT_FIRST_TYPES = ['map', 'mekkochart'];
+
   // Store references for cleanup - CRITICAL for preventing memory leaks
   var activeEventListeners = [];
   var activeTimeouts = [];  // Track setTimeout IDs for cleanup
@@ -71,6 +139,34 @@ define([
     return truncated.trim() + '...';
   };
 
+  /**
+   * Attach provider, model and estimated cost to a call's usage
+   * Each call is priced with the provider and model that actually answered
+   * @param {Object} entry - Provider chain entry
+   * @param {Object} usage - Usage from the provider (updated in place)
+   */
+  function priceUsage(entry, usage) {
+    var pricedModel = entry.model || entry.provider.defaultModel || '';
+    usage.provider = entry.name;
+    usage.model = pricedModel;
+    usage.estimatedCost = tokenTracker.calculateCost(
+      entry.name,
+      pricedModel,
+      usage.inputTokens || 0,
+      usage.outputTokens || 0,
+      usage
+    );
+  }
+
+  /**
+   * @param {Object} cancelToken - { cancelled }
+   * @param {AbortSignal} [signal]
+   * @returns {boolean} Whether the caller cancelled
+   */
+  function isCancelled(cancelToken, signal) {
+    return cancelToken.cancelled || !!(signal && signal.aborted);
+  }
+
   /**
    * Analyzer Service - Orchestrates sheet analysis
    */
@@ -79,7 +175,10 @@ define([
      * Analyze entire sheet and generate summaries
      * @param {Object} app - Qlik app object
      * @param {Object} config - Analysis configuration
-     * @param {Object} cancelToken - Cancellation token { cancelled: boolean }
+     * @param {Function} [config.onStreamUpdate] - Receives partial text ({ scope: 'object'|'sheet', id, title, type, text }) while streaming
+     * @param {Object} cancelToken - Cancellation token { cancelled: boolean, signal: AbortSignal }
+     *   Aborting the signal stops requests in flight; the cancel error (see retry.createCancelError)
+     *   then carries the usage of every call made so far.
      * @param {Function} onProgress - Progress callback
      * @param {string} extensionId - Extension object ID (for mobile fallback)
      * @returns {Promise<Object>} Analysis results
@@ -88,6 +187,8 @@ define([
       var self = this;
       cancelToken = cancelToken || { cancelled: false };
       onProgress = onProgress || function() {};
+      var signal = config.signal || cancelToken.signal || null;
+      config = Object.assign({}, config, { signal: signal });
 
       logger.group('Sheet Analysis', function() {
         logger.info('Starting sheet analysis with provider:', config.provider);
@@ -101,8 +202,8 @@ define([
       logger.info('Total objects on sheet:', allObjects.length, '(row limit:', rowLimit + ')');
 
       // Check cancellation
-      if (cancelToken.cancelled) {
-        throw new Error('Analysis cancelled');
+      if (isCancelled(cancelToken, signal)) {
+        throw retry.createCancelError();
       }
 
       // Filter objects based on configuration
@@ -120,53 +221,92 @@ define([
         };
       }
 
+      // Statistics over all rows rather than the rows sent (Compressed Stats only)
+      if (config.engineStats && config.dataFormat !== 'raw') {
+        onProgress('Computing statistics...');
+        await engineService.addEngineStats(app, filteredObjects);
+      }
+
       // Get current selections for context
       onProgress('Getting current selections...');
       var selections = await engineService.getCurrentSelections(app);
 
       // Check cancellation
-      if (cancelToken.cancelled) {
-        throw new Error('Analysis cancelled');
+      if (isCancelled(cancelToken, signal)) {
+        throw retry.createCancelError();
       }
 
-      // Get AI provider
-      var provider = providers[config.provider];
-      if (!provider) {
-        logger.error('Unknown AI provider:', config.provider);
-        throw new Error('Unknown AI provider: ' + config.provider);
+      return self.analyzeSheetObjects(filteredObjects, selections, config, cancelToken, onProgress);
+    },
+
+    /**
+     * Analyze a sheet's (filtered) objects and summarize the sheet
+     * Shared by analyzeSheet and analyzeApp.
+     * @param {Array} filteredObjects - Objects to analyze, with data
+     * @param {Array} selections - Current selections
+     * @param {Object} config - Analysis configuration (config.signal cancels requests in flight)
+     * @param {Object} cancelToken - Cancellation token { cancelled }
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Analysis results (see analyzeSheet)
+     */
+    analyzeSheetObjects: async function(filteredObjects, selections, config, cancelToken, onProgress) {
+      var self = this;
+
+      // Get AI providers per task (plus fallbacks, tried in order)
+      var chain = self.buildTaskChain(config, 'object');
+      var sheetChain = self.buildTaskChain(config, 'sheet');
+      logger.info('Using AI provider:', chain[0].provider.displayName || chain[0].name, chain[0].model || '(default model)');
+      if (sheetChain[0].name !== chain[0].name || sheetChain[0].model !== chain[0].model) {
+        logger.info('Sheet summary provider:', sheetChain[0].provider.displayName || sheetChain[0].name, sheetChain[0].model || '(default model)');
+      }
+      if (chain.length > 1) {
+        logger.info('Fallback providers:', chain.slice(1).map(function(e) { return e.name; }).join(', '));
       }
-      logger.info('Using AI provider:', provider.displayName || config.provider);
 
       // Initialize usage tracker
       var totalUsage = tokenTracker.createEmptyUsage();
 
-      // Concurrent batch size (3 = good balance between speed and rate limits)
-      var BATCH_SIZE = 3;
+      var maxConcurrency = config.concurrency || DEFAULT_CONCURRENCY;
       var objectSummaries = [];
       var completedCount = 0;
 
+      // Helper to build an object summary from an analysis result
+      function toSummary(obj, result) {
+        return {
+          id: obj.id,
+          title: obj.title,
+          type: obj.type,
+          summary: result.text,
+          insight: result.insight || null,
+          showHoverMenu: obj.showHoverMenu,
+          provider: result.provider,
+          model: result.model,
+          fallback: result.fallback,
+          recovery: result.recovery,
+          batched: result.batched || false,
+          timestamp: new Date().toISOString(),
+          usage: result.usage
+        };
+      }
+
       // Helper to analyze single object with error handling
       async function analyzeWithErrorHandling(obj, index) {
         try {
           var endTimer = logger.time('Object ' + obj.id + ' analysis');
-          var result = await self.analyzeObject(obj, selections, config, provider);
+          var result = await self.analyzeObject(obj, selections, config, chain);
           endTimer();
 
           logger.debug('Summary for', obj.id + ':', result.text);
 
           return {
             index: index,
-            data: {
-              id: obj.id,
-              title: obj.title,
-              type: obj.type,
-              summary: result.text,
-              showHoverMenu: obj.showHoverMenu,
-              timestamp: new Date().toISOString(),
-              usage: result.usage
-            }
+            data: toSummary(obj, result)
           };
         } catch (err) {
+          // Cancelled mid-request: keep what the call had spent, leave the object out
+          if (retry.isCancelError(err)) {
+            return { index: index, cancelled: true, usage: err.usage || null };
+          }
           logger.error('Error analyzing object', obj.id + ':', err.message);
           return {
             index: index,
@@ -184,35 +324,81 @@ define([
         }
       }
 
-      // Process objects in concurrent batches
-      logger.info('Processing', filteredObjects.length, 'objects in batches of', BATCH_SIZE);
+      // Indexes of objects still to analyze one by one
+      var queue = filteredObjects.map(function(obj, index) { return index; });
 
-      for (var batchStart = 0; batchStart < filteredObjects.length; batchStart += BATCH_SIZE) {
-        // Check cancellation before each batch
-        if (cancelToken.cancelled) {
-          throw new Error('Analysis cancelled');
-        }
+      // Single-call mode: one request for all objects, per-object calls only for what it misses
+      if (config.batchObjects && filteredObjects.length > 1) {
+        var batchable = queue.filter(function(index) {
+          // Snapshot objects need their own request (one image per prompt)
+          return !self.shouldCaptureSnapshot(filteredObjects[index], config, chain);
+        });
 
-        var batchEnd = Math.min(batchStart + BATCH_SIZE, filteredObjects.length);
-        var batch = filteredObjects.slice(batchStart, batchEnd);
+        if (batchable.length > 1) {
+          onProgress('Analyzing ' + batchable.length + ' objects in one request...');
+          try {
+            var endBatchTimer = logger.time('Single-call object analysis');
+            var batch = await self.analyzeObjectsBatch(
+              batchable.map(function(index) { return filteredObjects[index]; }),
+              selections,
+              config,
+              chain
+            );
+            endBatchTimer();
+
+            if (batch.usage) {
+              tokenTracker.addUsage(totalUsage, batch.usage);
+            }
+            batchable.forEach(function(index) {
+              var obj = filteredObjects[index];
+              if (batch.results[obj.id]) {
+                var summary = toSummary(obj, batch.results[obj.id]);
+                delete summary.usage;
+                objectSummaries[index] = summary;
+                completedCount++;
+              }
+            });
+            queue = queue.filter(function(index) { return !objectSummaries[index]; });
+
+            logger.info('Single call answered', completedCount + '/' + batchable.length, 'objects');
+            if (queue.length > 0) {
+              logger.info('Analyzing', queue.length, 'remaining objects individually');
+            }
+          } catch (err) {
+            if (retry.isCancelError(err)) {
+              tokenTracker.addUsage(totalUsage, err.usage);
+              throw retry.createCancelError(totalUsage);
+            }
+            logger.warn('Single-call analysis failed:', err.message, '- analyzing objects individually');
+          }
+          onProgress('Completed ' + completedCount + '/' + filteredObjects.length + ' objects');
+        }
+      }
 
-        // Update progress with batch info
-        var progressMsg = 'Analyzing ' + (batchStart + 1) + '-' + batchEnd + ' of ' + filteredObjects.length;
-        onProgress(progressMsg);
-        logger.info('Batch:', progressMsg);
+      // Sliding worker pool: each worker starts the next object as soon as its current one finishes.
+      // The rate limiter paces requests per provider; after 429s the pool shrinks until calls succeed again.
+      var nextIndex = 0;
+      logger.info('Processing', queue.length, 'objects with up to', maxConcurrency, 'concurrent requests');
+
+      async function runWorker(slot) {
+        while (nextIndex < queue.length && !isCancelled(cancelToken, config.signal)) {
+          // Slots above the current concurrency idle while the primary provider is slowed down
+          if (slot >= rateLimiter.getConcurrency(chain[0].name, maxConcurrency)) {
+            // A cancel wakes the slot up; the loop condition then ends it
+            await retry.sleep(250, config.signal).catch(function() {});
+            continue;
+          }
 
-        // Create promises for this batch
-        var batchPromises = batch.map(function(obj, batchIndex) {
-          var globalIndex = batchStart + batchIndex;
-          logger.info('Analyzing object', (globalIndex + 1) + '/' + filteredObjects.length + ':', obj.id, '(' + obj.type + ')');
-          return analyzeWithErrorHandling(obj, globalIndex);
-        });
+          var index = queue[nextIndex++];
+          var obj = filteredObjects[index];
+          logger.info('Analyzing object', (index + 1) + '/' + filteredObjects.length + ':', obj.id, '(' + obj.type + ')');
 
-        // Wait for all objects in batch to complete
-        var batchResults = await Promise.all(batchPromises);
+          var result = await analyzeWithErrorHandling(obj, index);
+          if (result.cancelled) {
+            tokenTracker.addUsage(totalUsage, result.usage);
+            break;
+          }
 
-        // Process batch results
-        batchResults.forEach(function(result) {
           // Aggregate usage
           if (result.data.usage) {
             tokenTracker.addUsage(totalUsage, result.data.usage);
@@ -222,52 +408,65 @@ define([
           // Store at correct index to maintain order
           objectSummaries[result.index] = result.data;
           completedCount++;
-        });
 
-        // Update progress after batch completes
-        onProgress('Completed ' + completedCount + '/' + filteredObjects.length + ' objects');
+          onProgress('Completed ' + completedCount + '/' + filteredObjects.length + ' objects');
+        }
+      }
+
+      if (queue.length > 0) {
+        onProgress('Analyzing ' + queue.length + ' objects...');
+      }
+      var workers = [];
+      for (var slot = 0; slot < Math.min(maxConcurrency, queue.length); slot++) {
+        workers.push(runWorker(slot));
       }
+      await Promise.all(workers);
 
       // Filter out any undefined entries (shouldn't happen but safety check)
       objectSummaries = objectSummaries.filter(function(s) { return s; });
 
-      // Check cancellation before sheet summary
-      if (cancelToken.cancelled) {
-        throw new Error('Analysis cancelled');
+      // Check cancellation before sheet summary (reporting what was spent so far)
+      if (isCancelled(cancelToken, config.signal)) {
+        logger.info('Analysis cancelled after', completedCount + '/' + filteredObjects.length, 'objects');
+        throw retry.createCancelError(totalUsage);
       }
 
       // Generate sheet-level summary (with all objects data!)
       onProgress('Generating sheet summary...');
       logger.info('Generating sheet-level summary...');
       var endSheetTimer = logger.time('Sheet summary generation');
-      var sheetResult = await self.generateSheetSummary(
-        filteredObjects,  // Pass full objects with data
-        objectSummaries,
-        selections,
-        config,
-        provider
-      );
+      var sheetResult;
+      try {
+        sheetResult = await self.generateSheetSummary(
+          filteredObjects,  // Pass full objects with data
+          objectSummaries,
+          selections,
+          config,
+          sheetChain
+        );
+      } catch (err) {
+        if (retry.isCancelError(err)) {
+          tokenTracker.addUsage(totalUsage, err.usage);
+          throw retry.createCancelError(totalUsage);
+        }
+        throw err;
+      }
       endSheetTimer();
 
-      // Aggregate sheet summary usage
+      // Aggregate sheet summary usage (cost is priced per call by the provider that answered)
       if (sheetResult.usage) {
         tokenTracker.addUsage(totalUsage, sheetResult.usage);
       }
 
-      // Calculate estimated cost
-      totalUsage.estimatedCost = tokenTracker.calculateCost(
-        config.provider,
-        config.model,
-        totalUsage.inputTokens,
-        totalUsage.outputTokens
-      );
-
       logger.info('Sheet analysis complete');
       logger.debug('Sheet summary:', sheetResult.text);
       logger.info('Total usage:', totalUsage);
 
       return {
         sheetSummary: sheetResult.text,
+        sheetProvider: { provider: sheetResult.provider, model: sheetResult.model, fallback: sheetResult.fallback },
+        sheetRecovery: sheetResult.recovery,
+        sheetReasoning: sheetResult.reasoning || null,
         objectSummaries: objectSummaries,
         analyzedObjects: filteredObjects,  // Include objects for dive deeper suggestions
         usage: totalUsage,
@@ -275,41 +474,335 @@ define([
       };
     },
 
+    /**
+     * Analyze every sheet of the app and synthesize an app-level report
+     * Sheets are analyzed one after another (objects within a sheet use the worker pool as in analyzeSheet),
+     * then the sheet summaries are combined by the sheet summary route. A sheet that fails is reported
+     * with its error and the others are still analyzed.
+     * @param {Object} app - Qlik app object
+     * @param {Object} config - Analysis configuration (as for analyzeSheet)
+     * @param {Object} cancelToken - Cancellation token { cancelled: boolean, signal: AbortSignal }
+     * @param {Function} onProgress - Progress callback, receives (message, { index, count, title }) per sheet
+     * @returns {Promise<Object>} { appSummary, appProvider, sheets: [{ id, title, sheetSummary, objectSummaries, skipped, error }], usage, timestamp }
+     */
+    analyzeApp: async function(app, config, cancelToken, onProgress) {
+      var self = this;
+      cancelToken = cancelToken || { cancelled: false };
+      onProgress = onProgress || function() {};
+      var signal = config.signal || cancelToken.signal || null;
+      // Partial text is not streamed: sheets are reported through onProgress instead
+      config = Object.assign({}, config, { signal: signal, onStreamUpdate: null });
+      var rowLimit = config.rowLimit || 50;
+
+      logger.info('Starting app analysis with provider:', config.provider);
+      onProgress('Listing sheets...');
+      var sheets = await engineService.getSheetList(app);
+      var totalUsage = tokenTracker.createEmptyUsage();
+
+      if (sheets.length === 0) {
+        logger.warn('No sheets found in app');
+        return {
+          appSummary: 'No sheets found in this app.',
+          sheets: [],
+          usage: totalUsage,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      onProgress('Getting current selections...');
+      var selections = await engineService.getCurrentSelections(app);
+
+      var sheetResults = [];
+      for (var i = 0; i < sheets.length; i++) {
+        if (isCancelled(cancelToken, signal)) {
+          throw retry.createCancelError(totalUsage);
+        }
+
+        var sheet = sheets[i];
+        var sheetProgress = { index: i, count: sheets.length, title: sheet.title };
+        var prefix = 'Sheet ' + (i + 1) + '/' + sheets.length + ' (' + sheet.title + '): ';
+        var report = function(message) {
+          onProgress(prefix + message, sheetProgress);
+        };
+
+        try {
+          report('Fetching sheet objects...');
+          var objects = await engineService.getObjectsOnSheet(app, sheet.id, rowLimit);
+          var filteredObjects = objectFilter.filterObjects(objects, config.objectFilter);
+          logger.info('Sheet', sheet.id + ':', filteredObjects.length, 'of', objects.length, 'objects after filtering');
+
+          if (filteredObjects.length === 0) {
+            sheetResults.push({ id: sheet.id, title: sheet.title, sheetSummary: null, objectSummaries: [], skipped: true });
+            continue;
+          }
+
+          if (config.engineStats && config.dataFormat !== 'raw') {
+            report('Computing statistics...');
+            await engineService.addEngineStats(app, filteredObjects);
+          }
+
+          var result = await self.analyzeSheetObjects(filteredObjects, selections, config, cancelToken, report);
+          tokenTracker.addUsage(totalUsage, result.usage);
+          sheetResults.push({
+            id: sheet.id,
+            title: sheet.title,
+            sheetSummary: result.sheetSummary,
+            sheetProvider: result.sheetProvider,
+            objectSummaries: result.objectSummaries
+          });
+        } catch (err) {
+          if (retry.isCancelError(err)) {
+            tokenTracker.addUsage(totalUsage, err.usage);
+            throw retry.createCancelError(totalUsage);
+          }
+          logger.error('Error analyzing sheet', sheet.id + ':', err.message);
+          sheetResults.push({ id: sheet.id, title: sheet.title, sheetSummary: null, objectSummaries: [], error: err.message });
+        }
+      }
+
+      var analyzedSheets = sheetResults.filter(function(s) { return s.sheetSummary; });
+      if (analyzedSheets.length === 0) {
+        logger.warn('No analyzable objects found in any sheet');
+        return {
+          appSummary: 'No analyzable objects found in this app.',
+          sheets: sheetResults,
+          usage: totalUsage,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      onProgress('Generating app summary...');
+      var endAppTimer = logger.time('App summary generation');
+      var appResult;
+      try {
+        appResult = await self.generateAppSummary(analyzedSheets, selections, config, self.buildTaskChain(config, 'sheet'));
+      } catch (err) {
+        if (retry.isCancelError(err)) {
+          tokenTracker.addUsage(totalUsage, err.usage);
+          throw retry.createCancelError(totalUsage);
+        }
+        throw err;
+      }
+      endAppTimer();
+
+      if (appResult.usage) {
+        tokenTracker.addUsage(totalUsage, appResult.usage);
+      }
+
+      logger.info('App analysis complete:', analyzedSheets.length + '/' + sheets.length, 'sheets analyzed');
+      logger.info('Total usage:', totalUsage);
+
+      return {
+        appSummary: appResult.text,
+        appProvider: { provider: appResult.provider, model: appResult.model, fallback: appResult.fallback },
+        sheets: sheetResults,
+        usage: totalUsage,
+        timestamp: new Date().toISOString()
+      };
+    },
+
+    /**
+     * Generate the app-level synthesis from per-sheet summaries
+     * Uses the sheet summary generation settings, with at least TASK_MAX_TOKENS.app output tokens
+     * @param {Array} sheets - Analyzed sheets { title, sheetSummary, objectSummaries }
+     * @param {Array} selections - Current selections
+     * @param {Object} config - Configuration
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @returns {Promise<Object>} { text, usage, provider, model, fallback, recovery }
+     */
+    generateAppSummary: async function(sheets, selections, config, chain) {
+      var prompt = promptBuilder.buildAppPrompt(sheets, selections, config.language || 'en');
+      logger.debug('App prompt length:', prompt.length, ', sheets:', sheets.length);
+
+      var generation = this.getGenerationSettings(config, 'sheet');
+      return this.generateWithFallback(chain, prompt, {
+        maxTokens: Math.max(generation.maxTokens || 0, TASK_MAX_TOKENS.app),
+        temperature: generation.temperature,
+        topP: generation.topP,
+        reasoning: generation.reasoning,
+        signal: config.signal
+      });
+    },
+
     /**
      * Analyze a single object
      * @param {Object} obj - Object details
      * @param {Array} selections - Current selections
      * @param {Object} config - Configuration
-     * @param {Object} provider - AI provider
-     * @returns {Promise<Object>} { text: string, usage: object }
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @returns {Promise<Object>} { text, insight, usage, provider, model, fallback, recovery }
      */
-    analyzeObject: async function(obj, selections, config, provider) {
+    analyzeObject: async function(obj, selections, config, chain) {
       var language = config.language || 'en';
       var dataFormat = config.dataFormat || 'compressed';
-      var prompt = promptBuilder.buildObjectPrompt(obj, selections, config.customPrompt, language, dataFormat);
+      var structured = !!config.structuredOutput;
+      var textPrompt = promptBuilder.buildObjectPrompt(obj, selections, config.customPrompt, language, dataFormat, structured);
+      var prompt = textPrompt;
+
+      // Attach a snapshot of the rendered chart for vision-capable models
+      var images = null;
+      if (this.shouldCaptureSnapshot(obj, config, chain)) {
+        var image = await snapshot.captureObject(obj.id);
+        if (image) {
+          var snapshotMode = config.vision === 'instead' ? 'instead' : 'alongside';
+          images = [image];
+          prompt = promptBuilder.buildObjectPrompt(obj, selections, config.customPrompt, language, dataFormat, structured, snapshotMode);
+          logger.debug('Attached snapshot for', obj.id, '(' + snapshotMode + ')');
+        }
+      }
       logger.debug('Prompt for', obj.id + ' (length: ' + prompt.length + ', format: ' + dataFormat + ')');
 
-      var maxTokens = Math.min(100, Math.floor(config.maxCharsPerObject / 4) || 75);
-      logger.debug('Max tokens for response:', maxTokens);
+      var generation = this.getGenerationSettings(config, 'object');
+      logger.debug('Generation settings for object:', generation);
 
-      var result = await provider.generateSummary(prompt, {
-        apiKey: config.apiKey,
-        model: config.model,
-        maxTokens: maxTokens
+      var maxChars = config.maxCharsPerObject || 300;
+
+      // Forward streamed tokens as partial object insights (partial JSON is not shown)
+      var onToken;
+      if (typeof config.onStreamUpdate === 'function' && !structured) {
+        onToken = function(delta, partialText) {
+          config.onStreamUpdate({
+            scope: 'object',
+            id: obj.id,
+            title: obj.title,
+            type: obj.type,
+            text: smartTruncate(partialText, maxChars)
+          });
+        };
+      }
+
+      var result = await this.generateWithFallback(chain, prompt, {
+        maxTokens: structured ? Math.max(generation.maxTokens, STRUCTURED_MIN_TOKENS) : generation.maxTokens,
+        temperature: generation.temperature,
+        topP: generation.topP,
+        reasoning: generation.reasoning,
+        responseSchema: structured ? insightSchema.getResponseSchema() : null,
+        onToken: onToken,
+        images: images,
+        // Fallback providers without vision get the data prompt instead
+        textPrompt: images ? textPrompt : null,
+        signal: config.signal
       });
 
-      // Handle both old (string) and new ({ text, usage }) return formats
-      var text = typeof result === 'string' ? result : result.text;
-      var usage = typeof result === 'object' ? result.usage : null;
+      // Structured insights keep their fields; the summary text is derived from them
+      if (structured) {
+        var insight = insightSchema.parseInsight(result.text);
+        if (insight) {
+          result.insight = insight;
+          result.text = insightSchema.formatInsight(insight);
+        } else {
+          logger.warn('Structured insight could not be parsed for', obj.id, '- using free text');
+        }
+      }
 
       // Truncate if necessary (using smart truncation to preserve markdown)
+      if (result.text.length > maxChars) {
+        logger.debug('Truncating summary from', result.text.length, 'to', maxChars, 'chars');
+        result.text = smartTruncate(result.text, maxChars);
+      }
+
+      return result;
+    },
+
+    /**
+     * Analyze several objects with a single request (single-call mode)
+     * The model returns one entry per object ID; objects it skipped are left out of results
+     * so the caller can analyze them individually.
+     * @param {Array} objects - Objects with data
+     * @param {Array} selections - Current selections
+     * @param {Object} config - Configuration
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @returns {Promise<Object>} { results: { [objectId]: { text, insight, provider, model, fallback, recovery, batched } }, usage }
+     */
+    analyzeObjectsBatch: async function(objects, selections, config, chain) {
+      var structured = !!config.structuredOutput;
+      var prompt = promptBuilder.buildBatchObjectPrompt(
+        objects,
+        selections,
+        config.customPrompt,
+        config.language || 'en',
+        config.dataFormat || 'compressed',
+        structured
+      );
+      logger.debug('Single-call prompt for', objects.length, 'objects (length: ' + prompt.length + ')');
+
+      // Room for every insight plus the JSON wrapping around each one
+      var generation = this.getGenerationSettings(config, 'object');
+      var perObjectTokens = (structured ? Math.max(generation.maxTokens, STRUCTURED_MIN_TOKENS) : generation.maxTokens) + BATCH_TOKENS_PER_OBJECT;
+      var response = await this.generateWithFallback(chain, prompt, {
+        maxTokens: Math.min(perObjectTokens * objects.length, BATCH_MAX_TOKENS),
+        temperature: generation.temperature,
+        topP: generation.topP,
+        reasoning: generation.reasoning,
+        responseSchema: insightSchema.getBatchResponseSchema(structured),
+        signal: config.signal
+      });
+
+      var entries = insightSchema.parseBatch(response.text);
+      if (!entries) {
+        throw new Error('Single-call response was not valid JSON');
+      }
+
       var maxChars = config.maxCharsPerObject || 300;
-      if (text.length > maxChars) {
-        logger.debug('Truncating summary from', text.length, 'to', maxChars, 'chars');
-        text = smartTruncate(text, maxChars);
+      var results = {};
+      objects.forEach(function(obj) {
+        var entry = entries[String(obj.id)];
+        if (!entry) {
+          logger.debug('Single-call response has no entry for', obj.id);
+          return;
+        }
+
+        var text = null;
+        var insight = null;
+        if (structured) {
+          insight = insightSchema.normalizeInsight(entry);
+          text = insight ? insightSchema.formatInsight(insight) : null;
+        } else if (typeof entry.insight === 'string') {
+          text = entry.insight.trim();
+        }
+        if (!text) {
+          logger.debug('Single-call entry for', obj.id, 'is empty');
+          return;
+        }
+
+        results[obj.id] = {
+          text: text.length > maxChars ? smartTruncate(text, maxChars) : text,
+          insight: insight,
+          provider: response.provider,
+          model: response.model,
+          fallback: response.fallback,
+          recovery: response.recovery,
+          batched: true
+        };
+      });
+
+      return { results: results, usage: response.usage };
+    },
+
+    /**
+     * Decide whether to capture a snapshot of an object for vision analysis
+     * 'fallback' captures only objects whose data says little on its own (no hypercube data, maps, Mekko charts)
+     * @param {Object} obj - Object details
+     * @param {Object} config - Configuration
+     * @param {string} [config.vision] - 'off' | 'fallback' | 'alongside' | 'instead'
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @returns {boolean}
+     */
+    shouldCaptureSnapshot: function(obj, config, chain) {
+      var mode = config.vision || 'off';
+      if (mode === 'off') return false;
+
+      // Capturing is wasted when the primary model cannot read images
+      var primary = chain[0];
+      if (!providerContract.resolveCapabilities(primary.provider, primary.model).vision) {
+        return false;
       }
 
-      return { text: text, usage: usage };
+      if (mode === 'fallback') {
+        var hasData = obj.data && obj.data.length > 0;
+        return !hasData || SNAPSHOT_FIRST_TYPES.indexOf(obj.type) !== -1;
+      }
+      return true;
     },
 
     /**
@@ -318,27 +811,267 @@ define([
      * @param {Array} objectSummaries - Individual object summaries
      * @param {Array} selections - Current selections
      * @param {Object} config - Configuration
-     * @param {Object} provider - AI provider
-     * @returns {Promise<Object>} { text: string, usage: object }
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @returns {Promise<Object>} { text, usage, provider, model, fallback, recovery }
      */
-    generateSheetSummary: async function(objects, objectSummaries, selections, config, provider) {
+    generateSheetSummary: async function(objects, objectSummaries, selections, config, chain) {
       var language = config.language || 'en';
       var dataFormat = config.dataFormat || 'compressed';
       var customSheetPrompt = config.customSheetPrompt || '';
       var prompt = promptBuilder.buildSheetPrompt(objects, objectSummaries, selections, language, dataFormat, customSheetPrompt);
       logger.debug('Sheet prompt length:', prompt.length, ', format:', dataFormat);
 
-      var result = await provider.generateSummary(prompt, {
+      // Forward streamed tokens as a partial sheet summary
+      var onToken;
+      if (typeof config.onStreamUpdate === 'function') {
+        onToken = function(delta, partialText) {
+          config.onStreamUpdate({ scope: 'sheet', text: partialText });
+        };
+      }
+
+      var generation = this.getGenerationSettings(config, 'sheet');
+      logger.debug('Generation settings for sheet summary:', generation);
+
+      return this.generateWithFallback(chain, prompt, {
+        maxTokens: generation.maxTokens,
+        temperature: generation.temperature,
+        topP: generation.topP,
+        reasoning: generation.reasoning,
+        onToken: onToken,
+        signal: config.signal
+      });
+    },
+
+    /**
+     * Build the ordered provider chain: primary provider first, then configured fallbacks
+     * @param {Object} config - Analysis configuration
+     * @param {Array} [config.fallbacks] - Fallback entries { provider, model, apiKey }
+     * @param {string} [config.recoveryPolicy] - Empty-response recovery policy (see retry.RecoveryPolicies)
+     * @param {Object} [config.proxy] - Relay settings { url, token } for hosted providers
+     * @param {Object} [config.rateLimits] - Client-side { rpm, tpm } per provider (0 = built-in limit, see rate-limiter.js)
+     * @returns {Array} Chain entries { name, provider, apiKey, model, endpoint, proxy, recoveryPolicy, rateLimits, isFallback }
+     */
+    buildProviderChain: function(config) {
+      var primary = providers[config.provider];
+      if (!primary) {
+        logger.error('Unknown AI provider:', config.provider);
+        throw new Error('Unknown AI provider: ' + config.provider);
+      }
+
+      var chain = [{
+        name: config.provider,
+        provider: primary,
         apiKey: config.apiKey,
         model: config.model,
-        maxTokens: 1000  // More tokens for comprehensive sheet summary (GPT-5.2 needs higher limit)
+        endpoint: getProviderEndpoint(config.provider, config),
+        proxy: getProviderProxy(config.provider, config),
+        recoveryPolicy: config.recoveryPolicy,
+        rateLimits: config.rateLimits,
+        isFallback: false
+      }];
+
+      (config.fallbacks || []).forEach(function(entry) {
+        var provider = providers[entry.provider];
+        if (!provider) {
+          logger.warn('Skipping unknown fallback provider:', entry.provider);
+          return;
+        }
+        chain.push({
+          name: entry.provider,
+          provider: provider,
+          apiKey: entry.apiKey,
+          model: entry.model,
+          endpoint: getProviderEndpoint(entry.provider, config),
+          proxy: getProviderProxy(entry.provider, config),
+          recoveryPolicy: config.recoveryPolicy,
+          rateLimits: config.rateLimits,
+          isFallback: true
+        });
       });
 
-      // Handle both old (string) and new ({ text, usage }) return formats
-      var text = typeof result === 'string' ? result : result.text;
-      var usage = typeof result === 'object' ? result.usage : null;
+      return chain;
+    },
+
+    /**
+     * Build the provider chain for one task, honouring its provider/model route
+     * A route that switches provider reuses the key of a matching fallback entry when it has none of its own.
+     * Fallbacks still apply after the routed primary.
+     * @param {Object} config - Analysis configuration
+     * @param {Object} [config.taskSettings] - Per-task settings { provider, model, apiKey, ... } keyed by task
+     * @param {string} task - 'object' | 'sheet' | 'suggestions' | 'chat'
+     * @returns {Array} Chain entries (see buildProviderChain)
+     */
+    buildTaskChain: function(config, task) {
+      var route = (config.taskSettings && config.taskSettings[task]) || {};
+      if (!route.provider && !route.model) {
+        return this.buildProviderChain(config);
+      }
+
+      var provider = route.provider || config.provider;
+      var sameProvider = provider === config.provider;
+      var apiKey = route.apiKey || (sameProvider ? config.apiKey : '');
+      if (!apiKey) {
+        var match = (config.fallbacks || []).filter(function(entry) {
+          return entry.provider === provider && entry.apiKey;
+        })[0];
+        apiKey = match ? match.apiKey : '';
+      }
+
+      logger.debug('Task route for', task + ':', provider, route.model || '(default model)');
+      return this.buildProviderChain(Object.assign({}, config, {
+        provider: provider,
+        model: route.model || (sameProvider ? config.model : ''),
+        apiKey: apiKey
+      }));
+    },
+
+    /**
+     * Send a prompt through the provider chain, failing over on provider-specific errors
+     * Auth, quota, outage and timeout errors move on to the next provider; other errors are thrown.
+     * Prompt and options are adapted to each entry's model capabilities before sending,
+     * and empty responses go through the entry's recovery policy.
+     * @param {Array} chain - Provider chain from buildProviderChain
+     * @param {string} prompt - The prompt to send
+     * @param {Object} options - Generation options { maxTokens, temperature, topP, reasoning, responseSchema, onToken, images, textPrompt, signal }
+     * @param {string} [options.textPrompt] - Prompt for entries that cannot take the attached images
+     * @param {AbortSignal} [options.signal] - Cancels the request in flight; throws a cancel error carrying the usage already spent
+     * @returns {Promise<Object>} { text, usage, reasoning, provider, model, fallback, recovery: { path, recovered } }
+     */
+    generateWithFallback: async function(chain, prompt, options) {
+      var lastError = null;
+
+      for (var i = 0; i < chain.length; i++) {
+        var entry = chain[i];
+        try {
+          retry.throwIfCancelled(options.signal);
+          var capabilities = providerContract.resolveCapabilities(entry.provider, entry.model);
+          var callOptions = providerContract.applyCapabilities(options, capabilities);
+          var entryPrompt = callOptions.images || !options.textPrompt ? prompt : options.textPrompt;
+          delete callOptions.textPrompt;
+          var relay = entry.proxy ? await proxy.resolve(entry.proxy, { signal: options.signal }) : null;
+
+          var result = await retry.withEmptyResponseRecovery(async function(attemptPrompt, step) {
+            var request = promptBuilder.adaptToCapabilities(attemptPrompt, capabilities, options.maxTokens);
+            var reservation = await rateLimiter.acquire(
+              entry.name,
+              tokenTracker.estimateTokens((request.system || '') + request.prompt) + (callOptions.maxTokens || 0) +
+                providerContract.getReasoningBudget(callOptions.reasoning),
+              entry.rateLimits,
+              options.signal
+            );
+            // Settled whether the call succeeds or not; cancelled streams report what they used
+            var spent = NO_USAGE;
+            try {
+              var response = await entry.provider.generateSummary(request.prompt, Object.assign({}, callOptions, {
+                system: request.system,
+                cachePrefix: request.cachePrefix,
+                apiKey: entry.apiKey,
+                model: entry.model,
+                endpoint: entry.endpoint,
+                proxy: relay,
+                // Recovery attempts are not streamed
+                onToken: step === 'initial' ? callOptions.onToken : null,
+                // 429s retried inside the provider slow the whole provider down
+                onRetry: function(attempt, error, delay) {
+                  if (retry.classifyError(error, error.response) === retry.ErrorTypes.RATE_LIMIT) {
+                    rateLimiter.penalize(entry.name, delay, entry.rateLimits);
+                  }
+                }
+              }));
+
+              // Handle both old (string) and new ({ text, usage }) return formats
+              var normalized = typeof response === 'string' ? { text: response, usage: null } : response;
+              spent = normalized.usage;
+              return normalized;
+            } catch (callError) {
+              if (callError.usage) spent = callError.usage;
+              throw callError;
+            } finally {
+              rateLimiter.settle(entry.name, reservation, spent);
+            }
+          }, entryPrompt, entry.recoveryPolicy, options.signal);
+
+          var text = result.text;
+          var usage = result.usage;
+
+          if (usage) {
+            priceUsage(entry, usage);
+          }
+
+          if (entry.isFallback) {
+            logger.info('Answered by fallback provider:', entry.name, entry.model || '(default model)');
+          }
+
+          return {
+            text: text,
+            usage: usage,
+            reasoning: result.reasoning,
+            provider: entry.name,
+            model: entry.model || '',
+            fallback: entry.isFallback,
+            recovery: result.recovery
+          };
+        } catch (err) {
+          // A cancel aborts the fetch or the stream being read; report it as one cancel error
+          if (options.signal && options.signal.aborted) {
+            var cancelError = retry.isCancelError(err) ? err : retry.createCancelError();
+            if (cancelError.usage) priceUsage(entry, cancelError.usage);
+            throw cancelError;
+          }
+
+          lastError = err;
+          var errorType = retry.classifyError(err, err.response);
+          var next = chain[i + 1];
+
+          // A rejected relay token may have been revoked or expired early - fetch a new one next time
+          if (entry.proxy && errorType === retry.ErrorTypes.AUTH_ERROR) {
+            proxy.clearTokens();
+          }
+
+          // Out of retries on a 429 - keep the provider slowed down for the requests still queued
+          if (errorType === retry.ErrorTypes.RATE_LIMIT) {
+            rateLimiter.penalize(entry.name, err.response ? retry.parseRetryAfter(err.response) : null, entry.rateLimits);
+          }
+
+          if (!next || !retry.shouldFailover(errorType)) {
+            throw err;
+          }
+          logger.warn(entry.name, 'failed (' + errorType + '):', err.message, '- failing over to', next.name);
+        }
+      }
 
-      return { text: text, usage: usage };
+      throw lastError;
+    },
+
+    /**
+     * Resolve generation parameters for a task
+     * Per-task overrides win over global Advanced Model Settings, which win over built-in defaults
+     * @param {Object} config - Analysis configuration
+     * @param {Object} [config.generation] - Global { temperature, topP, maxTokens, reasoning }
+     * @param {Object} [config.taskSettings] - Per-task overrides keyed by task
+     * @param {string} task - 'object' | 'sheet' | 'suggestions' | 'chat'
+     * @returns {Object} { maxTokens, temperature, topP, reasoning } (undefined uses provider defaults)
+     */
+    getGenerationSettings: function(config, task) {
+      var global = config.generation || {};
+      var override = (config.taskSettings && config.taskSettings[task]) || {};
+
+      // Global max tokens applies to object insights; summary and suggestions need more room
+      var defaultMaxTokens = task === 'object'
+        ? (global.maxTokens || Math.min(100, Math.floor(config.maxCharsPerObject / 4) || 75))
+        : TASK_MAX_TOKENS[task];
+
+      function pick(key, fallback) {
+        return override[key] !== undefined && override[key] !== null ? override[key] : fallback;
+      }
+
+      return {
+        maxTokens: pick('maxTokens', defaultMaxTokens),
+        temperature: pick('temperature', global.temperature),
+        topP: pick('topP', global.topP),
+        // Blank falls through to the global level, then to the model's own default
+        reasoning: override.reasoning || global.reasoning || undefined
+      };
     },
 
     /**
@@ -445,24 +1178,8 @@ define([
 
       validSummaries.forEach(function(obj) {
         try {
-          // Find the object's DOM element - try multiple selectors for Qlik Cloud
-          var objectEl = null;
-          var selectors = [
-            '[data-qid="' + obj.id + '"]',
-            '.qv-object[tid="' + obj.id + '"]',
-            '[data-testid*="' + obj.id + '"]',
-            'article[data-qid="' + obj.id + '"]',
-            '[class*="' + obj.id + '"]'
-          ];
-
-          // Try all selectors until one finds the element
-          for (var i = 0; i < selectors.length; i++) {
-            objectEl = document.querySelector(selectors[i]);
-            if (objectEl) {
-              logger.debug('Found object with selector:', selectors[i]);
-              break;
-            }
-          }
+          // Find the object's DOM element
+          var objectEl = snapshot.findObjectElement(obj.id);
 
           if (!objectEl) {
             logger.debug('Could not find DOM element for object:', obj.id);
@@ -568,6 +1285,9 @@ define([
           popupFooter.className = 'q2r-insight-popup-footer';
           var timestamp = obj.timestamp ? new Date(obj.timestamp).toLocaleString() : '';
           popupFooter.textContent = 'Generated: ' + timestamp;
+          if (obj.insight && obj.insight.confidence !== null) {
+            popupFooter.textContent += ' | Confidence: ' + Math.round(obj.insight.confidence * 100) + '%';
+          }
           popup.appendChild(popupFooter);
 
           // Add popup to body
@@ -1,8 +1,143 @@
-define(['./retry'], function(retry) {
+define(['./retry', './event-stream', './provider-contract', './proxy'], function(retry, eventStream, providerContract, proxy) {
   'use strict';
 
   const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';  // Updated Jan 2025
   const API_URL = 'https://api.anthropic.com/v1/messages';
+  const MODELS_URL = 'https://api.anthropic.com/v1/models?limit=1000';
+
+  const CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 1,   // Anthropic max is 1.0
+    jsonMode: true,      // Via forced tool use
+    streaming: true,
+    vision: true,
+    contextWindow: 200000,
+    tokenParam: 'max_tokens'
+  };
+
+  // Extended thinking (budget_tokens) is available from Claude 3.7 on
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['claude-3-7', 'claude-sonnet-4', 'claude-opus-4', 'claude-haiku-4'], capabilities: { reasoning: 'budget', reasoningOff: true } }
+  ];
+
+  /**
+   * Read a streamed Messages API response
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onToken - Callback (delta, fullText) for each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async function readMessageStream(response, onToken) {
+    var text = '';
+    var reasoning = '';
+    var usage = readUsage({});
+
+    await eventStream.readEventStream(response, function(eventName, event) {
+      var type = event.type || eventName;
+      if (type === 'message_start' && event.message && event.message.usage) {
+        usage = readUsage(event.message.usage);
+      } else if (type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text, text);
+      } else if (type === 'content_block_delta' && event.delta && event.delta.type === 'thinking_delta') {
+        // Thinking is kept apart from the answer and not streamed into it
+        reasoning += event.delta.thinking;
+      } else if (type === 'content_block_delta' && event.delta && event.delta.type === 'input_json_delta') {
+        // Structured output arrives as tool input JSON
+        text += event.delta.partial_json;
+        onToken(event.delta.partial_json, text);
+      } else if (type === 'message_delta' && event.usage) {
+        usage.outputTokens = event.usage.output_tokens || usage.outputTokens;
+        usage.totalTokens = usage.inputTokens + usage.outputTokens;
+      } else if (type === 'error') {
+        throw new Error((event.error && event.error.message) || 'Anthropic stream error');
+      }
+    });
+
+    return withReasoning({ text: text.trim(), usage: usage }, reasoning);
+  }
+
+  /**
+   * Attach thinking text to a result
+   * The API folds thinking into output_tokens, so reasoningTokens is estimated from the text (~4 chars per token)
+   * @param {Object} result - { text, usage }
+   * @param {string} reasoning - Thinking text
+   * @returns {Object} { text, usage, reasoning }
+   */
+  function withReasoning(result, reasoning) {
+    reasoning = (reasoning || '').trim();
+    if (reasoning) {
+      result.reasoning = reasoning;
+      if (result.usage) {
+        result.usage.reasoningTokens = Math.min(result.usage.outputTokens, Math.ceil(reasoning.length / 4));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convert Messages API usage to the shared usage shape
+   * input_tokens excludes cache reads and writes, so they are added back into inputTokens
+   * @param {Object} raw - Usage object from the API
+   * @returns {Object} { inputTokens, outputTokens, totalTokens, cachedInputTokens, cacheWriteTokens }
+   */
+  function readUsage(raw) {
+    var cachedInputTokens = raw.cache_read_input_tokens || 0;
+    var cacheWriteTokens = raw.cache_creation_input_tokens || 0;
+    var inputTokens = (raw.input_tokens || 0) + cachedInputTokens + cacheWriteTokens;
+    var outputTokens = raw.output_tokens || 0;
+    return {
+      inputTokens: inputTokens,
+      outputTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cachedInputTokens: cachedInputTokens,
+      cacheWriteTokens: cacheWriteTokens
+    };
+  }
+
+  /**
+   * Build the user message content
+   * A static prompt prefix becomes its own block with a cache breakpoint, so the system prompt,
+   * tools and instructions are cached across calls; images go before the text
+   * @param {string} prompt - The prompt to send
+   * @param {string} [cachePrefix] - Leading part of the prompt to cache
+   * @param {Array<Object>} [images] - Images { mimeType, data } with base64 data
+   * @returns {string|Array<Object>} Plain prompt, or content blocks
+   */
+  function buildUserContent(prompt, cachePrefix, images) {
+    var blocks = (images || []).map(function(image) {
+      return {
+        type: 'image',
+        source: { type: 'base64', media_type: image.mimeType, data: image.data }
+      };
+    });
+
+    if (cachePrefix && prompt.indexOf(cachePrefix) === 0 && prompt.length > cachePrefix.length) {
+      blocks.push({ type: 'text', text: cachePrefix, cache_control: { type: 'ephemeral' } });
+      blocks.push({ type: 'text', text: prompt.substring(cachePrefix.length) });
+    } else if (blocks.length > 0) {
+      blocks.push({ type: 'text', text: prompt });
+    }
+
+    return blocks.length > 0 ? blocks : prompt;
+  }
+
+  /**
+   * Extract text from Messages API content blocks
+   * Tool-use blocks (structured output) are returned as JSON text
+   * @param {Array} content - Response content blocks
+   * @returns {string}
+   */
+  function extractContentText(content) {
+    var toolBlock = content.find(function(block) { return block.type === 'tool_use'; });
+    if (toolBlock) {
+      return JSON.stringify(toolBlock.input || {});
+    }
+    // Thinking blocks come before the answer
+    var textBlock = content.find(function(block) { return block.type === 'text'; });
+    return textBlock?.text?.trim() || '';
+  }
 
   /**
    * Anthropic (Claude) Provider Service
@@ -10,6 +145,9 @@ define(['./retry'], function(retry) {
   return {
     name: 'anthropic',
     displayName: 'Anthropic Claude',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
 
     /**
      * Generate summary using Anthropic API
@@ -18,52 +156,107 @@ define(['./retry'], function(retry) {
      * @param {string} config.apiKey - Anthropic API key
      * @param {string} [config.model] - Model to use (default: claude-3-haiku)
      * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor, sent as a forced tool call
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } sent as base64 image blocks
+     * @param {string} [config.system] - System prompt
+     * @param {string} [config.reasoning] - Reasoning level, sent as an extended thinking budget (see provider-contract)
+     * @param {string} [config.cachePrefix] - Static leading part of the prompt, sent as a cached block (prompt caching)
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {Object} [config.proxy] - Resolved relay { url, token } used instead of the API key (see proxy.js)
+     * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay); used by the rate limiter
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
      * @returns {Promise<string>} Generated summary
      */
     async generateSummary(prompt, config) {
-      if (!config.apiKey) {
+      if (!config.apiKey && !config.proxy) {
         throw new Error('Anthropic API key is required');
       }
 
       const model = config.model || DEFAULT_MODEL;
       const maxTokens = config.maxTokens || 150;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
 
       // Build request body
       const requestBody = {
         model: model,
         max_tokens: maxTokens,
-        system: 'You are a data analyst. Provide concise, actionable insights from data visualizations. Be specific and direct. No fluff.',
         messages: [
           {
             role: 'user',
-            content: prompt
+            content: buildUserContent(prompt, config.cachePrefix, capabilities.vision ? config.images : null)
           }
         ]
       };
 
-      // Add temperature if specified (Anthropic supports 0-1 range)
-      if (config.temperature !== undefined) {
-        requestBody.temperature = Math.min(config.temperature, 1.0); // Anthropic max is 1.0
+      if (config.system && capabilities.systemRole) {
+        requestBody.system = config.system;
+      }
+
+      // Extended thinking - the budget comes on top of the answer's max_tokens
+      var thinkingBudget = config.reasoning && capabilities.reasoning === 'budget'
+        ? providerContract.getReasoningBudget(config.reasoning)
+        : 0;
+      if (thinkingBudget > 0) {
+        requestBody.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+        requestBody.max_tokens = maxTokens + thinkingBudget;
+      }
+
+      // Add temperature if specified (range limited by capabilities.maxTemperature); thinking requires the default
+      if (capabilities.temperature && config.temperature !== undefined && !thinkingBudget) {
+        requestBody.temperature = Math.min(config.temperature, capabilities.maxTemperature);
       }
 
       // Add top_p if specified
-      if (config.topP !== undefined && config.topP < 1) {
+      if (capabilities.topP && config.topP !== undefined && config.topP < 1 && !thinkingBudget) {
         requestBody.top_p = config.topP;
       }
 
+      // Structured output - force a single tool call whose input matches the schema
+      // (thinking does not allow forced tool use, so the model is left to choose the tool)
+      if (config.responseSchema && capabilities.jsonMode) {
+        requestBody.tools = [{
+          name: config.responseSchema.name,
+          description: config.responseSchema.description,
+          input_schema: config.responseSchema.schema
+        }];
+        requestBody.tool_choice = thinkingBudget ? { type: 'auto' } : { type: 'tool', name: config.responseSchema.name };
+      }
+
+      const target = proxy.route('anthropic', API_URL, {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }, config.proxy);
+
+      // Stream tokens as they arrive when a callback is provided
+      if (typeof config.onToken === 'function' && eventStream.isSupported()) {
+        const streamResponse = await retry.fetchWithRetry(target.url, {
+          method: 'POST',
+          headers: target.headers,
+          body: JSON.stringify(Object.assign({}, requestBody, { stream: true }))
+        }, {
+          maxRetries: 2,
+          baseDelay: 1000,
+          onRetry: config.onRetry,
+          signal: config.signal
+        });
+
+        return readMessageStream(streamResponse, config.onToken);
+      }
+
       // Use retry logic for resilient API calls
-      const response = await retry.fetchWithRetry(API_URL, {
+      const response = await retry.fetchWithRetry(target.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': config.apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
+        headers: target.headers,
         body: JSON.stringify(requestBody)
       }, {
         maxRetries: 2,
-        baseDelay: 1000
+        baseDelay: 1000,
+        timeout: providerContract.getRequestTimeout(requestBody.max_tokens),
+        onRetry: config.onRetry,
+        signal: config.signal
       });
 
       // Parse JSON with error handling
@@ -79,63 +272,55 @@ define(['./retry'], function(retry) {
         throw new Error('Invalid response structure from Anthropic');
       }
 
-      var text = data.content[0].text?.trim() || '';
+      // Empty content is returned as-is for the caller's recovery policy (retry.withEmptyResponseRecovery)
+      var text = extractContentText(data.content);
 
-      // Retry once on empty content (transient API issue)
-      if (!text) {
-        console.log('[Anthropic] Empty content, retrying once...');
+      // Extract usage data if available
+      var usage = data.usage ? readUsage(data.usage) : null;
 
-        await new Promise(function(resolve) { setTimeout(resolve, 500); });
+      var reasoning = data.content
+        .filter(function(block) { return block.type === 'thinking' && block.thinking; })
+        .map(function(block) { return block.thinking; })
+        .join('\n\n');
 
-        const retryResponse = await retry.fetchWithRetry(API_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': config.apiKey,
-            'anthropic-version': '2023-06-01',
-            'anthropic-dangerous-direct-browser-access': 'true'
-          },
-          body: JSON.stringify(requestBody)
-        }, {
-          maxRetries: 1,
-          baseDelay: 500
-        });
+      return withReasoning({ text: text, usage: usage }, reasoning);
+    },
 
-        let retryData;
-        try {
-          retryData = await retryResponse.json();
-        } catch (e) {
-          console.log('[Anthropic] Retry parse failed:', e.message);
-        }
-
-        if (retryData && retryData.content && retryData.content[0]) {
-          text = retryData.content[0].text?.trim() || '';
-          if (text) {
-            console.log('[Anthropic] Retry succeeded');
-            if (retryData.usage) {
-              data.usage = retryData.usage;
-            }
-          }
-        }
+    /**
+     * List models from the /v1/models endpoint (newest first)
+     * @param {Object} config - { apiKey, proxy }
+     * @returns {Promise<Array>} [{ value, label }]
+     */
+    async listModels(config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Anthropic API key is required');
       }
+      const target = proxy.route('anthropic', MODELS_URL, {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }, config.proxy);
+      const response = await retry.fetchWithRetry(target.url, {
+        method: 'GET',
+        headers: target.headers
+      }, {
+        maxRetries: 1,
+        baseDelay: 1000
+      });
 
-      // Fall back if still empty
-      if (!text) {
-        console.log('[Anthropic] Empty content after retry');
-        text = 'No summary generated';
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Anthropic model list: ' + parseError.message);
       }
-
-      // Extract usage data if available
-      var usage = null;
-      if (data.usage) {
-        usage = {
-          inputTokens: data.usage.input_tokens || 0,
-          outputTokens: data.usage.output_tokens || 0,
-          totalTokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0)
-        };
+      if (!data || !Array.isArray(data.data)) {
+        throw new Error('Invalid model list from Anthropic');
       }
 
-      return { text: text, usage: usage };
+      return data.data.map(function(entry) {
+        return { value: entry.id, label: entry.display_name || entry.id };
+      });
     },
 
     /**
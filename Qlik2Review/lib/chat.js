@@ -0,0 +1,151 @@
+define(['./engine', './analyzer', './prompt-builder', './logger', './token-tracker', './retry'], function(engineService, analyzer, promptBuilder, logger, tokenTracker, retry) {
+  'use strict';
+
+  /**
+   * Sheet Chat - Follow-up questions grounded in the last analysis
+   * The model can ask for more hypercube rows with a FETCH_ROWS line; rows are fetched
+   * through the engine and the question is asked again with them included.
+   */
+
+  // Fetch rounds per question before the model must answer with what it has
+  var MAX_FETCH_ROUNDS = 2;
+
+  // Rows per FETCH_ROWS request
+  var MAX_FETCH_ROWS = 200;
+
+  // Messages (questions + answers) kept per sheet and sent as history
+  var HISTORY_LIMIT = 20;
+
+  var FETCH_PATTERN = /FETCH_ROWS\s*(\{[^}]*\})/;
+
+  /**
+   * Parse a FETCH_ROWS request from a model reply
+   * @param {string} text - Model reply
+   * @returns {Object|null} { objectId, offset, count } or null when the reply is an answer
+   */
+  function parseFetchRequest(text) {
+    var match = FETCH_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    try {
+      var request = JSON.parse(match[1]);
+      if (!request.objectId) return null;
+      return {
+        objectId: String(request.objectId),
+        offset: Math.max(0, parseInt(request.offset, 10) || 0),
+        count: Math.max(1, Math.min(parseInt(request.count, 10) || 50, MAX_FETCH_ROWS))
+      };
+    } catch (e) {
+      logger.debug('Ignoring malformed FETCH_ROWS request:', match[1]);
+      return null;
+    }
+  }
+
+  return {
+    HISTORY_LIMIT: HISTORY_LIMIT,
+    parseFetchRequest: parseFetchRequest,
+
+    /**
+     * Trim a conversation to the most recent messages
+     * @param {Array} messages - Messages { role, text, timestamp }
+     * @returns {Array}
+     */
+    trimHistory: function(messages) {
+      return (messages || []).slice(-HISTORY_LIMIT);
+    },
+
+    /**
+     * Answer a question about the analyzed sheet
+     * @param {Object} app - Qlik app object
+     * @param {Object} context - { objects, objectSummaries, sheetSummary, selections }
+     * @param {Array} history - Earlier messages { role: 'user' | 'assistant', text }
+     * @param {string} question - The new question
+     * @param {Object} config - Analysis configuration (provider, fallbacks, language, dataFormat, ...)
+     * @param {boolean} [config.chatAllowFetch] - Let the model request more rows (default: true)
+     * @param {AbortSignal} [config.signal] - Stops the question, including its fetch rounds; throws a cancel error
+     *   carrying the usage of every round so far
+     * @param {Function} [onStatus] - Progress callback (message)
+     * @returns {Promise<Object>} { text, usage, provider, model, fallback, fetched: [{ objectId, top, rows }] }
+     */
+    ask: async function(app, context, history, question, config, onStatus) {
+      var usage = tokenTracker.createEmptyUsage();
+      try {
+        return await this.answer(app, context, history, question, config, onStatus, usage);
+      } catch (err) {
+        if (!retry.isCancelError(err)) throw err;
+        tokenTracker.addUsage(usage, err.usage);
+        throw retry.createCancelError(usage);
+      }
+    },
+
+    /**
+     * Question rounds of ask(); usage collects the tokens of each round
+     * @private
+     */
+    answer: async function(app, context, history, question, config, onStatus, usage) {
+      var chain = analyzer.buildTaskChain(config, 'chat');
+      var generation = Object.assign({}, analyzer.getGenerationSettings(config, 'chat'), { signal: config.signal });
+      var fetchedPages = [];
+      var seen = {};
+      var maxRounds = config.chatAllowFetch === false ? 0 : MAX_FETCH_ROUNDS;
+
+      for (var round = 0; ; round++) {
+        var allowFetch = round < maxRounds;
+        var prompt = promptBuilder.buildChatPrompt(
+          context,
+          this.trimHistory(history),
+          question,
+          fetchedPages,
+          config.language || 'en',
+          config.dataFormat || 'compressed',
+          allowFetch
+        );
+        logger.debug('Chat prompt length:', prompt.length, '(round ' + (round + 1) + ')');
+
+        var response = await analyzer.generateWithFallback(chain, prompt, generation);
+        tokenTracker.addUsage(usage, response.usage);
+
+        var request = allowFetch ? parseFetchRequest(response.text) : null;
+        var key = request && request.objectId + ':' + request.offset + ':' + request.count;
+
+        // A repeated request would loop - make the model answer with what it has
+        if (request && seen[key]) {
+          maxRounds = round + 1;
+          continue;
+        }
+
+        if (!request) {
+          return {
+            text: response.text.replace(FETCH_PATTERN, '').trim(),
+            usage: usage,
+            provider: response.provider,
+            model: response.model,
+            fallback: response.fallback,
+            fetched: fetchedPages.filter(function(p) { return !p.error; }).map(function(p) {
+              return { objectId: p.objectId, top: p.top, rows: p.rows.length };
+            })
+          };
+        }
+        seen[key] = true;
+
+        retry.throwIfCancelled(config.signal);
+        if (onStatus) onStatus('Fetching rows from ' + request.objectId + '...');
+        logger.info('Chat requested rows:', request.objectId, 'offset', request.offset, 'count', request.count);
+
+        try {
+          var page = await engineService.getHyperCubePage(app, request.objectId, request.offset, request.count);
+          if (page.rows.length === 0) {
+            fetchedPages.push({ objectId: request.objectId, error: 'no rows at offset ' + request.offset + ' (total ' + page.totalRows + ')' });
+          } else {
+            fetchedPages.push(Object.assign({ objectId: request.objectId }, page));
+          }
+        } catch (err) {
+          logger.warn('Chat row fetch failed for', request.objectId + ':', err.message);
+          fetchedPages.push({ objectId: request.objectId, error: err.message });
+        }
+
+        if (onStatus) onStatus('Thinking...');
+      }
+    }
+  };
+});
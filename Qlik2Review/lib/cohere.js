@@ -0,0 +1,270 @@
+define(['./retry', './event-stream', './provider-contract', './proxy'], function(retry, eventStream, providerContract, proxy) {
+  'use strict';
+
+  const DEFAULT_MODEL = 'command-r-08-2024';  // Cost-effective, strong at data summaries
+  const API_URL = 'https://api.cohere.com/v2/chat';
+  const MODELS_URL = 'https://api.cohere.com/v1/models?endpoint=chat&page_size=1000';
+
+  const CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 1,
+    jsonMode: true,      // Via response_format json_object + json_schema
+    streaming: true,
+    vision: false,
+    contextWindow: 128000,
+    tokenParam: 'max_tokens'
+  };
+
+  // Model-specific overrides (later entries win)
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['command-a'], capabilities: { contextWindow: 256000 } },
+    { prefixes: ['command-a-vision'], capabilities: { vision: true, jsonMode: false } }
+  ];
+
+  /**
+   * Read token counts from a Cohere usage object
+   * @param {Object} usage - Response usage ({ tokens, billed_units })
+   * @returns {Object|null} { inputTokens, outputTokens, totalTokens }
+   */
+  function parseUsage(usage) {
+    var counts = usage && (usage.billed_units || usage.tokens);
+    if (!counts) return null;
+    var inputTokens = counts.input_tokens || 0;
+    var outputTokens = counts.output_tokens || 0;
+    return {
+      inputTokens: inputTokens,
+      outputTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Build the user message content, adding images as data-URL parts
+   * @param {string} prompt - The prompt to send
+   * @param {Array<Object>} [images] - Images { mimeType, data } with base64 data
+   * @param {Object} capabilities - Resolved capability descriptor
+   * @returns {string|Array<Object>} Plain prompt, or content parts when images are attached
+   */
+  function buildUserContent(prompt, images, capabilities) {
+    if (!images || images.length === 0 || !capabilities.vision) {
+      return prompt;
+    }
+    var parts = [{ type: 'text', text: prompt }];
+    images.forEach(function(image) {
+      parts.push({
+        type: 'image_url',
+        image_url: { url: 'data:' + image.mimeType + ';base64,' + image.data }
+      });
+    });
+    return parts;
+  }
+
+  /**
+   * Read a streamed v2 chat response
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onToken - Callback (delta, fullText) for each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async function readChatStream(response, onToken) {
+    var text = '';
+    var usage = null;
+
+    await eventStream.readEventStream(response, function(eventName, event) {
+      var type = event.type || eventName;
+      if (type === 'content-delta') {
+        var delta = event.delta && event.delta.message && event.delta.message.content &&
+          event.delta.message.content.text;
+        if (delta) {
+          text += delta;
+          onToken(delta, text);
+        }
+      } else if (type === 'message-end' && event.delta) {
+        usage = parseUsage(event.delta.usage);
+      }
+    });
+
+    return { text: text.trim(), usage: usage };
+  }
+
+  /**
+   * Cohere Provider Service
+   */
+  return {
+    name: 'cohere',
+    displayName: 'Cohere',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
+
+    /**
+     * Generate summary using Cohere v2 Chat API
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - Configuration object
+     * @param {string} config.apiKey - Cohere API key
+     * @param {string} [config.model] - Model to use (default: command-r-08-2024)
+     * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor, sent as response_format
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } for vision models
+     * @param {string} [config.system] - System prompt
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {Object} [config.proxy] - Resolved relay { url, token } used instead of the API key (see proxy.js)
+     * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay); used by the rate limiter
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async generateSummary(prompt, config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Cohere API key is required');
+      }
+
+      const model = config.model || DEFAULT_MODEL;
+      const maxTokens = config.maxTokens || 150;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
+      const target = proxy.route('cohere', API_URL, {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.apiKey}`
+      }, config.proxy);
+
+      const messages = [];
+      if (config.system && capabilities.systemRole) {
+        messages.push({ role: 'system', content: config.system });
+      }
+      messages.push({ role: 'user', content: buildUserContent(prompt, config.images, capabilities) });
+
+      const requestBody = {
+        model: model,
+        messages: messages,
+        max_tokens: maxTokens
+      };
+
+      if (capabilities.temperature) {
+        requestBody.temperature = config.temperature !== undefined ? config.temperature : 0.3;
+      }
+      // Cohere accepts p between 0.01 and 0.99
+      if (capabilities.topP && config.topP !== undefined && config.topP < 1) {
+        requestBody.p = Math.max(0.01, Math.min(config.topP, 0.99));
+      }
+
+      // Structured output - JSON constrained by the schema
+      if (config.responseSchema && capabilities.jsonMode) {
+        requestBody.response_format = {
+          type: 'json_object',
+          json_schema: config.responseSchema.schema
+        };
+      }
+
+      // Stream tokens as they arrive when a callback is provided
+      if (typeof config.onToken === 'function' && eventStream.isSupported()) {
+        const streamResponse = await retry.fetchWithRetry(target.url, {
+          method: 'POST',
+          headers: target.headers,
+          body: JSON.stringify(Object.assign({}, requestBody, { stream: true }))
+        }, {
+          maxRetries: 2,
+          baseDelay: 1000,
+          onRetry: config.onRetry,
+          signal: config.signal
+        });
+
+        return readChatStream(streamResponse, config.onToken);
+      }
+
+      // Use retry logic for resilient API calls
+      const response = await retry.fetchWithRetry(target.url, {
+        method: 'POST',
+        headers: target.headers,
+        body: JSON.stringify(requestBody)
+      }, {
+        maxRetries: 2,
+        baseDelay: 1000,
+        timeout: providerContract.getRequestTimeout(maxTokens),
+        onRetry: config.onRetry,
+        signal: config.signal
+      });
+
+      // Parse JSON with error handling
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Cohere response: ' + parseError.message);
+      }
+
+      // Validate response structure
+      if (!data.message || !Array.isArray(data.message.content)) {
+        console.log('[Cohere] Unexpected response structure:', JSON.stringify(data).substring(0, 500));
+        throw new Error('Invalid response structure from Cohere');
+      }
+
+      // Empty content is returned as-is for the caller's recovery policy (retry.withEmptyResponseRecovery)
+      var text = data.message.content
+        .filter(function(block) { return block.type === 'text'; })
+        .map(function(block) { return block.text; })
+        .join('')
+        .trim();
+
+      return { text: text, usage: parseUsage(data.usage) };
+    },
+
+    /**
+     * List models that support the chat endpoint
+     * @param {Object} config - { apiKey, proxy }
+     * @returns {Promise<Array>} [{ value, label, contextWindow }]
+     */
+    async listModels(config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Cohere API key is required');
+      }
+      const target = proxy.route('cohere', MODELS_URL, {
+        'Authorization': `Bearer ${config.apiKey}`
+      }, config.proxy);
+      const response = await retry.fetchWithRetry(target.url, {
+        method: 'GET',
+        headers: target.headers
+      }, {
+        maxRetries: 1,
+        baseDelay: 1000
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Cohere model list: ' + parseError.message);
+      }
+      if (!data || !Array.isArray(data.models)) {
+        throw new Error('Invalid model list from Cohere');
+      }
+
+      return data.models.map(function(entry) {
+        return { value: entry.name, label: entry.name, contextWindow: entry.context_length || null };
+      });
+    },
+
+    /**
+     * Validate API key format
+     * @param {string} apiKey
+     * @returns {boolean}
+     */
+    validateApiKey(apiKey) {
+      // Cohere API keys are typically 40 characters
+      return !!apiKey && apiKey.trim().length >= 30;
+    },
+
+    /**
+     * Get available models
+     * @returns {Array}
+     */
+    getModels() {
+      return [
+        { value: 'command-r7b-12-2024', label: 'Command R7B (Fast, Cheap)' },
+        { value: 'command-r-08-2024', label: 'Command R (Default, Balanced)' },
+        { value: 'command-r-plus-08-2024', label: 'Command R+ (Powerful)' },
+        { value: 'command-a-03-2025', label: 'Command A (Most Powerful)' }
+      ];
+    }
+  };
+});
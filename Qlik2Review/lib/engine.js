@@ -1,6 +1,79 @@
 define(['qlik', './logger'], function(qlik, logger) {
   'use strict';
 
+  // The engine returns at most 10,000 cells in one data page
+  const MAX_PAGE_CELLS = 10000;
+
+  // A sheet list that has not answered by then is reported as empty
+  const SHEET_LIST_TIMEOUT_MS = 15000;
+
+  // Dimension tags and names that mark a time axis (period-over-period delta)
+  const PERIOD_TAGS = ['$date', '$timestamp', '$year', '$quarter', '$month', '$week'];
+  const PERIOD_NAME = /year|quarter|month|week|date|period/i;
+
+  // qNumFormat.qType codes
+  const NUM_FORMAT_TYPES = {
+    I: 'integer', R: 'number', F: 'fixed', M: 'money', D: 'date', T: 'time', TS: 'timestamp', IV: 'interval'
+  };
+  const SORT_DIRECTIONS = { A: 'asc', D: 'desc' };
+
+  /**
+   * Read a column's number format
+   * @param {Object} info - qDimensionInfo or qMeasureInfo entry
+   * @returns {Object|null} { type, pattern, decimals }, or null for automatic formatting
+   */
+  function readNumFormat(info) {
+    var fmt = info.qNumFormat;
+    if (!fmt || !NUM_FORMAT_TYPES[fmt.qType]) return null;
+    return {
+      type: NUM_FORMAT_TYPES[fmt.qType],
+      pattern: fmt.qFmt || '',
+      decimals: typeof fmt.qnDec === 'number' ? fmt.qnDec : null
+    };
+  }
+
+  /**
+   * Unit a number format implies
+   * @param {Object|null} numFormat - From readNumFormat
+   * @returns {string|null} 'percent', 'currency' or null
+   */
+  function readUnit(numFormat) {
+    if (!numFormat) return null;
+    var positive = numFormat.pattern.split(';')[0];
+    if (positive.indexOf('%') !== -1) return 'percent';
+    if (numFormat.type === 'money' || /[$€£¥₹]/.test(positive)) return 'currency';
+    return null;
+  }
+
+  /**
+   * Field reference for an expression: Region -> [Region]
+   * @param {string} field - Field name (already bracketed names are kept)
+   * @returns {string}
+   */
+  function fieldRef(field) {
+    if (field.charAt(0) === '[' && field.charAt(field.length - 1) === ']') return field;
+    return '[' + field.replace(/]/g, ']]') + ']';
+  }
+
+  /**
+   * Numeric engine value, or null for NaN and missing values
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function toNumber(value) {
+    return typeof value === 'number' && isFinite(value) ? value : null;
+  }
+
+  /**
+   * Check whether a dimension is a time axis
+   * @param {Object} dim - objectInfo dimension { label, field, tags }
+   * @returns {boolean}
+   */
+  function isPeriodDimension(dim) {
+    var tagged = (dim.tags || []).some(function(tag) { return PERIOD_TAGS.indexOf(tag) !== -1; });
+    return tagged || PERIOD_NAME.test(dim.field) || PERIOD_NAME.test(dim.label);
+  }
+
   /**
    * Engine Service - Handles communication with Qlik Engine API
    * Works with both Cloud and On-Premise environments
@@ -183,7 +256,6 @@ define(['qlik', './logger'], function(qlik, logger) {
      * @returns {Promise<Array>} Array of sheet objects with metadata
      */
     getSheetObjects: async function(app, extensionId, rowLimit) {
-      var self = this;
       var maxRows = rowLimit || 50;
 
       // Try to get sheetId, but don't fail if we can't
@@ -212,11 +284,25 @@ define(['qlik', './logger'], function(qlik, logger) {
         return [];
       }
 
+      return this.getObjectsOnSheet(app, sheetId, maxRows);
+    },
+
+    /**
+     * Get all visualization objects on a given sheet (including nested in containers)
+     * @param {Object} app - Qlik app object
+     * @param {string} sheetId - Sheet ID
+     * @param {number} rowLimit - Maximum rows to extract per object (default: 50)
+     * @returns {Promise<Array>} Array of sheet objects with metadata
+     */
+    getObjectsOnSheet: function(app, sheetId, rowLimit) {
+      var self = this;
+      var maxRows = rowLimit || 50;
+
       return new Promise(function(resolve, reject) {
         app.getObject(sheetId).then(function(sheetModel) {
           sheetModel.getLayout().then(async function(layout) {
             var cells = layout.cells || [];
-            logger.info('Found', cells.length, 'top-level cells on sheet');
+            logger.info('Found', cells.length, 'top-level cells on sheet', sheetId);
 
             try {
               // Get all objects including nested ones in containers
@@ -245,6 +331,60 @@ define(['qlik', './logger'], function(qlik, logger) {
       });
     },
 
+    /**
+     * List the app's sheets in the order shown in the sheet navigator
+     * getList creates a session object that calls back again on every change; it is removed
+     * after the first reply, and later replies are ignored.
+     * @param {Object} app - Qlik app object
+     * @returns {Promise<Array>} [{ id, title, rank }] (empty when the list fails or times out)
+     */
+    getSheetList: function(app) {
+      return new Promise(function(resolve) {
+        var replied = false;
+        var timer = setTimeout(function() {
+          logger.error('Sheet list did not answer within', SHEET_LIST_TIMEOUT_MS / 1000, 'seconds');
+          resolve([]);
+        }, SHEET_LIST_TIMEOUT_MS);
+
+        // A closed engine or missing access fails the list at once instead of waiting for the timeout
+        function fail(err) {
+          if (replied) return;
+          replied = true;
+          clearTimeout(timer);
+          logger.error('Error listing sheets:', err && err.message);
+          resolve([]);
+        }
+
+        try {
+          Promise.resolve(app.getList('sheet', function(reply) {
+            if (replied) return;
+            replied = true;
+            clearTimeout(timer);
+            if (reply.qInfo && reply.qInfo.qId) {
+              Promise.resolve(app.destroySessionObject(reply.qInfo.qId)).catch(function(err) {
+                logger.debug('Could not remove sheet list session object:', err.message);
+              });
+            }
+
+            var items = (reply.qAppObjectList && reply.qAppObjectList.qItems) || [];
+            var sheets = items.map(function(item, index) {
+              var rank = item.qData && typeof item.qData.rank === 'number' ? item.qData.rank : index;
+              return {
+                id: item.qInfo.qId,
+                title: (item.qMeta && item.qMeta.title) || (item.qData && item.qData.title) || item.qInfo.qId,
+                rank: rank
+              };
+            });
+            sheets.sort(function(a, b) { return a.rank - b.rank; });
+            logger.info('Found', sheets.length, 'sheets in app');
+            resolve(sheets);
+          })).catch(fail);
+        } catch (err) {
+          fail(err);
+        }
+      });
+    },
+
     /**
      * Find sheet ID by searching for a sheet that contains the given extension ID
      * @param {Object} app - Qlik app object
@@ -518,20 +658,30 @@ define(['qlik', './logger'], function(qlik, logger) {
               showHoverMenu: showHoverMenu, // Native Qlik setting for this object
               dimensions: [],
               measures: [],
-              data: null
+              data: null,
+              totalRows: null, // qSize.qcy - rows in the hypercube, when the engine reports it
+              hierarchy: null, // Row/column layout of pivot and stacked data (see fetchPivotRows)
+              // Rows the chart hides, carried over to the engine statistics session object
+              suppressZero: !!(props.qHyperCubeDef && props.qHyperCubeDef.qSuppressZero),
+              suppressMissing: !!(props.qHyperCubeDef && props.qHyperCubeDef.qSuppressMissing)
             };
 
             logger.info('Object', objectId, 'type:', objectInfo.type, 'showHoverMenu:', showHoverMenu);
 
             // Extract dimension info
             if (layout.qHyperCube) {
-              objectInfo.dimensions = (layout.qHyperCube.qDimensionInfo || []).map(function(dim) {
+              var dimDefs = (props.qHyperCubeDef && props.qHyperCubeDef.qDimensions) || [];
+              objectInfo.dimensions = (layout.qHyperCube.qDimensionInfo || []).map(function(dim, idx) {
                 // qGroupFieldDefs contains the actual field expression like ["Product"] or ["=Year(Date)"]
                 var fieldDef = dim.qGroupFieldDefs && dim.qGroupFieldDefs[0];
                 return {
                   label: dim.qFallbackTitle || fieldDef || 'Dimension',
                   field: fieldDef || dim.qFallbackTitle || 'Dimension',
-                  cardinality: dim.qCardinal || 0
+                  cardinality: dim.qCardinal || 0,
+                  tags: dim.qTags || [],
+                  numFormat: readNumFormat(dim),
+                  nullSuppression: !!(dimDefs[idx] && dimDefs[idx].qNullSuppression),
+                  sort: null // { priority, direction } - see below
                 };
               });
 
@@ -553,47 +703,48 @@ define(['qlik', './logger'], function(qlik, logger) {
                     libId = measDefs[idx].qLibraryId;
                   }
                 }
+                var numFormat = readNumFormat(meas);
+                var grandTotal = (layout.qHyperCube.qGrandTotalRow || [])[idx];
                 return {
                   label: meas.qFallbackTitle || 'Measure',
                   expression: expr,
                   libraryId: libId,
                   min: meas.qMin,
-                  max: meas.qMax
+                  max: meas.qMax,
+                  numFormat: numFormat,
+                  unit: readUnit(numFormat),
+                  grandTotal: grandTotal ? { text: grandTotal.qText, num: grandTotal.qNum } : null,
+                  sort: null
                 };
               });
 
-              // Check if we have data in layout, if not fetch it explicitly (needed for tables)
-              var dataPages = layout.qHyperCube.qDataPages || [];
-              var hasData = dataPages.length > 0 && dataPages[0].qMatrix && dataPages[0].qMatrix.length > 0;
-
-              if (!hasData && (objectInfo.type === 'table' || objectInfo.type === 'pivot-table')) {
-                // Tables often don't have data pre-loaded - fetch it explicitly
-                logger.debug('Fetching hypercube data for table:', objectId, '(limit:', maxRows, ')');
-                var totalCols = objectInfo.dimensions.length + objectInfo.measures.length;
-                var fetchedData = await new Promise(function(resolveData) {
-                  model.getHyperCubeData('/qHyperCubeDef', [
-                    { qTop: 0, qLeft: 0, qWidth: totalCols, qHeight: Math.min(maxRows, 500) }
-                  ]).then(function(pages) {
-                    resolveData(pages);
-                  }).catch(function(err) {
-                    logger.debug('getHyperCubeData failed:', err.message);
-                    resolveData(null);
-                  });
-                });
+              // Sort priority over dimensions then measures, with each column's direction
+              var sortOrder = (props.qHyperCubeDef && props.qHyperCubeDef.qInterColumnSortOrder) ||
+                              layout.qHyperCube.qEffectiveInterColumnSortOrder || [];
+              var columns = objectInfo.dimensions.concat(objectInfo.measures);
+              var columnInfo = (layout.qHyperCube.qDimensionInfo || []).concat(layout.qHyperCube.qMeasureInfo || []);
+              sortOrder.filter(function(col) {
+                return col >= 0 && col < columns.length; // -1 is the measure pseudo-dimension
+              }).forEach(function(col, priority) {
+                columns[col].sort = { priority: priority, direction: SORT_DIRECTIONS[columnInfo[col].qSortIndicator] || null };
+              });
 
-                if (fetchedData && fetchedData[0] && fetchedData[0].qMatrix) {
-                  objectInfo.data = self.extractHyperCubeDataFromMatrix(
-                    fetchedData[0].qMatrix,
-                    objectInfo.dimensions.length,
-                    objectInfo.measures.length,
-                    maxRows
-                  );
-                  logger.debug('Fetched', objectInfo.data.length, 'rows for table', objectId);
-                }
+              // Pivot ('P') and stacked ('K') hypercubes have their own data pages; straight ones
+              // are paged in up to the row limit - the layout holds only the initial data fetch
+              var fetched;
+              if (layout.qHyperCube.qMode === 'P') {
+                fetched = await self.fetchPivotRows(model, layout.qHyperCube,
+                  objectInfo.dimensions, objectInfo.measures, maxRows);
+              } else if (layout.qHyperCube.qMode === 'K') {
+                fetched = await self.fetchStackedRows(model, layout.qHyperCube,
+                  objectInfo.dimensions, objectInfo.measures, maxRows);
               } else {
-                // Get actual data from hypercube (already in layout)
-                objectInfo.data = self.extractHyperCubeData(layout.qHyperCube, maxRows);
+                fetched = await self.fetchHyperCubeRows(model, layout.qHyperCube,
+                  objectInfo.dimensions.length, objectInfo.measures.length, maxRows);
               }
+              objectInfo.data = fetched.data;
+              objectInfo.totalRows = fetched.totalRows;
+              objectInfo.hierarchy = fetched.hierarchy || null;
 
               logger.debug('Object', objectId, 'has', objectInfo.dimensions.length, 'dimensions,',
                 objectInfo.measures.length, 'measures,', (objectInfo.data ? objectInfo.data.length : 0), 'data rows');
@@ -630,6 +781,409 @@ define(['qlik', './logger'], function(qlik, logger) {
       });
     },
 
+    /**
+     * Read hypercube rows up to the row limit, fetching pages beyond the layout's initial data
+     * Only a leading layout page (from row 0, all columns) is reused; a scrolled window is fetched again.
+     * @param {Object} model - Object model
+     * @param {Object} hyperCube - layout.qHyperCube
+     * @param {number} dimCount - Number of dimensions
+     * @param {number} measCount - Number of measures
+     * @param {number} rowLimit - Maximum rows to read
+     * @returns {Promise<Object>} { data, totalRows } - data is null when nothing could be read,
+     *   totalRows is qSize.qcy (null when the engine does not report it)
+     */
+    fetchHyperCubeRows: async function(model, hyperCube, dimCount, measCount, rowLimit) {
+      var width = dimCount + measCount;
+      var totalRows = hyperCube.qSize && typeof hyperCube.qSize.qcy === 'number' ? hyperCube.qSize.qcy : null;
+      var target = totalRows === null ? rowLimit : Math.min(rowLimit, totalRows);
+
+      var firstPage = (hyperCube.qDataPages || [])[0];
+      var area = firstPage && firstPage.qArea;
+      var isLeading = !area || (area.qTop === 0 && area.qLeft === 0 && area.qWidth >= width);
+      var matrix = firstPage && isLeading && firstPage.qMatrix ? firstPage.qMatrix.slice(0, target) : [];
+      var failed = false;
+
+      // Without qSize the total is unknown: fetch only when the layout brought no rows
+      var needsFetch = totalRows === null ? matrix.length === 0 : matrix.length < target;
+      if (width > 0 && needsFetch) {
+        var pageHeight = Math.max(1, Math.floor(MAX_PAGE_CELLS / width));
+        while (matrix.length < target) {
+          var height = Math.min(pageHeight, target - matrix.length);
+          logger.debug('Fetching hypercube rows', matrix.length, 'to', matrix.length + height, '(total:', totalRows, ')');
+          var pages;
+          try {
+            pages = await model.getHyperCubeData('/qHyperCubeDef', [
+              { qTop: matrix.length, qLeft: 0, qWidth: width, qHeight: height }
+            ]);
+          } catch (err) {
+            logger.debug('getHyperCubeData failed:', err.message);
+            failed = true;
+            break;
+          }
+          var rows = pages && pages[0] && pages[0].qMatrix ? pages[0].qMatrix : [];
+          matrix = matrix.concat(rows);
+          // A short page means the engine has no more rows
+          if (rows.length < height) break;
+        }
+      }
+
+      return {
+        data: failed && matrix.length === 0 ? null : this.extractHyperCubeDataFromMatrix(matrix, dimCount, measCount, rowLimit),
+        totalRows: totalRows
+      };
+    },
+
+    /**
+     * Read a pivot hypercube (qMode 'P') as flat rows, fetching its first page when the layout lacks it
+     * Each left-header leaf becomes a row: dimensions hold its path through the row dimensions
+     * ('' below a collapsed node), measures hold one cell per top-header leaf. Rows carry level
+     * (path depth) and isTotal (the path crosses a total node) so totals can be told from detail rows.
+     * @param {Object} model - Object model
+     * @param {Object} hyperCube - layout.qHyperCube
+     * @param {Array} dimensions - objectInfo.dimensions (left dimensions first)
+     * @param {Array} measures - objectInfo.measures
+     * @param {number} rowLimit - Maximum rows to read
+     * @returns {Promise<Object>} { data, totalRows, hierarchy } - hierarchy is
+     *   { mode: 'pivot', rowDimensions, columnDimensions, columns } with { label } entries;
+     *   columns label the measures cells of each row
+     */
+    fetchPivotRows: async function(model, hyperCube, dimensions, measures, rowLimit) {
+      var size = hyperCube.qSize || {};
+      var totalRows = typeof size.qcy === 'number' ? size.qcy : null;
+      var height = totalRows === null ? rowLimit : Math.min(rowLimit, totalRows);
+      var leftCount = typeof hyperCube.qNoOfLeftDims === 'number' ? hyperCube.qNoOfLeftDims : dimensions.length;
+
+      var page = (hyperCube.qPivotDataPages || [])[0];
+      var area = page && page.qArea;
+      var rowsInLayout = page && page.qData ? page.qData.length : 0;
+      var isLeading = !area || (area.qTop === 0 && area.qLeft === 0);
+      var failed = false;
+
+      if (height > 0 && !(isLeading && rowsInLayout > 0 && (totalRows === null || rowsInLayout >= height))) {
+        // One page from the top-left corner; columns beyond the cell limit are left out
+        var width = Math.max(1, Math.min(size.qcx || MAX_PAGE_CELLS, Math.floor(MAX_PAGE_CELLS / height)));
+        logger.debug('Fetching pivot page (rows:', height, ', columns:', width, ', total:', totalRows, ')');
+        try {
+          var pages = await model.getHyperCubePivotData('/qHyperCubeDef', [
+            { qTop: 0, qLeft: 0, qWidth: width, qHeight: height }
+          ]);
+          page = pages && pages[0];
+        } catch (err) {
+          logger.debug('getHyperCubePivotData failed:', err.message);
+          page = null;
+          failed = true;
+        }
+      }
+
+      var hierarchy = {
+        mode: 'pivot',
+        rowDimensions: dimensions.slice(0, leftCount).map(function(dim) { return { label: dim.label }; }),
+        columnDimensions: dimensions.slice(leftCount).map(function(dim) { return { label: dim.label }; }),
+        columns: measures.map(function(meas) { return { label: meas.label }; })
+      };
+      if (!page || !page.qData || height === 0) {
+        return { data: failed ? null : [], totalRows: totalRows, hierarchy: hierarchy };
+      }
+
+      // The measure names ('P' nodes) form a level of their own when there are several measures
+      var pseudoLevel = -1;
+      function collectLeaves(nodes, path, isTotal, leaves) {
+        (nodes || []).forEach(function(node) {
+          if (node.qType === 'P') pseudoLevel = path.length;
+          var nodePath = path.concat(node.qType === 'E' ? '' : node.qText);
+          var total = isTotal || node.qType === 'T';
+          if (node.qSubNodes && node.qSubNodes.length > 0) {
+            collectLeaves(node.qSubNodes, nodePath, total, leaves);
+          } else {
+            leaves.push({ path: nodePath, isTotal: total });
+          }
+        });
+        return leaves;
+      }
+
+      var topLeaves = collectLeaves(page.qTop, [], false, []);
+      if (topLeaves.length > 0) {
+        hierarchy.columns = topLeaves.map(function(leaf) { return { label: leaf.path.join(' / ') }; });
+      }
+      pseudoLevel = -1;
+      var leftLeaves = collectLeaves(page.qLeft, [], false, []);
+      if (pseudoLevel !== -1) {
+        hierarchy.rowDimensions.splice(pseudoLevel, 0, { label: 'Measure' });
+      }
+
+      var levels = hierarchy.rowDimensions.length;
+      var data = leftLeaves.slice(0, Math.min(rowLimit, page.qData.length)).map(function(leaf, i) {
+        var path = leaf.path.slice();
+        while (path.length < levels) path.push('');
+        return {
+          dimensions: path,
+          measures: (page.qData[i] || []).map(function(cell) {
+            return { text: cell ? cell.qText : '', num: cell ? cell.qNum : null };
+          }),
+          level: leaf.path.length,
+          isTotal: leaf.isTotal
+        };
+      });
+      logger.debug('Flattened', data.length, 'pivot rows with', hierarchy.columns.length, 'columns');
+
+      return { data: data, totalRows: totalRows, hierarchy: hierarchy };
+    },
+
+    /**
+     * Read a stacked hypercube (qMode 'K', stacked bar charts) as flat rows
+     * The stacked tree nests one level per dimension with the measure cells below the last one;
+     * each path to the measures becomes a row with level and isTotal as in fetchPivotRows.
+     * qSize counts first-dimension values, not flattened rows, so totalRows is not reported.
+     * @param {Object} model - Object model
+     * @param {Object} hyperCube - layout.qHyperCube
+     * @param {Array} dimensions - objectInfo.dimensions
+     * @param {Array} measures - objectInfo.measures
+     * @param {number} rowLimit - Maximum rows to read
+     * @returns {Promise<Object>} { data, totalRows: null, hierarchy } - hierarchy.mode is 'stacked'
+     */
+    fetchStackedRows: async function(model, hyperCube, dimensions, measures, rowLimit) {
+      var size = hyperCube.qSize || {};
+      var page = (hyperCube.qStackedDataPages || [])[0];
+      var failed = false;
+
+      if (!page || !page.qData || page.qData.length === 0) {
+        var width = Math.max(1, Math.min(size.qcx || MAX_PAGE_CELLS, Math.floor(MAX_PAGE_CELLS / rowLimit)));
+        logger.debug('Fetching stacked page (rows:', rowLimit, ', columns:', width, ')');
+        try {
+          var pages = await model.getHyperCubeStackData('/qHyperCubeDef', [
+            { qTop: 0, qLeft: 0, qWidth: width, qHeight: rowLimit }
+          ], MAX_PAGE_CELLS);
+          page = pages && pages[0];
+        } catch (err) {
+          logger.debug('getHyperCubeStackData failed:', err.message);
+          page = null;
+          failed = true;
+        }
+      }
+
+      var hierarchy = {
+        mode: 'stacked',
+        rowDimensions: dimensions.map(function(dim) { return { label: dim.label }; }),
+        columnDimensions: [],
+        columns: measures.map(function(meas) { return { label: meas.label }; })
+      };
+      if (!page || !page.qData) {
+        return { data: failed ? null : [], totalRows: null, hierarchy: hierarchy };
+      }
+
+      // The tree hangs off a single root cell
+      var nodes = page.qData;
+      if (nodes.length === 1 && nodes[0].qType === 'R') nodes = nodes[0].qSubNodes || [];
+
+      var data = [];
+      function walk(children, path, isTotal) {
+        (children || []).forEach(function(node) {
+          if (data.length >= rowLimit) return;
+          var nodePath = path.concat(node.qText);
+          var total = isTotal || node.qType === 'T';
+          if (nodePath.length < dimensions.length) {
+            walk(node.qSubNodes, nodePath, total);
+            return;
+          }
+          data.push({
+            dimensions: nodePath,
+            measures: (node.qSubNodes || []).map(function(cell) {
+              return { text: cell.qText, num: cell.qValue };
+            }),
+            level: nodePath.length,
+            isTotal: total
+          });
+        });
+      }
+      walk(nodes, [], false);
+      logger.debug('Flattened', data.length, 'stacked rows');
+
+      return { data: data, totalRows: null, hierarchy: hierarchy };
+    },
+
+    /**
+     * Compute statistics over all rows of each object with Qlik, and attach them as obj.engineStats
+     * Objects without dimensions or measures, and pivot/stacked objects, are left as they are.
+     * @param {Object} app - Qlik app object
+     * @param {Array} objects - Objects from getObjectDetails
+     * @returns {Promise<Array>} The same objects
+     */
+    addEngineStats: async function(app, objects) {
+      if (typeof app.createGenericObject !== 'function') {
+        logger.debug('App cannot create session objects - skipping engine statistics');
+        return objects;
+      }
+      for (var i = 0; i < objects.length; i++) {
+        var obj = objects[i];
+        if (!obj.data || obj.data.length === 0 || obj.hierarchy ||
+            obj.dimensions.length === 0 || obj.measures.length === 0) {
+          continue;
+        }
+        obj.engineStats = await this.getEngineStats(app, obj);
+      }
+      return objects;
+    },
+
+    /**
+     * Compute statistics over every row of an object in a session object with the same dimensions and measures
+     * The session object suppresses the same null and zero rows as the chart, so the stats match what it shows.
+     * Percentiles need the measure expression and plain field dimensions (Aggr); master measures and
+     * calculated dimensions get row count, min/max, totals, top/bottom rows and the period delta only.
+     * The delta compares the last two values of the first dimension when it is a time axis.
+     * @param {Object} app - Qlik app object
+     * @param {Object} obj - Object from getObjectDetails
+     * @returns {Promise<Object|null>} { rowCount, measures: [{ label, min, max, total, avg, median, p25, p75 }],
+     *   top: [{ label, text }], bottom, period: { dimension, last, previous, deltas: [{ label, delta, pct }] } },
+     *   or null when the statistics cannot be computed
+     */
+    getEngineStats: async function(app, obj) {
+      var measureDefs = obj.measures.map(function(meas) {
+        if (meas.libraryId) return { qLibraryId: meas.libraryId };
+        return meas.expression ? { qDef: { qDef: meas.expression } } : null;
+      });
+      if (measureDefs.indexOf(null) !== -1) {
+        logger.debug('Object', obj.id, 'has a measure without expression - skipping engine statistics');
+        return null;
+      }
+
+      var dimCount = obj.dimensions.length;
+      var width = dimCount + obj.measures.length;
+      var canAggr = obj.dimensions.every(function(dim) { return dim.field.charAt(0) !== '='; });
+      var aggrDims = obj.dimensions.map(function(dim) { return fieldRef(dim.field); }).join(', ');
+      var hasPeriod = isPeriodDimension(obj.dimensions[0]);
+
+      // Rows sorted by the first measure, largest first, for the top and bottom rows
+      var sortOrder = [dimCount];
+      for (var c = 0; c < width; c++) {
+        if (c !== dimCount) sortOrder.push(c);
+      }
+      var props = {
+        qInfo: { qType: 'q2r-stats' },
+        qHyperCubeDef: {
+          qDimensions: obj.dimensions.map(function(dim) {
+            return { qDef: { qFieldDefs: [dim.field] }, qNullSuppression: !!dim.nullSuppression };
+          }),
+          qMeasures: measureDefs.map(function(def, idx) {
+            var measure = Object.assign({}, def);
+            if (idx === 0) measure.qSortBy = { qSortByNumeric: -1 };
+            return measure;
+          }),
+          qInterColumnSortOrder: sortOrder,
+          qSuppressZero: !!obj.suppressZero,
+          qSuppressMissing: !!obj.suppressMissing,
+          qInitialDataFetch: []
+        },
+        measureStats: obj.measures.map(function(meas) {
+          if (!canAggr || !meas.expression) return {};
+          var expr = meas.expression.replace(/^\s*=/, '');
+          // Zero rows the chart hides are left out as nulls, which the aggregations skip
+          if (obj.suppressZero) expr = 'If((' + expr + ') <> 0, ' + expr + ')';
+          var aggr = 'Aggr(' + expr + ', ' + aggrDims + ')';
+          return {
+            avg: { qValueExpression: { qExpr: '=Avg(' + aggr + ')' } },
+            median: { qValueExpression: { qExpr: '=Median(' + aggr + ')' } },
+            p25: { qValueExpression: { qExpr: '=Fractile(' + aggr + ', 0.25)' } },
+            p75: { qValueExpression: { qExpr: '=Fractile(' + aggr + ', 0.75)' } }
+          };
+        })
+      };
+      if (hasPeriod) {
+        // One row per period, in time order
+        props.periods = {
+          qHyperCubeDef: {
+            qDimensions: [{
+              qDef: { qFieldDefs: [obj.dimensions[0].field], qSortCriterias: [{ qSortByNumeric: 1, qSortByAscii: 1 }] },
+              qNullSuppression: !!obj.dimensions[0].nullSuppression
+            }],
+            qMeasures: measureDefs,
+            qSuppressZero: !!obj.suppressZero,
+            qSuppressMissing: !!obj.suppressMissing,
+            qInitialDataFetch: []
+          }
+        };
+      }
+
+      var model = null;
+      try {
+        model = await app.createGenericObject(props);
+        var layout = await model.getLayout();
+        var cube = layout.qHyperCube;
+        var rowCount = cube.qSize ? cube.qSize.qcy : 0;
+
+        var stats = {
+          rowCount: rowCount,
+          measures: obj.measures.map(function(meas, idx) {
+            var info = (cube.qMeasureInfo || [])[idx] || {};
+            var total = (cube.qGrandTotalRow || [])[idx];
+            var computed = (layout.measureStats || [])[idx] || {};
+            return {
+              label: meas.label,
+              min: toNumber(info.qMin),
+              max: toNumber(info.qMax),
+              total: total ? toNumber(total.qNum) : null,
+              avg: toNumber(computed.avg),
+              median: toNumber(computed.median),
+              p25: toNumber(computed.p25),
+              p75: toNumber(computed.p75)
+            };
+          }),
+          top: [],
+          bottom: [],
+          period: null
+        };
+
+        if (rowCount > 0) {
+          var edge = Math.min(3, rowCount);
+          var pages = await model.getHyperCubeData('/qHyperCubeDef', [
+            { qTop: 0, qLeft: 0, qWidth: width, qHeight: edge },
+            { qTop: rowCount - edge, qLeft: 0, qWidth: width, qHeight: edge }
+          ]);
+          var toEntry = function(row) {
+            return { label: row[0] ? row[0].qText : '', text: row[dimCount] ? row[dimCount].qText : '' };
+          };
+          stats.top = ((pages[0] && pages[0].qMatrix) || []).map(toEntry);
+          stats.bottom = ((pages[1] && pages[1].qMatrix) || []).map(toEntry).reverse();
+        }
+
+        var periodCount = hasPeriod && layout.periods ? layout.periods.qHyperCube.qSize.qcy : 0;
+        if (periodCount >= 2) {
+          var periodPages = await model.getHyperCubeData('/periods/qHyperCubeDef', [
+            { qTop: periodCount - 2, qLeft: 0, qWidth: 1 + obj.measures.length, qHeight: 2 }
+          ]);
+          var last2 = (periodPages[0] && periodPages[0].qMatrix) || [];
+          if (last2.length === 2) {
+            stats.period = {
+              dimension: obj.dimensions[0].label,
+              previous: last2[0][0].qText,
+              last: last2[1][0].qText,
+              deltas: obj.measures.map(function(meas, idx) {
+                var previous = toNumber(last2[0][idx + 1].qNum);
+                var last = toNumber(last2[1][idx + 1].qNum);
+                var delta = previous === null || last === null ? null : last - previous;
+                return {
+                  label: meas.label,
+                  delta: delta,
+                  pct: delta === null || previous === 0 ? null : delta / Math.abs(previous)
+                };
+              })
+            };
+          }
+        }
+
+        logger.debug('Engine statistics for', obj.id + ':', rowCount, 'rows');
+        return stats;
+      } catch (err) {
+        logger.warn('Engine statistics failed for', obj.id + ':', err.message);
+        return null;
+      } finally {
+        if (model) {
+          Promise.resolve(app.destroySessionObject(model.id)).catch(function(err) {
+            logger.debug('Could not remove statistics session object:', err.message);
+          });
+        }
+      }
+    },
+
     /**
      * Extract data from HyperCube structure
      * @param {Object} hyperCube - Qlik HyperCube object
@@ -653,7 +1207,7 @@ define(['qlik', './logger'], function(qlik, logger) {
     },
 
     /**
-     * Extract data from a matrix (shared by extractHyperCubeData and table fetching)
+     * Extract data from a matrix (shared by extractHyperCubeData and paged fetching)
      * @param {Array} matrix - qMatrix data
      * @param {number} dimCount - Number of dimensions
      * @param {number} measCount - Number of measures
@@ -696,6 +1250,49 @@ define(['qlik', './logger'], function(qlik, logger) {
       return data;
     },
 
+    /**
+     * Fetch a page of hypercube rows for an object (used by sheet chat to read beyond the analyzed sample)
+     * @param {Object} app - Qlik app object
+     * @param {string} objectId - Object ID
+     * @param {number} top - First row to fetch (0-based)
+     * @param {number} height - Number of rows to fetch
+     * @returns {Promise<Object>} { title, dimensions, measures, rows, top, totalRows }
+     */
+    getHyperCubePage: async function(app, objectId, top, height) {
+      var model = await app.getObject(objectId);
+      var layout = await model.getLayout();
+
+      if (!layout.qHyperCube) {
+        throw new Error('Object ' + objectId + ' has no data table');
+      }
+
+      var dimensions = (layout.qHyperCube.qDimensionInfo || []).map(function(dim) {
+        return { label: dim.qFallbackTitle || 'Dimension' };
+      });
+      var measures = (layout.qHyperCube.qMeasureInfo || []).map(function(meas) {
+        return { label: meas.qFallbackTitle || 'Measure' };
+      });
+      var width = Math.max(1, dimensions.length + measures.length);
+      var totalRows = (layout.qHyperCube.qSize && layout.qHyperCube.qSize.qcy) || 0;
+
+      var rowCount = Math.max(1, Math.min(height, Math.floor(MAX_PAGE_CELLS / width)));
+      logger.debug('Fetching hypercube page for', objectId, '(top:', top, ', rows:', rowCount, ', total:', totalRows, ')');
+
+      var pages = await model.getHyperCubeData('/qHyperCubeDef', [
+        { qTop: top, qLeft: 0, qWidth: width, qHeight: rowCount }
+      ]);
+      var matrix = pages && pages[0] ? pages[0].qMatrix : [];
+
+      return {
+        title: layout.title || (layout.qMeta && layout.qMeta.title) || 'Untitled',
+        dimensions: dimensions,
+        measures: measures,
+        rows: this.extractHyperCubeDataFromMatrix(matrix, dimensions.length, measures.length, rowCount),
+        top: top,
+        totalRows: totalRows
+      };
+    },
+
     /**
      * Update object footnote with summary
      * @param {Object} app - Qlik app object
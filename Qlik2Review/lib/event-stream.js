@@ -0,0 +1,152 @@
+define(['./logger'], function(logger) {
+  'use strict';
+
+  /**
+   * Event Stream Utility - Parses Server-Sent Events (SSE) and JSON lines from fetch responses
+   * Used by providers to stream tokens as they arrive
+   */
+
+  /**
+   * Check if the browser can read streamed response bodies
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof TextDecoder !== 'undefined' &&
+      typeof ReadableStream !== 'undefined';
+  }
+
+  /**
+   * Read an SSE response body and dispatch each JSON event
+   * Events with non-JSON payloads are skipped; the OpenAI "[DONE]" marker ends the stream
+   * @param {Response} response - Fetch response with a streaming body
+   * @param {Function} onEvent - Callback (eventName, data) for each parsed event
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async function readEventStream(response, onEvent) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      throw new Error('Streaming responses are not supported in this browser');
+    }
+
+    var reader = response.body.getReader();
+    var decoder = new TextDecoder();
+    var buffer = '';
+    var eventName = null;
+    var dataLines = [];
+    var finished = false;
+
+    function dispatch() {
+      if (dataLines.length === 0) {
+        eventName = null;
+        return;
+      }
+      var payload = dataLines.join('\n');
+      var name = eventName;
+      dataLines = [];
+      eventName = null;
+
+      if (payload === '[DONE]') {
+        finished = true;
+        return;
+      }
+
+      var data;
+      try {
+        data = JSON.parse(payload);
+      } catch (e) {
+        logger.debug('Skipping non-JSON stream event:', payload.substring(0, 100));
+        return;
+      }
+      onEvent(name, data);
+    }
+
+    function processLine(line) {
+      // Blank line terminates an event
+      if (line === '') {
+        dispatch();
+        return;
+      }
+      // Comment / keep-alive
+      if (line.charAt(0) === ':') return;
+
+      var colon = line.indexOf(':');
+      var field = colon === -1 ? line : line.substring(0, colon);
+      var value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
+
+    while (!finished) {
+      var chunk = await reader.read();
+      if (chunk.done) break;
+
+      buffer += decoder.decode(chunk.value, { stream: true });
+      var lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (var i = 0; i < lines.length && !finished; i++) {
+        processLine(lines[i]);
+      }
+    }
+
+    if (finished) {
+      // Release the connection once the end marker is seen
+      try { reader.cancel(); } catch (e) { /* already closed */ }
+      return;
+    }
+
+    // Flush anything left without a trailing blank line
+    buffer += decoder.decode();
+    if (buffer) processLine(buffer);
+    dispatch();
+  }
+
+  /**
+   * Read a newline-delimited JSON (NDJSON) response body, as streamed by Ollama
+   * @param {Response} response - Fetch response with a streaming body
+   * @param {Function} onObject - Callback (data) for each parsed line
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async function readJsonLines(response, onObject) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      throw new Error('Streaming responses are not supported in this browser');
+    }
+
+    var reader = response.body.getReader();
+    var decoder = new TextDecoder();
+    var buffer = '';
+
+    function processLine(line) {
+      if (!line.trim()) return;
+      var data;
+      try {
+        data = JSON.parse(line);
+      } catch (e) {
+        logger.debug('Skipping non-JSON stream line:', line.substring(0, 100));
+        return;
+      }
+      onObject(data);
+    }
+
+    while (true) {
+      var chunk = await reader.read();
+      if (chunk.done) break;
+
+      buffer += decoder.decode(chunk.value, { stream: true });
+      var lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    }
+
+    buffer += decoder.decode();
+    processLine(buffer);
+  }
+
+  return {
+    isSupported: isSupported,
+    readEventStream: readEventStream,
+    readJsonLines: readJsonLines
+  };
+});
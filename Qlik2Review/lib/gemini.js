@@ -1,15 +1,125 @@
-define(['./retry'], function(retry) {
+define(['./retry', './event-stream', './provider-contract', './proxy'], function(retry, eventStream, providerContract, proxy) {
   'use strict';
 
   const DEFAULT_MODEL = 'gemini-2.5-flash';  // Updated Jan 2026 - stable production model
   const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 
+  const CAPABILITIES = {
+    systemRole: true,    // Via systemInstruction
+    temperature: true,
+    topP: true,
+    maxTemperature: 2,
+    jsonMode: true,      // Via responseSchema
+    streaming: true,
+    vision: true,
+    contextWindow: 1048576,
+    tokenParam: 'maxOutputTokens'
+  };
+
+  // Thinking budgets from Gemini 2.5 on; Pro models cannot switch thinking off
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['gemini-2.5', 'gemini-3'], capabilities: { reasoning: 'budget', reasoningOff: true } },
+    { prefixes: ['gemini-2.5-pro', 'gemini-3-pro'], capabilities: { reasoningOff: false } }
+  ];
+
+  /**
+   * Convert usageMetadata to the shared usage shape
+   * Thought tokens are billed as output but reported apart from candidatesTokenCount
+   * @param {Object} meta - usageMetadata from the API
+   * @returns {Object} { inputTokens, outputTokens, totalTokens, cachedInputTokens, reasoningTokens }
+   */
+  function readUsage(meta) {
+    var reasoningTokens = meta.thoughtsTokenCount || 0;
+    return {
+      inputTokens: meta.promptTokenCount || 0,
+      outputTokens: (meta.candidatesTokenCount || 0) + reasoningTokens,
+      totalTokens: meta.totalTokenCount || 0,
+      cachedInputTokens: meta.cachedContentTokenCount || 0,
+      reasoningTokens: reasoningTokens
+    };
+  }
+
+  /**
+   * Split response parts into answer text and thought summaries
+   * @param {Array} parts - Candidate content parts
+   * @returns {Object} { text, reasoning }
+   */
+  function splitParts(parts) {
+    var result = { text: '', reasoning: '' };
+    (parts || []).forEach(function(part) {
+      if (!part.text) return;
+      if (part.thought) {
+        result.reasoning += part.text;
+      } else {
+        result.text += part.text;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Read a streamed generateContent response (alt=sse)
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onToken - Callback (delta, fullText) for each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async function readContentStream(response, onToken) {
+    var text = '';
+    var reasoning = '';
+    var usage = null;
+
+    await eventStream.readEventStream(response, function(eventName, chunk) {
+      var parts = chunk.candidates && chunk.candidates[0] && chunk.candidates[0].content &&
+        chunk.candidates[0].content.parts;
+      var split = splitParts(parts);
+      reasoning += split.reasoning;
+      if (split.text) {
+        text += split.text;
+        onToken(split.text, text);
+      }
+      // Each chunk carries cumulative usage; keep the latest
+      if (chunk.usageMetadata) {
+        usage = readUsage(chunk.usageMetadata);
+      }
+    });
+
+    var result = { text: text.trim(), usage: usage };
+    if (reasoning.trim()) result.reasoning = reasoning.trim();
+    return result;
+  }
+
+  /**
+   * Convert a JSON schema to Gemini's OpenAPI subset
+   * Gemini rejects keywords such as additionalProperties, so only supported keys are kept
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Gemini responseSchema
+   */
+  function toGeminiSchema(schema) {
+    var result = { type: schema.type };
+    if (schema.description) result.description = schema.description;
+    if (schema.enum) result.enum = schema.enum.slice();
+    if (schema.required) result.required = schema.required.slice();
+    if (schema.items) result.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+      result.properties = {};
+      Object.keys(schema.properties).forEach(function(key) {
+        result.properties[key] = toGeminiSchema(schema.properties[key]);
+      });
+      // Keep property order stable in the response
+      result.propertyOrdering = Object.keys(schema.properties);
+    }
+    return result;
+  }
+
   /**
    * Google Gemini Provider Service
    */
   return {
     name: 'gemini',
     displayName: 'Google Gemini',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
 
     /**
      * Generate summary using Gemini API
@@ -18,10 +128,19 @@ define(['./retry'], function(retry) {
      * @param {string} config.apiKey - Gemini API key
      * @param {string} [config.model] - Model to use (default: gemini-1.5-flash)
      * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor, sent as responseSchema
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } sent as inlineData parts
+     * @param {string} [config.system] - System prompt, sent as systemInstruction
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {string} [config.reasoning] - Reasoning level, sent as a thinking budget (see provider-contract)
+     * @param {Object} [config.proxy] - Resolved relay { url, token } used instead of the API key (see proxy.js)
+     * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay); used by the rate limiter
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
      * @returns {Promise<string>} Generated summary
      */
     async generateSummary(prompt, config) {
-      if (!config.apiKey) {
+      if (!config.apiKey && !config.proxy) {
         throw new Error('Gemini API key is required');
       }
 
@@ -30,33 +149,85 @@ define(['./retry'], function(retry) {
       // SECURITY FIX: Use header authentication instead of URL query parameter
       // This prevents API key from appearing in browser history, DevTools, and logs
       const apiUrl = `${API_BASE}/${model}:generateContent`;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
+
+      const requestBody = {
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: prompt }]
+          }
+        ],
+        generationConfig: {
+          maxOutputTokens: maxTokens
+        }
+      };
+
+      if (config.images && config.images.length > 0 && capabilities.vision) {
+        config.images.forEach(function(image) {
+          requestBody.contents[0].parts.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+        });
+      }
+      if (config.system && capabilities.systemRole) {
+        requestBody.systemInstruction = { parts: [{ text: config.system }] };
+      }
+      if (capabilities.temperature) {
+        requestBody.generationConfig.temperature = config.temperature !== undefined ? config.temperature : 0.3;
+      }
+      if (capabilities.topP) {
+        requestBody.generationConfig.topP = config.topP !== undefined ? config.topP : 0.95;
+      }
+
+      // Thinking budget - thought tokens count against maxOutputTokens, so the budget is added on top
+      if (config.reasoning && capabilities.reasoning === 'budget') {
+        var thinkingBudget = providerContract.getReasoningBudget(config.reasoning);
+        requestBody.generationConfig.thinkingConfig = thinkingBudget > 0
+          ? { thinkingBudget: thinkingBudget, includeThoughts: true }
+          : { thinkingBudget: 0 };
+        requestBody.generationConfig.maxOutputTokens = maxTokens + thinkingBudget;
+      }
+
+      // Structured output - JSON response constrained by the schema
+      if (config.responseSchema && capabilities.jsonMode) {
+        requestBody.generationConfig.responseMimeType = 'application/json';
+        requestBody.generationConfig.responseSchema = toGeminiSchema(config.responseSchema.schema);
+      }
+
+      // Stream tokens as they arrive when a callback is provided
+      if (typeof config.onToken === 'function' && eventStream.isSupported()) {
+        const streamTarget = proxy.route('gemini', `${API_BASE}/${model}:streamGenerateContent?alt=sse`, {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': config.apiKey
+        }, config.proxy);
+        const streamResponse = await retry.fetchWithRetry(streamTarget.url, {
+          method: 'POST',
+          headers: streamTarget.headers,
+          body: JSON.stringify(requestBody)
+        }, {
+          maxRetries: 2,
+          baseDelay: 1000,
+          onRetry: config.onRetry,
+          signal: config.signal
+        });
+
+        return readContentStream(streamResponse, config.onToken);
+      }
 
       // Use retry logic for resilient API calls
-      const response = await retry.fetchWithRetry(apiUrl, {
+      const target = proxy.route('gemini', apiUrl, {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': config.apiKey  // API key in header, not URL
+      }, config.proxy);
+      const response = await retry.fetchWithRetry(target.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': config.apiKey  // API key in header, not URL
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [
-                {
-                  text: `You are a data analyst. Provide concise, actionable insights from data visualizations. Be specific and direct. No fluff.\n\n${prompt}`
-                }
-              ]
-            }
-          ],
-          generationConfig: {
-            maxOutputTokens: maxTokens,
-            temperature: config.temperature !== undefined ? config.temperature : 0.3,
-            topP: config.topP !== undefined ? config.topP : 0.95
-          }
-        })
+        headers: target.headers,
+        body: JSON.stringify(requestBody)
       }, {
         maxRetries: 2,
-        baseDelay: 1000
+        baseDelay: 1000,
+        timeout: providerContract.getRequestTimeout(requestBody.generationConfig.maxOutputTokens),
+        onRetry: config.onRetry,
+        signal: config.signal
       });
 
       // Parse JSON with error handling
@@ -72,76 +243,59 @@ define(['./retry'], function(retry) {
         throw new Error('Invalid response structure from Gemini');
       }
 
-      var text = data.candidates[0].content.parts?.[0]?.text?.trim() || '';
-
-      // Retry once on empty content (transient API issue)
-      if (!text) {
-        console.log('[Gemini] Empty content, retrying once...');
+      // Empty content is returned as-is for the caller's recovery policy (retry.withEmptyResponseRecovery)
+      var split = splitParts(data.candidates[0].content.parts);
 
-        await new Promise(function(resolve) { setTimeout(resolve, 500); });
-
-        const retryResponse = await retry.fetchWithRetry(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-key': config.apiKey
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: [
-                  {
-                    text: `You are a data analyst. Provide concise, actionable insights from data visualizations. Be specific and direct. No fluff.\n\n${prompt}`
-                  }
-                ]
-              }
-            ],
-            generationConfig: {
-              maxOutputTokens: maxTokens,
-              temperature: config.temperature !== undefined ? config.temperature : 0.3,
-              topP: config.topP !== undefined ? config.topP : 0.95
-            }
-          })
-        }, {
-          maxRetries: 1,
-          baseDelay: 500
-        });
+      // Extract usage data if available
+      var usage = data.usageMetadata ? readUsage(data.usageMetadata) : null;
 
-        let retryData;
-        try {
-          retryData = await retryResponse.json();
-        } catch (e) {
-          console.log('[Gemini] Retry parse failed:', e.message);
-        }
+      var result = { text: split.text.trim(), usage: usage };
+      if (split.reasoning.trim()) result.reasoning = split.reasoning.trim();
+      return result;
+    },
 
-        if (retryData && retryData.candidates && retryData.candidates[0] && retryData.candidates[0].content) {
-          text = retryData.candidates[0].content.parts?.[0]?.text?.trim() || '';
-          if (text) {
-            console.log('[Gemini] Retry succeeded');
-            if (retryData.usageMetadata) {
-              data.usageMetadata = retryData.usageMetadata;
-            }
-          }
-        }
+    /**
+     * List models that support generateContent
+     * @param {Object} config - { apiKey, proxy }
+     * @returns {Promise<Array>} [{ value, label, contextWindow }]
+     */
+    async listModels(config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Gemini API key is required');
       }
+      const target = proxy.route('gemini', `${API_BASE}?pageSize=1000`, {
+        'x-goog-api-key': config.apiKey
+      }, config.proxy);
+      const response = await retry.fetchWithRetry(target.url, {
+        method: 'GET',
+        headers: target.headers
+      }, {
+        maxRetries: 1,
+        baseDelay: 1000
+      });
 
-      // Fall back if still empty
-      if (!text) {
-        console.log('[Gemini] Empty content after retry');
-        text = 'No summary generated';
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Gemini model list: ' + parseError.message);
       }
-
-      // Extract usage data if available
-      var usage = null;
-      if (data.usageMetadata) {
-        usage = {
-          inputTokens: data.usageMetadata.promptTokenCount || 0,
-          outputTokens: data.usageMetadata.candidatesTokenCount || 0,
-          totalTokens: data.usageMetadata.totalTokenCount || 0
-        };
+      if (!data || !Array.isArray(data.models)) {
+        throw new Error('Invalid model list from Gemini');
       }
 
-      return { text: text, usage: usage };
+      return data.models
+        .filter(function(entry) {
+          return (entry.supportedGenerationMethods || []).indexOf('generateContent') !== -1;
+        })
+        .map(function(entry) {
+          var id = String(entry.name).replace(/^models\//, '');
+          return {
+            value: id,
+            label: entry.displayName || id,
+            contextWindow: entry.inputTokenLimit ? entry.inputTokenLimit + (entry.outputTokenLimit || 0) : null
+          };
+        });
     },
 
     /**
@@ -0,0 +1,227 @@
+define([], function() {
+  'use strict';
+
+  /**
+   * Insight Schema - Structured object insight contract
+   * Sent to providers as a JSON schema and used by the UI to read insight fields
+   */
+
+  var SCHEMA_NAME = 'object_insight';
+  var BATCH_SCHEMA_NAME = 'object_insights_batch';
+
+  var SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+
+  // Strict-mode compatible: every property required, no additional properties
+  var INSIGHT_SCHEMA = {
+    type: 'object',
+    properties: {
+      headline: {
+        type: 'string',
+        description: 'One sentence stating the main insight with its key number'
+      },
+      sentiment: {
+        type: 'string',
+        enum: SENTIMENTS,
+        description: 'Business sentiment of the insight'
+      },
+      keyNumbers: {
+        type: 'array',
+        description: 'Up to 3 key figures with formatted values',
+        items: {
+          type: 'object',
+          properties: {
+            label: { type: 'string' },
+            value: { type: 'string' }
+          },
+          required: ['label', 'value'],
+          additionalProperties: false
+        }
+      },
+      anomalies: {
+        type: 'array',
+        description: 'Outliers or concerns, empty if none',
+        items: { type: 'string' }
+      },
+      confidence: {
+        type: 'number',
+        description: 'Confidence from 0 to 1'
+      }
+    },
+    required: ['headline', 'sentiment', 'keyNumbers', 'anomalies', 'confidence'],
+    additionalProperties: false
+  };
+
+  /**
+   * Build the single-call schema: { insights: [{ id, ...fields }] }
+   * @param {boolean} structured - Entries carry the insight fields instead of one insight string
+   * @returns {Object} JSON schema
+   */
+  function buildBatchSchema(structured) {
+    var properties = { id: { type: 'string', description: 'Object id exactly as given' } };
+    var required = ['id'];
+    if (structured) {
+      Object.keys(INSIGHT_SCHEMA.properties).forEach(function(key) {
+        properties[key] = INSIGHT_SCHEMA.properties[key];
+      });
+      required = required.concat(INSIGHT_SCHEMA.required);
+    } else {
+      properties.insight = { type: 'string', description: 'Insight text for the object' };
+      required.push('insight');
+    }
+
+    return {
+      type: 'object',
+      properties: {
+        insights: {
+          type: 'array',
+          items: { type: 'object', properties: properties, required: required, additionalProperties: false }
+        }
+      },
+      required: ['insights'],
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * Strip ```json fences some models wrap around JSON output
+   * @param {string} text - Raw model output
+   * @returns {string}
+   */
+  function stripCodeFence(text) {
+    var match = String(text).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return match ? match[1] : String(text).trim();
+  }
+
+  return {
+    SCHEMA_NAME: SCHEMA_NAME,
+    SENTIMENTS: SENTIMENTS,
+
+    /**
+     * Get the response schema descriptor passed to providers as config.responseSchema
+     * @returns {Object} { name, description, schema }
+     */
+    getResponseSchema: function() {
+      return {
+        name: SCHEMA_NAME,
+        description: 'Structured analytical insight for one Qlik visualization',
+        schema: INSIGHT_SCHEMA
+      };
+    },
+
+    /**
+     * Parse and normalize a structured insight from model output
+     * @param {string} text - JSON text returned by the provider
+     * @returns {Object|null} { headline, sentiment, keyNumbers, anomalies, confidence } or null if invalid
+     */
+    parseInsight: function(text) {
+      if (!text) return null;
+
+      var data;
+      try {
+        data = JSON.parse(stripCodeFence(text));
+      } catch (e) {
+        return null;
+      }
+      return this.normalizeInsight(data);
+    },
+
+    /**
+     * Normalize a parsed insight object
+     * @param {Object} data - Insight fields as returned by the model
+     * @returns {Object|null} { headline, sentiment, keyNumbers, anomalies, confidence } or null if invalid
+     */
+    normalizeInsight: function(data) {
+      if (!data || typeof data.headline !== 'string' || !data.headline.trim()) {
+        return null;
+      }
+
+      var confidence = Number(data.confidence);
+      return {
+        headline: data.headline.trim(),
+        sentiment: SENTIMENTS.indexOf(data.sentiment) !== -1 ? data.sentiment : 'neutral',
+        keyNumbers: (Array.isArray(data.keyNumbers) ? data.keyNumbers : [])
+          .filter(function(n) { return n && n.label !== undefined && n.value !== undefined; })
+          .slice(0, 3)
+          .map(function(n) { return { label: String(n.label), value: String(n.value) }; }),
+        anomalies: (Array.isArray(data.anomalies) ? data.anomalies : [])
+          .filter(function(a) { return typeof a === 'string' && a.trim(); })
+          .map(function(a) { return a.trim(); }),
+        confidence: isNaN(confidence) ? null : Math.max(0, Math.min(1, confidence))
+      };
+    },
+
+    /**
+     * Get the single-call response schema descriptor (one entry per object, keyed by id)
+     * @param {boolean} structured - Entries carry structured insight fields
+     * @returns {Object} { name, description, schema }
+     */
+    getBatchResponseSchema: function(structured) {
+      return {
+        name: BATCH_SCHEMA_NAME,
+        description: 'Analytical insights for several Qlik visualizations, one entry per object id',
+        schema: buildBatchSchema(structured)
+      };
+    },
+
+    /**
+     * Parse a single-call response into entries by object id
+     * Accepts { insights: [...] } or a bare array; entries without an id are dropped
+     * @param {string} text - JSON text returned by the provider
+     * @returns {Object|null} Entries keyed by object id, or null when the response is not valid JSON
+     */
+    parseBatch: function(text) {
+      if (!text) return null;
+
+      var data;
+      try {
+        data = JSON.parse(stripCodeFence(text));
+      } catch (e) {
+        return null;
+      }
+
+      var entries = Array.isArray(data) ? data : (data && Array.isArray(data.insights) ? data.insights : null);
+      if (!entries) return null;
+
+      var byId = {};
+      entries.forEach(function(entry) {
+        if (entry && entry.id !== undefined && entry.id !== null) {
+          byId[String(entry.id)] = entry;
+        }
+      });
+      return byId;
+    },
+
+    /**
+     * Format a structured insight as markdown summary text
+     * Used wherever plain summaries are shown (popups, copy, export, footnotes, sheet prompt)
+     * @param {Object} insight - Parsed insight
+     * @returns {string}
+     */
+    formatInsight: function(insight) {
+      var text = '**' + insight.headline + '**';
+      if (insight.keyNumbers.length > 0) {
+        text += ' ' + insight.keyNumbers.map(function(n) {
+          return n.label + ': **' + n.value + '**';
+        }).join(', ') + '.';
+      }
+      if (insight.anomalies.length > 0) {
+        text += ' ⚠️ ' + insight.anomalies.join('; ');
+      }
+      return text;
+    },
+
+    /**
+     * Map insight sentiment to an alert status
+     * @param {Object} insight - Parsed insight
+     * @returns {string} 'warning' | 'positive' | 'neutral'
+     */
+    getAlertStatus: function(insight) {
+      if (!insight) return 'neutral';
+      if (insight.sentiment === 'negative') return 'warning';
+      if (insight.sentiment === 'positive') return 'positive';
+      // Mixed results are flagged only when the model reported anomalies
+      if (insight.sentiment === 'mixed' && insight.anomalies.length > 0) return 'warning';
+      return 'neutral';
+    }
+  };
+});
@@ -0,0 +1,122 @@
+define(['./openai', './provider-contract', './proxy'], function(openaiProvider, providerContract, proxy) {
+  'use strict';
+
+  const DEFAULT_MODEL = 'mistral-small-latest';  // Fast, cost-effective, EU-hosted
+  const API_URL = 'https://api.mistral.ai/v1/chat/completions';
+  const MODELS_URL = 'https://api.mistral.ai/v1/models';
+
+  const CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 1,
+    jsonMode: true,
+    streaming: true,
+    vision: false,
+    contextWindow: 128000,
+    tokenParam: 'max_tokens'
+  };
+
+  // Model-specific overrides (later entries win)
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['pixtral', 'mistral-medium', 'mistral-small'], capabilities: { vision: true } },
+    { prefixes: ['codestral'], capabilities: { contextWindow: 256000 } },
+    { prefixes: ['ministral', 'open-mistral-nemo'], capabilities: { vision: false } }
+  ];
+
+  /**
+   * Mistral AI Provider Service
+   * The chat-completions API follows the OpenAI request shape, so requests go through
+   * the shared OpenAI request helper with Mistral's URL and capabilities
+   */
+  return {
+    name: 'mistral',
+    displayName: 'Mistral AI',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
+
+    /**
+     * Generate summary using Mistral API
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - Configuration object
+     * @param {string} config.apiKey - Mistral API key
+     * @param {string} [config.model] - Model to use (default: mistral-small-latest)
+     * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor, sent as response_format
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } for vision models
+     * @param {string} [config.system] - System prompt
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {Object} [config.proxy] - Resolved relay { url, token } used instead of the API key (see proxy.js)
+     * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay); used by the rate limiter
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async generateSummary(prompt, config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Mistral API key is required');
+      }
+
+      const model = config.model || DEFAULT_MODEL;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
+      const target = proxy.route('mistral', API_URL, { 'Authorization': `Bearer ${config.apiKey}` }, config.proxy);
+
+      return openaiProvider.requestChatCompletion(prompt, Object.assign({}, config, { model: model, capabilities: capabilities }), {
+        url: target.url,
+        headers: target.headers,
+        label: 'Mistral',
+        // Mistral sends usage in the final chunk without stream_options
+        streamUsage: false
+      });
+    },
+
+    /**
+     * List chat models from the /v1/models endpoint
+     * Dated aliases of the same model are listed once, under the first ID returned
+     * @param {Object} config - { apiKey, proxy }
+     * @returns {Promise<Array>} [{ value, label, contextWindow }]
+     */
+    async listModels(config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('Mistral API key is required');
+      }
+      const target = proxy.route('mistral', MODELS_URL, { 'Authorization': `Bearer ${config.apiKey}` }, config.proxy);
+      const models = await openaiProvider.requestModelList({ url: target.url, headers: target.headers, label: 'Mistral' });
+
+      var seen = {};
+      return models
+        .filter(function(entry) {
+          if (seen[entry.id] || (entry.capabilities && entry.capabilities.completion_chat === false)) return false;
+          [entry.id].concat(entry.aliases || []).forEach(function(id) { seen[id] = true; });
+          return true;
+        })
+        .map(function(entry) {
+          return { value: entry.id, label: entry.id, contextWindow: entry.max_context_length || null };
+        });
+    },
+
+    /**
+     * Validate API key format
+     * @param {string} apiKey
+     * @returns {boolean}
+     */
+    validateApiKey(apiKey) {
+      // Mistral API keys are 32 alphanumeric characters
+      return !!apiKey && /^[A-Za-z0-9]{32,}$/.test(apiKey.trim());
+    },
+
+    /**
+     * Get available models
+     * @returns {Array}
+     */
+    getModels() {
+      return [
+        { value: 'ministral-8b-latest', label: 'Ministral 8B (Fast, Cheap)' },
+        { value: 'mistral-small-latest', label: 'Mistral Small (Default, Balanced)' },
+        { value: 'mistral-medium-latest', label: 'Mistral Medium (Powerful)' },
+        { value: 'mistral-large-latest', label: 'Mistral Large (Most Powerful)' }
+      ];
+    }
+  };
+});
@@ -0,0 +1,265 @@
+define([
+  './openai',
+  './anthropic',
+  './gemini',
+  './openai-compatible',
+  './mistral',
+  './cohere',
+  './ollama',
+  './provider-contract',
+  './token-tracker',
+  './proxy',
+  './logger'
+], function(openaiProvider, anthropicProvider, geminiProvider, openaiCompatibleProvider, mistralProvider, cohereProvider, ollamaProvider, providerContract, tokenTracker, proxy, logger) {
+  'use strict';
+
+  /**
+   * Model Catalog - Live model lists for the Model dropdown
+   * Lists come from each provider's list-models endpoint (provider.listModels) and are cached in
+   * localStorage until the next refresh. Until a list has been fetched, the provider's built-in
+   * getModels() list is shown. Entries are annotated with context window and pricing when known.
+   */
+
+  var providers = {
+    openai: openaiProvider,
+    anthropic: anthropicProvider,
+    gemini: geminiProvider,
+    'openai-compatible': openaiCompatibleProvider,
+    mistral: mistralProvider,
+    cohere: cohereProvider,
+    ollama: ollamaProvider
+  };
+
+  // Storage key prefix (one entry per provider, plus the server URL for self-hosted providers)
+  var CACHE_PREFIX = 'q2r_models_';
+
+  // Refreshes in flight and the last failure, by cache key
+  var pending = {};
+  var errors = {};
+
+  /**
+   * Cache key for a provider: self-hosted servers list different models per URL
+   * @param {string} name - Provider name
+   * @param {Object} [settings] - { endpoint }
+   * @returns {string}
+   */
+  function cacheKey(name, settings) {
+    var baseUrl = settings && settings.endpoint && settings.endpoint.baseUrl;
+    return CACHE_PREFIX + name + (baseUrl && (name === 'ollama' || name === 'openai-compatible') ? '_' + baseUrl : '');
+  }
+
+  function loadCache(key) {
+    try {
+      var data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : null;
+    } catch (e) {
+      logger.debug('Could not read model cache:', e.message);
+      return null;
+    }
+  }
+
+  function saveCache(key, entry) {
+    try {
+      localStorage.setItem(key, JSON.stringify(entry));
+    } catch (e) {
+      logger.warn('Could not save model cache:', e.message);
+    }
+  }
+
+  /**
+   * Short context window label, e.g. 128K or 1M
+   * @param {number} tokens
+   * @returns {string}
+   */
+  function formatContext(tokens) {
+    if (tokens >= 1000000) {
+      return Math.round(tokens / 100000) / 10 + 'M';
+    }
+    return Math.round(tokens / 1000) + 'K';
+  }
+
+  /**
+   * Price per 1M tokens for labels: two decimals, more for sub-cent prices
+   * @param {number} price
+   * @returns {string}
+   */
+  function formatPrice(price) {
+    return price > 0 && price < 0.1 ? String(price) : price.toFixed(2);
+  }
+
+  /**
+   * Add context window and pricing to a model entry
+   * Context windows reported by the endpoint win; otherwise the provider's capability table is used.
+   * Self-hosted servers have no reliable default, so only reported values are shown for them.
+   * @param {string} name - Provider name
+   * @param {Object} model - { value, label, contextWindow }
+   * @returns {Object} { value, label, contextWindow, pricing }
+   */
+  function annotate(name, model) {
+    var provider = providers[name];
+    var contextWindow = model.contextWindow || null;
+    if (!contextWindow && name !== 'openai-compatible' && name !== 'ollama') {
+      contextWindow = providerContract.resolveCapabilities(provider, model.value).contextWindow;
+    }
+    var pricing = name === 'ollama' ? null : tokenTracker.findPricing(name, model.value);
+
+    var notes = [];
+    if (contextWindow) notes.push(formatContext(contextWindow) + ' context');
+    if (pricing) notes.push('$' + formatPrice(pricing.input) + ' / $' + formatPrice(pricing.output) + ' per 1M');
+
+    return {
+      value: model.value,
+      label: (model.label || model.value) + (notes.length ? ' - ' + notes.join(', ') : ''),
+      contextWindow: contextWindow,
+      pricing: pricing
+    };
+  }
+
+  /**
+   * Built-in list for a provider (OpenAI-compatible uses the configured model list)
+   * @param {string} name - Provider name
+   * @param {Object} [settings] - { endpoint }
+   * @returns {Array}
+   */
+  function builtInModels(name, settings) {
+    var provider = providers[name];
+    if (name === 'openai-compatible') {
+      return provider.getModels(settings && settings.endpoint && settings.endpoint.models);
+    }
+    return provider.getModels();
+  }
+
+  return {
+    /**
+     * Get the model list for a provider: the cached live list when fetched, otherwise the built-in list
+     * @param {string} name - Provider name
+     * @param {Object} [settings] - { endpoint } for self-hosted providers
+     * @returns {Array} Annotated entries [{ value, label, contextWindow, pricing }]
+     */
+    getModels: function(name, settings) {
+      if (!providers[name]) return [];
+      var cached = loadCache(cacheKey(name, settings));
+      var models = cached && Array.isArray(cached.models) ? cached.models : builtInModels(name, settings);
+      return models.map(function(model) {
+        return annotate(name, model);
+      });
+    },
+
+    /**
+     * Describe where the current list came from
+     * @param {string} name - Provider name
+     * @param {Object} [settings] - { endpoint }
+     * @returns {Object} { source: 'live' | 'built-in', fetchedAt, count, refreshing, error }
+     */
+    getStatus: function(name, settings) {
+      var key = cacheKey(name, settings);
+      var cached = loadCache(key);
+      return {
+        source: cached ? 'live' : 'built-in',
+        fetchedAt: cached ? cached.fetchedAt : null,
+        count: cached && Array.isArray(cached.models) ? cached.models.length : builtInModels(name, settings).length,
+        refreshing: !!pending[key],
+        error: errors[key] || null
+      };
+    },
+
+    /**
+     * Fetch the live model list from the provider and cache it
+     * Concurrent refreshes for the same provider share one request
+     * @param {string} name - Provider name
+     * @param {Object} settings - { apiKey, endpoint, proxy } (proxy is the unresolved { url, token } setting)
+     * @returns {Promise<Array>} Annotated entries
+     */
+    refresh: function(name, settings) {
+      var provider = providers[name];
+      if (!provider) {
+        return Promise.reject(new Error('Unknown AI provider: ' + name));
+      }
+      if (typeof provider.listModels !== 'function') {
+        return Promise.reject(new Error(provider.displayName + ' does not support listing models'));
+      }
+
+      var self = this;
+      var key = cacheKey(name, settings);
+      if (pending[key]) return pending[key];
+
+      pending[key] = (async function() {
+        var relay = proxy.isEnabled(settings.proxy) && proxy.supportsProvider(name)
+          ? await proxy.resolve(settings.proxy)
+          : null;
+        var models = await provider.listModels({
+          apiKey: settings.apiKey,
+          endpoint: settings.endpoint,
+          proxy: relay
+        });
+        if (models.length === 0) {
+          throw new Error(provider.displayName + ' returned no models');
+        }
+
+        saveCache(key, {
+          fetchedAt: new Date().toISOString(),
+          models: models.map(function(model) {
+            return { value: model.value, label: model.label, contextWindow: model.contextWindow || null };
+          })
+        });
+        delete errors[key];
+        logger.info('Fetched', models.length, 'models from', provider.displayName);
+        return self.getModels(name, settings);
+      })();
+
+      return pending[key].catch(function(err) {
+        errors[key] = err.message;
+        logger.warn('Model list refresh failed for', name + ':', err.message);
+        throw err;
+      }).finally(function() {
+        delete pending[key];
+      });
+    },
+
+    /**
+     * Dropdown options for the property panel
+     * Returns a promise while a refresh is running so the dropdown fills in when it completes
+     * @param {string} name - Provider name
+     * @param {Object} [settings] - { endpoint }
+     * @param {string} [current] - Current model value, kept as an option when the list doesn't include it
+     * @returns {Array|Promise<Array>} [{ value, label }]
+     */
+    getOptions: function(name, settings, current) {
+      var self = this;
+      var key = cacheKey(name, settings);
+
+      function build() {
+        var provider = providers[name];
+        var options = [{ value: '', label: 'Provider default' + (provider && provider.defaultModel ? ' (' + provider.defaultModel + ')' : '') }];
+        var models = self.getModels(name, settings);
+        models.forEach(function(model) {
+          options.push({ value: model.value, label: model.label });
+        });
+        if (current && typeof current === 'string' && !models.some(function(model) { return model.value === current; })) {
+          options.push({ value: current, label: current + ' (custom)' });
+        }
+        return options;
+      }
+
+      if (pending[key]) {
+        return pending[key].then(build, build);
+      }
+      return build();
+    },
+
+    /**
+     * Forget cached lists for every provider
+     */
+    clearCache: function() {
+      try {
+        Object.keys(localStorage).forEach(function(key) {
+          if (key.indexOf(CACHE_PREFIX) === 0) {
+            localStorage.removeItem(key);
+          }
+        });
+      } catch (e) {
+        logger.debug('Could not clear model cache:', e.message);
+      }
+    }
+  };
+});
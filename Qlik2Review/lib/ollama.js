@@ -0,0 +1,260 @@
+define(['./retry', './event-stream', './provider-contract'], function(retry, eventStream, providerContract) {
+  'use strict';
+
+  const DEFAULT_MODEL = 'llama3.2';  // Small enough for most laptops
+  const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+  const CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 2,
+    jsonMode: true,      // Via format: <JSON schema>
+    streaming: true,
+    vision: false,
+    contextWindow: 8192, // Sent as num_ctx; Ollama's own default is smaller and truncates silently
+    tokenParam: 'num_predict'
+  };
+
+  // Model-specific overrides (later entries win)
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['llava', 'llama3.2-vision', 'gemma3', 'qwen2.5vl', 'minicpm-v'], capabilities: { vision: true } },
+    { prefixes: ['deepseek-r1'], capabilities: { jsonMode: false } }
+  ];
+
+  /**
+   * Build the /api/chat URL from a server base URL
+   * @param {string} [baseUrl] - Ollama server URL (default: http://localhost:11434)
+   * @returns {string}
+   */
+  function buildChatUrl(baseUrl) {
+    return buildServerUrl(baseUrl) + '/api/chat';
+  }
+
+  /**
+   * Normalize the server base URL
+   * @param {string} [baseUrl] - Ollama server URL (default: http://localhost:11434)
+   * @returns {string}
+   */
+  function buildServerUrl(baseUrl) {
+    var url = String(baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+    // Accept URLs copied from OpenAI-compatible setups
+    return url.replace(/\/v1$/, '');
+  }
+
+  /**
+   * Read token counts from a final /api/chat response
+   * @param {Object} data - Response object with prompt_eval_count / eval_count
+   * @returns {Object} { inputTokens, outputTokens, totalTokens }
+   */
+  function parseUsage(data) {
+    var inputTokens = data.prompt_eval_count || 0;
+    var outputTokens = data.eval_count || 0;
+    return {
+      inputTokens: inputTokens,
+      outputTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Ollama (local models) Provider Service
+   */
+  return {
+    name: 'ollama',
+    displayName: 'Ollama (Local)',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
+
+    /**
+     * Generate summary using a local Ollama server
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - Configuration object
+     * @param {string} [config.apiKey] - Optional bearer token (for servers behind an auth proxy)
+     * @param {string} [config.model] - Model to use (default: llama3.2)
+     * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor, sent as format
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } for vision models
+     * @param {string} [config.system] - System prompt
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {Object} [config.endpoint] - { baseUrl } of the Ollama server
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async generateSummary(prompt, config) {
+      const model = config.model || DEFAULT_MODEL;
+      const maxTokens = config.maxTokens || 150;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
+      const url = buildChatUrl(config.endpoint && config.endpoint.baseUrl);
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+
+      const messages = [];
+      if (config.system && capabilities.systemRole) {
+        messages.push({ role: 'system', content: config.system });
+      }
+      const userMessage = { role: 'user', content: prompt };
+      // Vision models take raw base64 images on the message
+      if (config.images && config.images.length > 0 && capabilities.vision) {
+        userMessage.images = config.images.map(function(image) { return image.data; });
+      }
+      messages.push(userMessage);
+
+      const options = {
+        num_predict: maxTokens,
+        num_ctx: capabilities.contextWindow
+      };
+      if (capabilities.temperature) {
+        options.temperature = config.temperature !== undefined ? config.temperature : 0.3;
+      }
+      if (capabilities.topP && config.topP !== undefined && config.topP < 1) {
+        options.top_p = config.topP;
+      }
+
+      const requestBody = {
+        model: model,
+        messages: messages,
+        options: options,
+        stream: false
+      };
+
+      // Structured output - Ollama accepts a JSON schema as the format
+      if (config.responseSchema && capabilities.jsonMode) {
+        requestBody.format = config.responseSchema.schema;
+      }
+
+      // Stream tokens as they arrive when a callback is provided (NDJSON, not SSE)
+      if (typeof config.onToken === 'function' && eventStream.isSupported()) {
+        const streamResponse = await retry.fetchWithRetry(url, {
+          method: 'POST',
+          headers: headers,
+          body: JSON.stringify(Object.assign({}, requestBody, { stream: true }))
+        }, {
+          maxRetries: 1,
+          baseDelay: 1000,
+          timeout: Math.max(120000, providerContract.getRequestTimeout(maxTokens)),  // Local models can be slow to load
+          signal: config.signal
+        });
+
+        var streamedText = '';
+        var streamedUsage = null;
+        await eventStream.readJsonLines(streamResponse, function(chunk) {
+          if (chunk.error) {
+            throw new Error('Ollama error: ' + chunk.error);
+          }
+          var delta = chunk.message && chunk.message.content;
+          if (delta) {
+            streamedText += delta;
+            config.onToken(delta, streamedText);
+          }
+          if (chunk.done) {
+            streamedUsage = parseUsage(chunk);
+          }
+        });
+
+        return { text: streamedText.trim(), usage: streamedUsage };
+      }
+
+      // Use retry logic for resilient API calls
+      const response = await retry.fetchWithRetry(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(requestBody)
+      }, {
+        maxRetries: 1,
+        baseDelay: 1000,
+        timeout: Math.max(120000, providerContract.getRequestTimeout(maxTokens)),  // Local models can be slow to load
+        signal: config.signal
+      });
+
+      // Parse JSON with error handling
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Ollama response: ' + parseError.message);
+      }
+
+      // Validate response structure
+      if (!data.message) {
+        console.log('[Ollama] Unexpected response structure:', JSON.stringify(data).substring(0, 500));
+        throw new Error(data.error ? 'Ollama error: ' + data.error : 'Invalid response structure from Ollama');
+      }
+
+      // Empty content is returned as-is for the caller's recovery policy (retry.withEmptyResponseRecovery)
+      var text = (data.message.content || '').trim();
+
+      return { text: text, usage: parseUsage(data) };
+    },
+
+    /**
+     * Ollama runs locally without an API key
+     * @returns {boolean}
+     */
+    isApiKeyRequired() {
+      return false;
+    },
+
+    /**
+     * List models pulled on the server (/api/tags)
+     * @param {Object} config - { apiKey, endpoint }
+     * @returns {Promise<Array>} [{ value, label }]
+     */
+    async listModels(config) {
+      const headers = {};
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+      const response = await retry.fetchWithRetry(buildServerUrl(config.endpoint && config.endpoint.baseUrl) + '/api/tags', {
+        method: 'GET',
+        headers: headers
+      }, {
+        maxRetries: 1,
+        baseDelay: 1000
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        throw new Error('Failed to parse Ollama model list: ' + parseError.message);
+      }
+      if (!data || !Array.isArray(data.models)) {
+        throw new Error('Invalid model list from Ollama');
+      }
+
+      return data.models.map(function(entry) {
+        var size = entry.details && entry.details.parameter_size;
+        return { value: entry.name, label: size ? entry.name + ' (' + size + ')' : entry.name };
+      });
+    },
+
+    /**
+     * Validate API key format
+     * Keys are optional; any non-empty token is accepted
+     * @param {string} apiKey
+     * @returns {boolean}
+     */
+    validateApiKey(apiKey) {
+      return !apiKey || apiKey.trim().length > 0;
+    },
+
+    /**
+     * Get available models
+     * @returns {Array}
+     */
+    getModels() {
+      return [
+        { value: 'llama3.2', label: 'Llama 3.2 3B (Default, Fast)' },
+        { value: 'qwen2.5:7b', label: 'Qwen 2.5 7B (Balanced)' },
+        { value: 'mistral-nemo', label: 'Mistral NeMo 12B (Balanced)' },
+        { value: 'gemma3:12b', label: 'Gemma 3 12B (Multimodal)' },
+        { value: 'llama3.3:70b', label: 'Llama 3.3 70B (Most Powerful)' }
+      ];
+    }
+  };
+});
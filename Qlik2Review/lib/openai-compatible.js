@@ -0,0 +1,202 @@
+define(['./openai', './provider-contract'], function(openaiProvider, providerContract) {
+  'use strict';
+
+  // Servers vary widely, so only widely supported features are assumed
+  var CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 2,
+    jsonMode: false,     // Not every server accepts response_format JSON schemas
+    streaming: true,
+    vision: false,
+    contextWindow: 32768,
+    tokenParam: 'max_tokens'
+  };
+
+  // Auth header styles supported by common OpenAI-compatible servers
+  var AUTH_STYLES = {
+    bearer: 'bearer',    // Authorization: Bearer <key> (vLLM, LiteLLM, most gateways)
+    apiKey: 'api-key',   // api-key: <key> (Azure OpenAI)
+    custom: 'custom',    // <custom header>: <key> (corporate gateways)
+    none: 'none'         // No auth (local Ollama, internal vLLM)
+  };
+
+  /**
+   * Build the chat-completions URL from a base URL
+   * Accepts either a base (".../v1") or a full ".../chat/completions" URL
+   * @param {string} baseUrl - Endpoint base URL
+   * @param {string} [apiVersion] - Optional api-version query parameter (Azure)
+   * @returns {string} Full chat-completions URL
+   */
+  function buildChatUrl(baseUrl, apiVersion) {
+    var url = String(baseUrl).trim().replace(/\/+$/, '');
+    if (!/\/chat\/completions$/.test(url)) {
+      url += '/chat/completions';
+    }
+    if (apiVersion) {
+      url += (url.indexOf('?') === -1 ? '?' : '&') + 'api-version=' + encodeURIComponent(apiVersion);
+    }
+    return url;
+  }
+
+  /**
+   * Build the /models URL from a base URL
+   * @param {string} baseUrl - Endpoint base URL (".../v1" or a full ".../chat/completions" URL)
+   * @param {string} [apiVersion] - Optional api-version query parameter (Azure)
+   * @returns {string} Full /models URL
+   */
+  function buildModelsUrl(baseUrl, apiVersion) {
+    var url = String(baseUrl).trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '') + '/models';
+    if (apiVersion) {
+      url += '?api-version=' + encodeURIComponent(apiVersion);
+    }
+    return url;
+  }
+
+  /**
+   * Build auth headers for the configured header style
+   * @param {Object} endpoint - Endpoint settings
+   * @param {string} apiKey - API key (may be empty when style is 'none')
+   * @returns {Object} Header map
+   */
+  function buildAuthHeaders(endpoint, apiKey) {
+    var style = endpoint.authStyle || AUTH_STYLES.bearer;
+    var headers = {};
+
+    if (style === AUTH_STYLES.none || !apiKey) {
+      return headers;
+    }
+    if (style === AUTH_STYLES.apiKey) {
+      headers['api-key'] = apiKey;
+    } else if (style === AUTH_STYLES.custom && endpoint.authHeader) {
+      headers[endpoint.authHeader] = apiKey;
+    } else {
+      headers['Authorization'] = 'Bearer ' + apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Parse comma- or newline-separated model list
+   * @param {string} modelList - Raw model list from properties
+   * @returns {Array<string>} Model IDs
+   */
+  function parseModelList(modelList) {
+    if (!modelList || typeof modelList !== 'string') return [];
+    return modelList.split(/[,\n]/)
+      .map(function(m) { return m.trim(); })
+      .filter(function(m) { return m.length > 0; });
+  }
+
+  /**
+   * OpenAI-Compatible Provider Service
+   * Talks to any chat-completions endpoint (Azure OpenAI, vLLM, Ollama, LiteLLM, gateways)
+   */
+  return {
+    name: 'openai-compatible',
+    displayName: 'OpenAI-Compatible',
+    defaultModel: '',
+    capabilities: CAPABILITIES,
+    modelCapabilities: [],
+
+    AUTH_STYLES: AUTH_STYLES,
+
+    /**
+     * Generate summary using an OpenAI-compatible endpoint
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - Configuration object
+     * @param {string} [config.apiKey] - API key (optional when auth style is 'none')
+     * @param {string} [config.model] - Model to use (default: first model in endpoint list)
+     * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor (sent as response_format when jsonMode is enabled)
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } (dropped by the analyzer; endpoints are treated as text-only)
+     * @param {string} [config.system] - System prompt
+     * @param {Object} [config.capabilities] - Resolved capabilities
+     * @param {Object} config.endpoint - Endpoint settings
+     * @param {string} config.endpoint.baseUrl - Base URL, e.g. http://localhost:11434/v1
+     * @param {string} [config.endpoint.authStyle] - 'bearer' | 'api-key' | 'custom' | 'none'
+     * @param {string} [config.endpoint.authHeader] - Header name when authStyle is 'custom'
+     * @param {string} [config.endpoint.apiVersion] - api-version query parameter (Azure)
+     * @param {string} [config.endpoint.models] - Comma-separated model list
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async generateSummary(prompt, config) {
+      var endpoint = config.endpoint || {};
+
+      if (!endpoint.baseUrl) {
+        throw new Error('Base URL is required for OpenAI-compatible provider');
+      }
+      if (this.isApiKeyRequired(config) && !config.apiKey) {
+        throw new Error('API key is required for OpenAI-compatible provider');
+      }
+
+      var model = config.model || parseModelList(endpoint.models)[0];
+      if (!model) {
+        throw new Error('Model is required for OpenAI-compatible provider');
+      }
+
+      var capabilities = config.capabilities || providerContract.resolveCapabilities(this, model);
+
+      return openaiProvider.requestChatCompletion(prompt, Object.assign({}, config, { model: model, capabilities: capabilities }), {
+        url: buildChatUrl(endpoint.baseUrl, endpoint.apiVersion),
+        headers: buildAuthHeaders(endpoint, config.apiKey),
+        label: 'OpenAI-Compatible'
+      });
+    },
+
+    /**
+     * Check whether the configured auth style needs an API key
+     * @param {Object} config - Configuration object with endpoint settings
+     * @returns {boolean}
+     */
+    isApiKeyRequired(config) {
+      var endpoint = (config && config.endpoint) || {};
+      return endpoint.authStyle !== AUTH_STYLES.none;
+    },
+
+    /**
+     * List models served by the endpoint (/models)
+     * Not every server implements it; the configured model list stays the fallback
+     * @param {Object} config - { apiKey, endpoint }
+     * @returns {Promise<Array>} [{ value, label }]
+     */
+    async listModels(config) {
+      var endpoint = config.endpoint || {};
+      if (!endpoint.baseUrl) {
+        throw new Error('Base URL is required for OpenAI-compatible provider');
+      }
+      var models = await openaiProvider.requestModelList({
+        url: buildModelsUrl(endpoint.baseUrl, endpoint.apiVersion),
+        headers: buildAuthHeaders(endpoint, config.apiKey),
+        label: 'OpenAI-Compatible'
+      });
+      return models.map(function(entry) {
+        return { value: entry.id, label: entry.id };
+      });
+    },
+
+    /**
+     * Validate API key format
+     * Key formats vary by server, so any non-empty key is accepted
+     * @param {string} apiKey
+     * @returns {boolean}
+     */
+    validateApiKey(apiKey) {
+      return !!apiKey && apiKey.trim().length > 0;
+    },
+
+    /**
+     * Get available models from the configured model list
+     * @param {string} [modelList] - Comma-separated model list from properties
+     * @returns {Array}
+     */
+    getModels(modelList) {
+      return parseModelList(modelList).map(function(m) {
+        return { value: m, label: m };
+      });
+    }
+  };
+});
@@ -1,8 +1,261 @@
-define(['./retry'], function(retry) {
+define(['./retry', './event-stream', './provider-contract', './proxy'], function(retry, eventStream, providerContract, proxy) {
   'use strict';
 
   const DEFAULT_MODEL = 'gpt-4.1-2025-04-14';  // Stable, cost-effective model
   const API_URL = 'https://api.openai.com/v1/chat/completions';
+  const MODELS_URL = 'https://api.openai.com/v1/models';
+
+  const CAPABILITIES = {
+    systemRole: true,
+    temperature: true,
+    topP: true,
+    maxTemperature: 2,
+    jsonMode: true,
+    streaming: true,
+    vision: true,
+    contextWindow: 128000,
+    tokenParam: 'max_tokens'
+  };
+
+  // Model-specific overrides (later entries win)
+  const MODEL_CAPABILITIES = [
+    { prefixes: ['gpt-4.1'], capabilities: { contextWindow: 1047576 } },
+    // GPT-5.x and reasoning models use max_completion_tokens instead of max_tokens and take reasoning_effort
+    { prefixes: ['gpt-5'], capabilities: { contextWindow: 400000, tokenParam: 'max_completion_tokens', reasoning: 'effort', reasoningOff: 'minimal' } },
+    { prefixes: ['gpt-5.1', 'gpt-5.2'], capabilities: { reasoningOff: 'none' } },
+    { prefixes: ['gpt-5-chat'], capabilities: { reasoning: null, reasoningOff: false } },
+    { prefixes: ['o1', 'o3', 'o4'], capabilities: { contextWindow: 200000, tokenParam: 'max_completion_tokens', reasoning: 'effort' } },
+    // Some models don't support temperature
+    { prefixes: ['gpt-5-mini', 'o3-mini'], capabilities: { temperature: false, topP: false } },
+    // Early reasoning models also reject system messages, images and JSON schemas
+    { prefixes: ['o1-mini', 'o1-preview'], capabilities: { systemRole: false, temperature: false, topP: false, jsonMode: false, vision: false, contextWindow: 128000, reasoning: null } },
+    { prefixes: ['o3-mini'], capabilities: { vision: false } }
+  ];
+
+  /**
+   * Convert chat-completions usage to the shared usage shape
+   * Prompt tokens served from OpenAI's automatic prefix cache are reported as cachedInputTokens
+   * @param {Object} raw - Usage object from the API
+   * @returns {Object} { inputTokens, outputTokens, totalTokens, cachedInputTokens, reasoningTokens }
+   */
+  function readUsage(raw) {
+    return {
+      inputTokens: raw.prompt_tokens || 0,
+      outputTokens: raw.completion_tokens || 0,
+      totalTokens: raw.total_tokens || 0,
+      cachedInputTokens: (raw.prompt_tokens_details && raw.prompt_tokens_details.cached_tokens) || 0,
+      reasoningTokens: (raw.completion_tokens_details && raw.completion_tokens_details.reasoning_tokens) || 0
+    };
+  }
+
+  /**
+   * Read a streamed chat-completions response
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onToken - Callback (delta, fullText) for each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async function readChatStream(response, onToken) {
+    var text = '';
+    var usage = null;
+
+    await eventStream.readEventStream(response, function(eventName, chunk) {
+      var delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) {
+        text += delta.content;
+        onToken(delta.content, text);
+      }
+      // Final chunk carries usage when stream_options.include_usage is set
+      if (chunk.usage) {
+        usage = readUsage(chunk.usage);
+      }
+    });
+
+    return { text: text.trim(), usage: usage };
+  }
+
+  /**
+   * Build the user message content, adding images as data-URL parts
+   * @param {string} prompt - The prompt to send
+   * @param {Array<Object>} [images] - Images { mimeType, data } with base64 data
+   * @param {Object} capabilities - Resolved capability descriptor
+   * @returns {string|Array<Object>} Plain prompt, or content parts when images are attached
+   */
+  function buildUserContent(prompt, images, capabilities) {
+    if (!images || images.length === 0 || !capabilities.vision) {
+      return prompt;
+    }
+    var parts = [{ type: 'text', text: prompt }];
+    images.forEach(function(image) {
+      parts.push({
+        type: 'image_url',
+        image_url: { url: 'data:' + image.mimeType + ';base64,' + image.data }
+      });
+    });
+    return parts;
+  }
+
+  /**
+   * Send a chat-completions request to an OpenAI-style endpoint
+   * Shared by the OpenAI provider and OpenAI-compatible endpoints
+   * @param {string} prompt - The prompt to send
+   * @param {Object} config - Configuration object (model, maxTokens, temperature, topP)
+   * @param {string} [config.system] - System prompt (sent only when the model supports a system role)
+   * @param {Object} config.capabilities - Resolved capability descriptor (see provider-contract)
+   * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+   * @param {Object} [config.responseSchema] - JSON schema descriptor { name, description, schema } for structured output
+   * @param {Array<Object>} [config.images] - Images { mimeType, data } sent as image_url parts (vision models only)
+   * @param {string} [config.reasoning] - Reasoning level, sent as reasoning_effort (see provider-contract)
+   * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay)
+   * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
+   * @param {Object} target - Endpoint target
+   * @param {string} target.url - Full chat-completions URL
+   * @param {Object} [target.headers] - Auth headers to send with the request
+   * @param {string} [target.label] - Label used in logs and error messages
+   * @param {boolean} [target.streamUsage] - Send stream_options.include_usage (default: true)
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async function requestChatCompletion(prompt, config, target) {
+    const model = config.model || DEFAULT_MODEL;
+    const maxTokens = config.maxTokens || 150;
+    const label = target.label || 'OpenAI';
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, target.headers);
+    const capabilities = config.capabilities;
+    const tokenParam = capabilities.tokenParam;
+
+    const messages = [];
+    if (config.system && capabilities.systemRole) {
+      messages.push({ role: 'system', content: config.system });
+    }
+    messages.push({ role: 'user', content: buildUserContent(prompt, config.images, capabilities) });
+
+    const requestBody = {
+      model: model,
+      messages: messages
+    };
+
+    // Only add temperature if model supports it
+    if (capabilities.temperature) {
+      requestBody.temperature = config.temperature !== undefined ? config.temperature : 0.3;
+    }
+    // Add top_p if specified and not default
+    if (capabilities.topP && config.topP !== undefined && config.topP < 1) {
+      requestBody.top_p = config.topP;
+    }
+    requestBody[tokenParam] = maxTokens;
+
+    // Reasoning effort - hidden reasoning tokens count against the completion limit, so reserve room for them
+    if (config.reasoning && capabilities.reasoning === 'effort') {
+      requestBody.reasoning_effort = config.reasoning === 'off' ? capabilities.reasoningOff : config.reasoning;
+      requestBody[tokenParam] = maxTokens + providerContract.getReasoningBudget(config.reasoning);
+    }
+
+    // Structured output - the model must return JSON matching the schema
+    if (config.responseSchema && capabilities.jsonMode) {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: config.responseSchema.name,
+          description: config.responseSchema.description,
+          strict: true,
+          schema: config.responseSchema.schema
+        }
+      };
+    }
+
+    // Stream tokens as they arrive when a callback is provided
+    if (typeof config.onToken === 'function' && eventStream.isSupported()) {
+      const streamBody = Object.assign({}, requestBody, { stream: true });
+      if (target.streamUsage !== false) {
+        streamBody.stream_options = { include_usage: true };
+      }
+      const streamResponse = await retry.fetchWithRetry(target.url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(streamBody)
+      }, {
+        maxRetries: 2,
+        baseDelay: 1000,
+        onRetry: config.onRetry,
+        signal: config.signal
+      });
+
+      // Empty streams are handled by the caller's recovery policy (retry.withEmptyResponseRecovery)
+      return readChatStream(streamResponse, config.onToken);
+    }
+
+    // Use retry logic for resilient API calls; the timeout grows with the output limit
+    const response = await retry.fetchWithRetry(target.url, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(requestBody)
+    }, {
+      maxRetries: 2,
+      baseDelay: 1000,
+      timeout: providerContract.getRequestTimeout(requestBody[tokenParam]),
+      onRetry: config.onRetry,
+      signal: config.signal
+    });
+
+    // Parse JSON with error handling
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      throw new Error('Failed to parse ' + label + ' response: ' + parseError.message);
+    }
+
+    // Validate response structure
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      console.log('[' + label + '] Unexpected response structure:', JSON.stringify(data).substring(0, 500));
+      throw new Error('Invalid response structure from ' + label);
+    }
+
+    // GPT-5.x may return content differently or include refusal
+    var message = data.choices[0].message;
+    var text = message.content?.trim() || '';
+
+    // Check for refusal (safety filter); empty content is returned as-is for the recovery policy
+    if (!text && message.refusal) {
+      console.log('[' + label + '] Response refused:', message.refusal);
+      text = 'Response filtered by safety policy';
+    }
+
+    // Extract usage data if available
+    var usage = data.usage ? readUsage(data.usage) : null;
+
+    return { text: text, usage: usage };
+  }
+
+  /**
+   * Fetch the model list from an OpenAI-style /models endpoint
+   * Shared by OpenAI, Mistral and OpenAI-compatible servers, which all answer { data: [{ id, ... }] }
+   * @param {Object} target - Endpoint target
+   * @param {string} target.url - Full /models URL
+   * @param {Object} [target.headers] - Auth headers to send with the request
+   * @param {string} [target.label] - Provider label for error messages
+   * @returns {Promise<Array<Object>>} Raw model entries
+   */
+  async function requestModelList(target) {
+    const label = target.label || 'OpenAI';
+    const response = await retry.fetchWithRetry(target.url, {
+      method: 'GET',
+      headers: target.headers || {}
+    }, {
+      maxRetries: 1,
+      baseDelay: 1000
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      throw new Error('Failed to parse ' + label + ' model list: ' + parseError.message);
+    }
+    if (!data || !Array.isArray(data.data)) {
+      throw new Error('Invalid model list from ' + label);
+    }
+    return data.data;
+  }
 
   /**
    * OpenAI Provider Service
@@ -10,6 +263,9 @@ define(['./retry'], function(retry) {
   return {
     name: 'openai',
     displayName: 'OpenAI',
+    defaultModel: DEFAULT_MODEL,
+    capabilities: CAPABILITIES,
+    modelCapabilities: MODEL_CAPABILITIES,
 
     /**
      * Generate summary using OpenAI API
@@ -18,184 +274,62 @@ define(['./retry'], function(retry) {
      * @param {string} config.apiKey - OpenAI API key
      * @param {string} [config.model] - Model to use (default: gpt-4o-mini)
      * @param {number} [config.maxTokens] - Max tokens in response
+     * @param {Function} [config.onToken] - Stream tokens to this callback (delta, fullText)
+     * @param {Object} [config.responseSchema] - JSON schema descriptor for structured output
+     * @param {Array<Object>} [config.images] - Images { mimeType, data } for vision models
+     * @param {string} [config.system] - System prompt
+     * @param {Object} [config.capabilities] - Resolved capabilities (resolved from the model when omitted)
+     * @param {Object} [config.proxy] - Resolved relay { url, token } used instead of the API key (see proxy.js)
+     * @param {Function} [config.onRetry] - Called before each HTTP retry (attempt, error, delay); used by the rate limiter
+     * @param {AbortSignal} [config.signal] - Cancels the request in flight (see retry.fetchWithRetry)
      * @returns {Promise<string>} Generated summary
      */
     async generateSummary(prompt, config) {
-      if (!config.apiKey) {
+      if (!config.apiKey && !config.proxy) {
         throw new Error('OpenAI API key is required');
       }
 
-      const model = config.model || DEFAULT_MODEL;
-      const maxTokens = config.maxTokens || 150;
-
-      // GPT-5.x and reasoning models use max_completion_tokens instead of max_tokens
-      const isGPT5 = model.startsWith('gpt-5') || model.startsWith('o3') || model.startsWith('o1');
-      const tokenParam = isGPT5 ? 'max_completion_tokens' : 'max_tokens';
-
-      // Some models don't support temperature (gpt-5-mini, o1, o3-mini, etc.)
-      const noTempModels = ['gpt-5-mini', 'o1-mini', 'o1-preview', 'o3-mini'];
-      const supportsTemp = !noTempModels.some(m => model.includes(m));
-
-      const requestBody = {
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a data analyst. Provide concise, actionable insights from data visualizations. Be specific and direct. No fluff.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      };
-
-      // Only add temperature if model supports it
-      if (supportsTemp) {
-        requestBody.temperature = config.temperature !== undefined ? config.temperature : 0.3;
-        // Add top_p if specified and not default
-        if (config.topP !== undefined && config.topP < 1) {
-          requestBody.top_p = config.topP;
-        }
-      }
-      requestBody[tokenParam] = maxTokens;
+      const capabilities = config.capabilities || providerContract.resolveCapabilities(this, config.model);
+      const target = proxy.route('openai', API_URL, { 'Authorization': `Bearer ${config.apiKey}` }, config.proxy);
 
-      // Use retry logic for resilient API calls
-      const response = await retry.fetchWithRetry(API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${config.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      }, {
-        maxRetries: 2,
-        baseDelay: 1000
+      return requestChatCompletion(prompt, Object.assign({}, config, { capabilities: capabilities }), {
+        url: target.url,
+        headers: target.headers,
+        label: 'OpenAI'
       });
+    },
 
-      // Parse JSON with error handling
-      let data;
-      try {
-        data = await response.json();
-      } catch (parseError) {
-        throw new Error('Failed to parse OpenAI response: ' + parseError.message);
-      }
-
-      // Validate response structure
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        console.log('[OpenAI] Unexpected response structure:', JSON.stringify(data).substring(0, 500));
-        throw new Error('Invalid response structure from OpenAI');
-      }
-
-      // GPT-5.x may return content differently or include refusal
-      var message = data.choices[0].message;
-      var text = message.content?.trim() || '';
-
-      // Check for refusal (safety filter)
-      if (!text && message.refusal) {
-        console.log('[OpenAI] Response refused:', message.refusal);
-        text = 'Response filtered by safety policy';
-      }
-
-      // Retry on empty content (transient API issue or model quirk)
-      if (!text && !message.refusal) {
-        console.log('[OpenAI] Empty content, retrying with forced prompt...');
-
-        // Retry with a modified prompt that forces a response
-        const forcedRequestBody = JSON.parse(JSON.stringify(requestBody));
-        forcedRequestBody.messages[0].content = 'You MUST respond with analysis. Never return empty. ' + forcedRequestBody.messages[0].content;
-        forcedRequestBody.messages.push({
-          role: 'user',
-          content: 'Please provide your analysis now. Do not return empty.'
-        });
-
-        // Slight delay before retry
-        await new Promise(function(resolve) { setTimeout(resolve, 300); });
-
-        const retryResponse = await retry.fetchWithRetry(API_URL, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${config.apiKey}`
-          },
-          body: JSON.stringify(forcedRequestBody)
-        }, {
-          maxRetries: 1,
-          baseDelay: 500
-        });
-
-        let retryData;
-        try {
-          retryData = await retryResponse.json();
-        } catch (e) {
-          console.log('[OpenAI] Retry parse failed:', e.message);
-        }
-
-        if (retryData && retryData.choices && retryData.choices[0] && retryData.choices[0].message) {
-          text = retryData.choices[0].message.content?.trim() || '';
-          if (text) {
-            console.log('[OpenAI] Retry succeeded with forced prompt');
-            if (retryData.usage) {
-              data.usage = retryData.usage;
-            }
-          }
-        }
-      }
-
-      // Final fallback - try one more time with even simpler prompt
-      if (!text && !message.refusal) {
-        console.log('[OpenAI] Second retry with minimal prompt...');
-
-        const minimalBody = {
-          model: model,
-          messages: [
-            { role: 'user', content: 'Briefly analyze this data and identify key trends:\n\n' + prompt.substring(0, 1500) }
-          ]
-        };
-        minimalBody[tokenParam] = maxTokens;
-        if (supportsTemp) minimalBody.temperature = 0.5;
-
-        await new Promise(function(resolve) { setTimeout(resolve, 300); });
-
-        try {
-          const lastRetry = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${config.apiKey}`
-            },
-            body: JSON.stringify(minimalBody)
-          });
-          const lastData = await lastRetry.json();
-          if (lastData.choices && lastData.choices[0] && lastData.choices[0].message) {
-            text = lastData.choices[0].message.content?.trim() || '';
-            if (text) {
-              console.log('[OpenAI] Minimal prompt retry succeeded');
-              if (lastData.usage) data.usage = lastData.usage;
-            }
-          }
-        } catch (e) {
-          console.log('[OpenAI] Minimal retry failed:', e.message);
-        }
-      }
+    /**
+     * Send a chat-completions request to a custom endpoint
+     * @see requestChatCompletion
+     */
+    requestChatCompletion: requestChatCompletion,
 
-      // Fall back to generic message if still empty
-      if (!text) {
-        console.log('[OpenAI] All retries failed. Original message:', JSON.stringify(message).substring(0, 200));
-        text = 'Analysis pending - please retry';
-      }
+    /**
+     * Fetch a model list from an OpenAI-style endpoint
+     * @see requestModelList
+     */
+    requestModelList: requestModelList,
 
-      // Extract usage data if available
-      var usage = null;
-      if (data.usage) {
-        usage = {
-          inputTokens: data.usage.prompt_tokens || 0,
-          outputTokens: data.usage.completion_tokens || 0,
-          totalTokens: data.usage.total_tokens || 0
-        };
+    /**
+     * List chat models from the /v1/models endpoint
+     * Embedding, audio, image and moderation models are left out
+     * @param {Object} config - { apiKey, proxy }
+     * @returns {Promise<Array>} [{ value, label }]
+     */
+    async listModels(config) {
+      if (!config.apiKey && !config.proxy) {
+        throw new Error('OpenAI API key is required');
       }
+      const target = proxy.route('openai', MODELS_URL, { 'Authorization': `Bearer ${config.apiKey}` }, config.proxy);
+      const models = await requestModelList({ url: target.url, headers: target.headers, label: 'OpenAI' });
 
-      return { text: text, usage: usage };
+      return models
+        .map(function(entry) { return entry.id; })
+        .filter(function(id) {
+          return /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image|search|embedding)/.test(id);
+        })
+        .map(function(id) { return { value: id, label: id }; });
     },
 
     /**
@@ -22,6 +22,17 @@ define([], function() {
     'ar': 'Arabic'
   };
 
+  // System prompt sent with every request (as a system role where the model supports one)
+  const SYSTEM_PROMPT = 'You are a data analyst. Provide concise, actionable insights from data visualizations. Be specific and direct. No fluff.';
+
+  // Marks the end of the static prompt prefix (instructions) that providers may cache.
+  // A single control character so truncation can never leave half a marker; removed by adaptToCapabilities.
+  const CACHE_BREAK = '\u001E';
+
+  // Rough token estimate, matching tokenTracker.estimateTokens
+  const CHARS_PER_TOKEN = 4;
+  const CONTEXT_TRUNCATION_NOTE = '\n\n[Data truncated to fit the model context window]';
+
   // Default system prompt for object analysis
   const DEFAULT_OBJECT_PROMPT = `Analyze this Qlik visualization data. Provide concise analytical insights.
 Focus on: key trends, patterns, outliers, and actionable observations.
@@ -30,6 +41,41 @@ Use subtle emojis for trends: 📈 increase, 📉 decrease, ⚠️ anomaly, ✅
 Use **bold** for key numbers and metrics (e.g. **$1.2M**, **+23%**, **Top: North**).
 CRITICAL: Be DATA-DRIVEN. Always include specific numbers, percentages, ratios. Example: "Sales up **23%** to **$1.2M**" not "Sales increased significantly".`;
 
+  // Default prompt for object analysis in structured output mode (formatting comes from the schema)
+  const STRUCTURED_OBJECT_PROMPT = `Analyze this Qlik visualization data. Provide concise analytical insights.
+Focus on: key trends, patterns, outliers, and actionable observations.
+CRITICAL: Be DATA-DRIVEN. Always include specific numbers, percentages, ratios. Example: "Sales up 23% to $1.2M" not "Sales increased significantly".`;
+
+  // Field guide appended in structured output mode
+  const STRUCTURED_FIELDS = `- headline: one sentence (under 150 characters) with the main insight and its key number. No emojis, no markdown.
+- sentiment: "positive", "negative", "neutral" or "mixed" from a business perspective
+- keyNumbers: up to 3 {"label", "value"} pairs with formatted values, e.g. {"label": "Sales", "value": "$1.2M"}
+- anomalies: short descriptions of outliers or concerns (empty array if none)
+- confidence: 0 to 1, lower when data is sparse or ambiguous`;
+  const STRUCTURED_OUTPUT_INSTRUCTIONS = 'Respond ONLY with a JSON object:\n' + STRUCTURED_FIELDS;
+
+  // Response format for single-call mode, where one request covers every object on the sheet
+  const BATCH_OBJECT_INSTRUCTIONS = `The data below covers several visualizations, each under an "=== OBJECT <id> ===" header.
+Analyze each visualization on its own, following the instructions above for every one of them.
+Respond ONLY with a JSON object {"insights": [...]} holding one entry per object, in the order given.`;
+  const BATCH_TEXT_FIELDS = `Each entry has:
+- id: the object id exactly as given in its header
+- insight: the insight text for that object`;
+  const BATCH_STRUCTURED_FIELDS = 'Each entry has:\n- id: the object id exactly as given in its header\n' + STRUCTURED_FIELDS;
+
+  // Added when a rendered snapshot of the object is attached as an image
+  const SNAPSHOT_NOTE = 'A snapshot of the rendered chart is attached. Read trends, shapes and labels from the image.';
+  const SNAPSHOT_ONLY_NOTE = 'A snapshot of the rendered chart is attached. The underlying data is not included - base the analysis on what the image shows.';
+
+  // Prompt for follow-up questions in the sheet chat
+  const CHAT_PROMPT = `Answer follow-up questions about a Qlik Sense sheet that was just analyzed.
+Ground every answer in the sheet data, insights and fetched rows below. If they do not answer the question, say what is missing.
+Be specific with numbers and keep answers short (under 600 characters). Use **bold** for key numbers.`;
+
+  // Tells the model how to ask for rows beyond the analyzed sample (handled by lib/chat.js)
+  const CHAT_FETCH_INSTRUCTIONS = `Chart data below is a sample. If you need more rows from a chart to answer, reply with ONLY this line:
+FETCH_ROWS {"objectId": "<chart id>", "offset": <first row, 0-based>, "count": <rows, max 200>}`;
+
   // Default system prompt for sheet summary
   const DEFAULT_SHEET_PROMPT = `Synthesize ALL chart data into a comprehensive sheet-level analysis.
 Identify cross-chart patterns, correlations, and the overall data story. Keep response under 800 characters.
@@ -54,7 +100,88 @@ RULES:
 - No # symbols, no bullet points, no numbered lists
 - Professional tone, not dramatic`;
 
+  // Default prompt for the app-level synthesis across all analyzed sheets
+  const DEFAULT_APP_PROMPT = `Synthesize the sheet analyses below into one executive report for the whole Qlik app.
+Connect findings across sheets: shared drivers, contradictions, and where the sheets tell one story. Keep response under 1200 characters.
+
+FORMAT STRICTLY AS (each section on new line):
+📊 Overview:
+[Your overview paragraph here]
+
+📈 Key Trends:
+[Your trends paragraph here]
+
+⚠️ Concerns:
+[Your concerns paragraph here]
+
+💡 Recommendations:
+[Your recommendations paragraph here]
+
+RULES:
+- Use line breaks between sections
+- Use **bold** for key numbers
+- Name the sheet a finding comes from when it matters
+- Be QUANTITATIVE with specific numbers, percentages, ratios
+- No # symbols, no bullet points, no numbered lists
+- Professional tone, not dramatic`;
+
+  /**
+   * Format selections as "Field: a, b, c...; Field2: x" (first 3 values per field)
+   * @param {Array} selections - Current selections
+   * @returns {string}
+   */
+  function formatActiveFilters(selections) {
+    return selections.map(function(s) {
+      return `${s.field}: ${s.selected.slice(0, 3).join(', ')}${s.count > 3 ? '...' : ''}`;
+    }).join('; ');
+  }
+
   return {
+    SYSTEM_PROMPT: SYSTEM_PROMPT,
+    CACHE_BREAK: CACHE_BREAK,
+
+    /**
+     * Adapt a prompt to a model's capabilities
+     * Models without a system role get the system prompt prepended to the user prompt,
+     * and prompts that would overflow the context window are trimmed from the end.
+     * The CACHE_BREAK marker is removed; the text before it is returned as cachePrefix.
+     * Providers do not cache prefixes below capabilities.cacheMinTokens (1024 tokens for Anthropic and OpenAI,
+     * counting the system prompt), so shorter prefixes - e.g. the default object instructions - get no cachePrefix.
+     * @param {string} prompt - User prompt
+     * @param {Object} capabilities - Resolved capability descriptor (see provider-contract)
+     * @param {number} [maxTokens] - Output tokens to reserve
+     * @returns {Object} { system: string|null, prompt: string, cachePrefix: string|null } (prompt starts with cachePrefix)
+     */
+    adaptToCapabilities: function(prompt, capabilities, maxTokens) {
+      var system = SYSTEM_PROMPT;
+      var user = prompt;
+
+      if (!capabilities.systemRole) {
+        user = system + '\n\n' + user;
+        system = null;
+      }
+
+      var cachePrefix = null;
+      var breakIndex = user.indexOf(CACHE_BREAK);
+      if (breakIndex !== -1) {
+        cachePrefix = user.substring(0, breakIndex);
+        user = cachePrefix + user.substring(breakIndex + 1).replace(/^\n/, '').split(CACHE_BREAK).join('');
+        if (((system ? system.length : 0) + cachePrefix.length) / CHARS_PER_TOKEN < (capabilities.cacheMinTokens || 0)) {
+          cachePrefix = null;
+        }
+      }
+
+      var maxChars = (capabilities.contextWindow - (maxTokens || 0)) * CHARS_PER_TOKEN - (system ? system.length : 0);
+      if (user.length > maxChars) {
+        user = user.substring(0, Math.max(0, maxChars - CONTEXT_TRUNCATION_NOTE.length)) + CONTEXT_TRUNCATION_NOTE;
+        if (cachePrefix && user.indexOf(cachePrefix) !== 0) {
+          cachePrefix = null;
+        }
+      }
+
+      return { system: system, prompt: user, cachePrefix: cachePrefix };
+    },
+
     /**
      * Build prompt for analyzing a single object
      * @param {Object} obj - Object details with data
@@ -62,9 +189,11 @@ RULES:
      * @param {string} customPrompt - Optional custom prompt
      * @param {string} language - Response language code (default: 'en')
      * @param {string} dataFormat - 'compressed' or 'raw' (default: 'compressed')
+     * @param {boolean} [structured] - Ask for a JSON insight instead of free text
+     * @param {string} [snapshotMode] - 'alongside' or 'instead' when a chart snapshot is attached
      * @returns {string} Constructed prompt
      */
-    buildObjectPrompt: function(obj, selections, customPrompt, language, dataFormat) {
+    buildObjectPrompt: function(obj, selections, customPrompt, language, dataFormat, structured, snapshotMode) {
       const parts = [];
 
       // Add language instruction at the very beginning if not English
@@ -74,42 +203,75 @@ RULES:
       }
 
       // Use custom prompt or default
-      parts.push(customPrompt || DEFAULT_OBJECT_PROMPT);
+      if (structured) {
+        parts.push(customPrompt || STRUCTURED_OBJECT_PROMPT);
+        parts.push('');
+        parts.push(STRUCTURED_OUTPUT_INSTRUCTIONS);
+      } else {
+        parts.push(customPrompt || DEFAULT_OBJECT_PROMPT);
+      }
       parts.push('');
+      parts.push(CACHE_BREAK);
 
       // Object metadata
-      parts.push(`Chart Type: ${obj.type}`);
+      Array.prototype.push.apply(parts, this.describeObject(obj));
+
+      // Include current selections context
+      if (selections && selections.length > 0) {
+        parts.push(`Active Filters: ${formatActiveFilters(selections)}`);
+      }
+
+      if (snapshotMode) {
+        parts.push('');
+        parts.push(snapshotMode === 'instead' ? SNAPSHOT_ONLY_NOTE : SNAPSHOT_NOTE);
+        if (snapshotMode === 'instead') {
+          return parts.join('\n');
+        }
+      }
+
+      // Include data (compressed stats or raw TOON format)
+      Array.prototype.push.apply(parts, this.formatObjectData(obj, dataFormat));
+
+      return parts.join('\n');
+    },
+
+    /**
+     * Describe an object: chart type, title, dimension and measure labels
+     * @param {Object} obj - Object with data
+     * @returns {Array<string>} Prompt lines
+     */
+    describeObject: function(obj) {
+      const lines = [`Chart Type: ${obj.type}`];
       if (obj.title) {
-        parts.push(`Title: ${obj.title}`);
+        lines.push(`Title: ${obj.title}`);
       }
 
-      // Dimensions and measures info
       if (obj.dimensions && obj.dimensions.length > 0) {
-        const dimLabels = obj.dimensions.map(function(d) { return d.label; }).join(', ');
-        parts.push(`Dimensions: ${dimLabels}`);
+        lines.push(`Dimensions: ${obj.dimensions.map(function(d) { return d.label; }).join(', ')}`);
       }
-
       if (obj.measures && obj.measures.length > 0) {
-        const measLabels = obj.measures.map(function(m) { return m.label; }).join(', ');
-        parts.push(`Measures: ${measLabels}`);
+        lines.push(`Measures: ${obj.measures.map(function(m) { return m.label; }).join(', ')}`);
       }
+      return lines;
+    },
 
-      // Include current selections context
-      if (selections && selections.length > 0) {
-        const selContext = selections.map(function(s) {
-          return `${s.field}: ${s.selected.slice(0, 3).join(', ')}${s.count > 3 ? '...' : ''}`;
-        }).join('; ');
-        parts.push(`Active Filters: ${selContext}`);
+    /**
+     * Format an object's data for a prompt (plus the KPI value line for KPIs)
+     * @param {Object} obj - Object with data
+     * @param {string} dataFormat - 'compressed' or 'raw' (default: 'compressed')
+     * @returns {Array<string>} Prompt lines (empty when the object has no data)
+     */
+    formatObjectData: function(obj, dataFormat) {
+      const lines = [];
+      if (!obj.data || obj.data.length === 0) {
+        return lines;
       }
 
-      // Include data (compressed stats or raw TOON format)
-      if (obj.data && obj.data.length > 0) {
-        parts.push('');
-        parts.push(this.formatData(obj.data, obj.dimensions, obj.measures, dataFormat || 'compressed'));
-      }
+      lines.push('');
+      lines.push(this.formatObjectRows(obj, dataFormat || 'compressed'));
 
       // Special handling for KPI - extract values from obj.data (same as sheet summary)
-      if (obj.type === 'kpi' && obj.data && obj.data.length > 0 && obj.data[0].measures) {
+      if (obj.type === 'kpi' && obj.data[0].measures) {
         var kpiMeasures = obj.data[0].measures;
         var primaryVal = kpiMeasures[0] ? (kpiMeasures[0].text || kpiMeasures[0].num) : null;
         var secondaryVal = kpiMeasures[1] ? (kpiMeasures[1].text || kpiMeasures[1].num) : null;
@@ -119,9 +281,49 @@ RULES:
           if (secondaryVal !== undefined && secondaryVal !== null) {
             kpiText += ` | Comparison: ${secondaryVal}`;
           }
-          parts.push(kpiText);
+          lines.push(kpiText);
         }
       }
+      return lines;
+    },
+
+    /**
+     * Build one prompt covering several objects (single-call mode)
+     * The model answers with {"insights": [{ id, ... }]} keyed by object ID
+     * @param {Array} objects - Objects with data
+     * @param {Array} selections - Current selections
+     * @param {string} customPrompt - Optional custom object prompt (applied to every object)
+     * @param {string} language - Response language code (default: 'en')
+     * @param {string} dataFormat - 'compressed' or 'raw' (default: 'compressed')
+     * @param {boolean} [structured] - Ask for structured insight fields instead of free text
+     * @returns {string} Constructed prompt
+     */
+    buildBatchObjectPrompt: function(objects, selections, customPrompt, language, dataFormat, structured) {
+      const parts = [];
+      const self = this;
+
+      if (language && language !== 'en' && LANGUAGE_NAMES[language]) {
+        parts.push('IMPORTANT: Respond entirely in ' + LANGUAGE_NAMES[language] + '. All text must be in ' + LANGUAGE_NAMES[language] + '.');
+        parts.push('');
+      }
+
+      parts.push(customPrompt || (structured ? STRUCTURED_OBJECT_PROMPT : DEFAULT_OBJECT_PROMPT));
+      parts.push('');
+      parts.push(BATCH_OBJECT_INSTRUCTIONS);
+      parts.push(structured ? BATCH_STRUCTURED_FIELDS : BATCH_TEXT_FIELDS);
+      parts.push(CACHE_BREAK);
+
+      if (selections && selections.length > 0) {
+        parts.push('');
+        parts.push(`Active Filters (all objects): ${formatActiveFilters(selections)}`);
+      }
+
+      objects.forEach(function(obj) {
+        parts.push('');
+        parts.push(`=== OBJECT ${obj.id} ===`);
+        Array.prototype.push.apply(parts, self.describeObject(obj));
+        Array.prototype.push.apply(parts, self.formatObjectData(obj, dataFormat));
+      });
 
       return parts.join('\n');
     },
@@ -149,6 +351,7 @@ RULES:
 
       parts.push(customPrompt || DEFAULT_SHEET_PROMPT);
       parts.push('');
+      parts.push(CACHE_BREAK);
 
       // Selection context
       if (selections && selections.length > 0) {
@@ -164,7 +367,7 @@ RULES:
       objects.forEach(function(obj, idx) {
         if (obj.data && obj.data.length > 0) {
           parts.push(`[${obj.type.toUpperCase()}] ${obj.title || 'Untitled'}:`);
-          parts.push(self.formatData(obj.data, obj.dimensions || [], obj.measures || [], format));
+          parts.push(self.formatObjectRows(obj, format));
           parts.push('');
         }
       });
@@ -180,15 +383,145 @@ RULES:
       return parts.join('\n');
     },
 
+    /**
+     * Build prompt for the app-level synthesis from per-sheet results
+     * Only summaries and insights are sent; the sheet prompts already saw the data.
+     * @param {Array} sheets - Analyzed sheets { title, sheetSummary, objectSummaries }
+     * @param {Array} selections - Current selections
+     * @param {string} language - Response language code (default: 'en')
+     * @returns {string} Constructed prompt
+     */
+    buildAppPrompt: function(sheets, selections, language) {
+      const parts = [];
+
+      if (language && language !== 'en' && LANGUAGE_NAMES[language]) {
+        parts.push('IMPORTANT: Respond entirely in ' + LANGUAGE_NAMES[language] + '. All text must be in ' + LANGUAGE_NAMES[language] + '.');
+        parts.push('');
+      }
+
+      parts.push(DEFAULT_APP_PROMPT);
+      parts.push('');
+      parts.push(CACHE_BREAK);
+
+      if (selections && selections.length > 0) {
+        parts.push(`Active filters: ${formatActiveFilters(selections)}`);
+        parts.push('');
+      }
+
+      sheets.forEach(function(sheet, idx) {
+        parts.push(`=== SHEET ${idx + 1}: ${sheet.title || 'Untitled'} ===`);
+        parts.push(sheet.sheetSummary);
+        const insights = (sheet.objectSummaries || []).filter(function(obj) { return !obj.error; });
+        if (insights.length > 0) {
+          parts.push('Chart insights:');
+          insights.forEach(function(obj) {
+            parts.push(`- [${obj.type}] ${obj.title}: ${obj.summary}`);
+          });
+        }
+        parts.push('');
+      });
+
+      return parts.join('\n');
+    },
+
+    /**
+     * Build prompt for a sheet chat turn, grounded in the last analysis
+     * @param {Object} context - { objects, objectSummaries, sheetSummary, selections }
+     * @param {Array} history - Earlier messages { role: 'user' | 'assistant', text }
+     * @param {string} question - The new question
+     * @param {Array} fetchedPages - Rows fetched in this turn { objectId, title, dimensions, measures, rows, top, totalRows }
+     * @param {string} language - Response language code (default: 'en')
+     * @param {string} dataFormat - 'compressed' or 'raw' (default: 'compressed')
+     * @param {boolean} allowFetch - Offer FETCH_ROWS to the model
+     * @returns {string} Constructed prompt
+     */
+    buildChatPrompt: function(context, history, question, fetchedPages, language, dataFormat, allowFetch) {
+      const parts = [];
+      const self = this;
+      const objects = context.objects || [];
+
+      // Add language instruction at the very beginning if not English
+      if (language && language !== 'en' && LANGUAGE_NAMES[language]) {
+        parts.push('IMPORTANT: Respond entirely in ' + LANGUAGE_NAMES[language] + '. All text must be in ' + LANGUAGE_NAMES[language] + '.');
+        parts.push('');
+      }
+
+      parts.push(CHAT_PROMPT);
+      if (allowFetch) {
+        parts.push('');
+        parts.push(CHAT_FETCH_INSTRUCTIONS);
+      }
+      parts.push('');
+
+      if (context.selections && context.selections.length > 0) {
+        const selContext = context.selections.map(function(s) {
+          return `${s.field}: ${s.selected.slice(0, 3).join(', ')}${s.count > 3 ? '...' : ''}`;
+        }).join('; ');
+        parts.push(`Active Filters: ${selContext}`);
+        parts.push('');
+      }
+
+      if (context.sheetSummary) {
+        parts.push('=== SHEET SUMMARY ===');
+        parts.push(context.sheetSummary);
+        parts.push('');
+      }
+
+      // One block per analyzed chart: id (for FETCH_ROWS), insight and sampled data
+      parts.push('=== CHARTS ===');
+      (context.objectSummaries || []).forEach(function(summary) {
+        if (summary.error) return;
+        const obj = objects.find(function(o) { return o.id === summary.id; });
+        parts.push(`[${String(summary.type).toUpperCase()}] ${summary.title} (id: ${summary.id})`);
+        parts.push(`Insight: ${summary.summary}`);
+        if (obj && obj.data && obj.data.length > 0) {
+          parts.push(obj.totalRows > obj.data.length
+            ? `Sample: first ${obj.data.length} of ${obj.totalRows} rows`
+            : `Sample: first ${obj.data.length} rows`);
+          parts.push(self.formatObjectRows(obj, dataFormat || 'compressed'));
+        }
+        parts.push('');
+      });
+
+      // Everything above stays the same across questions about this analysis
+      parts.push(CACHE_BREAK);
+
+      if (fetchedPages && fetchedPages.length > 0) {
+        parts.push('=== FETCHED ROWS ===');
+        fetchedPages.forEach(function(page) {
+          if (page.error) {
+            parts.push(`${page.objectId}: fetch failed (${page.error})`);
+          } else {
+            const last = page.top + page.rows.length;
+            parts.push(`${page.title} (id: ${page.objectId}) rows ${page.top + 1}-${last} of ${page.totalRows}`);
+            parts.push(self.formatToonData(page.rows, page.dimensions, page.measures));
+          }
+          parts.push('');
+        });
+      }
+
+      parts.push('=== CONVERSATION ===');
+      (history || []).forEach(function(message) {
+        parts.push(`${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.text}`);
+      });
+      parts.push(`User: ${question}`);
+      parts.push('Assistant:');
+
+      return parts.join('\n');
+    },
+
     /**
      * Format compressed data stats (token-efficient!)
      * Instead of raw rows, send statistical summary
      * @param {Array} data - Data rows
      * @param {Array} dimensions - Dimension info
      * @param {Array} measures - Measure info
+     * @param {number} [totalRows] - Rows in the hypercube; flags the data as a sample when larger than data.length
+     * @param {Object} [hierarchy] - Pivot/stacked layout (engine fetchPivotRows); total rows are left out of the stats.
+     *   Its dimensions and measures, when set, are the object's own columns for formats, totals and sort order.
      * @returns {string} Compressed data summary
      */
-    formatCompressedData: function(data, dimensions, measures) {
+    formatCompressedData: function(data, dimensions, measures, totalRows, hierarchy) {
       // Defensive null check
       if (!data || !Array.isArray(data) || data.length === 0) {
         return 'No data available';
@@ -199,11 +532,22 @@ RULES:
       const lines = [];
       const self = this;
 
-      lines.push(`Data: ${data.length} rows`);
+      if (totalRows > data.length) {
+        lines.push(`Data: ${data.length} of ${totalRows} rows (sample - stats cover the rows shown)`);
+      } else {
+        lines.push(`Data: ${data.length} rows`);
+      }
+
+      // Subtotals would count their detail rows twice
+      const details = data.filter(function(row) { return !row.isTotal; });
+      if (hierarchy) {
+        lines.push(this.formatHierarchy(data, hierarchy) + (details.length < data.length ? ' (not in the stats)' : ''));
+      }
+      this.formatColumnInfo(dimensions, measures, hierarchy).forEach(function(line) { lines.push(line); });
 
       // Calculate measure statistics
       measures.forEach(function(measure, mIdx) {
-        const values = data.map(function(row) {
+        const values = details.map(function(row) {
           return row.measures[mIdx] ? row.measures[mIdx].num : null;
         }).filter(function(v) { return v !== null && !isNaN(v); });
 
@@ -213,28 +557,30 @@ RULES:
           const min = Math.min.apply(null, values);
           const max = Math.max.apply(null, values);
 
-          lines.push(`${measure.label}: min=${self.formatNum(min)}, max=${self.formatNum(max)}, avg=${self.formatNum(avg)}, total=${self.formatNum(sum)}`);
+          // A summed total is wrong for averages and ratios; Qlik's grand total is on the Totals line instead
+          const total = measure.grandTotal ? '' : `, total=${self.formatNum(sum)}`;
+          lines.push(`${measure.label}: min=${self.formatNum(min)}, max=${self.formatNum(max)}, avg=${self.formatNum(avg)}${total}`);
         }
       });
 
       // Top 3 and Bottom 3 by first measure (if exists)
-      if (measures.length > 0 && data.length > 1) {
-        const sorted = data.slice().sort(function(a, b) {
+      if (measures.length > 0 && details.length > 1) {
+        const sorted = details.slice().sort(function(a, b) {
           const aVal = a.measures[0] ? a.measures[0].num : 0;
           const bVal = b.measures[0] ? b.measures[0].num : 0;
           return bVal - aVal;
         });
 
         const top3 = sorted.slice(0, 3).map(function(row) {
-          const dim = row.dimensions[0] || 'N/A';
+          const dim = self.rowLabel(row);
           const val = row.measures[0] ? row.measures[0].text : 'N/A';
-          return `${self.truncate(dim, 15)}(${val})`;
+          return `${dim}(${val})`;
         });
 
         const bottom3 = sorted.slice(-3).reverse().map(function(row) {
-          const dim = row.dimensions[0] || 'N/A';
+          const dim = self.rowLabel(row);
           const val = row.measures[0] ? row.measures[0].text : 'N/A';
-          return `${self.truncate(dim, 15)}(${val})`;
+          return `${dim}(${val})`;
         });
 
         lines.push(`Top3: ${top3.join(', ')}`);
@@ -250,9 +596,12 @@ RULES:
      * @param {Array} data - Data rows
      * @param {Array} dimensions - Dimension info
      * @param {Array} measures - Measure info
+     * @param {number} [totalRows] - Rows in the hypercube; flags the data as a sample when larger than data.length
+     * @param {Object} [hierarchy] - Pivot/stacked layout (engine fetchPivotRows), described above the columns
+     *   (formats, totals and sort order as in formatCompressedData)
      * @returns {string} TOON compressed data
      */
-    formatToonData: function(data, dimensions, measures) {
+    formatToonData: function(data, dimensions, measures, totalRows, hierarchy) {
       if (!data || !Array.isArray(data) || data.length === 0) {
         return 'No data available';
       }
@@ -285,7 +634,14 @@ RULES:
       });
 
       // TOON format: cols + rows (no repeated keys!)
-      return 'Data (' + data.length + ' rows):\nCols: ' + JSON.stringify(cols) + '\nRows: ' + JSON.stringify(rows);
+      var header = totalRows > data.length
+        ? 'Data (first ' + data.length + ' of ' + totalRows + ' rows - sample):'
+        : 'Data (' + data.length + ' rows):';
+      if (hierarchy) {
+        header += '\n' + this.formatHierarchy(data, hierarchy);
+      }
+      this.formatColumnInfo(dimensions, measures, hierarchy).forEach(function(line) { header += '\n' + line; });
+      return header + '\nCols: ' + JSON.stringify(cols) + '\nRows: ' + JSON.stringify(rows);
     },
 
     /**
@@ -294,13 +650,164 @@ RULES:
      * @param {Array} dimensions - Dimension info
      * @param {Array} measures - Measure info
      * @param {string} format - 'compressed' or 'raw'
+     * @param {number} [totalRows] - Rows in the hypercube (object totalRows), reported when only a sample is shown
+     * @param {Object} [hierarchy] - Pivot/stacked layout of the rows (object hierarchy)
      * @returns {string} Formatted data
      */
-    formatData: function(data, dimensions, measures, format) {
+    formatData: function(data, dimensions, measures, format, totalRows, hierarchy) {
       if (format === 'raw') {
-        return this.formatToonData(data, dimensions, measures);
+        return this.formatToonData(data, dimensions, measures, totalRows, hierarchy);
+      }
+      return this.formatCompressedData(data, dimensions, measures, totalRows, hierarchy);
+    },
+
+    /**
+     * Format an analyzed object's rows
+     * Pivot and stacked rows are labelled by their row dimensions and columns rather than the object's
+     * dimensions and measures (see engine fetchPivotRows); formats, totals and sort order still come from the object's
+     * @param {Object} obj - Object from engine.getObjectDetails
+     * @param {string} format - 'compressed' or 'raw'
+     * @returns {string} Formatted data
+     */
+    formatObjectRows: function(obj, format) {
+      if (format !== 'raw' && obj.engineStats && obj.data && obj.data.length > 0) {
+        return this.formatEngineStats(obj.data, obj.engineStats, obj.dimensions || [], obj.measures || []);
       }
-      return this.formatCompressedData(data, dimensions, measures);
+      if (!obj.hierarchy) {
+        return this.formatData(obj.data, obj.dimensions || [], obj.measures || [], format, obj.totalRows);
+      }
+      var hierarchy = Object.assign({}, obj.hierarchy, { dimensions: obj.dimensions || [], measures: obj.measures || [] });
+      return this.formatData(obj.data, hierarchy.rowDimensions, hierarchy.columns, format, obj.totalRows, hierarchy);
+    },
+
+    /**
+     * Format statistics computed by Qlik over every row (engine getEngineStats)
+     * Same layout as formatCompressedData, plus median, quartiles and the latest period-over-period change
+     * @param {Array} data - Rows sent with the object
+     * @param {Object} stats - obj.engineStats
+     * @param {Array} dimensions - Dimension info (formats and sort order)
+     * @param {Array} measures - Measure info (formats, grand totals and sort order)
+     * @returns {string} Compressed data summary
+     */
+    formatEngineStats: function(data, stats, dimensions, measures) {
+      const lines = [];
+      const self = this;
+
+      lines.push(stats.rowCount > data.length
+        ? `Data: ${stats.rowCount} rows (stats computed by Qlik over all rows)`
+        : `Data: ${stats.rowCount} rows`);
+      this.formatColumnInfo(dimensions, measures).forEach(function(line) { lines.push(line); });
+
+      stats.measures.forEach(function(measure, mIdx) {
+        const parts = [];
+        // Qlik's grand total of the object itself is on the Totals line
+        const hasGrandTotal = !!(measures[mIdx] && measures[mIdx].grandTotal);
+        ['min', 'max', 'avg', 'median', 'p25', 'p75', 'total'].forEach(function(key) {
+          if (key === 'total' && hasGrandTotal) return;
+          if (measure[key] !== null && measure[key] !== undefined) {
+            parts.push(`${key}=${self.formatNum(measure[key])}`);
+          }
+        });
+        if (parts.length > 0) {
+          lines.push(`${measure.label}: ${parts.join(', ')}`);
+        }
+      });
+
+      if (stats.period) {
+        const changes = stats.period.deltas.filter(function(d) { return d.delta !== null; }).map(function(d) {
+          const sign = d.delta > 0 ? '+' : '';
+          const pct = d.pct !== null ? ` (${sign}${(d.pct * 100).toFixed(1)}%)` : '';
+          return `${d.label} ${sign}${self.formatNum(d.delta)}${pct}`;
+        });
+        if (changes.length > 0) {
+          lines.push(`Change ${stats.period.last} vs ${stats.period.previous}: ${changes.join(', ')}`);
+        }
+      }
+
+      if (stats.rowCount > 1) {
+        const entry = function(row) {
+          return `${self.truncate(row.label || 'N/A', 15)}(${row.text})`;
+        };
+        lines.push(`Top3: ${stats.top.map(entry).join(', ')}`);
+        lines.push(`Bottom3: ${stats.bottom.map(entry).join(', ')}`);
+      }
+
+      return lines.join('\n');
+    },
+
+    /**
+     * Describe number formats, grand totals and sort order of an object's columns
+     * e.g. "Formats: Revenue=currency ($#,##0)", "Totals: Revenue=$1.2M", "Sort: Revenue desc"
+     * Columns without this information (older layouts, TOON pages in chat) add no lines.
+     * Pivot and stacked columns are flattened cells, so the object's own columns are described instead.
+     * @param {Array} dimensions - Dimension info { label, numFormat, sort }
+     * @param {Array} measures - Measure info { label, numFormat, unit, grandTotal, sort }
+     * @param {Object} [hierarchy] - Pivot/stacked layout carrying the object's dimensions and measures
+     * @returns {Array<string>} Prompt lines
+     */
+    formatColumnInfo: function(dimensions, measures, hierarchy) {
+      if (hierarchy && hierarchy.measures) {
+        dimensions = hierarchy.dimensions;
+        measures = hierarchy.measures;
+      }
+      const lines = [];
+      const self = this;
+      const columns = (dimensions || []).concat(measures || []);
+
+      const formats = columns.filter(function(col) { return col.numFormat; }).map(function(col) {
+        const pattern = col.numFormat.pattern.split(';')[0];
+        return `${col.label}=${col.unit || col.numFormat.type}${pattern ? ` (${pattern})` : ''}`;
+      });
+      if (formats.length > 0) lines.push(`Formats: ${formats.join(', ')}`);
+
+      const totals = (measures || []).filter(function(meas) { return meas.grandTotal; }).map(function(meas) {
+        return `${meas.label}=${meas.grandTotal.text || self.formatNum(meas.grandTotal.num)}`;
+      });
+      if (totals.length > 0) lines.push(`Totals: ${totals.join(', ')}`);
+
+      const sorted = columns.filter(function(col) { return col.sort && col.sort.direction; })
+        .sort(function(a, b) { return a.sort.priority - b.sort.priority; })
+        .map(function(col) { return `${col.label} ${col.sort.direction}`; });
+      if (sorted.length > 0) lines.push(`Sort: ${sorted.join(', ')}`);
+
+      return lines;
+    },
+
+    /**
+     * Describe the layout of pivot or stacked rows in one line
+     * e.g. "Pivot: rows Region > Country, columns Year; total rows: 3, 5"
+     * @param {Array} data - Rows with level and isTotal
+     * @param {Object} hierarchy - { mode, rowDimensions, columnDimensions }
+     * @returns {string}
+     */
+    formatHierarchy: function(data, hierarchy) {
+      function labels(list) {
+        return list.map(function(dim) { return dim.label; }).join(' > ');
+      }
+      var line = (hierarchy.mode === 'pivot' ? 'Pivot: rows ' : 'Stacked: ') + labels(hierarchy.rowDimensions);
+      if (hierarchy.columnDimensions.length > 0) {
+        line += ', columns ' + labels(hierarchy.columnDimensions);
+      }
+      var totals = [];
+      data.forEach(function(row, idx) {
+        if (row.isTotal) totals.push(idx + 1);
+      });
+      if (totals.length > 0) {
+        line += '; total rows: ' + totals.join(', ');
+      }
+      return line;
+    },
+
+    /**
+     * Label a row for Top3/Bottom3: its first dimension, or its path for pivot and stacked rows
+     * @param {Object} row - Data row
+     * @returns {string}
+     */
+    rowLabel: function(row) {
+      if (row.level) {
+        return this.truncate(row.dimensions.filter(Boolean).join(' > '), 30);
+      }
+      return this.truncate(row.dimensions[0] || 'N/A', 15);
     },
 
     /**
@@ -386,6 +893,48 @@ RULES:
       parts.push(customPrompt || self.DEFAULT_SUGGESTIONS_PROMPT);
       parts.push('');
 
+      // Task - ANALYTICAL DEPTH focused (static instructions go first so providers can cache them)
+      parts.push('== YOUR TASK ==');
+      parts.push('Think like a senior analyst reviewing the dashboard below:');
+      parts.push('');
+      parts.push('ASK YOURSELF:');
+      parts.push('1. What analytical QUESTION remains unanswered?');
+      parts.push('2. What PERSPECTIVE would deepen this analysis?');
+      parts.push('3. What RELATIONSHIP or PATTERN should we explore next?');
+      parts.push('4. What would make a stakeholder say "Ah, I hadn\'t thought of that!"?');
+      parts.push('');
+      parts.push('Suggest ' + (maxSuggestions || 3) + ' charts that ADD ANALYTICAL VALUE.');
+      parts.push('');
+      parts.push('RULES:');
+      parts.push('1. PRIORITIZE MASTER ITEMS - they have business logic built-in');
+      parts.push('2. Title must match the measure you select');
+      parts.push('3. NEVER use time dimensions (Week, Month, Year, Date) with time-filtered measures (names containing Cur Wk, Pre Wk, YTD, MTD, WTD, LY, PY) - this creates single data points!');
+      parts.push('4. VARIETY: Use DIFFERENT measures across suggestions - explore various metrics, not just one time period');
+      parts.push('');
+      parts.push('Chart types: barchart, linechart, piechart, treemap, scatterplot, boxplot, table, combochart, waterfall, kpi');
+      parts.push('');
+      parts.push('CHART TYPE RULES:');
+      parts.push('- linechart: TIME dimensions only (Date, Week, Month)');
+      parts.push('- barchart: categorical dimensions');
+      parts.push('- boxplot: Great for showing distribution and outliers! Use 2 different categorical dimensions (e.g., Category + Region). Tip: avoid pairing drill-down dimensions with their parent field.');
+      parts.push('- scatterplot: REQUIRES 2 COMPLETELY DIFFERENT dimensions and 2 measures');
+      parts.push('');
+
+      // Response format
+      var langName = (language && LANGUAGE_NAMES[language]) ? LANGUAGE_NAMES[language] : 'English';
+      parts.push('Respond in ' + langName + ' with JSON:');
+      parts.push('```json');
+      parts.push('[{');
+      parts.push('  "chartType": "barchart|linechart|table|...",');
+      parts.push('  "title": "Descriptive title matching the measure",');
+      parts.push('  "dimensions": ["EXACT field name from DIMENSIONS list"],');
+      parts.push('  "measures": ["EXACT field name from MEASURES list"],');
+      parts.push('  "insight": "Why this chart adds value - what question does it answer?"');
+      parts.push('}]');
+      parts.push('```');
+      parts.push('');
+      parts.push(CACHE_BREAK);
+
       // Current analysis - what's already shown
       parts.push('== CURRENT DASHBOARD ==');
 
@@ -449,47 +998,6 @@ RULES:
       parts.push('MEASURES:');
       parts.push(JSON.stringify(rawMeas.slice(0, 15).map(function(m) { return m.label; })));
       parts.push('');
-
-      // Task - ANALYTICAL DEPTH focused
-      parts.push('== YOUR TASK ==');
-      parts.push('Think like a senior analyst reviewing this dashboard:');
-      parts.push('');
-      parts.push('ASK YOURSELF:');
-      parts.push('1. What analytical QUESTION remains unanswered?');
-      parts.push('2. What PERSPECTIVE would deepen this analysis?');
-      parts.push('3. What RELATIONSHIP or PATTERN should we explore next?');
-      parts.push('4. What would make a stakeholder say "Ah, I hadn\'t thought of that!"?');
-      parts.push('');
-      parts.push('Suggest ' + (maxSuggestions || 3) + ' charts that ADD ANALYTICAL VALUE.');
-      parts.push('');
-      parts.push('RULES:');
-      parts.push('1. PRIORITIZE MASTER ITEMS - they have business logic built-in');
-      parts.push('2. Title must match the measure you select');
-      parts.push('3. NEVER use time dimensions (Week, Month, Year, Date) with time-filtered measures (names containing Cur Wk, Pre Wk, YTD, MTD, WTD, LY, PY) - this creates single data points!');
-      parts.push('4. VARIETY: Use DIFFERENT measures across suggestions - explore various metrics, not just one time period');
-      parts.push('');
-      parts.push('Chart types: barchart, linechart, piechart, treemap, scatterplot, boxplot, table, combochart, waterfall, kpi');
-      parts.push('');
-      parts.push('CHART TYPE RULES:');
-      parts.push('- linechart: TIME dimensions only (Date, Week, Month)');
-      parts.push('- barchart: categorical dimensions');
-      parts.push('- boxplot: Great for showing distribution and outliers! Use 2 different categorical dimensions (e.g., Category + Region). Tip: avoid pairing drill-down dimensions with their parent field.');
-      parts.push('- scatterplot: REQUIRES 2 COMPLETELY DIFFERENT dimensions and 2 measures');
-      parts.push('');
-
-      // Response format
-      var langName = (language && LANGUAGE_NAMES[language]) ? LANGUAGE_NAMES[language] : 'English';
-      parts.push('Respond in ' + langName + ' with JSON:');
-      parts.push('```json');
-      parts.push('[{');
-      parts.push('  "chartType": "barchart|linechart|table|...",');
-      parts.push('  "title": "Descriptive title matching the measure",');
-      parts.push('  "dimensions": ["EXACT field name from DIMENSIONS list"],');
-      parts.push('  "measures": ["EXACT field name from MEASURES list"],');
-      parts.push('  "insight": "Why this chart adds value - what question does it answer?"');
-      parts.push('}]');
-      parts.push('```');
-      parts.push('');
       parts.push('CRITICAL: Field names are CASE-SENSITIVE. Copy EXACTLY from the lists above!');
 
       return parts.join('\n');
@@ -507,12 +1015,14 @@ RULES:
 
       objects.forEach(function(obj) {
         if (!obj.data || !obj.measures) return;
+        // Pivot columns split each measure by the column dimensions
+        if (obj.hierarchy && obj.hierarchy.columnDimensions.length > 0) return;
 
         obj.measures.forEach(function(measure, mIdx) {
           var label = measure.label;
           if (!label || chars[label]) return; // skip if already processed
 
-          var values = obj.data.map(function(row) {
+          var values = obj.data.filter(function(row) { return !row.isTotal; }).map(function(row) {
             return row.measures && row.measures[mIdx] ? row.measures[mIdx].num : null;
           }).filter(function(v) { return v !== null && !isNaN(v); });
 
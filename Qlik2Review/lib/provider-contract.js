@@ -0,0 +1,159 @@
+define([], function() {
+  'use strict';
+
+  /**
+   * Provider Contract - Shared interface and capability descriptors for AI providers
+   *
+   * Every provider module exposes:
+   *   name, displayName, defaultModel
+   *   capabilities        - Provider-wide capability defaults
+   *   modelCapabilities   - Ordered overrides: [{ prefixes: ['o1-mini'], capabilities: {...} }]
+   *   generateSummary(prompt, config) -> Promise<{ text, usage }>
+   *   validateApiKey(apiKey) -> boolean
+   *   getModels() -> Array<{ value, label }>             - Built-in list, used until the live list is fetched
+   *   listModels(config) -> Promise<Array<{ value, label, contextWindow? }>>  - Optional live list (see model-catalog.js)
+   *
+   * The analyzer and prompt builder read capabilities instead of checking model names.
+   */
+
+  var REQUIRED_METHODS = ['generateSummary', 'validateApiKey', 'getModels'];
+
+  // Conservative defaults for providers that don't declare a capability
+  var DEFAULT_CAPABILITIES = {
+    systemRole: true,        // Accepts a separate system prompt
+    temperature: true,       // Accepts temperature
+    topP: true,              // Accepts top P
+    maxTemperature: 2,       // Highest accepted temperature
+    jsonMode: false,         // Can constrain output to a JSON schema
+    streaming: true,         // Can stream tokens via SSE
+    vision: false,           // Accepts image input (config.images)
+    contextWindow: 32768,    // Input + output tokens
+    tokenParam: 'max_tokens', // Request field for the output token limit
+    reasoning: null,         // How reasoning depth is set: 'effort' (named level) or 'budget' (thinking tokens); null = not adjustable
+    reasoningOff: false,     // Whether reasoning can be switched off (providers may use the provider-specific off value)
+    cacheMinTokens: 1024     // Shortest prompt prefix the provider caches (Anthropic and OpenAI: 1024 tokens)
+  };
+
+  // Reasoning levels offered in the property panel
+  var REASONING_LEVELS = ['off', 'low', 'medium', 'high'];
+
+  // Thinking tokens per level for budget-based providers, also reserved as output headroom for effort-based ones
+  var REASONING_BUDGETS = {
+    low: 1024,
+    medium: 4096,
+    high: 16384
+  };
+
+  // Non-streamed requests wait for the whole answer: at least the retry default, plus time
+  // for the output at a slow generation rate (about 50 tokens per second)
+  var MIN_REQUEST_TIMEOUT_MS = 30000;
+  var MS_PER_OUTPUT_TOKEN = 20;
+
+  /**
+   * Check whether a model matches any of the given prefixes
+   * @param {string} model - Model ID
+   * @param {Array<string>} prefixes - Model ID prefixes
+   * @returns {boolean}
+   */
+  function matchesModel(model, prefixes) {
+    return (prefixes || []).some(function(prefix) {
+      return model.indexOf(prefix) === 0;
+    });
+  }
+
+  return {
+    DEFAULT_CAPABILITIES: DEFAULT_CAPABILITIES,
+    REASONING_LEVELS: REASONING_LEVELS,
+    REASONING_BUDGETS: REASONING_BUDGETS,
+
+    /**
+     * Get the thinking token budget for a reasoning level
+     * @param {string} level - 'off' | 'low' | 'medium' | 'high'
+     * @returns {number} Tokens (0 for 'off' or unknown levels)
+     */
+    getReasoningBudget: function(level) {
+      return REASONING_BUDGETS[level] || 0;
+    },
+
+    /**
+     * Get the timeout for a non-streamed request
+     * @param {number} outputTokens - Output token limit sent with the request, including any reasoning budget
+     * @returns {number} Timeout in ms for retry.fetchWithRetry
+     */
+    getRequestTimeout: function(outputTokens) {
+      return Math.max(MIN_REQUEST_TIMEOUT_MS, (outputTokens || 0) * MS_PER_OUTPUT_TOKEN);
+    },
+
+    /**
+     * Resolve capabilities for a provider and model
+     * Later modelCapabilities entries win over earlier ones
+     * @param {Object} provider - Provider module
+     * @param {string} [model] - Model ID (default: provider.defaultModel)
+     * @returns {Object} Capability descriptor
+     */
+    resolveCapabilities: function(provider, model) {
+      var modelId = String(model || provider.defaultModel || '').toLowerCase();
+      var capabilities = Object.assign({}, DEFAULT_CAPABILITIES, provider.capabilities);
+
+      (provider.modelCapabilities || []).forEach(function(rule) {
+        if (matchesModel(modelId, rule.prefixes)) {
+          Object.assign(capabilities, rule.capabilities);
+        }
+      });
+
+      return capabilities;
+    },
+
+    /**
+     * Adapt generation options to what a model accepts
+     * Unsupported parameters are dropped so providers never have to check model names
+     * @param {Object} options - { temperature, topP, responseSchema, onToken, images, reasoning, ... }
+     * @param {Object} capabilities - Resolved capability descriptor
+     * @returns {Object} Adapted copy of options
+     */
+    applyCapabilities: function(options, capabilities) {
+      var adapted = Object.assign({}, options);
+
+      if (!capabilities.temperature) {
+        delete adapted.temperature;
+      } else if (adapted.temperature !== undefined && adapted.temperature !== null) {
+        adapted.temperature = Math.min(adapted.temperature, capabilities.maxTemperature);
+      }
+      if (!capabilities.topP) {
+        delete adapted.topP;
+      }
+      if (!capabilities.jsonMode) {
+        adapted.responseSchema = null;
+      }
+      if (!capabilities.streaming) {
+        adapted.onToken = null;
+      }
+      if (!capabilities.vision) {
+        adapted.images = null;
+      }
+      if (!capabilities.reasoning || REASONING_LEVELS.indexOf(adapted.reasoning) === -1) {
+        delete adapted.reasoning;
+      } else if (adapted.reasoning === 'off' && !capabilities.reasoningOff) {
+        // Models that always reason get the smallest level instead
+        adapted.reasoning = 'low';
+      }
+
+      adapted.capabilities = capabilities;
+      return adapted;
+    },
+
+    /**
+     * Validate that a provider module implements the contract
+     * @param {Object} provider - Provider module
+     * @returns {Array<string>} Missing members (empty when valid)
+     */
+    validateProvider: function(provider) {
+      var missing = [];
+      if (!provider || !provider.name) missing.push('name');
+      REQUIRED_METHODS.forEach(function(method) {
+        if (!provider || typeof provider[method] !== 'function') missing.push(method);
+      });
+      return missing;
+    }
+  };
+});
@@ -0,0 +1,146 @@
+define(['./logger', './retry'], function(logger, retry) {
+  'use strict';
+
+  /**
+   * Proxy Routing - Sends hosted-provider requests through a relay that holds the API keys
+   * The browser only carries a short-lived relay token. Requests to
+   *   https://api.openai.com/v1/chat/completions
+   * become
+   *   <relay URL>/openai/v1/chat/completions
+   * with the provider key headers removed (see relay/relay.js for the server side).
+   */
+
+  // Upstream origins the relay forwards to, by provider name
+  var PROVIDER_ORIGINS = {
+    openai: 'https://api.openai.com',
+    anthropic: 'https://api.anthropic.com',
+    gemini: 'https://generativelanguage.googleapis.com',
+    mistral: 'https://api.mistral.ai',
+    cohere: 'https://api.cohere.com'
+  };
+
+  // Headers that carry provider credentials - never sent to the relay
+  var KEY_HEADERS = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'anthropic-dangerous-direct-browser-access'];
+
+  // Refresh fetched tokens this long before they expire
+  var TOKEN_REFRESH_MARGIN_MS = 30000;
+
+  // A relay that does not answer /token in time fails the call instead of stalling it
+  var TOKEN_TIMEOUT_MS = 15000;
+
+  // Tokens fetched from relay /token endpoints, by relay URL: { token, expiresAt }
+  var tokenCache = {};
+
+  /**
+   * Normalize a relay URL (no trailing slash)
+   * @param {string} url
+   * @returns {string}
+   */
+  function normalizeUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+  }
+
+  return {
+    PROVIDER_ORIGINS: PROVIDER_ORIGINS,
+
+    /**
+     * Check whether a provider can be routed through the relay
+     * Self-hosted endpoints (OpenAI-compatible, Ollama) are called directly
+     * @param {string} providerName - Provider name
+     * @returns {boolean}
+     */
+    supportsProvider: function(providerName) {
+      return Object.prototype.hasOwnProperty.call(PROVIDER_ORIGINS, providerName);
+    },
+
+    /**
+     * Check whether proxy settings are usable
+     * @param {Object} [proxy] - { url, token, tokenUrl }
+     * @returns {boolean}
+     */
+    isEnabled: function(proxy) {
+      return !!(proxy && normalizeUrl(proxy.url));
+    },
+
+    /**
+     * Resolve the relay token: a configured token wins, otherwise one is fetched from
+     * the relay's /token endpoint with the browser session (cookies) and cached until shortly before it expires
+     * @param {Object} proxy - { url, token }
+     * @param {Object} [options] - { signal } to cancel the token request
+     * @returns {Promise<Object>} { url, token }
+     */
+    resolve: async function(proxy, options) {
+      options = options || {};
+      var url = normalizeUrl(proxy.url);
+      if (proxy.token) {
+        return { url: url, token: proxy.token };
+      }
+
+      var cached = tokenCache[url];
+      if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return { url: url, token: cached.token };
+      }
+
+      logger.debug('Requesting relay token from', url + '/token');
+      var response;
+      try {
+        response = await retry.fetchWithRetry(url + '/token', { method: 'POST', credentials: 'include' }, {
+          maxRetries: 1,
+          timeout: TOKEN_TIMEOUT_MS,
+          signal: options.signal
+        });
+      } catch (err) {
+        if (!err.status) throw err;
+        var error = new Error('Relay token request failed: HTTP ' + err.status);
+        error.status = err.status;
+        error.response = err.response;
+        throw error;
+      }
+
+      var data = await response.json();
+      if (!data || !data.token) {
+        throw new Error('Relay token response did not include a token');
+      }
+      tokenCache[url] = {
+        token: data.token,
+        expiresAt: data.expiresAt ? new Date(data.expiresAt).getTime() : Date.now() + 5 * 60 * 1000
+      };
+      return { url: url, token: data.token };
+    },
+
+    /**
+     * Forget cached relay tokens (e.g. after the relay rejected one)
+     */
+    clearTokens: function() {
+      tokenCache = {};
+    },
+
+    /**
+     * Rewrite a provider request for the relay
+     * @param {string} providerName - Provider name (must match PROVIDER_ORIGINS)
+     * @param {string} url - Direct provider URL
+     * @param {Object} headers - Request headers, including key headers
+     * @param {Object} [proxy] - Resolved proxy { url, token }; requests pass through unchanged when omitted
+     * @returns {Object} { url, headers }
+     */
+    route: function(providerName, url, headers, proxy) {
+      var origin = PROVIDER_ORIGINS[providerName];
+      if (!proxy || !proxy.url || !origin || url.indexOf(origin) !== 0) {
+        return { url: url, headers: headers };
+      }
+
+      var routed = {};
+      Object.keys(headers || {}).forEach(function(name) {
+        if (KEY_HEADERS.indexOf(name.toLowerCase()) === -1) {
+          routed[name] = headers[name];
+        }
+      });
+      routed['Authorization'] = 'Bearer ' + proxy.token;
+
+      return {
+        url: normalizeUrl(proxy.url) + '/' + providerName + url.substring(origin.length),
+        headers: routed
+      };
+    }
+  };
+});
@@ -0,0 +1,179 @@
+define(['./logger', './retry'], function(logger, retry) {
+  'use strict';
+
+  /**
+   * Rate Limiter - Client-side token buckets per provider
+   * Each provider has a request bucket (requests per minute) and a token bucket (tokens per minute)
+   * that refill continuously. Callers acquire() before a request and settle() it with the real usage once it finishes.
+   * A 429 or retry-after pauses the provider and halves its rate; settled calls restore it gradually.
+   */
+
+  // Built-in limits per provider (conservative entry-tier values); 0 = unlimited
+  var DEFAULT_LIMITS = {
+    openai: { rpm: 500, tpm: 200000 },
+    anthropic: { rpm: 50, tpm: 30000 },
+    gemini: { rpm: 150, tpm: 1000000 },
+    mistral: { rpm: 60, tpm: 500000 },
+    cohere: { rpm: 100, tpm: 0 },
+    ollama: { rpm: 0, tpm: 0 },
+    'openai-compatible': { rpm: 0, tpm: 0 }
+  };
+
+  var RATE_DEFAULTS = {
+    minFactor: 0.25,       // Slowest rate after repeated 429s (fraction of the limit)
+    slowdown: 0.5,         // Rate multiplier applied on each 429
+    recoveryStep: 0.05,    // Rate regained per successful call
+    pauseMs: 5000,         // Pause after a 429 without retry-after
+    maxWaitMs: 60000,      // Longest single wait
+    pollMs: 50             // Shortest wait between checks
+  };
+
+  // Bucket state by provider name
+  var states = {};
+
+  /**
+   * Resolve limits for a provider: configured values win, 0/blank falls back to the built-in limit
+   * @param {string} name - Provider name
+   * @param {Object} [limits] - { rpm, tpm }
+   * @returns {Object} { rpm, tpm }
+   */
+  function resolveLimits(name, limits) {
+    var defaults = DEFAULT_LIMITS[name] || { rpm: 0, tpm: 0 };
+    limits = limits || {};
+    return {
+      rpm: limits.rpm > 0 ? limits.rpm : defaults.rpm,
+      tpm: limits.tpm > 0 ? limits.tpm : defaults.tpm
+    };
+  }
+
+  function getState(name, limits) {
+    var resolved = resolveLimits(name, limits);
+    var state = states[name];
+    if (!state) {
+      state = states[name] = {
+        requests: { capacity: resolved.rpm, level: resolved.rpm },
+        tokens: { capacity: resolved.tpm, level: resolved.tpm },
+        factor: 1,
+        pausedUntil: 0,
+        updatedAt: Date.now()
+      };
+    } else if (state.requests.capacity !== resolved.rpm || state.tokens.capacity !== resolved.tpm) {
+      state.requests = { capacity: resolved.rpm, level: Math.min(state.requests.level, resolved.rpm) };
+      state.tokens = { capacity: resolved.tpm, level: Math.min(state.tokens.level, resolved.tpm) };
+    }
+    return state;
+  }
+
+  function refill(state, now) {
+    var elapsed = now - state.updatedAt;
+    state.updatedAt = now;
+    [state.requests, state.tokens].forEach(function(bucket) {
+      if (bucket.capacity > 0) {
+        bucket.level = Math.min(bucket.capacity, bucket.level + elapsed * bucket.capacity * state.factor / 60000);
+      }
+    });
+  }
+
+  /**
+   * Time until a bucket holds the amount (0 when it already does or is unlimited)
+   */
+  function waitFor(bucket, amount, factor) {
+    if (bucket.capacity <= 0 || bucket.level >= amount) return 0;
+    return (amount - bucket.level) / (bucket.capacity * factor / 60000);
+  }
+
+  return {
+    DEFAULT_LIMITS: DEFAULT_LIMITS,
+    resolveLimits: resolveLimits,
+
+    /**
+     * Wait until the provider has room for one request of the estimated size
+     * @param {string} name - Provider name
+     * @param {number} estimatedTokens - Prompt + completion token estimate
+     * @param {Object} [limits] - Configured { rpm, tpm } (0 = built-in limit)
+     * @param {AbortSignal} [signal] - Stops waiting with a cancel error (see retry.createCancelError)
+     * @returns {Promise<Object>} Reservation { tokens } to pass to settle()
+     */
+    acquire: async function(name, estimatedTokens, limits, signal) {
+      var waited = 0;
+
+      while (true) {
+        var state = getState(name, limits);
+        var now = Date.now();
+        refill(state, now);
+
+        // A single request larger than the bucket would wait forever - cap it at a full bucket
+        var tokens = state.tokens.capacity > 0 ? Math.min(estimatedTokens || 0, state.tokens.capacity) : 0;
+        var wait = Math.max(
+          state.pausedUntil - now,
+          waitFor(state.requests, 1, state.factor),
+          waitFor(state.tokens, tokens, state.factor)
+        );
+
+        if (wait <= 0) {
+          if (state.requests.capacity > 0) state.requests.level -= 1;
+          if (state.tokens.capacity > 0) state.tokens.level -= tokens;
+          if (waited > 0) {
+            logger.debug('Rate limiter released', name, 'after', Math.round(waited) + 'ms');
+          }
+          return { tokens: tokens };
+        }
+
+        wait = Math.min(Math.max(wait, RATE_DEFAULTS.pollMs), RATE_DEFAULTS.maxWaitMs);
+        waited += wait;
+        await retry.sleep(wait, signal);
+      }
+    },
+
+    /**
+     * Correct the token bucket with the real usage of a finished request, successful or not
+     * @param {string} name - Provider name
+     * @param {Object} reservation - Result of acquire()
+     * @param {Object} [usage] - { inputTokens, outputTokens }; without it the reservation stands as the estimate
+     */
+    settle: function(name, reservation, usage) {
+      var state = states[name];
+      if (!state) return;
+
+      if (usage && state.tokens.capacity > 0) {
+        var actual = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+        state.tokens.level -= actual - (reservation ? reservation.tokens : 0);
+      }
+      state.factor = Math.min(1, state.factor + RATE_DEFAULTS.recoveryStep);
+    },
+
+    /**
+     * Slow a provider down after a rate-limit response
+     * @param {string} name - Provider name
+     * @param {number} [delayMs] - Retry-after delay (pause length)
+     * @param {Object} [limits] - Configured { rpm, tpm }, used when the provider has no bucket yet
+     *   (existing buckets keep their capacity)
+     */
+    penalize: function(name, delayMs, limits) {
+      var state = states[name] || getState(name, limits);
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + (delayMs || RATE_DEFAULTS.pauseMs));
+      state.factor = Math.max(RATE_DEFAULTS.minFactor, state.factor * RATE_DEFAULTS.slowdown);
+      state.requests.level = Math.min(state.requests.level, 0);
+      logger.warn('Rate limited by', name + ': pausing', Math.round((delayMs || RATE_DEFAULTS.pauseMs) / 1000) + 's, rate now', Math.round(state.factor * 100) + '%');
+    },
+
+    /**
+     * Number of parallel requests currently worth running against a provider
+     * Shrinks with the rate after 429s and grows back as calls succeed
+     * @param {string} name - Provider name
+     * @param {number} max - Configured maximum
+     * @returns {number}
+     */
+    getConcurrency: function(name, max) {
+      var state = states[name];
+      return Math.max(1, Math.round(max * (state ? state.factor : 1)));
+    },
+
+    /**
+     * Forget all bucket state
+     */
+    reset: function() {
+      states = {};
+    }
+  };
+});
@@ -0,0 +1,296 @@
+define(['./logger'], function(logger) {
+  'use strict';
+
+  /**
+   * Recorder - Captures provider HTTP traffic and replays it offline
+   * retry.fetchWithRetry sends every provider request through send(). While recording, each
+   * request/response pair is stored (request headers are never kept, so no API keys end up in
+   * the fixture). While replaying, stored responses are served for matching requests and the
+   * network is never touched, so the analyzer runs deterministically without API keys.
+   *
+   * Fixture format:
+   *   { version: 1, recordedAt, provider?, model?, endpoint?,
+   *     entries: [{ key, request: { method, url, body }, response: { status, statusText, headers, body } }] }
+   * provider/model/endpoint are added when the recording is saved so the replay provider knows how
+   * to build requests and parse responses.
+   */
+
+  var FIXTURE_VERSION = 1;
+
+  // Response headers worth keeping for replay (content type for streams, retry-after for 429s)
+  var KEPT_HEADERS = ['content-type', 'retry-after'];
+
+  var recording = null;       // { entries, pendingBodies } while capturing
+  var capturing = false;
+  var replay = null;          // { fixture, queues, used, strict, stats } while replaying
+
+  /**
+   * Short stable hash of a request body (FNV-1a, 32-bit)
+   * @param {string} text
+   * @returns {string} Hex digest
+   */
+  function hashText(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+  }
+
+  /**
+   * Matching key for a request: method, URL and body hash
+   * @param {string} method
+   * @param {string} url
+   * @param {string} [body]
+   * @returns {string}
+   */
+  function requestKey(method, url, body) {
+    return (method || 'GET').toUpperCase() + ' ' + url + ' ' + hashText(body || '');
+  }
+
+  /**
+   * Parse a JSON request body for readability in fixtures (kept as text when it isn't JSON)
+   */
+  function readableBody(body) {
+    if (typeof body !== 'string') return null;
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+
+  function serializeBody(body) {
+    if (body === null || body === undefined) return '';
+    return typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  function pickHeaders(headers) {
+    var kept = {};
+    KEPT_HEADERS.forEach(function(name) {
+      var value = headers && headers.get(name);
+      if (value) kept[name] = value;
+    });
+    return kept;
+  }
+
+  /**
+   * Index fixture entries by key and by method + URL (for loose matching)
+   * @param {Object} fixture
+   * @returns {Object} { byKey, byUrl }
+   */
+  function indexEntries(fixture) {
+    var byKey = {};
+    var byUrl = {};
+    fixture.entries.forEach(function(entry, index) {
+      var urlKey = entry.request.method + ' ' + entry.request.url;
+      (byKey[entry.key] = byKey[entry.key] || []).push(index);
+      (byUrl[urlKey] = byUrl[urlKey] || []).push(index);
+    });
+    return { byKey: byKey, byUrl: byUrl };
+  }
+
+  /**
+   * Pick the recorded entry for a request
+   * Exact matches are served in recorded order (the last one repeats when a request is sent more often).
+   * Without strict matching, a request whose body changed gets the next unused entry for the same URL.
+   */
+  function findEntry(method, url, body) {
+    var key = requestKey(method, url, body);
+    var exact = replay.index.byKey[key];
+    if (exact) {
+      var next = exact.filter(function(index) { return !replay.used[index]; })[0];
+      var index = next !== undefined ? next : exact[exact.length - 1];
+      replay.used[index] = true;
+      replay.stats.exact++;
+      return replay.fixture.entries[index];
+    }
+
+    if (!replay.strict) {
+      var candidates = replay.index.byUrl[method + ' ' + url] || [];
+      var unused = candidates.filter(function(index) { return !replay.used[index]; })[0];
+      if (unused !== undefined) {
+        replay.used[unused] = true;
+        replay.stats.loose++;
+        logger.warn('Replay: request body changed since recording, serving next response for', method, url);
+        return replay.fixture.entries[unused];
+      }
+    }
+
+    replay.stats.missed++;
+    return null;
+  }
+
+  return {
+    FIXTURE_VERSION: FIXTURE_VERSION,
+    requestKey: requestKey,
+
+    /**
+     * Start capturing provider traffic (entries from earlier recordings are kept until cleared)
+     */
+    startRecording: function() {
+      recording = recording || { entries: [], pendingBodies: [] };
+      capturing = true;
+      logger.info('Recording provider traffic');
+    },
+
+    /**
+     * Stop capturing; the recording stays available until cleared
+     */
+    stopRecording: function() {
+      capturing = false;
+    },
+
+    /**
+     * @returns {boolean} Whether requests are being captured
+     */
+    isRecording: function() {
+      return capturing;
+    },
+
+    /**
+     * Get the captured traffic as a fixture
+     * Waits for streamed response bodies that are still arriving
+     * @param {Object} [meta] - { provider, model, endpoint } describing how the traffic was produced
+     * @returns {Promise<Object>} Fixture
+     */
+    getRecording: async function(meta) {
+      var current = recording || { entries: [], pendingBodies: [] };
+      await Promise.all(current.pendingBodies);
+      return Object.assign({
+        version: FIXTURE_VERSION,
+        recordedAt: new Date().toISOString()
+      }, meta || {}, {
+        entries: current.entries.slice()
+      });
+    },
+
+    /**
+     * Forget captured traffic
+     */
+    clearRecording: function() {
+      recording = capturing ? { entries: [], pendingBodies: [] } : null;
+    },
+
+    /**
+     * Save the recording as a JSON file (browser only)
+     * @param {string} [filename]
+     * @param {Object} [meta] - { provider, model, endpoint } (see getRecording)
+     * @returns {Promise<number>} Number of entries saved
+     */
+    download: async function(filename, meta) {
+      var fixture = await this.getRecording(meta);
+      var blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+      var link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = filename || 'qlik2review-recording.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+      return fixture.entries.length;
+    },
+
+    /**
+     * Serve responses from a fixture instead of the network
+     * @param {Object|string} fixture - Fixture object or JSON text
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Only serve exact request matches
+     */
+    startReplay: function(fixture, options) {
+      var parsed = typeof fixture === 'string' ? JSON.parse(fixture) : fixture;
+      if (!parsed || !Array.isArray(parsed.entries)) {
+        throw new Error('Invalid recording: entries are missing');
+      }
+      if (parsed.version !== FIXTURE_VERSION) {
+        throw new Error('Unsupported recording version: ' + parsed.version);
+      }
+      replay = {
+        fixture: parsed,
+        index: indexEntries(parsed),
+        used: {},
+        strict: !!(options && options.strict),
+        stats: { exact: 0, loose: 0, missed: 0 }
+      };
+      logger.info('Replaying', parsed.entries.length, 'recorded responses');
+    },
+
+    /**
+     * Go back to the network
+     */
+    stopReplay: function() {
+      replay = null;
+    },
+
+    /**
+     * @returns {boolean} Whether responses come from a fixture
+     */
+    isReplaying: function() {
+      return !!replay;
+    },
+
+    /**
+     * @returns {Object|null} The fixture being replayed
+     */
+    getFixture: function() {
+      return replay ? replay.fixture : null;
+    },
+
+    /**
+     * Count how requests were matched during replay
+     * @returns {Object} { exact, loose, missed }
+     */
+    getReplayStats: function() {
+      return replay ? Object.assign({}, replay.stats) : { exact: 0, loose: 0, missed: 0 };
+    },
+
+    /**
+     * Send a request through the recorder (used by retry.fetchWithRetry)
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @param {Function} fetchFn - Network fetch, called unless replaying
+     * @returns {Promise<Response>}
+     */
+    send: async function(url, options, fetchFn) {
+      var method = ((options && options.method) || 'GET').toUpperCase();
+      var body = serializeBody(options && options.body);
+
+      if (replay) {
+        var entry = findEntry(method, url, body);
+        if (!entry) {
+          throw new Error('No recorded response for ' + method + ' ' + url);
+        }
+        return new Response(entry.response.body, {
+          status: entry.response.status,
+          statusText: entry.response.statusText || '',
+          headers: entry.response.headers || {}
+        });
+      }
+
+      var response = await fetchFn(url, options);
+      if (!capturing) return response;
+
+      var captured = {
+        key: requestKey(method, url, body),
+        request: { method: method, url: url, body: readableBody(body) },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          headers: pickHeaders(response.headers),
+          body: ''
+        }
+      };
+      recording.entries.push(captured);
+
+      // Read a copy without holding up the caller (streamed bodies arrive over time)
+      recording.pendingBodies.push(response.clone().text().then(function(text) {
+        captured.response.body = text;
+      }).catch(function(err) {
+        logger.warn('Recorder could not read response body:', err.message);
+      }));
+
+      return response;
+    }
+  };
+});
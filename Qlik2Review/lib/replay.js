@@ -0,0 +1,118 @@
+define([
+  './openai',
+  './anthropic',
+  './gemini',
+  './openai-compatible',
+  './mistral',
+  './cohere',
+  './ollama',
+  './recorder',
+  './proxy'
+], function(openaiProvider, anthropicProvider, geminiProvider, openaiCompatibleProvider, mistralProvider, cohereProvider, ollamaProvider, recorder, proxy) {
+  'use strict';
+
+  /**
+   * Replay Provider - Answers from a recording instead of a live model
+   * Requests are built and responses parsed by the provider the recording was made with;
+   * recorder.js serves the recorded HTTP responses, so results are identical on every run.
+   * Load a recording with recorder.startReplay(fixture) before analysis.
+   */
+
+  var providers = {
+    openai: openaiProvider,
+    anthropic: anthropicProvider,
+    gemini: geminiProvider,
+    'openai-compatible': openaiCompatibleProvider,
+    mistral: mistralProvider,
+    cohere: cohereProvider,
+    ollama: ollamaProvider
+  };
+
+  /**
+   * Name of the provider a recording was made with
+   * Recordings saved from the extension carry it; otherwise it is inferred from the first request URL
+   * @param {Object} fixture
+   * @returns {string|null}
+   */
+  function getRecordedProviderName(fixture) {
+    if (fixture.provider) return fixture.provider;
+    var url = (fixture.entries[0] && fixture.entries[0].request.url) || '';
+    return Object.keys(proxy.PROVIDER_ORIGINS).filter(function(name) {
+      return url.indexOf(proxy.PROVIDER_ORIGINS[name]) === 0;
+    })[0] || null;
+  }
+
+  function getRecordedProvider() {
+    var fixture = recorder.getFixture();
+    return fixture ? providers[getRecordedProviderName(fixture)] || null : null;
+  }
+
+  return {
+    name: 'replay',
+    displayName: 'Replay (Recorded Responses)',
+
+    // Mirror the recorded provider so prompts and options are adapted exactly as when recording
+    get defaultModel() {
+      var fixture = recorder.getFixture();
+      var target = getRecordedProvider();
+      return (fixture && fixture.model) || (target ? target.defaultModel : '');
+    },
+    get capabilities() {
+      var target = getRecordedProvider();
+      return target ? target.capabilities : {};
+    },
+    get modelCapabilities() {
+      var target = getRecordedProvider();
+      return target ? target.modelCapabilities : [];
+    },
+
+    /**
+     * Generate summary from the loaded recording
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - Configuration object (same options as the recorded provider)
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async generateSummary(prompt, config) {
+      var fixture = recorder.getFixture();
+      if (!fixture) {
+        throw new Error('No recording loaded for replay');
+      }
+      var target = getRecordedProvider();
+      if (!target) {
+        throw new Error('Recording does not name a known provider');
+      }
+
+      return target.generateSummary(prompt, Object.assign({}, config, {
+        // Keys are never recorded; providers only need a non-empty value to build the request
+        apiKey: config.apiKey || 'replay',
+        model: config.model || fixture.model || '',
+        endpoint: fixture.endpoint || config.endpoint
+      }));
+    },
+
+    /**
+     * No key is needed to replay
+     * @returns {boolean}
+     */
+    validateApiKey() {
+      return true;
+    },
+
+    /**
+     * Recorded responses are served without an API key
+     * @returns {boolean}
+     */
+    isApiKeyRequired() {
+      return false;
+    },
+
+    /**
+     * Get the recorded model
+     * @returns {Array}
+     */
+    getModels() {
+      var fixture = recorder.getFixture();
+      return fixture && fixture.model ? [{ value: fixture.model, label: fixture.model + ' (recorded)' }] : [];
+    }
+  };
+});
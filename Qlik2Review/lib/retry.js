@@ -1,4 +1,4 @@
-define(['./logger'], function(logger) {
+define(['./logger', './recorder'], function(logger, recorder) {
   'use strict';
 
   /**
@@ -15,9 +15,26 @@ define(['./logger'], function(logger) {
     SERVER_ERROR: 'server_error',
     VALIDATION_ERROR: 'validation_error',
     TIMEOUT_ERROR: 'timeout_error',
+    CANCELLED: 'cancelled',
     UNKNOWN_ERROR: 'unknown_error'
   };
 
+  /**
+   * Empty-response recovery policies
+   * Each step re-sends the request with a modified prompt when the model returns no text
+   */
+  var RecoveryPolicies = {
+    off: [],
+    quick: ['repeat'],
+    standard: ['forced', 'minimal']
+  };
+
+  var RECOVERY_DEFAULTS = {
+    delay: 300,               // Pause before each recovery attempt
+    minimalPromptChars: 1500, // Prompt length kept by the 'minimal' step
+    fallbackText: 'Analysis pending - please retry'
+  };
+
   /**
    * Classify an error based on response status or error type
    * @param {Error} error - The error object
@@ -25,6 +42,10 @@ define(['./logger'], function(logger) {
    * @returns {string} Error type from ErrorTypes
    */
   function classifyError(error, response) {
+    if (error && error.type === ErrorTypes.CANCELLED) {
+      return ErrorTypes.CANCELLED;
+    }
+
     // Check response status first
     if (response) {
       var status = response.status;
@@ -67,14 +88,74 @@ define(['./logger'], function(logger) {
     return retryableTypes.indexOf(errorType) !== -1;
   }
 
+  /**
+   * Check if an error should fail over to the next provider in a fallback chain
+   * Auth and quota errors are provider-specific, so another provider may still answer
+   * @param {string} errorType - Error type from classifyError
+   * @returns {boolean}
+   */
+  function shouldFailover(errorType) {
+    var failoverTypes = [
+      ErrorTypes.AUTH_ERROR,
+      ErrorTypes.RATE_LIMIT,
+      ErrorTypes.NETWORK_ERROR,
+      ErrorTypes.SERVER_ERROR,
+      ErrorTypes.TIMEOUT_ERROR
+    ];
+    return failoverTypes.indexOf(errorType) !== -1;
+  }
+
+  /**
+   * Create the error thrown when the caller cancels through an AbortSignal
+   * @param {Object} [usage] - Tokens already spent before the cancel, reported with the error
+   * @returns {Error} Error with type ErrorTypes.CANCELLED
+   */
+  function createCancelError(usage) {
+    var error = new Error('Analysis cancelled');
+    error.type = ErrorTypes.CANCELLED;
+    if (usage) error.usage = usage;
+    return error;
+  }
+
+  /**
+   * @param {Error} error
+   * @returns {boolean} Whether the error comes from a cancel
+   */
+  function isCancelError(error) {
+    return !!error && error.type === ErrorTypes.CANCELLED;
+  }
+
+  /**
+   * Throw a cancel error when the signal has been aborted
+   * @param {AbortSignal} [signal]
+   */
+  function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw createCancelError();
+    }
+  }
+
   /**
    * Sleep for a given duration
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Rejects with a cancel error as soon as it is aborted
    * @returns {Promise}
    */
-  function sleep(ms) {
-    return new Promise(function(resolve) {
-      setTimeout(resolve, ms);
+  function sleep(ms, signal) {
+    return new Promise(function(resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(createCancelError());
+        return;
+      }
+      var timer = setTimeout(function() {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      function onAbort() {
+        clearTimeout(timer);
+        reject(createCancelError());
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
     });
   }
 
@@ -119,6 +200,80 @@ define(['./logger'], function(logger) {
     return null;
   }
 
+  /**
+   * Build the prompt for a recovery step
+   * @param {string} step - 'repeat' | 'forced' | 'minimal'
+   * @param {string} prompt - Original prompt
+   * @param {Object} options - Recovery options
+   * @returns {string}
+   */
+  function buildRecoveryPrompt(step, prompt, options) {
+    if (step === 'forced') {
+      return 'You MUST respond with analysis. Never return empty.\n\n' + prompt +
+        '\n\nPlease provide your analysis now. Do not return empty.';
+    }
+    if (step === 'minimal') {
+      return 'Briefly analyze this data and identify key trends:\n\n' + prompt.substring(0, options.minimalPromptChars);
+    }
+    return prompt;
+  }
+
+  /**
+   * Run a model request and recover from empty responses according to a policy
+   * Token usage from every attempt is summed so recovery calls are counted
+   * @param {Function} attempt - Async function (prompt, step) returning { text, usage }; step is 'initial' first
+   * @param {string} prompt - Original prompt
+   * @param {string|Object} [policy] - Policy name ('off' | 'quick' | 'standard') or { steps, delay, minimalPromptChars, fallbackText }
+   * @param {AbortSignal} [signal] - Stops between attempts; the cancel error carries the usage of finished attempts
+   * @returns {Promise<Object>} { text, usage, reasoning, recovery: { path, recovered } }
+   */
+  async function withEmptyResponseRecovery(attempt, prompt, policy, signal) {
+    var options = typeof policy === 'object' && policy !== null
+      ? Object.assign({}, RECOVERY_DEFAULTS, policy)
+      : Object.assign({}, RECOVERY_DEFAULTS, { steps: RecoveryPolicies[policy || 'standard'] || RecoveryPolicies.standard });
+    var steps = ['initial'].concat(options.steps || []);
+    var path = [];
+    var usage = null;
+    var text = '';
+
+    for (var i = 0; i < steps.length; i++) {
+      var step = steps[i];
+      var result;
+      try {
+        if (i > 0) {
+          logger.warn('Empty model response, recovery step:', step);
+          await sleep(options.delay, signal);
+        }
+        result = await attempt(buildRecoveryPrompt(step, prompt, options), step);
+      } catch (error) {
+        if (isCancelError(error) && usage) {
+          error.usage = usage;
+        }
+        throw error;
+      }
+      path.push(step);
+
+      if (result.usage) {
+        usage = usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0, cachedInputTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0 };
+        usage.inputTokens += result.usage.inputTokens || 0;
+        usage.outputTokens += result.usage.outputTokens || 0;
+        usage.totalTokens += result.usage.totalTokens || (result.usage.inputTokens || 0) + (result.usage.outputTokens || 0);
+        usage.cachedInputTokens += result.usage.cachedInputTokens || 0;
+        usage.cacheWriteTokens += result.usage.cacheWriteTokens || 0;
+        usage.reasoningTokens += result.usage.reasoningTokens || 0;
+      }
+
+      text = (result.text || '').trim();
+      if (text) {
+        if (i > 0) logger.info('Empty response recovered via', step);
+        return { text: text, usage: usage, reasoning: result.reasoning || null, recovery: { path: path, recovered: i > 0 } };
+      }
+    }
+
+    logger.warn('Empty model response after recovery path:', path.join(' -> '));
+    return { text: options.fallbackText, usage: usage, reasoning: null, recovery: { path: path, recovered: false } };
+  }
+
   /**
    * Execute a function with retry logic
    * @param {Function} fn - Async function to execute
@@ -127,6 +282,7 @@ define(['./logger'], function(logger) {
    * @param {number} [options.baseDelay=1000] - Base delay in ms
    * @param {number} [options.maxDelay=30000] - Maximum delay in ms
    * @param {Function} [options.onRetry] - Callback on retry (attempt, error, delay)
+   * @param {AbortSignal} [options.signal] - Cancels the wait between attempts (no further attempts are made)
    * @returns {Promise} Result of fn
    */
   async function withRetry(fn, options) {
@@ -140,6 +296,7 @@ define(['./logger'], function(logger) {
     var lastResponse;
 
     for (var attempt = 0; attempt <= maxRetries; attempt++) {
+      throwIfCancelled(options.signal);
       try {
         return await fn();
       } catch (error) {
@@ -147,6 +304,9 @@ define(['./logger'], function(logger) {
         lastResponse = error.response;
 
         var errorType = classifyError(error, lastResponse);
+        if (errorType === ErrorTypes.CANCELLED) {
+          throw error;
+        }
         logger.debug('API call failed (attempt ' + (attempt + 1) + '/' + (maxRetries + 1) + '):', errorType, error.message);
 
         // Don't retry on final attempt or non-retryable errors
@@ -167,7 +327,7 @@ define(['./logger'], function(logger) {
         logger.info('Retrying in ' + Math.round(delay / 1000) + 's... (attempt ' + (attempt + 2) + '/' + (maxRetries + 1) + ')');
         onRetry(attempt, error, delay);
 
-        await sleep(delay);
+        await sleep(delay, options.signal);
       }
     }
 
@@ -176,22 +336,29 @@ define(['./logger'], function(logger) {
 
   /**
    * Create a wrapped fetch function with retry logic and timeout
+   * Requests go through the recorder so they can be captured or replayed (see recorder.js)
    * @param {string} url - URL to fetch
    * @param {Object} fetchOptions - Fetch options
    * @param {Object} [retryOptions] - Retry options
    * @param {number} [retryOptions.timeout=30000] - Request timeout in ms
+   * @param {AbortSignal} [retryOptions.signal] - Aborts the request in flight (and a streamed body) and stops retrying
    * @returns {Promise<Response>}
    */
   async function fetchWithRetry(url, fetchOptions, retryOptions) {
     retryOptions = retryOptions || {};
     var timeout = retryOptions.timeout !== undefined ? retryOptions.timeout : 30000;  // 30s default
+    var signal = retryOptions.signal;
 
     return withRetry(async function() {
-      // Create AbortController for timeout
+      // One controller per attempt, aborted by the timeout or by the caller's signal
       var controller = new AbortController();
       var timeoutId = setTimeout(function() {
         controller.abort();
       }, timeout);
+      function onCancel() {
+        controller.abort();
+      }
+      if (signal) signal.addEventListener('abort', onCancel, { once: true });
 
       try {
         // Merge abort signal with fetch options
@@ -199,7 +366,8 @@ define(['./logger'], function(logger) {
           signal: controller.signal
         });
 
-        var response = await fetch(url, optionsWithSignal);
+        // The recorder passes requests to the network unless a recording is being replayed
+        var response = await recorder.send(url, optionsWithSignal, fetch);
 
         // Treat error responses as errors for retry logic
         if (!response.ok) {
@@ -222,6 +390,11 @@ define(['./logger'], function(logger) {
 
         return response;
       } catch (error) {
+        // Successful responses stay linked to the signal so a cancel also stops a streamed body
+        if (signal) signal.removeEventListener('abort', onCancel);
+        if (signal && signal.aborted) {
+          throw createCancelError();
+        }
         // Convert AbortError to timeout error
         if (error.name === 'AbortError') {
           var timeoutError = new Error('Request timed out after ' + (timeout / 1000) + ' seconds');
@@ -237,10 +410,16 @@ define(['./logger'], function(logger) {
 
   return {
     ErrorTypes: ErrorTypes,
+    RecoveryPolicies: RecoveryPolicies,
     classifyError: classifyError,
     isRetryable: isRetryable,
+    shouldFailover: shouldFailover,
     withRetry: withRetry,
     fetchWithRetry: fetchWithRetry,
+    withEmptyResponseRecovery: withEmptyResponseRecovery,
+    createCancelError: createCancelError,
+    isCancelError: isCancelError,
+    throwIfCancelled: throwIfCancelled,
     sleep: sleep,
     getRetryDelay: getRetryDelay,
     parseRetryAfter: parseRetryAfter
@@ -0,0 +1,125 @@
+define(['./logger'], function(logger) {
+  'use strict';
+
+  /**
+   * Snapshot Utility - Locates rendered Qlik objects and captures them as PNG images
+   * Used for vision-based analysis of charts whose data is missing or uninformative
+   */
+
+  // Longest edge of captured images (keeps image tokens and payload small)
+  var MAX_SNAPSHOT_SIZE = 1024;
+
+  /**
+   * Find an object's DOM element - tries multiple selectors for Qlik Cloud
+   * @param {string} objectId - Qlik object ID
+   * @returns {Element|null}
+   */
+  function findObjectElement(objectId) {
+    var selectors = [
+      '[data-qid="' + objectId + '"]',
+      '.qv-object[tid="' + objectId + '"]',
+      '[data-testid*="' + objectId + '"]',
+      'article[data-qid="' + objectId + '"]',
+      '[class*="' + objectId + '"]'
+    ];
+
+    // Try all selectors until one finds the element
+    for (var i = 0; i < selectors.length; i++) {
+      var el = document.querySelector(selectors[i]);
+      if (el) {
+        logger.debug('Found object with selector:', selectors[i]);
+        return el;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load an SVG element as an image
+   * @param {SVGElement} svg - Rendered SVG element
+   * @param {DOMRect} rect - Rendered size of the SVG
+   * @returns {Promise<HTMLImageElement>}
+   */
+  function loadSvgImage(svg, rect) {
+    return new Promise(function(resolve, reject) {
+      var clone = svg.cloneNode(true);
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+      clone.setAttribute('width', rect.width);
+      clone.setAttribute('height', rect.height);
+      var markup = new XMLSerializer().serializeToString(clone);
+      var img = new Image();
+      img.onload = function() { resolve(img); };
+      img.onerror = function() { reject(new Error('SVG layer could not be rendered')); };
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    });
+  }
+
+  return {
+    findObjectElement: findObjectElement,
+
+    /**
+     * Capture a rendered object as a PNG image
+     * Qlik visualizations draw into canvas and SVG layers, which are composited
+     * at their on-screen positions. HTML-only text (e.g. KPI labels) is not included.
+     * @param {string} objectId - Qlik object ID
+     * @returns {Promise<Object|null>} { mimeType, data } with base64 data, or null if not capturable
+     */
+    captureObject: async function(objectId) {
+      var el = findObjectElement(objectId);
+      if (!el) {
+        logger.debug('Snapshot skipped, no DOM element for object:', objectId);
+        return null;
+      }
+
+      var rect = el.getBoundingClientRect();
+      if (rect.width < 1 || rect.height < 1) {
+        logger.debug('Snapshot skipped, object not visible:', objectId);
+        return null;
+      }
+
+      var scale = Math.min(1, MAX_SNAPSHOT_SIZE / Math.max(rect.width, rect.height));
+      var canvas = document.createElement('canvas');
+      canvas.width = Math.round(rect.width * scale);
+      canvas.height = Math.round(rect.height * scale);
+      var ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.scale(scale, scale);
+
+      var layers = el.querySelectorAll('canvas, svg');
+      var drawn = 0;
+
+      for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        // Nested SVGs are drawn as part of their outermost SVG
+        if (layer.tagName.toLowerCase() === 'svg' && layer.parentElement && layer.parentElement.closest('svg')) {
+          continue;
+        }
+        var layerRect = layer.getBoundingClientRect();
+        if (layerRect.width < 1 || layerRect.height < 1) continue;
+
+        try {
+          var source = layer.tagName.toLowerCase() === 'canvas' ? layer : await loadSvgImage(layer, layerRect);
+          ctx.drawImage(source, layerRect.left - rect.left, layerRect.top - rect.top, layerRect.width, layerRect.height);
+          drawn++;
+        } catch (err) {
+          logger.debug('Snapshot layer skipped for', objectId + ':', err.message);
+        }
+      }
+
+      if (drawn === 0) {
+        logger.debug('Snapshot skipped, no canvas or SVG layers in object:', objectId);
+        return null;
+      }
+
+      try {
+        var dataUrl = canvas.toDataURL('image/png');
+        return { mimeType: 'image/png', data: dataUrl.substring(dataUrl.indexOf(',') + 1) };
+      } catch (err) {
+        // Cross-origin map tiles taint the canvas
+        logger.warn('Snapshot could not be exported for', objectId + ':', err.message);
+        return null;
+      }
+    }
+  };
+});
@@ -0,0 +1,94 @@
+define(['./logger'], function(logger) {
+  'use strict';
+
+  /**
+   * Suggestion Parser - Turns Dive Deeper responses into chart suggestions
+   * Accepts a JSON array (optionally inside a ```json block) in either the current
+   * { question, visualization, dimensions, measures } format or the older { title, chartType } format.
+   */
+
+  // Map visualization approach to Qlik chart type
+  function mapVisualizationToChart(vizApproach, dims, meas) {
+    var approach = (vizApproach || '').toLowerCase();
+
+    // Map conceptual visualization to Qlik chart type
+    var mapping = {
+      'comparison': 'barchart',
+      'trend': 'linechart',
+      'distribution': 'boxplot',
+      'correlation': 'scatterplot',
+      'composition': dims && dims.length > 1 ? 'treemap' : 'piechart',
+      'detail': 'table',
+      'ranking': 'barchart',
+      'flow': 'waterfallchart'
+    };
+
+    return mapping[approach] || 'barchart';
+  }
+
+  return {
+    mapVisualizationToChart: mapVisualizationToChart,
+
+    /**
+     * Parse dive deeper suggestions from AI response (JSON extraction)
+     * @param {string} rawText - Model response
+     * @returns {Array|null} [{ id, title, insight, chartType, visualization, dimensions, measures }] or null to show raw text
+     */
+    parse: function(rawText) {
+      if (!rawText) return null;
+
+      try {
+        // Try to extract JSON from response (may be wrapped in markdown code blocks)
+        var jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/);
+        var jsonStr = jsonMatch ? jsonMatch[1] : rawText;
+
+        // Try parsing as JSON array
+        var parsed = JSON.parse(jsonStr.trim());
+
+        if (Array.isArray(parsed) && parsed.length > 0) {
+          // Validate structure and add unique IDs
+          // Support both old format (chartType) and new format (visualization/question)
+          return parsed.map(function(item, idx) {
+            // Handle both array and singular format
+            var dims = item.dimensions || (item.dimension ? [item.dimension] : []);
+            var meas = item.measures || (item.measure ? [item.measure] : []);
+
+            // Determine chart type: old format uses chartType, new format uses visualization
+            var chartType;
+            if (item.chartType) {
+              // Old format - direct chart type
+              chartType = item.chartType;
+            } else if (item.visualization) {
+              // New format - map visualization approach to chart type
+              chartType = mapVisualizationToChart(item.visualization, dims, meas);
+            } else {
+              chartType = 'barchart';
+            }
+
+            // Title: old format uses title, new format uses question
+            var title = item.title || item.question || 'Analysis ' + (idx + 1);
+
+            return {
+              id: 'sug_' + idx + '_' + Date.now(),
+              title: title,
+              insight: item.insight || '',
+              chartType: chartType,
+              visualization: item.visualization || null, // Keep for display
+              dimensions: dims,
+              measures: meas
+            };
+          }).filter(function(item) {
+            // Must have at least one dimension or one measure
+            return (item.dimensions && item.dimensions.length > 0) ||
+                   (item.measures && item.measures.length > 0);
+          });
+        }
+      } catch (e) {
+        logger.debug('Could not parse suggestions as JSON:', e.message);
+      }
+
+      // Fallback: return null (will show raw text)
+      return null;
+    }
+  };
+});
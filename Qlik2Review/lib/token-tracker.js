@@ -23,12 +23,36 @@ define([], function() {
       'gemini-1.5-flash': { input: 0.075, output: 0.30 },
       'gemini-1.5-pro': { input: 1.25, output: 5.00 },
       'gemini-pro': { input: 0.50, output: 1.50 }
+    },
+    mistral: {
+      'mistral-small': { input: 0.10, output: 0.30 },
+      'ministral-8b': { input: 0.10, output: 0.10 },
+      'mistral-medium': { input: 0.40, output: 2.00 },
+      'mistral-large': { input: 2.00, output: 6.00 }
+    },
+    cohere: {
+      'command-r-08-2024': { input: 0.15, output: 0.60 },
+      'command-r7b': { input: 0.0375, output: 0.15 },
+      'command-r-plus': { input: 2.50, output: 10.00 },
+      'command-a': { input: 2.50, output: 10.00 }
+    },
+    // Local models have no per-token cost; every model falls back to this entry
+    ollama: {
+      'local': { input: 0, output: 0 }
     }
   };
 
   // Default pricing if model not found
   var DEFAULT_PRICING = { input: 0.50, output: 1.50 };
 
+  // Prompt caching rates as multipliers of the input price
+  // read: cached input tokens, write: tokens written to the cache (Anthropic charges extra for writes)
+  var CACHE_PRICING = {
+    openai: { read: 0.5, write: 1 },
+    anthropic: { read: 0.1, write: 1.25 }
+  };
+  var DEFAULT_CACHE_PRICING = { read: 1, write: 1 };
+
   return {
     /**
      * Estimate tokens from text (rough: 1 token ~ 4 chars for English)
@@ -40,9 +64,33 @@ define([], function() {
       return Math.ceil(text.length / 4);
     },
 
+    /**
+     * Look up listed pricing for a model without falling back to provider defaults
+     * @param {string} provider - Provider name
+     * @param {string} model - Model name
+     * @returns {Object|null} { input, output } per 1M tokens, or null when the model is not listed
+     */
+    findPricing: function(provider, model) {
+      var providerPricing = PRICING[provider];
+      if (!providerPricing || !model) return null;
+
+      // Try exact match first
+      if (providerPricing[model]) {
+        return providerPricing[model];
+      }
+
+      // Try partial match (model might have version suffix)
+      for (var key in providerPricing) {
+        if (model.indexOf(key) !== -1 || key.indexOf(model) !== -1) {
+          return providerPricing[key];
+        }
+      }
+      return null;
+    },
+
     /**
      * Get pricing for a provider/model combination
-     * @param {string} provider - Provider name (openai, anthropic, gemini)
+     * @param {string} provider - Provider name (openai, anthropic, gemini, mistral, cohere, ollama)
      * @param {string} model - Model name
      * @returns {Object} { input, output } pricing per 1M tokens
      */
@@ -51,19 +99,9 @@ define([], function() {
         return DEFAULT_PRICING;
       }
 
-      // Try exact match first
-      if (model && PRICING[provider][model]) {
-        return PRICING[provider][model];
-      }
-
-      // Try partial match (model might have version suffix)
-      if (model) {
-        var providerPricing = PRICING[provider];
-        for (var key in providerPricing) {
-          if (model.indexOf(key) !== -1 || key.indexOf(model) !== -1) {
-            return providerPricing[key];
-          }
-        }
+      var known = this.findPricing(provider, model);
+      if (known) {
+        return known;
       }
 
       // Return first model's pricing as default for provider
@@ -79,13 +117,19 @@ define([], function() {
      * Calculate cost from token usage
      * @param {string} provider - Provider name
      * @param {string} model - Model name
-     * @param {number} inputTokens - Input token count
+     * @param {number} inputTokens - Input token count (including cached and cache-write tokens)
      * @param {number} outputTokens - Output token count
+     * @param {Object} [cache] - Prompt caching counts { cachedInputTokens, cacheWriteTokens }
      * @returns {number} Cost in USD
      */
-    calculateCost: function(provider, model, inputTokens, outputTokens) {
+    calculateCost: function(provider, model, inputTokens, outputTokens, cache) {
       var pricing = this.getPricing(provider, model);
-      var inputCost = (inputTokens / 1000000) * pricing.input;
+      var cacheRates = CACHE_PRICING[provider] || DEFAULT_CACHE_PRICING;
+      var cached = (cache && cache.cachedInputTokens) || 0;
+      var written = (cache && cache.cacheWriteTokens) || 0;
+      var uncached = Math.max(0, inputTokens - cached - written);
+
+      var inputCost = ((uncached + cached * cacheRates.read + written * cacheRates.write) / 1000000) * pricing.input;
       var outputCost = (outputTokens / 1000000) * pricing.output;
       return inputCost + outputCost;
     },
@@ -130,14 +174,18 @@ define([], function() {
         inputTokens: 0,
         outputTokens: 0,
         totalTokens: 0,
+        cachedInputTokens: 0,
+        cacheWriteTokens: 0,
+        reasoningTokens: 0,
         estimatedCost: 0
       };
     },
 
     /**
      * Add usage to existing totals
+     * Per-call usage tagged with provider/model is also tallied in total.byModel
      * @param {Object} total - Total usage object
-     * @param {Object} usage - Usage to add
+     * @param {Object} usage - Usage to add (a single call or another total)
      * @returns {Object} Updated total
      */
     addUsage: function(total, usage) {
@@ -145,6 +193,31 @@ define([], function() {
       total.inputTokens += usage.inputTokens || 0;
       total.outputTokens += usage.outputTokens || 0;
       total.totalTokens += usage.totalTokens || (usage.inputTokens || 0) + (usage.outputTokens || 0);
+      total.cachedInputTokens = (total.cachedInputTokens || 0) + (usage.cachedInputTokens || 0);
+      total.cacheWriteTokens = (total.cacheWriteTokens || 0) + (usage.cacheWriteTokens || 0);
+      total.reasoningTokens = (total.reasoningTokens || 0) + (usage.reasoningTokens || 0);
+      total.estimatedCost += usage.estimatedCost || 0;
+
+      var breakdown = usage.byModel;
+      if (!breakdown && usage.provider) {
+        breakdown = {};
+        breakdown[usage.provider + '/' + (usage.model || 'default')] = {
+          inputTokens: usage.inputTokens || 0,
+          outputTokens: usage.outputTokens || 0,
+          estimatedCost: usage.estimatedCost || 0,
+          calls: 1
+        };
+      }
+      if (breakdown) {
+        total.byModel = total.byModel || {};
+        Object.keys(breakdown).forEach(function(key) {
+          var entry = total.byModel[key] || (total.byModel[key] = { inputTokens: 0, outputTokens: 0, estimatedCost: 0, calls: 0 });
+          entry.inputTokens += breakdown[key].inputTokens;
+          entry.outputTokens += breakdown[key].outputTokens;
+          entry.estimatedCost += breakdown[key].estimatedCost;
+          entry.calls += breakdown[key].calls;
+        });
+      }
       return total;
     }
   };
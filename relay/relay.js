@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * Qlik2Review Reference Relay
+ * Keeps provider API keys on the server. In proxy mode the extension sends
+ *   <relay URL>/<provider>/<upstream path>     e.g. /openai/v1/chat/completions
+ * with a short-lived bearer token. The relay checks the token, replaces it with the
+ * provider key and streams the provider response back unchanged.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   RELAY_SECRET=... OPENAI_API_KEY=... node relay/relay.js             Start the relay
+ *   RELAY_SECRET=... node relay/relay.js token [subject] [ttlSeconds]   Print a token
+ *
+ * Environment:
+ *   RELAY_SECRET                  Token signing secret (required, 32+ characters)
+ *   RELAY_PORT                    Listen port (default: 8787)
+ *   RELAY_ALLOWED_ORIGINS         Comma-separated browser origins (default: http://localhost:4848)
+ *   RELAY_TOKEN_TTL               Token lifetime in seconds (default: 900)
+ *   RELAY_TOKEN_USER_HEADER       Header set by your authenticating reverse proxy (e.g. x-forwarded-user);
+ *                                 POST /token issues tokens only when it is present
+ *   RELAY_ALLOW_ANONYMOUS_TOKENS  Set to 1 to issue tokens to anyone (local testing only)
+ *   OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, MISTRAL_API_KEY, COHERE_API_KEY
+ *   RELAY_UPSTREAM_<PROVIDER>     Override an upstream origin (e.g. RELAY_UPSTREAM_OPENAI=http://localhost:9000)
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_TOKEN_TTL = 900;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;  // Room for chart snapshots
+const UPSTREAM_TIMEOUT_MS = 120000;
+
+function bearer(headers, key) {
+  headers['authorization'] = 'Bearer ' + key;
+}
+
+// Upstream origin, key variable, key header and allowed paths per provider
+const PROVIDERS = {
+  openai: {
+    origin: 'https://api.openai.com',
+    keyEnv: 'OPENAI_API_KEY',
+    authorize: bearer,
+    paths: ['/v1/chat/completions', '/v1/models']
+  },
+  anthropic: {
+    origin: 'https://api.anthropic.com',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    authorize: function(headers, key) { headers['x-api-key'] = key; },
+    paths: ['/v1/messages', '/v1/models']
+  },
+  gemini: {
+    origin: 'https://generativelanguage.googleapis.com',
+    keyEnv: 'GEMINI_API_KEY',
+    authorize: function(headers, key) { headers['x-goog-api-key'] = key; },
+    paths: ['/v1beta/models']
+  },
+  mistral: {
+    origin: 'https://api.mistral.ai',
+    keyEnv: 'MISTRAL_API_KEY',
+    authorize: bearer,
+    paths: ['/v1/chat/completions', '/v1/models']
+  },
+  cohere: {
+    origin: 'https://api.cohere.com',
+    keyEnv: 'COHERE_API_KEY',
+    authorize: bearer,
+    paths: ['/v2/chat', '/v1/models']
+  }
+};
+
+// Client headers passed through to providers (everything else, including cookies, is dropped)
+const FORWARDED_HEADERS = ['content-type', 'accept', 'anthropic-version', 'anthropic-beta'];
+
+// Provider response headers passed back to the browser
+const RETURNED_HEADERS = ['content-type', 'retry-after', 'x-request-id', 'request-id'];
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(secret, payload) {
+  return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+/**
+ * Issue a signed relay token
+ * @param {string} secret - Signing secret
+ * @param {Object} [options] - { subject, ttl (seconds) }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueToken(secret, options) {
+  options = options || {};
+  const expiresAt = Date.now() + (options.ttl || DEFAULT_TOKEN_TTL) * 1000;
+  const payload = base64url(JSON.stringify({ sub: options.subject || 'anonymous', exp: expiresAt }));
+  return {
+    token: 'v1.' + payload + '.' + sign(secret, 'v1.' + payload),
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Verify a relay token
+ * @param {string} secret - Signing secret
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object|null} Payload { sub, exp } or null when invalid or expired
+ */
+function verifyToken(secret, token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || parts[0] !== 'v1') return null;
+
+  const expected = Buffer.from(sign(secret, parts[0] + '.' + parts[1]));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read relay options from environment variables
+ * @param {Object} env - process.env
+ * @returns {Object} Options for createRelay
+ */
+function optionsFromEnv(env) {
+  const keys = {};
+  const upstreams = {};
+  Object.keys(PROVIDERS).forEach(function(name) {
+    if (env[PROVIDERS[name].keyEnv]) keys[name] = env[PROVIDERS[name].keyEnv];
+    if (env['RELAY_UPSTREAM_' + name.toUpperCase()]) upstreams[name] = env['RELAY_UPSTREAM_' + name.toUpperCase()];
+  });
+
+  return {
+    secret: env.RELAY_SECRET || '',
+    port: parseInt(env.RELAY_PORT, 10) || DEFAULT_PORT,
+    allowedOrigins: (env.RELAY_ALLOWED_ORIGINS || 'http://localhost:4848').split(',').map(function(o) { return o.trim(); }).filter(Boolean),
+    tokenTtl: parseInt(env.RELAY_TOKEN_TTL, 10) || DEFAULT_TOKEN_TTL,
+    tokenUserHeader: (env.RELAY_TOKEN_USER_HEADER || '').toLowerCase(),
+    allowAnonymousTokens: env.RELAY_ALLOW_ANONYMOUS_TOKENS === '1',
+    keys: keys,
+    upstreams: upstreams
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise(function(resolve, reject) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', function(chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function() { resolve(Buffer.concat(chunks)); });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the relay HTTP server
+ * @param {Object} options - See optionsFromEnv
+ * @returns {http.Server}
+ */
+function createRelay(options) {
+  if (!options.secret || options.secret.length < 32) {
+    throw new Error('RELAY_SECRET must be at least 32 characters');
+  }
+
+  function applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (origin && options.allowedOrigins.indexOf(origin) !== -1) {
+      res.setHeader('access-control-allow-origin', origin);
+      res.setHeader('access-control-allow-credentials', 'true');
+      res.setHeader('access-control-allow-methods', 'GET, POST, OPTIONS');
+      res.setHeader('access-control-allow-headers', 'authorization, content-type, accept, anthropic-version, anthropic-beta');
+      res.setHeader('access-control-expose-headers', 'retry-after');
+      res.setHeader('vary', 'origin');
+    }
+  }
+
+  function handleToken(req, res) {
+    const user = options.tokenUserHeader ? req.headers[options.tokenUserHeader] : null;
+    if (!user && !options.allowAnonymousTokens) {
+      return sendJson(res, 403, { error: 'Token issuing requires an authenticated user' });
+    }
+    sendJson(res, 200, issueToken(options.secret, { subject: user || 'anonymous', ttl: options.tokenTtl }));
+  }
+
+  async function handleProxy(req, res, providerName, path, started) {
+    const provider = PROVIDERS[providerName];
+    const allowed = provider.paths.some(function(prefix) { return path === prefix || path.indexOf(prefix + '/') === 0 || path.indexOf(prefix + '?') === 0 || path.indexOf(prefix + ':') === 0; });
+    if (!allowed) {
+      return sendJson(res, 404, { error: 'Path not allowed: ' + path });
+    }
+
+    const auth = req.headers.authorization || '';
+    const claims = verifyToken(options.secret, auth.replace(/^Bearer\s+/i, ''));
+    if (!claims) {
+      return sendJson(res, 401, { error: 'Invalid or expired relay token' });
+    }
+
+    const key = options.keys[providerName];
+    if (!key) {
+      return sendJson(res, 503, { error: 'No API key configured for ' + providerName });
+    }
+
+    const headers = {};
+    FORWARDED_HEADERS.forEach(function(name) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+    provider.authorize(headers, key);
+
+    const body = req.method === 'POST' ? await readBody(req) : undefined;
+    // The timeout covers waiting for the response headers; a long SSE stream may run past it
+    const controller = new AbortController();
+    const timer = setTimeout(function() {
+      controller.abort(Object.assign(new Error('Upstream timed out'), { name: 'TimeoutError' }));
+    }, UPSTREAM_TIMEOUT_MS);
+    let upstream;
+    try {
+      upstream = await fetch((options.upstreams[providerName] || provider.origin) + path, {
+        method: req.method,
+        headers: headers,
+        body: body,
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const responseHeaders = { 'cache-control': 'no-cache' };
+    RETURNED_HEADERS.forEach(function(name) {
+      const value = upstream.headers.get(name);
+      if (value) responseHeaders[name] = value;
+    });
+    res.writeHead(upstream.status, responseHeaders);
+
+    console.log('[Relay]', req.method, providerName, path.split('?')[0], upstream.status, '(' + claims.sub + ')', (Date.now() - started) + 'ms');
+
+    // Stream through so SSE / NDJSON responses reach the browser as they arrive
+    // A stream that breaks midway ends the response instead of the relay process
+    if (upstream.body) {
+      pipeline(Readable.fromWeb(upstream.body), res, function(err) {
+        if (err) {
+          console.log('[Relay] Stream failed:', providerName, path.split('?')[0], err.message);
+          controller.abort();
+        }
+      });
+    } else {
+      res.end();
+    }
+  }
+
+  return http.createServer(function(req, res) {
+    const started = Date.now();
+    applyCors(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const url = new URL(req.url, 'http://relay');
+    if (url.pathname === '/health') {
+      return sendJson(res, 200, { ok: true, providers: Object.keys(options.keys) });
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      return handleToken(req, res);
+    }
+
+    const match = /^\/([a-z]+)(\/.*)$/.exec(url.pathname);
+    if (!match || !PROVIDERS[match[1]]) {
+      return sendJson(res, 404, { error: 'Unknown route' });
+    }
+
+    handleProxy(req, res, match[1], match[2] + url.search, started).catch(function(err) {
+      console.log('[Relay] Request failed:', err.message);
+      if (!res.headersSent) {
+        sendJson(res, err.status || (err.name === 'TimeoutError' ? 504 : 502), { error: err.message });
+      } else {
+        res.end();
+      }
+    });
+  });
+}
+
+module.exports = {
+  PROVIDERS: PROVIDERS,
+  createRelay: createRelay,
+  issueToken: issueToken,
+  verifyToken: verifyToken,
+  optionsFromEnv: optionsFromEnv
+};
+
+if (require.main === module) {
+  const options = optionsFromEnv(process.env);
+
+  if (process.argv[2] === 'token') {
+    if (!options.secret) {
+      console.error('RELAY_SECRET is required');
+      process.exit(1);
+    }
+    const issued = issueToken(options.secret, {
+      subject: process.argv[3] || 'cli',
+      ttl: parseInt(process.argv[4], 10) || options.tokenTtl
+    });
+    console.log(issued.token);
+    console.error('Expires at', issued.expiresAt);
+  } else {
+    createRelay(options).listen(options.port, function() {
+      console.log('[Relay] Listening on port', options.port);
+      console.log('[Relay] Providers with keys:', Object.keys(options.keys).join(', ') || '(none)');
+      console.log('[Relay] Allowed origins:', options.allowedOrigins.join(', '));
+    });
+  }
+}
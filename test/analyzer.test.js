@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+const { createConfig } = require('./helpers/analysis-config');
+
+const appFixture = require('./fixtures/sales-app.json');
+const recording = require('./fixtures/sales-sheet-openai.json');
+
+const load = createLoader({ qlik: createMockQlik(appFixture) });
+load('logger').setEnabled(false);
+const analyzer = load('analyzer');
+const promptBuilder = load('prompt-builder');
+const recorder = load('recorder');
+const suggestionParser = load('suggestion-parser');
+
+// Replay must never reach the network
+const networkFetch = globalThis.fetch;
+test.before(function() {
+  globalThis.fetch = function(url) {
+    throw new Error('Unexpected network request to ' + url);
+  };
+});
+test.after(function() {
+  globalThis.fetch = networkFetch;
+});
+
+test.beforeEach(function() {
+  recorder.startReplay(recording, { strict: true });
+});
+
+test('analyzes the mocked sheet from the recording', async function() {
+  const app = createMockApp(appFixture);
+  const progress = [];
+  const result = await analyzer.analyzeSheet(app, createConfig({ provider: 'replay' }), null, function(message) {
+    progress.push(message);
+  }, 'q2r-extension');
+
+  assert.deepEqual(result.objectSummaries.map(function(s) { return s.id; }), ['kpi-revenue', 'bar-monthly', 'table-products']);
+  assert.equal(result.objectSummaries[0].summary, 'Revenue reached 735.3K, up 6.5% on last year (690.1K).');
+  assert.equal(result.objectSummaries[2].summary, 'Bikes drive 412.0K (56% of revenue) at the lowest margin (31%); Gloves earn the best margin at 52%.');
+  assert.ok(result.objectSummaries.every(function(s) { return !s.error && s.provider === 'replay'; }));
+  assert.match(result.sheetSummary, /^Revenue of 735\.3K is 6\.5% ahead of last year/);
+
+  // Usage comes from the recorded responses
+  const recordedOutput = recording.entries.slice(0, 4).reduce(function(sum, entry) {
+    return sum + JSON.parse(entry.response.body).usage.completion_tokens;
+  }, 0);
+  assert.equal(result.usage.outputTokens, recordedOutput);
+
+  assert.equal(progress[0], 'Fetching sheet objects...');
+  assert.deepEqual(recorder.getReplayStats(), { exact: 4, loose: 0, missed: 0 });
+});
+
+test('fetches table data that is not in the layout', async function() {
+  const app = createMockApp(appFixture);
+  const result = await analyzer.analyzeSheet(app, createConfig({ provider: 'replay' }), null, null, 'q2r-extension');
+
+  assert.deepEqual(app.calls.getHyperCubeData.map(function(call) { return call.id; }), ['table-products']);
+  const table = result.analyzedObjects.filter(function(obj) { return obj.id === 'table-products'; })[0];
+  assert.equal(table.data.length, 5);
+  assert.deepEqual(table.data[0].dimensions, ['Bikes']);
+});
+
+test('produces the same results on every replay', async function() {
+  const config = createConfig({ provider: 'replay' });
+  const first = await analyzer.analyzeSheet(createMockApp(appFixture), config, null, null, 'q2r-extension');
+  recorder.startReplay(recording, { strict: true });
+  const second = await analyzer.analyzeSheet(createMockApp(appFixture), config, null, null, 'q2r-extension');
+
+  assert.equal(second.sheetSummary, first.sheetSummary);
+  assert.deepEqual(
+    second.objectSummaries.map(function(s) { return s.summary; }),
+    first.objectSummaries.map(function(s) { return s.summary; })
+  );
+});
+
+test('parses recorded dive deeper suggestions', async function() {
+  const config = createConfig({ provider: 'replay' });
+  const result = await analyzer.analyzeSheet(createMockApp(appFixture), config, null, null, 'q2r-extension');
+  const prompt = promptBuilder.buildSuggestionsPrompt(result.analyzedObjects, result.objectSummaries, result.sheetSummary, 3, 'en', null, '');
+  const response = await analyzer.generateWithFallback(
+    analyzer.buildTaskChain(config, 'suggestions'),
+    prompt,
+    analyzer.getGenerationSettings(config, 'suggestions')
+  );
+
+  const suggestions = suggestionParser.parse(response.text);
+  assert.deepEqual(suggestions.map(function(s) { return s.chartType; }), ['linechart', 'barchart', 'piechart']);
+  assert.deepEqual(suggestions[1].dimensions, ['Product']);
+  assert.equal(recorder.getReplayStats().missed, 0);
+});
+
+test('reports requests that were never recorded', async function() {
+  const app = createMockApp(appFixture);
+  const config = createConfig({ provider: 'replay', language: 'de' });
+
+  await assert.rejects(analyzer.analyzeSheet(app, config, null, null, 'q2r-extension'), /No recorded response/);
+  assert.ok(recorder.getReplayStats().missed > 0);
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+const { createConfig } = require('./helpers/analysis-config');
+
+const salesApp = require('./fixtures/sales-app.json');
+
+// The sales objects spread over several sheets, listed out of navigator order
+const appFixture = Object.assign({}, salesApp, {
+  sheets: [
+    { id: 'sheet-products', title: 'Products', rank: 2, cells: [{ name: 'table-products' }] },
+    { id: 'sheet-overview', title: 'Overview', rank: 0, cells: [{ name: 'kpi-revenue' }, { name: 'bar-monthly' }] },
+    { id: 'sheet-about', title: 'About', rank: 1, cells: [{ name: 'q2r-extension' }] },
+    { id: 'sheet-broken', title: 'Broken', rank: 3, cells: [], failures: { getLayout: 'Sheet layout unavailable' } }
+  ]
+});
+
+const load = createLoader({ qlik: createMockQlik(appFixture) });
+load('logger').setEnabled(false);
+const analyzer = load('analyzer');
+const engine = load('engine');
+const retry = load('retry');
+
+/**
+ * Network stand-in answering OpenAI chat completions by prompt kind
+ * Requests are kept in network.prompts; hold(prompt) keeps a request open until it is aborted.
+ */
+function createNetwork(hold) {
+  const network = { prompts: [] };
+  network.fetch = function(url, options) {
+    const body = JSON.parse(options.body);
+    const prompt = body.messages[body.messages.length - 1].content;
+    network.prompts.push(prompt);
+    if (hold && hold(prompt)) {
+      return new Promise(function(resolve, reject) {
+        options.signal.addEventListener('abort', function() {
+          reject(new DOMException('The operation was aborted.', 'AbortError'));
+        });
+        if (network.onHold) network.onHold();
+      });
+    }
+    let content = 'Object insight ' + network.prompts.length;
+    if (prompt.indexOf('executive report for the whole Qlik app') !== -1) content = 'App synthesis';
+    else if (prompt.indexOf('sheet-level analysis') !== -1) content = 'Sheet summary ' + network.prompts.length;
+    return Promise.resolve(new Response(JSON.stringify({
+      choices: [{ message: { content: content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    }), { status: 200, headers: { 'content-type': 'application/json' } }));
+  };
+  return network;
+}
+
+const config = createConfig({ apiKey: 'sk-test-0123456789abcdefghijklmnop', concurrency: 1 });
+
+const networkFetch = globalThis.fetch;
+test.afterEach(function() {
+  globalThis.fetch = networkFetch;
+});
+
+test('lists sheets in navigator order', async function() {
+  const sheets = await engine.getSheetList(createMockApp(appFixture));
+  assert.deepEqual(sheets.map(function(s) { return s.id + ':' + s.title; }), [
+    'sheet-overview:Overview', 'sheet-about:About', 'sheet-products:Products', 'sheet-broken:Broken'
+  ]);
+});
+
+test('removes the sheet list after its first reply and gives up on a silent one', async function(t) {
+  const live = createMockApp(appFixture, { sheetListReplies: 3 });
+  assert.equal((await engine.getSheetList(live)).length, 4);
+  assert.deepEqual(live.calls.destroySessionObject, ['sheet-list']);
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const pending = engine.getSheetList(createMockApp(appFixture, { sheetListReplies: 0 }));
+  t.mock.timers.tick(15000);
+  assert.deepEqual(await pending, []);
+});
+
+test('a sheet list that fails resolves empty without waiting for the timeout', { timeout: 5000 }, async function(t) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  assert.deepEqual(await engine.getSheetList(createMockApp(appFixture, { sheetListError: 'Engine closed' })), []);
+});
+
+test('analyzes every sheet and synthesizes an app report', async function() {
+  const network = createNetwork();
+  globalThis.fetch = network.fetch;
+  const progress = [];
+
+  const report = await analyzer.analyzeApp(createMockApp(appFixture), config, null, function(message, sheet) {
+    progress.push({ message: message, sheet: sheet });
+  });
+
+  assert.deepEqual(report.sheets.map(function(s) { return s.id; }), ['sheet-overview', 'sheet-about', 'sheet-products', 'sheet-broken']);
+  const overview = report.sheets[0];
+  assert.deepEqual(overview.objectSummaries.map(function(o) { return o.id; }), ['kpi-revenue', 'bar-monthly']);
+  assert.match(overview.sheetSummary, /^Sheet summary/);
+  assert.equal(report.sheets[1].skipped, true);
+  assert.deepEqual(report.sheets[2].objectSummaries.map(function(o) { return o.id; }), ['table-products']);
+  assert.equal(report.sheets[3].error, 'Sheet layout unavailable');
+  assert.equal(report.appSummary, 'App synthesis');
+
+  // 3 object insights, 2 sheet summaries and the app synthesis
+  assert.equal(network.prompts.length, 6);
+  assert.equal(report.usage.totalTokens, 6 * 110);
+  const appPrompt = network.prompts[5];
+  assert.match(appPrompt, /=== SHEET 1: Overview ===\n/);
+  assert.match(appPrompt, /=== SHEET 2: Products ===\n/);
+  assert.doesNotMatch(appPrompt, /About|Broken/);
+  assert.match(appPrompt, /Active filters: Region: North/);
+
+  // Progress names the sheet being analyzed
+  assert.ok(progress.some(function(p) { return p.message === 'Sheet 1/4 (Overview): Completed 2/2 objects'; }));
+  assert.deepEqual(progress.filter(function(p) { return p.sheet; }).map(function(p) { return p.sheet.index; })
+    .filter(function(index, i, all) { return all.indexOf(index) === i; }), [0, 1, 2, 3]);
+  assert.equal(progress[progress.length - 1].message, 'Generating app summary...');
+});
+
+test('cancelling an app analysis reports the usage of finished sheets', async function() {
+  // The second sheet's summary is held until the cancel
+  const network = createNetwork(function(prompt) {
+    return prompt.indexOf('sheet-level analysis') !== -1 && prompt.indexOf('Product Performance') !== -1;
+  });
+  globalThis.fetch = network.fetch;
+  const controller = new AbortController();
+  const cancelToken = { cancelled: false, signal: controller.signal };
+  network.onHold = function() {
+    cancelToken.cancelled = true;
+    controller.abort();
+  };
+
+  const cancelled = await analyzer.analyzeApp(createMockApp(appFixture), config, cancelToken)
+    .then(function() { return null; }, function(err) { return err; });
+
+  assert.ok(retry.isCancelError(cancelled), 'expected a cancel error');
+  // Overview (2 objects + summary) and the Products object finished before the cancel
+  assert.equal(cancelled.usage.totalTokens, 4 * 110);
+  assert.equal(network.prompts.length, 5);
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+const { createConfig } = require('./helpers/analysis-config');
+
+const appFixture = require('./fixtures/sales-app.json');
+
+const load = createLoader({ qlik: createMockQlik(appFixture) });
+load('logger').setEnabled(false);
+const analyzer = load('analyzer');
+const retry = load('retry');
+
+const URL = 'https://api.example.com/v1/chat';
+
+/**
+ * Network stand-in: answers with an OpenAI chat completion, or holds the request
+ * open until its signal aborts when hold(callNumber) returns true
+ */
+function createNetwork(hold) {
+  const network = { calls: 0, aborted: 0, onHold: null };
+  network.fetch = function(url, options) {
+    network.calls++;
+    if (!hold(network.calls)) {
+      return Promise.resolve(new Response(JSON.stringify({
+        choices: [{ message: { content: 'Summary ' + network.calls }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+      }), { status: 200, headers: { 'content-type': 'application/json' } }));
+    }
+    return new Promise(function(resolve, reject) {
+      options.signal.addEventListener('abort', function() {
+        network.aborted++;
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+      if (network.onHold) network.onHold();
+    });
+  };
+  return network;
+}
+
+const networkFetch = globalThis.fetch;
+test.afterEach(function() {
+  globalThis.fetch = networkFetch;
+});
+
+test('aborts the request in flight', async function() {
+  const network = createNetwork(function() { return true; });
+  globalThis.fetch = network.fetch;
+  const controller = new AbortController();
+  network.onHold = function() { controller.abort(); };
+
+  await assert.rejects(
+    retry.fetchWithRetry(URL, { method: 'POST', body: '{}' }, { maxRetries: 2, signal: controller.signal }),
+    function(err) { return retry.isCancelError(err) && err.message === 'Analysis cancelled'; }
+  );
+  assert.equal(network.aborted, 1);
+  assert.equal(network.calls, 1);
+});
+
+test('stops waiting between retries', async function() {
+  let calls = 0;
+  globalThis.fetch = async function() {
+    calls++;
+    return new Response('{}', { status: 503, statusText: 'Service Unavailable' });
+  };
+  const controller = new AbortController();
+  const started = Date.now();
+
+  await assert.rejects(retry.fetchWithRetry(URL, { method: 'POST', body: '{}' }, {
+    maxRetries: 3,
+    baseDelay: 10000,
+    signal: controller.signal,
+    onRetry: function() { controller.abort(); }
+  }), retry.isCancelError);
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('rejects a sleep that is aborted', async function() {
+  const controller = new AbortController();
+  const pending = retry.sleep(60000, controller.signal);
+  controller.abort();
+  await assert.rejects(pending, retry.isCancelError);
+  await assert.rejects(retry.sleep(10, controller.signal), retry.isCancelError);
+});
+
+test('cancelling a sheet analysis reports the usage of finished calls', async function() {
+  // First object answers, second is held until the cancel
+  const network = createNetwork(function(call) { return call === 2; });
+  globalThis.fetch = network.fetch;
+  const controller = new AbortController();
+  const cancelToken = { cancelled: false, signal: controller.signal };
+  network.onHold = function() {
+    cancelToken.cancelled = true;
+    controller.abort();
+  };
+
+  const config = createConfig({ apiKey: 'sk-test-0123456789abcdefghijklmnop', concurrency: 1 });
+  const cancelled = await analyzer.analyzeSheet(createMockApp(appFixture), config, cancelToken, null, 'q2r-extension')
+    .then(function() { return null; }, function(err) { return err; });
+
+  assert.ok(retry.isCancelError(cancelled), 'expected a cancel error');
+  assert.equal(cancelled.usage.inputTokens, 100);
+  assert.equal(cancelled.usage.outputTokens, 20);
+  const modelKey = 'openai/' + load('openai').defaultModel;
+  assert.deepEqual(Object.keys(cancelled.usage.byModel), [modelKey]);
+  assert.equal(cancelled.usage.byModel[modelKey].calls, 1);
+  assert.ok(cancelled.usage.estimatedCost > 0);
+  // No further objects and no sheet summary after the cancel
+  assert.equal(network.calls, 2);
+  assert.equal(network.aborted, 1);
+});
+
+test('stopping a chat question aborts its fetch round and keeps the usage', async function() {
+  // The first round asks for rows, the round after the fetch is held until the stop
+  const network = createNetwork(function(call) { return call === 2; });
+  globalThis.fetch = function(url, options) {
+    if (network.calls > 0) return network.fetch(url, options);
+    network.calls++;
+    return Promise.resolve(new Response(JSON.stringify({
+      choices: [{ message: { content: 'FETCH_ROWS {"objectId": "kpi-revenue", "offset": 0, "count": 10}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+    }), { status: 200, headers: { 'content-type': 'application/json' } }));
+  };
+  const controller = new AbortController();
+  network.onHold = function() { controller.abort(); };
+
+  const config = createConfig({ apiKey: 'sk-test-0123456789abcdefghijklmnop' });
+  config.signal = controller.signal;
+  const context = { objects: [], objectSummaries: [], sheetSummary: 'Revenue is up.', selections: [] };
+  const stopped = await load('chat').ask(createMockApp(appFixture), context, [], 'Which region leads?', config)
+    .then(function() { return null; }, function(err) { return err; });
+
+  assert.ok(retry.isCancelError(stopped), 'expected a cancel error');
+  assert.equal(stopped.usage.inputTokens, 100);
+  assert.equal(stopped.usage.outputTokens, 20);
+  assert.equal(network.calls, 2);
+  assert.equal(network.aborted, 1);
+});
+
+test('non-streamed requests wait longer for larger outputs', async function(t) {
+  const network = createNetwork(function() { return false; });
+  globalThis.fetch = network.fetch;
+  const timeouts = [];
+  const realSetTimeout = globalThis.setTimeout;
+  globalThis.setTimeout = function(fn, delay) {
+    timeouts.push(delay);
+    return realSetTimeout.apply(this, arguments);
+  };
+  t.after(function() { globalThis.setTimeout = realSetTimeout; });
+  const openai = load('openai');
+
+  await openai.generateSummary('Prompt', { apiKey: 'sk-test-0123456789abcdefghijklmnop', maxTokens: 150 });
+  await openai.generateSummary('Prompt', { apiKey: 'sk-test-0123456789abcdefghijklmnop', maxTokens: 16000 });
+  // The thinking budget is output too
+  await openai.generateSummary('Prompt', { apiKey: 'sk-test-0123456789abcdefghijklmnop', model: 'o3', maxTokens: 2000, reasoning: 'high' });
+  assert.deepEqual(timeouts, [30000, 320000, (2000 + 16384) * 20]);
+});
+
+test('failed calls give back their rate limit reservation', async function(t) {
+  const rateLimiter = load('rate-limiter');
+  rateLimiter.reset();
+  t.after(function() { rateLimiter.reset(); });
+  globalThis.fetch = async function() {
+    return new Response('{"error":{"message":"Bad request"}}', { status: 400, statusText: 'Bad Request' });
+  };
+  const limits = { rpm: 0, tpm: 6000 };
+  const chain = analyzer.buildProviderChain(createConfig({ apiKey: 'sk-test-0123456789abcdefghijklmnop', rateLimits: limits }));
+  rateLimiter.penalize('openai', 1);
+  await retry.sleep(5);
+
+  await assert.rejects(analyzer.generateWithFallback(chain, 'Prompt', { maxTokens: 5000 }), { status: 400 });
+
+  // Settled like a successful call: the rate recovers a step and the tokens are free again
+  assert.equal(rateLimiter.getConcurrency('openai', 20), 11);
+  const controller = new AbortController();
+  const timer = setTimeout(function() { controller.abort(); }, 1000);
+  await rateLimiter.acquire('openai', 5000, limits, controller.signal);
+  clearTimeout(timer);
+});
+
+test('a 429 keeps rate limits configured above the built-in ones', async function(t) {
+  const rateLimiter = load('rate-limiter');
+  rateLimiter.reset();
+  t.after(function() { rateLimiter.reset(); });
+  const limits = { rpm: 100000, tpm: 2000000 };
+
+  await rateLimiter.acquire('openai', 1000, limits);
+  rateLimiter.penalize('openai', 1);
+  rateLimiter.penalize('anthropic', 1, limits);
+  await retry.sleep(5);
+
+  const controller = new AbortController();
+  const timer = setTimeout(function() { controller.abort(); }, 1000);
+  await rateLimiter.acquire('openai', 1500000, limits, controller.signal);
+  await rateLimiter.acquire('anthropic', 1500000, limits, controller.signal);
+  clearTimeout(timer);
+});
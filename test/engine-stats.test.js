@@ -0,0 +1,176 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+const { createConfig } = require('./helpers/analysis-config');
+
+const salesApp = require('./fixtures/sales-app.json');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const REVENUE = [120500, 98200, 134900, 141300, 87600, 152800, 118000, 126400, 131000, 109700, 140000, 165000];
+
+function monthRow(idx) {
+  return [{ qText: MONTHS[idx], qNum: idx + 1 }, { qText: (REVENUE[idx] / 1000).toFixed(1) + 'K', qNum: REVENUE[idx] }];
+}
+
+// A year of monthly revenue behind the six months bar-monthly shows; product data is not served
+const appFixture = Object.assign({}, salesApp, {
+  sessionCubes: {
+    Month: {
+      '/qHyperCubeDef': {
+        qSize: { qcx: 2, qcy: 12 },
+        qMeasureInfo: [{ qFallbackTitle: 'Revenue', qMin: 87600, qMax: 165000 }],
+        qGrandTotalRow: [{ qText: '1.53M', qNum: 1525400 }],
+        matrix: MONTHS.map(function(m, idx) { return idx; })
+          .sort(function(a, b) { return REVENUE[b] - REVENUE[a]; })
+          .map(monthRow)
+      },
+      '/periods/qHyperCubeDef': {
+        qSize: { qcx: 2, qcy: 12 },
+        matrix: MONTHS.map(function(m, idx) { return monthRow(idx); })
+      }
+    }
+  },
+  expressions: {
+    '=Avg(Aggr(Sum(Sales), [Month]))': 127116.67,
+    '=Median(Aggr(Sum(Sales), [Month]))': 128700,
+    '=Fractile(Aggr(Sum(Sales), [Month]), 0.25)': 116925,
+    '=Fractile(Aggr(Sum(Sales), [Month]), 0.75)': 140325
+  }
+});
+
+const load = createLoader({ qlik: createMockQlik(appFixture) });
+load('logger').setEnabled(false);
+const engine = load('engine');
+const analyzer = load('analyzer');
+const promptBuilder = load('prompt-builder');
+
+async function loadObject(app, id) {
+  return engine.getObjectDetails(app, id, 50);
+}
+
+const networkFetch = globalThis.fetch;
+test.afterEach(function() {
+  globalThis.fetch = networkFetch;
+});
+
+test('computes statistics over every row in a session object', async function() {
+  const app = createMockApp(appFixture);
+  const bar = await loadObject(app, 'bar-monthly');
+  const stats = await engine.getEngineStats(app, bar);
+
+  const props = app.calls.createGenericObject[0];
+  assert.deepEqual(props.qHyperCubeDef.qDimensions, [{ qDef: { qFieldDefs: ['Month'] }, qNullSuppression: false }]);
+  assert.deepEqual(props.qHyperCubeDef.qMeasures, [{ qDef: { qDef: 'Sum(Sales)' }, qSortBy: { qSortByNumeric: -1 } }]);
+  assert.deepEqual(props.qHyperCubeDef.qInterColumnSortOrder, [1, 0]);
+  assert.ok(props.periods, 'Month is a time axis');
+
+  assert.equal(stats.rowCount, 12);
+  assert.deepEqual(stats.measures, [{
+    label: 'Revenue', min: 87600, max: 165000, total: 1525400,
+    avg: 127116.67, median: 128700, p25: 116925, p75: 140325
+  }]);
+  assert.deepEqual(stats.top.map(function(row) { return row.label; }), ['Dec', 'Jun', 'Apr']);
+  assert.deepEqual(stats.bottom.map(function(row) { return row.label; }), ['May', 'Feb', 'Oct']);
+  assert.deepEqual(stats.period, {
+    dimension: 'Month', previous: 'Nov', last: 'Dec',
+    deltas: [{ label: 'Revenue', delta: 25000, pct: 25000 / 140000 }]
+  });
+  assert.deepEqual(app.calls.destroySessionObject, ['session-1']);
+});
+
+test('statistics leave out the null and zero rows the chart hides', async function() {
+  const nullRow = [{ qText: '-', qNum: 'NaN', qIsNull: true }, { qText: '0.0K', qNum: 0 }];
+  const withNulls = Object.assign({}, appFixture, {
+    sessionCubes: { Month: Object.assign({}, appFixture.sessionCubes.Month, {
+      '/qHyperCubeDef': Object.assign({}, appFixture.sessionCubes.Month['/qHyperCubeDef'], {
+        qSize: { qcx: 2, qcy: 13 },
+        matrix: appFixture.sessionCubes.Month['/qHyperCubeDef'].matrix.concat([nullRow])
+      })
+    }) }
+  });
+  const barProps = function(nullSuppression) {
+    return {
+      qHyperCubeDef: {
+        qDimensions: [{ qDef: { qFieldDefs: ['Month'] }, qNullSuppression: nullSuppression }],
+        qMeasures: [{ qDef: { qDef: 'Sum(Sales)' } }],
+        qSuppressZero: nullSuppression
+      }
+    };
+  };
+  const withObject = function(nullSuppression) {
+    return Object.assign({}, withNulls, {
+      objects: Object.assign({}, withNulls.objects, {
+        'bar-monthly': Object.assign({}, withNulls.objects['bar-monthly'], { properties: barProps(nullSuppression) })
+      })
+    });
+  };
+
+  const hiding = createMockApp(withObject(true));
+  const stats = await engine.getEngineStats(hiding, await loadObject(hiding, 'bar-monthly'));
+  const props = hiding.calls.createGenericObject[0];
+  assert.equal(props.qHyperCubeDef.qDimensions[0].qNullSuppression, true);
+  assert.equal(props.qHyperCubeDef.qSuppressZero, true);
+  assert.equal(props.measureStats[0].median.qValueExpression.qExpr, '=Median(Aggr(If((Sum(Sales)) <> 0, Sum(Sales)), [Month]))');
+  assert.equal(stats.rowCount, 12);
+  assert.deepEqual(stats.bottom.map(function(row) { return row.label; }), ['May', 'Feb', 'Oct']);
+
+  const showing = createMockApp(withObject(false));
+  const all = await engine.getEngineStats(showing, await loadObject(showing, 'bar-monthly'));
+  assert.equal(all.rowCount, 13);
+  assert.equal(all.bottom[0].label, '-');
+});
+
+test('compressed data reports engine statistics for the full dataset', async function() {
+  const app = createMockApp(appFixture);
+  const bar = await loadObject(app, 'bar-monthly');
+  bar.engineStats = await engine.getEngineStats(app, bar);
+
+  assert.equal(promptBuilder.formatObjectRows(bar, 'compressed'), [
+    'Data: 12 rows (stats computed by Qlik over all rows)',
+    'Revenue: min=87.6K, max=165.0K, avg=127.1K, median=128.7K, p25=116.9K, p75=140.3K, total=1.5M',
+    'Change Dec vs Nov: Revenue +25.0K (+17.9%)',
+    'Top3: Dec(165.0K), Jun(152.8K), Apr(141.3K)',
+    'Bottom3: May(87.6K), Feb(98.2K), Oct(109.7K)'
+  ].join('\n'));
+  // Raw rows are sent as they are
+  assert.match(promptBuilder.formatObjectRows(bar, 'raw'), /^Data \(6 rows\):/);
+
+  // Qlik's grand total of the object is sent once, on the Totals line
+  bar.measures[0].grandTotal = { text: '1.53M', num: 1525400 };
+  assert.deepEqual(promptBuilder.formatObjectRows(bar, 'compressed').split('\n').slice(1, 3), [
+    'Totals: Revenue=1.53M',
+    'Revenue: min=87.6K, max=165.0K, avg=127.1K, median=128.7K, p25=116.9K, p75=140.3K'
+  ]);
+  bar.engineStats = null;
+  assert.match(promptBuilder.formatObjectRows(bar, 'compressed'), /\nTotals: Revenue=1\.53M\nRevenue: min=[^\n]*, avg=[\d.]+K\n/);
+});
+
+test('analysis falls back to sample statistics when the engine cannot compute them', async function() {
+  const prompts = [];
+  globalThis.fetch = function(url, options) {
+    const body = JSON.parse(options.body);
+    prompts.push(body.messages[body.messages.length - 1].content);
+    return Promise.resolve(new Response(JSON.stringify({
+      choices: [{ message: { content: 'Insight' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    }), { status: 200, headers: { 'content-type': 'application/json' } }));
+  };
+  const config = createConfig({ apiKey: 'sk-test-0123456789abcdefghijklmnop', concurrency: 1 });
+  const app = createMockApp(appFixture);
+
+  await analyzer.analyzeSheet(app, config, null, null, 'q2r-extension');
+
+  // The KPI has no dimensions; the product session object fails
+  assert.equal(app.calls.createGenericObject.length, 2);
+  const barPrompt = prompts.filter(function(p) { return p.indexOf('Revenue by Month') !== -1; })[0];
+  assert.match(barPrompt, /\nData: 12 rows \(stats computed by Qlik over all rows\)\n/);
+  const productPrompt = prompts.filter(function(p) { return p.indexOf('Product Performance') !== -1; })[0];
+  assert.match(productPrompt, /\nData: 5 rows\n/);
+
+  const disabled = createMockApp(appFixture);
+  await analyzer.analyzeSheet(disabled, Object.assign({}, config, { engineStats: false }), null, null, 'q2r-extension');
+  assert.equal(disabled.calls.createGenericObject.length, 0);
+});
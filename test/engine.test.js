@@ -0,0 +1,402 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+
+const appFixture = require('./fixtures/container-app.json');
+const pivotFixture = require('./fixtures/pivot-app.json');
+
+/**
+ * Load engine.js against a mocked app
+ * @param {Object} [fixture] - App fixture (defaults to the container app)
+ * @param {Object} [options] - { async, legacySelections } for the qlik and app mocks
+ */
+function setup(fixture, options) {
+  fixture = fixture || appFixture;
+  options = options || {};
+  const load = createLoader({ qlik: createMockQlik(fixture, options) });
+  load('logger').setEnabled(false);
+  return { engine: load('engine'), app: createMockApp(fixture, options) };
+}
+
+function byId(objects, id) {
+  return objects.filter(function(obj) { return obj.id === id; })[0];
+}
+
+function countCalls(list, id) {
+  return list.filter(function(entry) { return entry === id; }).length;
+}
+
+// Sheet fallbacks read the page; give them an empty one
+const browserGlobals = { document: globalThis.document, window: globalThis.window };
+function installBrowser(href) {
+  globalThis.document = {
+    querySelector: function() { return null; },
+    querySelectorAll: function() { return []; }
+  };
+  globalThis.window = { location: { href: href || 'https://tenant.example.com/sense/app/demo' } };
+}
+test.afterEach(function() {
+  globalThis.document = browserGlobals.document;
+  globalThis.window = browserGlobals.window;
+});
+
+// Fixture with one chart inside the given number of nested containers
+function nestedFixture(levels) {
+  const objects = {
+    'kpi-deep': {
+      layout: {
+        visualization: 'kpi',
+        title: 'Deep KPI',
+        qHyperCube: { qDimensionInfo: [], qMeasureInfo: [{ qFallbackTitle: 'Value' }], qDataPages: [{ qMatrix: [[{ qText: '1', qNum: 1 }]] }] }
+      }
+    }
+  };
+  for (let i = 0; i < levels; i++) {
+    objects['level-' + i] = {
+      layout: { visualization: 'sn-layout-container', children: [{ refId: i + 1 < levels ? 'level-' + (i + 1) : 'kpi-deep' }] }
+    };
+  }
+  return {
+    currentSheetId: 'sheet-deep',
+    sheets: [{ id: 'sheet-deep', title: 'Deep', cells: [{ name: levels > 0 ? 'level-0' : 'kpi-deep' }] }],
+    objects: objects
+  };
+}
+
+test('flattens layout, tab, legacy and qChildren containers in sheet order', async function() {
+  const { engine, app } = setup();
+  const objects = await engine.getSheetObjects(app, 'q2r-ext', 50);
+
+  assert.deepEqual(objects.map(function(obj) { return obj.id; }), [
+    'kpi-sales',
+    'bar-region', 'line-trend', 'table-orders',         // layout container children
+    'pivot-margin', 'pie-mix', 'gauge-target',          // tab children, tab ref, container nested in a tab
+    'scatter-price',                                    // qChildren (missing-object is skipped)
+    'bar-empty', 'filter-region', 'q2r-ext'
+  ]);
+  assert.ok(objects.every(function(obj) { return !engine.isContainer(obj.type); }));
+});
+
+test('fetches every object once, however often it is referenced', async function() {
+  const { engine, app } = setup();
+  await engine.getSheetObjects(app, 'q2r-ext', 50);
+
+  // bar-region sits on the sheet and in the layout container; table-orders in two containers
+  assert.equal(countCalls(app.calls.getObject, 'bar-region'), 1);
+  assert.equal(countCalls(app.calls.getObject, 'table-orders'), 1);
+  // Containers are read once for their type and once for their children; nested-container
+  // also lists itself as a child, which must not start another round
+  assert.equal(countCalls(app.calls.getObject, 'nested-container'), 2);
+});
+
+test('skips objects already in seenIds', async function() {
+  const { engine, app } = setup();
+  const seenIds = { 'line-trend': true };
+  const objects = await engine.getObjectsRecursive(app, [{ name: 'layout-container' }, { name: 'kpi-sales' }], 0, seenIds, 50);
+
+  assert.deepEqual(objects.map(function(obj) { return obj.id; }), ['bar-region', 'table-orders', 'kpi-sales']);
+  assert.deepEqual(Object.keys(seenIds).sort(), ['bar-region', 'kpi-sales', 'layout-container', 'line-trend', 'table-orders']);
+  assert.equal(countCalls(app.calls.getObject, 'line-trend'), 0);
+});
+
+test('stops descending after MAX_CONTAINER_DEPTH nested containers', async function() {
+  const deepest = setup(nestedFixture(5));
+  assert.equal(deepest.engine.MAX_CONTAINER_DEPTH, 5);
+  assert.deepEqual((await deepest.engine.getSheetObjects(deepest.app, null, 50)).map(function(obj) { return obj.id; }), ['kpi-deep']);
+
+  const tooDeep = setup(nestedFixture(6));
+  assert.deepEqual(await tooDeep.engine.getSheetObjects(tooDeep.app, null, 50), []);
+  assert.equal(countCalls(tooDeep.app.calls.getObject, 'kpi-deep'), 0);
+});
+
+test('fetches table data that is missing from the layout', async function() {
+  const { engine, app } = setup();
+  const table = await engine.getObjectDetails(app, 'table-orders', 50);
+
+  assert.deepEqual(app.calls.getHyperCubeData, [{
+    id: 'table-orders',
+    path: '/qHyperCubeDef',
+    pages: [{ qTop: 0, qLeft: 0, qWidth: 3, qHeight: 50 }]
+  }]);
+  assert.equal(table.data.length, 8);
+  assert.deepEqual(table.data[2], { dimensions: ['SO-003', 'Initech'], measures: [{ text: '4.5K', num: 4500 }] });
+});
+
+test('applies the row limit to fetched table pages', async function() {
+  const { engine, app } = setup();
+  const table = await engine.getObjectDetails(app, 'table-orders', 3);
+
+  assert.equal(app.calls.getHyperCubeData[0].pages[0].qHeight, 3);
+  assert.equal(table.data.length, 3);
+});
+
+test('keeps a table whose data fetch fails, without data', async function() {
+  const { engine, app } = setup();
+  const pivot = await engine.getObjectDetails(app, 'pivot-margin', 50);
+
+  assert.equal(app.calls.getHyperCubePivotData.length, 1);
+  assert.equal(app.calls.getHyperCubeData.length, 0);
+  assert.equal(pivot.type, 'pivot-table');
+  assert.equal(pivot.data, null);
+  assert.deepEqual(pivot.dimensions.map(function(d) { return d.label; }), ['Product']);
+});
+
+test('fetches chart data that is missing from the layout, not data the layout already covers', async function() {
+  const { engine, app } = setup();
+  const bar = await engine.getObjectDetails(app, 'bar-empty', 50);
+  const region = await engine.getObjectDetails(app, 'bar-region', 2);
+
+  assert.deepEqual(app.calls.getHyperCubeData.map(function(call) { return call.id; }), ['bar-empty']);
+  assert.equal(bar.data, null);
+  assert.equal(bar.totalRows, null);
+  assert.deepEqual(region.data.map(function(row) { return row.dimensions[0]; }), ['North', 'South']);
+});
+
+/**
+ * Fixture with one bar chart of `rows` rows and `measures` measures
+ * @param {Object} options - { rows, measures, layoutRows, layoutTop, withSize }
+ */
+function barFixture(options) {
+  const matrix = [];
+  for (let i = 0; i < options.rows; i++) {
+    const row = [{ qText: 'Item ' + i, qNum: 'NaN' }];
+    for (let m = 0; m < options.measures; m++) row.push({ qText: String(i), qNum: i });
+    matrix.push(row);
+  }
+  const measureInfo = [];
+  for (let m = 0; m < options.measures; m++) measureInfo.push({ qFallbackTitle: 'M' + m });
+  const width = options.measures + 1;
+  const top = options.layoutTop || 0;
+  const hyperCube = {
+    qDimensionInfo: [{ qFallbackTitle: 'Item', qGroupFieldDefs: ['Item'] }],
+    qMeasureInfo: measureInfo,
+    qDataPages: options.layoutRows ? [{
+      qArea: { qTop: top, qLeft: 0, qWidth: width, qHeight: options.layoutRows },
+      qMatrix: matrix.slice(top, top + options.layoutRows)
+    }] : []
+  };
+  if (options.withSize !== false) hyperCube.qSize = { qcx: width, qcy: options.rows };
+  return {
+    sheets: [{ id: 'sheet-1', title: 'Sheet', cells: [{ name: 'bar' }] }],
+    objects: { bar: { layout: { qInfo: { qId: 'bar', qType: 'barchart' }, visualization: 'barchart', qHyperCube: hyperCube }, matrix: matrix } }
+  };
+}
+
+test('pages chart rows beyond the initial data fetch up to the row limit', async function() {
+  const { engine, app } = setup(barFixture({ rows: 120, measures: 1, layoutRows: 20 }));
+  const bar = await engine.getObjectDetails(app, 'bar', 50);
+
+  assert.deepEqual(app.calls.getHyperCubeData.map(function(call) { return call.pages; }), [
+    [{ qTop: 20, qLeft: 0, qWidth: 2, qHeight: 30 }]
+  ]);
+  assert.equal(bar.data.length, 50);
+  assert.equal(bar.data[49].dimensions[0], 'Item 49');
+  assert.equal(bar.totalRows, 120);
+});
+
+test('fetches a scrolled data window again from the first row', async function() {
+  const { engine, app } = setup(barFixture({ rows: 120, measures: 1, layoutRows: 20, layoutTop: 40 }));
+  const bar = await engine.getObjectDetails(app, 'bar', 10);
+
+  assert.deepEqual(app.calls.getHyperCubeData[0].pages, [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: 10 }]);
+  assert.equal(bar.data[0].dimensions[0], 'Item 0');
+});
+
+test('keeps each page within the 10,000 cell limit and stops at the last row', async function() {
+  // 200 columns: 50 rows per page
+  const wide = setup(barFixture({ rows: 120, measures: 199 }));
+  const bar = await wide.engine.getObjectDetails(wide.app, 'bar', 500);
+
+  assert.deepEqual(wide.app.calls.getHyperCubeData.map(function(call) { return call.pages[0].qTop + '+' + call.pages[0].qHeight; }),
+    ['0+50', '50+50', '100+20']);
+  assert.equal(bar.data.length, 120);
+
+  // Without qSize, a short page ends the fetch
+  const unsized = setup(barFixture({ rows: 7, measures: 1, withSize: false }));
+  const small = await unsized.engine.getObjectDetails(unsized.app, 'bar', 50);
+  assert.equal(unsized.app.calls.getHyperCubeData.length, 1);
+  assert.equal(small.data.length, 7);
+  assert.equal(small.totalRows, null);
+
+  const empty = setup(barFixture({ rows: 0, measures: 1 }));
+  assert.deepEqual((await empty.engine.getObjectDetails(empty.app, 'bar', 50)).data, []);
+  assert.equal(empty.app.calls.getHyperCubeData.length, 0);
+});
+
+test('flattens pivot headers into rows with their hierarchy', async function() {
+  const { engine, app } = setup(pivotFixture);
+  const pivot = await engine.getObjectDetails(app, 'pivot-region', 50);
+
+  assert.deepEqual(app.calls.getHyperCubePivotData, [{
+    id: 'pivot-region',
+    path: '/qHyperCubeDef',
+    pages: [{ qTop: 0, qLeft: 0, qWidth: 3, qHeight: 5 }]
+  }]);
+  assert.equal(app.calls.getHyperCubeData.length, 0);
+  assert.deepEqual(pivot.data.map(function(row) { return row.dimensions.join('/') + ':' + row.level + (row.isTotal ? ':total' : ''); }), [
+    'Europe/Germany:2', 'Europe/France:2', 'Europe/Totals:2:total', 'Americas/:1', 'Totals/:1:total'
+  ]);
+  assert.deepEqual(pivot.data[1].measures[1], { text: '180K', num: 180000 });
+  assert.equal(pivot.totalRows, 5);
+  assert.deepEqual(pivot.hierarchy, {
+    mode: 'pivot',
+    rowDimensions: [{ label: 'Region' }, { label: 'Country' }],
+    columnDimensions: [{ label: 'Year' }],
+    columns: [{ label: '2023' }, { label: '2024' }, { label: 'Totals' }]
+  });
+
+  // The row limit applies to flattened rows
+  const limited = setup(pivotFixture);
+  assert.equal((await limited.engine.getObjectDetails(limited.app, 'pivot-region', 2)).data.length, 2);
+  assert.equal(limited.app.calls.getHyperCubePivotData[0].pages[0].qHeight, 2);
+});
+
+test('reads pivot pages from the layout and labels measure columns', async function() {
+  const { engine, app } = setup(pivotFixture);
+  const pivot = await engine.getObjectDetails(app, 'pivot-product', 50);
+
+  assert.equal(app.calls.getHyperCubePivotData.length, 0);
+  assert.deepEqual(pivot.hierarchy.columns, [{ label: 'Sales' }, { label: 'Margin' }]);
+  assert.deepEqual(pivot.data[1], {
+    dimensions: ['Helmets'],
+    measures: [{ text: '96K', num: 96000 }, { text: '44%', num: 0.44 }],
+    level: 1,
+    isTotal: false
+  });
+});
+
+test('flattens stacked data with one row per innermost dimension value', async function() {
+  const { engine, app } = setup(pivotFixture);
+  const stacked = await engine.getObjectDetails(app, 'bar-stacked', 3);
+
+  assert.equal(app.calls.getHyperCubeStackData.length, 1);
+  assert.equal(app.calls.getHyperCubeStackData[0].maxCells, 10000);
+  assert.deepEqual(stacked.data.map(function(row) { return row.dimensions.join('/') + '=' + row.measures[0].num; }), [
+    '2023/Online=120000', '2023/Retail=380000', '2024/Online=190000'
+  ]);
+  assert.equal(stacked.hierarchy.mode, 'stacked');
+  assert.equal(stacked.totalRows, null);
+});
+
+test('reads KPI values, measure expressions and library IDs', async function() {
+  const { engine, app } = setup();
+  const kpi = await engine.getObjectDetails(app, 'kpi-sales', 50);
+
+  assert.equal(kpi.kpiValue, '1.25M');
+  assert.equal(kpi.kpiSecondaryValue, '-4.2%');
+  assert.equal(kpi.kpiSecondaryNum, -0.042);
+  assert.deepEqual(kpi.measures.map(function(m) { return [m.label, m.expression, m.libraryId]; }), [
+    ['Sales', 'Sum(Sales)', null],
+    ['Sales LY', null, 'mSalesLY']
+  ]);
+
+  const trend = await engine.getObjectDetails(app, 'line-trend', 50);
+  assert.deepEqual(trend.dimensions, [{
+    label: 'Month', field: '=Month(OrderDate)', cardinality: 10, tags: [], numFormat: null, nullSuppression: false, sort: null
+  }]);
+});
+
+test('reads number formats, grand totals and sort order', async function() {
+  const { engine, app } = setup();
+  const table = await engine.getObjectDetails(app, 'table-orders', 50);
+  const amount = table.measures[0];
+
+  assert.deepEqual(amount.numFormat, { type: 'money', pattern: '$#,##0;-$#,##0', decimals: 0 });
+  assert.equal(amount.unit, 'currency');
+  assert.deepEqual(amount.grandTotal, { text: '$15,290', num: 15290 });
+  // qInterColumnSortOrder [2, 0, 1]: Amount first, then Order and Customer
+  assert.deepEqual(amount.sort, { priority: 0, direction: 'desc' });
+  assert.deepEqual(table.dimensions.map(function(d) { return d.sort; }), [
+    { priority: 1, direction: 'asc' },
+    { priority: 2, direction: null }
+  ]);
+  assert.equal(table.dimensions[0].numFormat, null);
+});
+
+test('reads showHoverMenu from properties, menu properties or layout', async function() {
+  const { engine, app } = setup();
+  const details = await Promise.all(['kpi-sales', 'table-orders', 'pie-mix', 'bar-region'].map(function(id) {
+    return engine.getObjectDetails(app, id, 50);
+  }));
+
+  assert.deepEqual(details.map(function(obj) { return obj.showHoverMenu; }), [false, false, false, true]);
+});
+
+test('returns null for objects that cannot be loaded', async function() {
+  const fixture = JSON.parse(JSON.stringify(appFixture));
+  fixture.objects['bar-region'].failures = { getLayout: 'Layout unavailable' };
+  const { engine, app } = setup(fixture);
+
+  assert.equal(await engine.getObjectDetails(app, 'missing-object', 50), null);
+  assert.equal(await engine.getObjectDetails(app, 'bar-region', 50), null);
+
+  const objects = await engine.getObjectsRecursive(app, [{ name: 'bar-region' }, { name: 'line-trend' }], 0, {}, 50);
+  assert.deepEqual(objects.map(function(obj) { return obj.id; }), ['line-trend']);
+});
+
+test('treats a container that cannot be loaded as empty', async function() {
+  const fixture = JSON.parse(JSON.stringify(appFixture));
+  fixture.objects['layout-container'].failures = { getLayout: 'Layout unavailable' };
+  const { engine, app } = setup(fixture);
+
+  assert.deepEqual(await engine.getContainerChildren(app, 'layout-container', 1, {}, 50), []);
+});
+
+test('reads the sheet from a promise-based navigation API', async function() {
+  const { engine, app } = setup(appFixture, { async: true });
+  const objects = await engine.getSheetObjects(app, 'q2r-ext', 50);
+
+  assert.equal(objects[0].id, 'kpi-sales');
+});
+
+test('finds the sheet holding the extension when navigation cannot tell', async function() {
+  installBrowser();
+  const fixture = Object.assign({}, appFixture, { currentSheetId: null });
+  const { engine, app } = setup(fixture);
+  const objects = await engine.getSheetObjects(app, 'q2r-ext', 50);
+
+  assert.equal(objects.length, 11);
+  assert.equal(countCalls(app.calls.getObject, 'sheet-intro'), 1);
+});
+
+test('falls back to the first sheet when the extension is on none of them', async function() {
+  installBrowser();
+  const fixture = Object.assign({}, appFixture, { currentSheetId: null });
+  const { engine, app } = setup(fixture);
+  const objects = await engine.getSheetObjects(app, 'not-on-any-sheet', 50);
+
+  assert.deepEqual(objects.map(function(obj) { return obj.id; }), ['filter-region']);
+});
+
+test('reads the sheet ID from the URL when navigation cannot tell', async function() {
+  installBrowser('https://tenant.example.com/sense/app/demo/sheet/3f2a9bc1-77de-4c1a-9e1f-0d5c2b7a6e10/state/analysis');
+  const { engine } = setup(Object.assign({}, appFixture, { currentSheetId: null }));
+
+  assert.equal(await engine.getCurrentSheetId(), '3f2a9bc1-77de-4c1a-9e1f-0d5c2b7a6e10');
+});
+
+test('reads selections from selectionState and from the legacy selection list', async function() {
+  const expected = [
+    { field: 'Year', selected: ['2025'], count: 1 },
+    { field: 'Region', selected: ['North', 'South', 'West', 'East'], count: 4 }
+  ];
+
+  const current = setup();
+  assert.deepEqual(await current.engine.getCurrentSelections(current.app), expected);
+
+  const legacy = setup(appFixture, { legacySelections: true });
+  assert.deepEqual(await legacy.engine.getCurrentSelections(legacy.app), expected);
+});
+
+test('matches container types exactly', function() {
+  const { engine } = setup();
+
+  assert.ok(engine.isContainer('sn-layout-container'));
+  assert.ok(engine.isContainer('Container'));
+  assert.ok(!engine.isContainer('container-chart'));
+  assert.ok(!engine.isContainer(''));
+  assert.ok(!engine.isContainer(undefined));
+});
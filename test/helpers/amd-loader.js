@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Minimal AMD loader for running the extension's lib/ modules under Node
+ * Each loader has its own module registry, so module state (recorder, rate limiter, caches)
+ * never leaks between test files. Dependencies that only exist inside Qlik ('qlik') are stubbed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const LIB_DIR = path.resolve(__dirname, '..', '..', 'Qlik2Review', 'lib');
+
+/**
+ * Create a loader for lib/ modules
+ * @param {Object} [stubs] - Modules by dependency id, e.g. { qlik: mockQlik }
+ * @returns {Function} load(name) - Load a lib/ module by name ('analyzer', 'recorder', ...)
+ */
+function createLoader(stubs) {
+  const registry = {};
+  stubs = stubs || {};
+
+  function loadFile(file) {
+    if (Object.prototype.hasOwnProperty.call(registry, file)) {
+      return registry[file];
+    }
+
+    let exported;
+    function define(deps, factory) {
+      if (typeof deps === 'function') {
+        factory = deps;
+        deps = [];
+      }
+      const args = deps.map(function(dep) {
+        if (Object.prototype.hasOwnProperty.call(stubs, dep)) return stubs[dep];
+        if (dep.indexOf('./') !== 0) {
+          throw new Error('No stub for dependency "' + dep + '" of ' + path.basename(file));
+        }
+        return loadFile(path.resolve(path.dirname(file), dep + '.js'));
+      });
+      exported = factory.apply(null, args);
+    }
+
+    const source = fs.readFileSync(file, 'utf8');
+    vm.runInThisContext('(function(define) {' + source + '\n})', { filename: file })(define);
+    registry[file] = exported;
+    return exported;
+  }
+
+  return function load(name) {
+    return loadFile(path.join(LIB_DIR, name + '.js'));
+  };
+}
+
+module.exports = { createLoader: createLoader, LIB_DIR: LIB_DIR };
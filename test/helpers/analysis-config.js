@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Analysis config as getAnalysisConfig() in Qlik2Review.js builds it for a new extension
+ * Recordings in fixtures/ were made with these values; changing them changes the requests.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function createConfig(overrides) {
+  return Object.assign({
+    provider: 'openai',
+    apiKey: '',
+    model: '',
+    language: 'en',
+    customPrompt: '',
+    customSheetPrompt: '',
+    customSuggestionsPrompt: '',
+    objectFilter: {},
+    excludedIds: '',
+    maxCharsPerObject: 300,
+    rowLimit: 50,
+    dataFormat: 'compressed',
+    engineStats: true,
+    endpoint: { baseUrl: '', authStyle: 'bearer', authHeader: '', apiVersion: '', models: '' },
+    ollamaEndpoint: { baseUrl: 'http://localhost:11434' },
+    generation: {},
+    taskSettings: {},
+    fallbacks: [],
+    proxy: null,
+    structuredOutput: false,
+    batchObjects: false,
+    vision: 'off',
+    recoveryPolicy: 'standard',
+    concurrency: 0,
+    rateLimits: { rpm: 0, tpm: 0 },
+    chatAllowFetch: true
+  }, overrides || {});
+}
+
+module.exports = { createConfig: createConfig };
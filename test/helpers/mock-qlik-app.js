@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * In-memory stand-in for the Qlik Capability API app
+ * Serves sheets and objects from a fixture so engine.js and the analyzer run without a Qlik client.
+ *
+ * Fixture format:
+ *   {
+ *     appId, currentSheetId,
+ *     sheets: [{ id, title, rank, cells: [{ name }], failures }],
+ *     objects: { <id>: { layout, properties, matrix, pivotPages, stackedPages, failures } },
+ *     selections: [{ fieldName, selectedValues: [{ qName }], selectedCount }],
+ *     sessionCubes: { <dimension fields joined by |>: { <hypercube path>: { qSize, qMeasureInfo, qGrandTotalRow, matrix } } },
+ *     expressions: { <qExpr>: value }
+ *   }
+ * matrix holds the rows served by getHyperCubeData; pivotPages and stackedPages are returned as they are
+ * by getHyperCubePivotData and getHyperCubeStackData, whatever the requested area. failures maps a model
+ * method (getObject, getLayout, getProperties, getHyperCube*Data) to the error message it rejects with;
+ * on sheets only getLayout can fail. rank orders sheets in the sheet list (fixture order when absent).
+ * createGenericObject serves session objects: sessionCubes is looked up by the dimensions of the
+ * top-level qHyperCubeDef, its paths ('/qHyperCubeDef', '/periods/qHyperCubeDef') give each hypercube
+ * in the layout with rows (already in the requested sort order) for getHyperCubeData, and
+ * qValueExpression properties evaluate to expressions[qExpr]. Rows with a qIsNull cell in a dimension
+ * with qNullSuppression are left out of the session hypercube.
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Resolve with a copy of the value, or reject when the fixture marks the method as failing
+function respond(entry, method, value) {
+  if (entry.failures && entry.failures[method]) {
+    return Promise.reject(new Error(entry.failures[method]));
+  }
+  return Promise.resolve(clone(value));
+}
+
+/**
+ * Create a mock app from a fixture
+ * Every call is logged in app.calls so tests can assert on engine traffic.
+ * @param {Object} fixture
+ * @param {Object} [options]
+ * @param {boolean} [options.legacySelections] - selectionState() reports nothing, as on older Qlik versions,
+ *   so selections are only available through getList('SelectionObject')
+ * @param {number} [options.sheetListReplies=1] - Times getList('sheet') calls back, as a live list does
+ *   on every change (0 = never answers)
+ * @param {string} [options.sheetListError] - getList('sheet') rejects with this message, as a closed engine does
+ * @returns {Object} App with getObject, selectionState and getList
+ */
+function createMockApp(fixture, options) {
+  options = options || {};
+  const calls = {
+    getObject: [], getLayout: [], getHyperCubeData: [], getHyperCubePivotData: [], getHyperCubeStackData: [],
+    createGenericObject: [], destroySessionObject: []
+  };
+  const sheets = fixture.sheets || [];
+  const objects = fixture.objects || {};
+
+  function sheetModel(sheet) {
+    return {
+      id: sheet.id,
+      getLayout: function() {
+        return respond(sheet, 'getLayout', {
+          qInfo: { qId: sheet.id, qType: 'sheet' },
+          qMeta: { title: sheet.title },
+          cells: sheet.cells || []
+        });
+      },
+      getProperties: function() {
+        return Promise.resolve({ qInfo: { qId: sheet.id, qType: 'sheet' }, cells: clone(sheet.cells || []) });
+      }
+    };
+  }
+
+  function objectModel(id, entry) {
+    return {
+      id: id,
+      getLayout: function() {
+        calls.getLayout.push(id);
+        return respond(entry, 'getLayout', entry.layout || {});
+      },
+      getProperties: function() {
+        return respond(entry, 'getProperties', entry.properties || {});
+      },
+      getHyperCubeData: function(path, pages) {
+        calls.getHyperCubeData.push({ id: id, path: path, pages: clone(pages) });
+        if (!entry.matrix) {
+          return respond(entry, 'getHyperCubeData', null).then(function() {
+            throw new Error('No hypercube data for ' + id);
+          });
+        }
+        return respond(entry, 'getHyperCubeData', pages.map(function(page) {
+          return {
+            qArea: page,
+            qMatrix: entry.matrix.slice(page.qTop, page.qTop + page.qHeight).map(function(row) {
+              return row.slice(page.qLeft, page.qLeft + page.qWidth);
+            })
+          };
+        }));
+      },
+      getHyperCubePivotData: function(path, pages) {
+        calls.getHyperCubePivotData.push({ id: id, path: path, pages: clone(pages) });
+        if (!entry.pivotPages) return Promise.reject(new Error('No pivot data for ' + id));
+        return respond(entry, 'getHyperCubePivotData', entry.pivotPages);
+      },
+      getHyperCubeStackData: function(path, pages, maxCells) {
+        calls.getHyperCubeStackData.push({ id: id, path: path, pages: clone(pages), maxCells: maxCells });
+        if (!entry.stackedPages) return Promise.reject(new Error('No stacked data for ' + id));
+        return respond(entry, 'getHyperCubeStackData', entry.stackedPages);
+      }
+    };
+  }
+
+  // Rows of a session hypercube, without the null dimension values its definition suppresses
+  function sessionRows(def, cube) {
+    const suppressed = ((def && def.qDimensions) || []).map(function(dim) { return !!dim.qNullSuppression; });
+    return (cube.matrix || []).filter(function(row) {
+      return !suppressed.some(function(on, idx) { return on && row[idx] && row[idx].qIsNull; });
+    });
+  }
+
+  // Resolve qValueExpression properties and hypercube definitions of a session object
+  function evaluate(value, path, cubes) {
+    if (Array.isArray(value)) {
+      return value.map(function(item, idx) { return evaluate(item, path + '/' + idx, cubes); });
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (value.qValueExpression) return (fixture.expressions || {})[value.qValueExpression.qExpr];
+    const result = {};
+    Object.keys(value).forEach(function(key) {
+      if (key === 'qHyperCubeDef') {
+        const cube = cubes[path + '/qHyperCubeDef'] || {};
+        const qSize = cube.matrix ? Object.assign({}, cube.qSize, { qcy: sessionRows(value[key], cube).length }) : cube.qSize;
+        result.qHyperCube = { qSize: qSize, qMeasureInfo: cube.qMeasureInfo, qGrandTotalRow: cube.qGrandTotalRow };
+      } else {
+        result[key] = evaluate(value[key], path + '/' + key, cubes);
+      }
+    });
+    return result;
+  }
+
+  function sessionModel(id, props, cubes) {
+    return {
+      id: id,
+      getLayout: function() {
+        return Promise.resolve(evaluate(props, '', cubes));
+      },
+      getHyperCubeData: function(path, pages) {
+        calls.getHyperCubeData.push({ id: id, path: path, pages: clone(pages) });
+        const def = path.split('/').filter(Boolean).reduce(function(node, key) { return node && node[key]; }, props);
+        const matrix = cubes[path] ? sessionRows(def, cubes[path]) : [];
+        return Promise.resolve(pages.map(function(page) {
+          return { qArea: page, qMatrix: clone(matrix.slice(page.qTop, page.qTop + page.qHeight)) };
+        }));
+      }
+    };
+  }
+
+  return {
+    id: fixture.appId || 'mock-app',
+    calls: calls,
+
+    getObject: function(id) {
+      calls.getObject.push(id);
+      const sheet = sheets.filter(function(s) { return s.id === id; })[0];
+      if (sheet) return Promise.resolve(sheetModel(sheet));
+      if (objects[id]) {
+        return objects[id].failures && objects[id].failures.getObject
+          ? Promise.reject(new Error(objects[id].failures.getObject))
+          : Promise.resolve(objectModel(id, objects[id]));
+      }
+      return Promise.reject(new Error('Object not found: ' + id));
+    },
+
+    createGenericObject: function(props) {
+      calls.createGenericObject.push(clone(props));
+      const key = props.qHyperCubeDef ? props.qHyperCubeDef.qDimensions.map(function(dim) {
+        return dim.qDef.qFieldDefs[0];
+      }).join('|') : '';
+      const cubes = (fixture.sessionCubes || {})[key];
+      if (!cubes) return Promise.reject(new Error('No session data for ' + key));
+      return Promise.resolve(sessionModel('session-' + calls.createGenericObject.length, props, cubes));
+    },
+
+    destroySessionObject: function(id) {
+      calls.destroySessionObject.push(id);
+      return Promise.resolve();
+    },
+
+    selectionState: function() {
+      return { selections: options.legacySelections ? [] : clone(fixture.selections || []) };
+    },
+
+    getList: function(type, callback) {
+      if (type === 'sheet') {
+        if (options.sheetListError) return Promise.reject(new Error(options.sheetListError));
+        const reply = {
+          qInfo: { qId: 'sheet-list', qType: 'SheetList' },
+          qAppObjectList: {
+            qItems: sheets.map(function(sheet) {
+              const qData = { cells: clone(sheet.cells || []) };
+              if (sheet.rank !== undefined) qData.rank = sheet.rank;
+              return { qInfo: { qId: sheet.id, qType: 'sheet' }, qMeta: { title: sheet.title }, qData: qData };
+            })
+          }
+        };
+        const replies = options.sheetListReplies !== undefined ? options.sheetListReplies : 1;
+        for (let i = 0; i < replies; i++) callback(clone(reply));
+      } else if (type === 'SelectionObject') {
+        callback({
+          qSelectionObject: {
+            qSelections: (fixture.selections || []).map(function(sel) {
+              return {
+                qField: sel.fieldName,
+                qSelectedCount: sel.selectedCount,
+                qSelectedFieldSelectionInfo: clone(sel.selectedValues || [])
+              };
+            })
+          }
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Mock of the global qlik module (only navigation is used by engine.js)
+ * @param {Object} fixture - Same fixture as createMockApp; currentSheetId is reported as the open sheet
+ *   (leave it out to simulate clients where navigation cannot tell, e.g. mobile)
+ * @param {Object} [options]
+ * @param {boolean} [options.async] - Answer with a promise, as newer Qlik clients do
+ * @returns {Object}
+ */
+function createMockQlik(fixture, options) {
+  options = options || {};
+  return {
+    navigation: {
+      getCurrentSheetId: function() {
+        if (options.async) {
+          return fixture.currentSheetId
+            ? Promise.resolve({ sheetId: fixture.currentSheetId })
+            : Promise.reject(new Error('No sheet is open'));
+        }
+        return fixture.currentSheetId ? { sheetId: fixture.currentSheetId } : null;
+      }
+    }
+  };
+}
+
+module.exports = { createMockApp: createMockApp, createMockQlik: createMockQlik };
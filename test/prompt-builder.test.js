@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+const { createMockApp, createMockQlik } = require('./helpers/mock-qlik-app');
+
+const appFixture = require('./fixtures/sales-app.json');
+const recording = require('./fixtures/sales-sheet-openai.json');
+
+const load = createLoader({ qlik: createMockQlik(appFixture) });
+load('logger').setEnabled(false);
+const promptBuilder = load('prompt-builder');
+const engine = load('engine');
+const openai = load('openai');
+
+// Messages the recording sent for an object, found by its title line
+function recordedMessages(title) {
+  const entry = recording.entries.filter(function(e) {
+    return e.request.body.messages[1].content.indexOf('\nTitle: ' + title + '\n') !== -1;
+  })[0];
+  return entry.request.body.messages;
+}
+
+async function loadSheet() {
+  const app = createMockApp(appFixture);
+  return {
+    objects: (await engine.getSheetObjects(app, 'q2r-extension', 50)).filter(function(obj) { return obj.type !== 'Qlik2Review'; }),
+    selections: await engine.getCurrentSelections(app)
+  };
+}
+
+test('object prompts match the recorded requests', async function() {
+  const sheet = await loadSheet();
+  assert.equal(sheet.objects.length, 3);
+
+  sheet.objects.forEach(function(obj) {
+    const prompt = promptBuilder.buildObjectPrompt(obj, sheet.selections, '', 'en', 'compressed');
+    const adapted = promptBuilder.adaptToCapabilities(prompt, openai.capabilities, 75);
+    const messages = recordedMessages(obj.title);
+
+    assert.equal(adapted.system, messages[0].content);
+    assert.equal(adapted.prompt, messages[1].content, 'prompt for ' + obj.id + ' changed since the recording');
+  });
+});
+
+test('object prompts carry metadata, filters and compressed stats', async function() {
+  const sheet = await loadSheet();
+  const bar = sheet.objects.filter(function(obj) { return obj.id === 'bar-monthly'; })[0];
+  const prompt = promptBuilder.buildObjectPrompt(bar, sheet.selections, '', 'en', 'compressed');
+
+  assert.match(prompt, /\nChart Type: barchart\n/);
+  assert.match(prompt, /\nActive Filters: Region: North\n/);
+  assert.match(prompt, /\nData: 6 rows\n/);
+  assert.match(prompt, /\nRevenue: min=87\.6K, max=152\.8K, avg=122\.5K, total=735\.3K\n/);
+  assert.match(prompt, /\nTop3: Jun\(152\.8K\), Apr\(141\.3K\), Mar\(134\.9K\)\n/);
+  assert.match(prompt, /\nBottom3: May\(87\.6K\), Feb\(98\.2K\), Jan\(120\.5K\)$/);
+});
+
+test('language instruction and custom prompt replace the defaults', async function() {
+  const sheet = await loadSheet();
+  const prompt = promptBuilder.buildObjectPrompt(sheet.objects[0], [], 'Only state the KPI value.', 'de', 'compressed');
+
+  assert.match(prompt, /^IMPORTANT: Respond entirely in German\./);
+  assert.ok(prompt.indexOf('Only state the KPI value.') !== -1);
+  assert.equal(prompt.indexOf('Analyze this Qlik visualization data'), -1);
+  assert.equal(prompt.indexOf('Active Filters'), -1);
+});
+
+test('raw format sends rows as TOON columns and arrays', async function() {
+  const sheet = await loadSheet();
+  const table = sheet.objects.filter(function(obj) { return obj.id === 'table-products'; })[0];
+  const data = promptBuilder.formatData(table.data, table.dimensions, table.measures, 'raw');
+
+  assert.equal(data.split('\n')[0], 'Data (5 rows):');
+  assert.equal(data.split('\n')[1], 'Cols: ["Product","Revenue","Margin %"]');
+  assert.ok(data.indexOf('["Bikes","412.0K","31%"]') !== -1);
+});
+
+test('data cut short by the row limit is flagged as a sample', async function() {
+  const sheet = await loadSheet();
+  const table = Object.assign({}, sheet.objects.filter(function(obj) { return obj.id === 'table-products'; })[0], { totalRows: 240 });
+
+  assert.equal(promptBuilder.formatData(table.data, table.dimensions, table.measures, 'raw', 240).split('\n')[0],
+    'Data (first 5 of 240 rows - sample):');
+  assert.match(promptBuilder.buildObjectPrompt(table, [], '', 'en', 'compressed'),
+    /\nData: 5 of 240 rows \(sample - stats cover the rows shown\)\n/);
+  // A complete table reads as before
+  assert.match(promptBuilder.formatData(table.data, table.dimensions, table.measures, 'compressed', 5), /^Data: 5 rows\n/);
+});
+
+test('pivot rows are described with their hierarchy and totals kept out of the stats', async function() {
+  const pivotFixture = require('./fixtures/pivot-app.json');
+  const pivotLoad = createLoader({ qlik: createMockQlik(pivotFixture) });
+  pivotLoad('logger').setEnabled(false);
+  const pivot = await pivotLoad('engine').getObjectDetails(createMockApp(pivotFixture), 'pivot-region', 50);
+
+  const compressed = promptBuilder.formatObjectRows(pivot, 'compressed');
+  assert.match(compressed, /\nPivot: rows Region > Country, columns Year; total rows: 3, 5 \(not in the stats\)\n/);
+  assert.match(compressed, /\n2023: min=200\.0K, max=410\.0K, avg=303\.3K, total=910\.0K\n/);
+  assert.match(compressed, /\nTop3: Americas\(410K\), Europe > Germany\(300K\), Europe > France\(200K\)\n/);
+
+  const raw = promptBuilder.formatObjectRows(pivot, 'raw').split('\n');
+  assert.equal(raw[1], 'Pivot: rows Region > Country, columns Year; total rows: 3, 5');
+  assert.equal(raw[2], 'Cols: ["Region","Country","2023","2024","Totals"]');
+});
+
+test('number formats, totals and sort order are sent in both formats', async function() {
+  const containerFixture = require('./fixtures/container-app.json');
+  const table = await engine.getObjectDetails(createMockApp(containerFixture), 'table-orders', 50);
+  table.measures.push({
+    label: 'Share', numFormat: { type: 'fixed', pattern: '0.0%', decimals: 1 }, unit: 'percent',
+    grandTotal: null, sort: null
+  });
+  const expected = [
+    'Formats: Amount=currency ($#,##0), Share=percent (0.0%)',
+    'Totals: Amount=$15,290',
+    'Sort: Amount desc, Order asc'
+  ];
+
+  assert.deepEqual(promptBuilder.formatObjectRows(table, 'compressed').split('\n').slice(1, 4), expected);
+  assert.deepEqual(promptBuilder.formatObjectRows(table, 'raw').split('\n').slice(1, 4), expected);
+});
+
+test('pivot objects describe the formats, totals and sort order of their own columns', async function() {
+  const pivotFixture = require('./fixtures/pivot-app.json');
+  const pivotLoad = createLoader({ qlik: createMockQlik(pivotFixture) });
+  pivotLoad('logger').setEnabled(false);
+  const pivot = await pivotLoad('engine').getObjectDetails(createMockApp(pivotFixture), 'pivot-region', 50);
+  pivot.dimensions[0].sort = { direction: 'asc', priority: 1 };
+  Object.assign(pivot.measures[0], {
+    numFormat: { type: 'money', pattern: '$#,##0', decimals: 0 }, unit: 'currency',
+    grandTotal: { text: '$1,620,000', num: 1620000 }, sort: null
+  });
+  const expected = [
+    'Formats: Sales=currency ($#,##0)',
+    'Totals: Sales=$1,620,000',
+    'Sort: Region asc'
+  ];
+
+  assert.deepEqual(promptBuilder.formatObjectRows(pivot, 'compressed').split('\n').slice(2, 5), expected);
+  assert.deepEqual(promptBuilder.formatObjectRows(pivot, 'raw').split('\n').slice(2, 5), expected);
+});
+
+test('sheet prompt includes every object summary', async function() {
+  const sheet = await loadSheet();
+  const summaries = sheet.objects.map(function(obj) {
+    return { id: obj.id, title: obj.title, type: obj.type, summary: 'Summary of ' + obj.title };
+  });
+  const prompt = promptBuilder.buildSheetPrompt(sheet.objects, summaries, sheet.selections, 'en', 'compressed', '');
+
+  summaries.forEach(function(s) {
+    assert.ok(prompt.indexOf(s.summary) !== -1, 'missing ' + s.id);
+  });
+});
+
+test('models without a system role get the system prompt inline', function() {
+  const prompt = 'Instructions\n' + promptBuilder.CACHE_BREAK + '\nData: 1 rows';
+  const adapted = promptBuilder.adaptToCapabilities(prompt, { systemRole: false, contextWindow: 8192 }, 100);
+
+  assert.equal(adapted.system, null);
+  assert.equal(adapted.prompt, promptBuilder.SYSTEM_PROMPT + '\n\nInstructions\nData: 1 rows');
+  assert.equal(adapted.cachePrefix, promptBuilder.SYSTEM_PROMPT + '\n\nInstructions\n');
+});
+
+test('prefixes too short for the provider to cache are not marked', function() {
+  const shortPrompt = 'Instructions\n' + promptBuilder.CACHE_BREAK + '\nData: 1 rows';
+  const short = promptBuilder.adaptToCapabilities(shortPrompt, { systemRole: true, contextWindow: 8192, cacheMinTokens: 1024 }, 100);
+  assert.equal(short.cachePrefix, null);
+  assert.equal(short.prompt, 'Instructions\nData: 1 rows');
+
+  const instructions = 'x'.repeat(4096) + '\n';
+  const long = promptBuilder.adaptToCapabilities(instructions + promptBuilder.CACHE_BREAK + '\nData: 1 rows',
+    { systemRole: true, contextWindow: 8192, cacheMinTokens: 1024 }, 100);
+  assert.equal(long.cachePrefix, instructions);
+});
+
+test('prompts that overflow the context window are trimmed', function() {
+  const prompt = 'x'.repeat(10000);
+  const adapted = promptBuilder.adaptToCapabilities(prompt, { systemRole: true, contextWindow: 1000 }, 200);
+
+  assert.ok(adapted.prompt.length < prompt.length);
+  assert.ok(adapted.prompt.length <= 800 * 4);
+});
+
+test('numbers are formatted compactly', function() {
+  assert.equal(promptBuilder.formatNum(1234567), '1.2M');
+  assert.equal(promptBuilder.formatNum(-4500), '-4.5K');
+  assert.equal(promptBuilder.formatNum(0.256), '25.6%');
+  assert.equal(promptBuilder.formatNum(12), '12.0');
+  assert.equal(promptBuilder.formatNum(NaN), 'N/A');
+  assert.equal(promptBuilder.formatCompressedData([], [], []), 'No data available');
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+
+const load = createLoader();
+load('logger').setEnabled(false);
+const recorder = load('recorder');
+const retry = load('retry');
+
+const URL = 'https://api.example.com/v1/chat';
+
+// Network stand-in that echoes a counter so each response is distinguishable
+function createNetwork() {
+  const network = { calls: 0 };
+  network.fetch = async function(url, options) {
+    network.calls++;
+    return new Response(JSON.stringify({ call: network.calls, echo: JSON.parse(options.body) }), {
+      status: 200,
+      headers: { 'content-type': 'application/json', 'x-request-id': 'req-' + network.calls }
+    });
+  };
+  return network;
+}
+
+function post(body) {
+  return { method: 'POST', headers: { Authorization: 'Bearer secret-key' }, body: JSON.stringify(body) };
+}
+
+test.afterEach(function() {
+  recorder.stopReplay();
+  recorder.stopRecording();
+  recorder.clearRecording();
+});
+
+test('records request/response pairs without request headers', async function() {
+  const network = createNetwork();
+  recorder.startRecording();
+  const response = await recorder.send(URL, post({ prompt: 'a' }), network.fetch);
+  assert.equal((await response.json()).call, 1);
+
+  const fixture = await recorder.getRecording({ provider: 'openai', model: 'gpt-test' });
+  assert.equal(fixture.version, recorder.FIXTURE_VERSION);
+  assert.equal(fixture.provider, 'openai');
+  assert.equal(fixture.model, 'gpt-test');
+  assert.equal(fixture.entries.length, 1);
+
+  const entry = fixture.entries[0];
+  assert.equal(entry.key, recorder.requestKey('POST', URL, JSON.stringify({ prompt: 'a' })));
+  assert.deepEqual(entry.request, { method: 'POST', url: URL, body: { prompt: 'a' } });
+  assert.equal(entry.response.status, 200);
+  assert.deepEqual(entry.response.headers, { 'content-type': 'application/json' });
+  assert.equal(JSON.parse(entry.response.body).call, 1);
+  assert.doesNotMatch(JSON.stringify(fixture), /secret-key/);
+});
+
+test('passes requests straight through when not recording', async function() {
+  const network = createNetwork();
+  await recorder.send(URL, post({ prompt: 'a' }), network.fetch);
+
+  assert.equal(network.calls, 1);
+  assert.equal((await recorder.getRecording()).entries.length, 0);
+});
+
+test('replays recorded responses without touching the network', async function() {
+  const network = createNetwork();
+  recorder.startRecording();
+  await recorder.send(URL, post({ prompt: 'a' }), network.fetch);
+  await recorder.send(URL, post({ prompt: 'b' }), network.fetch);
+  recorder.stopRecording();
+  const fixture = await recorder.getRecording();
+
+  const offline = createNetwork();
+  recorder.startReplay(JSON.stringify(fixture));
+  const second = await recorder.send(URL, post({ prompt: 'b' }), offline.fetch);
+  const first = await recorder.send(URL, post({ prompt: 'a' }), offline.fetch);
+
+  assert.equal((await first.json()).call, 1);
+  assert.equal((await second.json()).call, 2);
+  assert.equal(second.headers.get('content-type'), 'application/json');
+  assert.equal(offline.calls, 0);
+  assert.deepEqual(recorder.getReplayStats(), { exact: 2, loose: 0, missed: 0 });
+});
+
+test('serves repeated requests in recorded order and repeats the last response', async function() {
+  const network = createNetwork();
+  recorder.startRecording();
+  await recorder.send(URL, post({ prompt: 'same' }), network.fetch);
+  await recorder.send(URL, post({ prompt: 'same' }), network.fetch);
+  recorder.startReplay(await recorder.getRecording());
+
+  const calls = [];
+  for (let i = 0; i < 3; i++) {
+    calls.push((await (await recorder.send(URL, post({ prompt: 'same' }), network.fetch)).json()).call);
+  }
+  assert.deepEqual(calls, [1, 2, 2]);
+});
+
+test('falls back to the next response for the same URL unless strict', async function() {
+  const network = createNetwork();
+  recorder.startRecording();
+  await recorder.send(URL, post({ prompt: 'recorded' }), network.fetch);
+  const fixture = await recorder.getRecording();
+
+  recorder.startReplay(fixture);
+  const loose = await recorder.send(URL, post({ prompt: 'changed' }), network.fetch);
+  assert.equal((await loose.json()).call, 1);
+  assert.deepEqual(recorder.getReplayStats(), { exact: 0, loose: 1, missed: 0 });
+
+  recorder.startReplay(fixture, { strict: true });
+  await assert.rejects(recorder.send(URL, post({ prompt: 'changed' }), network.fetch), /No recorded response for POST/);
+  assert.equal(recorder.getReplayStats().missed, 1);
+});
+
+test('rejects recordings it cannot read', function() {
+  assert.throws(function() { recorder.startReplay('not json'); }, SyntaxError);
+  assert.throws(function() { recorder.startReplay({ version: 1 }); }, /entries are missing/);
+  assert.throws(function() { recorder.startReplay({ version: 99, entries: [] }); }, /Unsupported recording version: 99/);
+});
+
+test('replayed error responses go through the normal retry handling', async function() {
+  recorder.startReplay({
+    version: 1,
+    entries: [{
+      key: recorder.requestKey('POST', URL, '{}'),
+      request: { method: 'POST', url: URL, body: {} },
+      response: { status: 401, statusText: 'Unauthorized', headers: {}, body: '{"error":{"message":"bad key"}}' }
+    }]
+  });
+
+  await assert.rejects(
+    retry.fetchWithRetry(URL, { method: 'POST', body: '{}' }, { maxRetries: 0 }),
+    function(err) {
+      assert.equal(err.status, 401);
+      return true;
+    }
+  );
+});
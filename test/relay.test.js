@@ -0,0 +1,180 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const relay = require('../relay/relay');
+const { createLoader } = require('./helpers/amd-loader');
+
+const load = createLoader();
+load('logger').setEnabled(false);
+const proxy = load('proxy');
+
+const SECRET = 'test-secret-0123456789abcdefghijklmnop';
+const ORIGIN = 'http://localhost:4848';
+
+function listen(server) {
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve('http://127.0.0.1:' + server.address().port);
+    });
+  });
+}
+
+function close(server) {
+  return new Promise(function(resolve) {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+}
+
+/**
+ * Start a relay in front of a local upstream
+ * @param {Function} handler - Upstream request handler (req, res)
+ * @param {Object} [overrides] - Relay options
+ * @returns {Promise<Object>} { url, upstreamRequests, stop }
+ */
+async function startRelay(handler, overrides) {
+  const upstreamRequests = [];
+  const upstream = http.createServer(function(req, res) {
+    upstreamRequests.push({ url: req.url, headers: req.headers });
+    handler(req, res);
+  });
+  const upstreamUrl = await listen(upstream);
+  const server = relay.createRelay(Object.assign({
+    secret: SECRET,
+    allowedOrigins: [ORIGIN],
+    tokenTtl: 60,
+    tokenUserHeader: 'x-forwarded-user',
+    allowAnonymousTokens: false,
+    keys: { openai: 'sk-upstream-key' },
+    upstreams: { openai: upstreamUrl }
+  }, overrides || {}));
+  const url = await listen(server);
+  return {
+    url: url,
+    upstreamRequests: upstreamRequests,
+    stop: async function() {
+      await close(server);
+      await close(upstream);
+    }
+  };
+}
+
+function authorized() {
+  return { authorization: 'Bearer ' + relay.issueToken(SECRET, { subject: 'tester' }).token, 'content-type': 'application/json' };
+}
+
+test('issues tokens that verify until they expire', function() {
+  const issued = relay.issueToken(SECRET, { subject: 'alice', ttl: 60 });
+  const claims = relay.verifyToken(SECRET, issued.token);
+
+  assert.equal(claims.sub, 'alice');
+  assert.ok(Date.parse(issued.expiresAt) > Date.now());
+  assert.equal(relay.verifyToken('another-secret-0123456789abcdefghijkl', issued.token), null);
+  assert.equal(relay.verifyToken(SECRET, issued.token.slice(0, -2) + 'xx'), null);
+  assert.equal(relay.verifyToken(SECRET, relay.issueToken(SECRET, { ttl: -1 }).token), null);
+  assert.equal(relay.verifyToken(SECRET, 'not-a-token'), null);
+});
+
+test('forwards allowed paths with the provider key and rejects the rest', async function(t) {
+  const started = await startRelay(function(req, res) {
+    res.writeHead(200, { 'content-type': 'application/json', 'set-cookie': 'upstream=1' });
+    res.end('{"ok":true}');
+  });
+  t.after(started.stop);
+
+  const ok = await fetch(started.url + '/openai/v1/chat/completions', { method: 'POST', headers: authorized(), body: '{}' });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { ok: true });
+  assert.equal(ok.headers.get('set-cookie'), null);
+  assert.equal(started.upstreamRequests[0].headers.authorization, 'Bearer sk-upstream-key');
+
+  const blocked = await fetch(started.url + '/openai/v1/files', { headers: authorized() });
+  assert.equal(blocked.status, 404);
+  const unauthenticated = await fetch(started.url + '/openai/v1/models');
+  assert.equal(unauthenticated.status, 401);
+  const noKey = await fetch(started.url + '/anthropic/v1/messages', { method: 'POST', headers: authorized(), body: '{}' });
+  assert.equal(noKey.status, 503);
+  assert.equal(started.upstreamRequests.length, 1);
+});
+
+test('answers CORS preflights for allowed origins only', async function(t) {
+  const started = await startRelay(function(req, res) { res.end(); });
+  t.after(started.stop);
+
+  const allowed = await fetch(started.url + '/openai/v1/chat/completions', { method: 'OPTIONS', headers: { origin: ORIGIN } });
+  assert.equal(allowed.status, 204);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), ORIGIN);
+  assert.match(allowed.headers.get('access-control-allow-headers'), /authorization/);
+
+  const other = await fetch(started.url + '/openai/v1/chat/completions', { method: 'OPTIONS', headers: { origin: 'https://evil.example' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('issues tokens only to users named by the reverse proxy header', async function(t) {
+  const started = await startRelay(function(req, res) { res.end(); });
+  t.after(started.stop);
+
+  const anonymous = await fetch(started.url + '/token', { method: 'POST' });
+  assert.equal(anonymous.status, 403);
+
+  const named = await fetch(started.url + '/token', { method: 'POST', headers: { 'x-forwarded-user': 'bob' } });
+  assert.equal(named.status, 200);
+  assert.equal(relay.verifyToken(SECRET, (await named.json()).token).sub, 'bob');
+});
+
+test('survives an upstream stream that breaks midway', async function(t) {
+  const started = await startRelay(function(req, res) {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.write('data: {"delta":"Hel"}\n\n');
+    setTimeout(function() { res.socket.destroy(); }, 20);
+  });
+  t.after(started.stop);
+
+  const response = await fetch(started.url + '/openai/v1/chat/completions', { method: 'POST', headers: authorized(), body: '{}' });
+  assert.equal(response.status, 200);
+  const reader = response.body.getReader();
+  const first = await reader.read();
+  assert.match(Buffer.from(first.value).toString(), /"Hel"/);
+  await assert.rejects(async function() {
+    for (;;) {
+      const next = await reader.read();
+      if (next.done) throw new Error('stream ended cleanly');
+    }
+  });
+
+  // The relay is still serving
+  const health = await fetch(started.url + '/health');
+  assert.deepEqual(await health.json(), { ok: true, providers: ['openai'] });
+});
+
+test('the extension fetches and caches relay tokens from /token', async function(t) {
+  const started = await startRelay(function(req, res) { res.end(); }, { allowAnonymousTokens: true });
+  t.after(started.stop);
+  proxy.clearTokens();
+
+  const first = await proxy.resolve({ url: started.url + '/' });
+  assert.equal(first.url, started.url);
+  assert.ok(relay.verifyToken(SECRET, first.token));
+  assert.deepEqual(await proxy.resolve({ url: started.url }), first);
+
+  proxy.clearTokens();
+  const denied = await startRelay(function(req, res) { res.end(); });
+  t.after(denied.stop);
+  await assert.rejects(proxy.resolve({ url: denied.url }), { message: 'Relay token request failed: HTTP 403', status: 403 });
+});
+
+test('a token request to a silent relay can be cancelled', async function(t) {
+  const pending = [];
+  const silent = http.createServer(function(req, res) { pending.push(res); });
+  const url = await listen(silent);
+  t.after(function() { return close(silent); });
+  proxy.clearTokens();
+
+  const controller = new AbortController();
+  const resolving = proxy.resolve({ url: url }, { signal: controller.signal });
+  setTimeout(function() { controller.abort(); }, 50);
+  await assert.rejects(resolving, function(err) { return load('retry').isCancelError(err); });
+  assert.equal(pending.length, 1);
+});
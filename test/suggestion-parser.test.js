@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoader } = require('./helpers/amd-loader');
+
+const load = createLoader();
+load('logger').setEnabled(false);
+const suggestionParser = load('suggestion-parser');
+
+test('parses a JSON array inside a ```json block', function() {
+  const text = 'Here are some ideas:\n```json\n[{ "question": "Where is revenue growing?", "visualization": "trend", "dimensions": ["Month"], "measures": ["Sum(Sales)"], "insight": "Spot momentum" }]\n```';
+  const parsed = suggestionParser.parse(text);
+
+  assert.equal(parsed.length, 1);
+  assert.equal(parsed[0].title, 'Where is revenue growing?');
+  assert.equal(parsed[0].chartType, 'linechart');
+  assert.equal(parsed[0].visualization, 'trend');
+  assert.deepEqual(parsed[0].dimensions, ['Month']);
+  assert.deepEqual(parsed[0].measures, ['Sum(Sales)']);
+  assert.equal(parsed[0].insight, 'Spot momentum');
+  assert.match(parsed[0].id, /^sug_0_\d+$/);
+});
+
+test('accepts the older title/chartType format with singular fields', function() {
+  const parsed = suggestionParser.parse('[{ "title": "Share by product", "chartType": "piechart", "dimension": "Product", "measure": "Sum(Sales)" }]');
+
+  assert.equal(parsed[0].title, 'Share by product');
+  assert.equal(parsed[0].chartType, 'piechart');
+  assert.deepEqual(parsed[0].dimensions, ['Product']);
+  assert.deepEqual(parsed[0].measures, ['Sum(Sales)']);
+});
+
+test('drops suggestions without dimensions or measures', function() {
+  const parsed = suggestionParser.parse('[{ "question": "Empty" }, { "question": "Kept", "measures": ["Count(Order)"] }]');
+
+  assert.deepEqual(parsed.map(function(item) { return item.title; }), ['Kept']);
+});
+
+test('returns null for text that is not a JSON array', function() {
+  assert.equal(suggestionParser.parse(''), null);
+  assert.equal(suggestionParser.parse('1. Look at revenue by month\n2. Compare margins'), null);
+  assert.equal(suggestionParser.parse('[]'), null);
+  assert.equal(suggestionParser.parse('{ "question": "Not an array" }'), null);
+});
+
+test('maps visualization approaches to chart types', function() {
+  const map = suggestionParser.mapVisualizationToChart;
+
+  assert.equal(map('comparison'), 'barchart');
+  assert.equal(map('Trend'), 'linechart');
+  assert.equal(map('correlation'), 'scatterplot');
+  assert.equal(map('composition', ['Product']), 'piechart');
+  assert.equal(map('composition', ['Region', 'Product']), 'treemap');
+  assert.equal(map('detail'), 'table');
+  assert.equal(map('something else'), 'barchart');
+  assert.equal(map(undefined), 'barchart');
+});